@@ -0,0 +1,243 @@
+/*
+ * Cadence lead form embed
+ *
+ * Drop-in loader for contractor websites. Renders a lead form in an iframe that points at
+ * /embed/lead-form/:publicUrl on the Cadence app, resizes it to fit its content and submits to
+ * the same lead endpoint as the hosted form.
+ *
+ * Inline:
+ *   <div data-cadence-lead-form="PUBLIC_URL"></div>
+ *   <script async src="https://APP/embed/lead-form.js"></script>
+ *
+ * Popup button / slide-in panel:
+ *   <script async src="https://APP/embed/lead-form.js"
+ *     data-cadence-lead-form="PUBLIC_URL" data-mode="popup" data-button-text="Get a Free Quote"></script>
+ *
+ * Any element with data-cadence-lead-form-open="PUBLIC_URL" opens the form as a popup when clicked.
+ * window.CadenceLeadForm.open(publicUrl) does the same from script.
+ */
+(function () {
+  'use strict';
+
+  if (window.CadenceLeadForm && window.CadenceLeadForm.loaded) return;
+
+  var MESSAGE_PREFIX = 'cadence:lead-form:';
+  var UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+  // Long enough to read the form's thank-you message before a popup closes
+  var SUBMITTED_CLOSE_DELAY = 3000;
+
+  var currentScript = document.currentScript || (function () {
+    var scripts = document.querySelectorAll('script[src*="/embed/lead-form.js"]');
+    return scripts[scripts.length - 1];
+  })();
+  var appOrigin = new URL(currentScript.src, window.location.href).origin;
+
+  var frames = [];
+
+  function buildFrameUrl(publicUrl, options) {
+    var url = new URL('/embed/lead-form/' + encodeURIComponent(publicUrl), appOrigin);
+    var pageParams = new URLSearchParams(window.location.search);
+
+    // Pass the host page's campaign parameters through so leads keep their attribution
+    UTM_PARAMS.forEach(function (param) {
+      if (pageParams.get(param)) url.searchParams.set(param, pageParams.get(param));
+    });
+    if (!url.searchParams.get('utm_source')) url.searchParams.set('utm_source', window.location.hostname);
+    if (!url.searchParams.get('utm_medium')) url.searchParams.set('utm_medium', 'embed');
+
+    url.searchParams.set('embed', options.mode || 'inline');
+    url.searchParams.set('sourceUrl', window.location.href);
+    if (options.color) url.searchParams.set('primaryColor', options.color);
+    return url.toString();
+  }
+
+  function createFrame(publicUrl, options) {
+    var iframe = document.createElement('iframe');
+    iframe.src = buildFrameUrl(publicUrl, options);
+    iframe.title = options.title || 'Request a quote';
+    iframe.setAttribute('loading', 'lazy');
+    iframe.setAttribute('scrolling', options.mode === 'inline' ? 'no' : 'auto');
+    iframe.style.cssText = 'display:block;width:100%;border:0;min-height:' + (options.minHeight || 480) + 'px;' +
+      (options.mode === 'inline' ? '' : 'height:100%;');
+    frames.push({ iframe: iframe, publicUrl: publicUrl, mode: options.mode });
+    return iframe;
+  }
+
+  function readOptions(element) {
+    return {
+      mode: element.getAttribute('data-mode') || (element.tagName === 'SCRIPT' ? 'popup' : 'inline'),
+      buttonText: element.getAttribute('data-button-text') || 'Get a Free Quote',
+      color: element.getAttribute('data-color') || '',
+      position: element.getAttribute('data-position') || 'right',
+      minHeight: parseInt(element.getAttribute('data-min-height'), 10) || 480,
+      title: element.getAttribute('data-title') || ''
+    };
+  }
+
+  function injectStyles() {
+    if (document.getElementById('cadence-lead-form-styles')) return;
+    var style = document.createElement('style');
+    style.id = 'cadence-lead-form-styles';
+    style.textContent = [
+      '.cadence-lf-button{position:fixed;bottom:24px;z-index:2147483000;border:0;border-radius:999px;padding:14px 22px;',
+      'font:600 15px/1 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;color:#fff;cursor:pointer;',
+      'box-shadow:0 6px 20px rgba(0,0,0,.2);}',
+      '.cadence-lf-button.right{right:24px}.cadence-lf-button.left{left:24px}',
+      '.cadence-lf-overlay{position:fixed;inset:0;z-index:2147483001;background:rgba(0,0,0,.5);display:none;',
+      'align-items:center;justify-content:center;padding:16px}',
+      '.cadence-lf-overlay.open{display:flex}',
+      '.cadence-lf-dialog{position:relative;background:#fff;border-radius:12px;width:100%;max-width:720px;height:90vh;overflow:hidden}',
+      '.cadence-lf-panel{position:fixed;top:0;bottom:0;z-index:2147483001;width:100%;max-width:460px;background:#fff;',
+      'box-shadow:0 0 30px rgba(0,0,0,.25);transition:transform .3s ease}',
+      '.cadence-lf-panel.right{right:0;transform:translateX(100%)}.cadence-lf-panel.left{left:0;transform:translateX(-100%)}',
+      '.cadence-lf-panel.open{transform:translateX(0)}',
+      '.cadence-lf-close{position:absolute;top:8px;right:12px;z-index:1;border:0;background:transparent;font-size:28px;',
+      'line-height:1;cursor:pointer;color:#666}'
+    ].join('');
+    document.head.appendChild(style);
+  }
+
+  function createCloseButton(onClose) {
+    var close = document.createElement('button');
+    close.className = 'cadence-lf-close';
+    close.setAttribute('aria-label', 'Close');
+    close.innerHTML = '&times;';
+    close.addEventListener('click', onClose);
+    return close;
+  }
+
+  // Popup and slide-in containers are created on first open so the iframe only loads when needed
+  var containers = {};
+
+  function getContainerKey(mode, publicUrl) {
+    return mode + ':' + publicUrl;
+  }
+
+  function getContainer(publicUrl, options) {
+    var key = getContainerKey(options.mode, publicUrl);
+    if (containers[key]) return containers[key];
+    injectStyles();
+
+    var container;
+    var close = function () {
+      container.element.classList.remove('open');
+    };
+
+    if (options.mode === 'slide-in') {
+      var panel = document.createElement('div');
+      panel.className = 'cadence-lf-panel ' + (options.position === 'left' ? 'left' : 'right');
+      panel.appendChild(createCloseButton(close));
+      panel.appendChild(createFrame(publicUrl, options));
+      document.body.appendChild(panel);
+      container = { element: panel };
+    } else {
+      var overlay = document.createElement('div');
+      overlay.className = 'cadence-lf-overlay';
+      var dialog = document.createElement('div');
+      dialog.className = 'cadence-lf-dialog';
+      dialog.appendChild(createCloseButton(close));
+      dialog.appendChild(createFrame(publicUrl, options));
+      overlay.appendChild(dialog);
+      overlay.addEventListener('click', function (event) {
+        if (event.target === overlay) close();
+      });
+      document.body.appendChild(overlay);
+      container = { element: overlay };
+    }
+
+    container.open = function () {
+      // Let the closed state paint first so the slide-in transition runs
+      window.requestAnimationFrame(function () {
+        container.element.classList.add('open');
+      });
+    };
+    container.close = close;
+    containers[key] = container;
+    return container;
+  }
+
+  function open(publicUrl, options) {
+    var settings = options || {};
+    settings.mode = settings.mode === 'slide-in' ? 'slide-in' : 'popup';
+    getContainer(publicUrl, settings).open();
+  }
+
+  function addLauncher(publicUrl, options) {
+    injectStyles();
+    var button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'cadence-lf-button ' + (options.position === 'left' ? 'left' : 'right');
+    button.textContent = options.buttonText;
+    button.style.backgroundColor = options.color || '#1890ff';
+    button.addEventListener('click', function () {
+      open(publicUrl, options);
+    });
+    document.body.appendChild(button);
+  }
+
+  function mount(element) {
+    if (element.getAttribute('data-cadence-mounted')) return;
+    element.setAttribute('data-cadence-mounted', 'true');
+
+    var publicUrl = element.getAttribute('data-cadence-lead-form');
+    if (!publicUrl) return;
+    var options = readOptions(element);
+
+    if (options.mode === 'inline' && element.tagName !== 'SCRIPT') {
+      element.appendChild(createFrame(publicUrl, options));
+    } else {
+      addLauncher(publicUrl, options);
+    }
+  }
+
+  function init() {
+    Array.prototype.forEach.call(document.querySelectorAll('[data-cadence-lead-form]'), mount);
+
+    document.addEventListener('click', function (event) {
+      var trigger = event.target.closest && event.target.closest('[data-cadence-lead-form-open]');
+      if (!trigger) return;
+      event.preventDefault();
+      open(trigger.getAttribute('data-cadence-lead-form-open'), readOptions(trigger));
+    });
+  }
+
+  // Resize inline frames to their content and close popups after a submission
+  window.addEventListener('message', function (event) {
+    if (event.origin !== appOrigin || !event.data || typeof event.data.type !== 'string') return;
+    if (event.data.type.indexOf(MESSAGE_PREFIX) !== 0) return;
+
+    frames.forEach(function (frame) {
+      if (frame.iframe.contentWindow !== event.source) return;
+
+      if (event.data.type === MESSAGE_PREFIX + 'resize' && frame.mode === 'inline') {
+        frame.iframe.style.height = Math.ceil(event.data.height) + 'px';
+      }
+
+      if (event.data.type === MESSAGE_PREFIX + 'submitted') {
+        var submittedEvent;
+        try {
+          submittedEvent = new CustomEvent('cadence:lead-submitted', { detail: { publicUrl: frame.publicUrl } });
+        } catch (e) {
+          submittedEvent = document.createEvent('CustomEvent');
+          submittedEvent.initCustomEvent('cadence:lead-submitted', true, false, { publicUrl: frame.publicUrl });
+        }
+        window.dispatchEvent(submittedEvent);
+
+        var container = frame.mode !== 'inline' && containers[getContainerKey(frame.mode, frame.publicUrl)];
+        if (container) window.setTimeout(container.close, SUBMITTED_CLOSE_DELAY);
+      }
+    });
+  });
+
+  window.CadenceLeadForm = {
+    loaded: true,
+    open: open,
+    mount: mount
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
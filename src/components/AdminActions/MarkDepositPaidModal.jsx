@@ -5,6 +5,7 @@ import React, { useState } from 'react';
 import { Modal, Form, Select, Input, message } from 'antd';
 import { DollarCircleOutlined } from '@ant-design/icons';
 import { adminStatusService } from '../../services/adminStatusService';
+import leadQuoteService from '../../services/leadQuoteService';
 
 const { Option } = Select;
 const { TextArea } = Input;
@@ -23,6 +24,12 @@ function MarkDepositPaidModal({ visible, onCancel, onSuccess, quote }) {
 
       if (response.success) {
         message.success('Deposit marked as paid successfully');
+        // Quote created from a lead: move the lead along with it
+        if (quote.leadId) {
+          leadQuoteService.syncLeadStatus(quote.leadId, 'deposit_paid').catch(error => {
+            console.error('Error updating lead status:', error);
+          });
+        }
         form.resetFields();
         onSuccess?.();
         onCancel();
@@ -5,6 +5,7 @@ import React, { useState } from 'react';
 import { Modal, Form, Input, message } from 'antd';
 import { ReloadOutlined } from '@ant-design/icons';
 import { adminStatusService } from '../../services/adminStatusService';
+import leadQuoteService from '../../services/leadQuoteService';
 
 const { TextArea } = Input;
 
@@ -21,6 +22,13 @@ function ReopenQuoteModal({ visible, onCancel, onSuccess, quote }) {
 
       if (response.success) {
         message.success('Quote reopened successfully');
+        // Quote created from a lead: a lost lead comes back with its quote
+        const reopenedStatus = (response.data || response.quote)?.status;
+        if (quote.leadId && reopenedStatus) {
+          leadQuoteService.syncLeadStatus(quote.leadId, reopenedStatus).catch(error => {
+            console.error('Error updating lead status:', error);
+          });
+        }
         form.resetFields();
         onSuccess?.();
         onCancel();
@@ -0,0 +1,165 @@
+// components/CalendarFeedModal.jsx
+import { useState, useEffect } from 'react';
+import { Modal, Select, Input, Button, Space, Alert, Spin, Typography, message } from 'antd';
+import { CopyOutlined, ReloadOutlined, CalendarOutlined } from '@ant-design/icons';
+import { jobsService } from '../services/jobsService';
+
+const { Text, Paragraph } = Typography;
+const { Option } = Select;
+
+const FEED_STATUSES = [
+  'accepted',
+  'pending_deposit',
+  'deposit_paid',
+  'selections_pending',
+  'selections_complete',
+  'scheduled',
+  'in_progress',
+  'paused',
+  'on_hold',
+  'completed',
+  'canceled'
+];
+
+// Canceled jobs stay in the default feed so subscribed calendars drop them
+const DEFAULT_FEED_STATUSES = ['scheduled', 'in_progress', 'paused', 'canceled'];
+
+/**
+ * Subscribable ICS feed for the tenant's jobs. The URL carries a secret token, so anyone with
+ * the link can read the feed; regenerating the token cuts off every existing subscription.
+ *
+ * @param {boolean} open
+ * @param {function} onClose
+ * @param {Array} crews - [{ id, name }] for the crew filter
+ */
+function CalendarFeedModal({ open, onClose, crews = [] }) {
+  const [loading, setLoading] = useState(false);
+  const [token, setToken] = useState(null);
+  const [statuses, setStatuses] = useState(DEFAULT_FEED_STATUSES);
+  const [crewId, setCrewId] = useState(null);
+
+  useEffect(() => {
+    if (!open || token) return;
+    fetchFeed();
+  }, [open]);
+
+  const fetchFeed = async () => {
+    try {
+      setLoading(true);
+      const response = await jobsService.getCalendarFeed();
+      if (response.success) {
+        setToken(response.data.token);
+      }
+    } catch (error) {
+      message.error('Failed to load calendar feed: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRegenerate = () => {
+    Modal.confirm({
+      title: 'Regenerate feed link?',
+      content: 'Calendars subscribed to the current link will stop updating. Everyone will need the new link.',
+      okText: 'Regenerate',
+      okButtonProps: { danger: true },
+      onOk: async () => {
+        try {
+          const response = await jobsService.regenerateCalendarFeed();
+          if (response.success) {
+            setToken(response.data.token);
+            message.success('New feed link created');
+          }
+        } catch (error) {
+          message.error('Failed to regenerate feed: ' + error.message);
+        }
+      }
+    });
+  };
+
+  const feedUrl = token ? jobsService.getCalendarFeedUrl(token, { statuses, crewId }) : '';
+  const webcalUrl = feedUrl.replace(/^https?:\/\//, 'webcal://');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      message.success('Feed link copied');
+    } catch (error) {
+      message.error('Could not copy the link');
+    }
+  };
+
+  return (
+    <Modal
+      title={<Space><CalendarOutlined />Subscribe to Job Calendar</Space>}
+      open={open}
+      onCancel={onClose}
+      footer={<Button onClick={onClose}>Done</Button>}
+      width={640}
+    >
+      <Spin spinning={loading}>
+        <Paragraph type="secondary">
+          Add this link to Google Calendar, Apple Calendar or Outlook as a subscribed calendar.
+          Jobs update in place when they're rescheduled or canceled.
+        </Paragraph>
+
+        <Space direction="vertical" style={{ width: '100%' }} size="middle">
+          <div>
+            <Text strong>Statuses</Text>
+            <Select
+              mode="multiple"
+              value={statuses}
+              onChange={setStatuses}
+              placeholder="All statuses"
+              style={{ width: '100%' }}
+            >
+              {FEED_STATUSES.map(status => (
+                <Option key={status} value={status}>{jobsService.getStatusLabel(status)}</Option>
+              ))}
+            </Select>
+          </div>
+
+          <div>
+            <Text strong>Crew</Text>
+            <Select
+              value={crewId}
+              onChange={setCrewId}
+              allowClear
+              placeholder="All crews"
+              style={{ width: '100%' }}
+            >
+              {crews.map(crew => (
+                <Option key={crew.id} value={crew.id}>{crew.name}</Option>
+              ))}
+            </Select>
+          </div>
+
+          <div>
+            <Text strong>Feed link</Text>
+            <Space.Compact style={{ width: '100%' }}>
+              <Input value={feedUrl} readOnly />
+              <Button icon={<CopyOutlined />} onClick={handleCopy} disabled={!token}>Copy</Button>
+            </Space.Compact>
+          </div>
+
+          <Space wrap>
+            <Button type="primary" href={webcalUrl} disabled={!token}>
+              Open in Calendar App
+            </Button>
+            <Button icon={<ReloadOutlined />} onClick={handleRegenerate} disabled={!token}>
+              Regenerate Link
+            </Button>
+          </Space>
+
+          <Alert
+            type="warning"
+            showIcon
+            message="Anyone with this link can see the jobs in the feed. Regenerate it if it's shared by mistake."
+          />
+        </Space>
+      </Spin>
+    </Modal>
+  );
+}
+
+export default CalendarFeedModal;
@@ -0,0 +1,254 @@
+// components/CrewCapacityView.jsx
+import { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Table, Tag, Space, Select, Segmented, Button, Alert, Empty, Typography, Tooltip } from 'antd';
+import { LeftOutlined, RightOutlined, WarningOutlined } from '@ant-design/icons';
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as ChartTooltip,
+  Legend,
+  Cell
+} from 'recharts';
+import moment from 'moment';
+import { buildDailyCapacity, buildWeeklyCapacity } from '../utils/crewCapacity';
+
+const { Text } = Typography;
+const { Option } = Select;
+
+const SPANS = [
+  { value: 2, label: '2 weeks' },
+  { value: 4, label: '4 weeks' },
+  { value: 8, label: '8 weeks' },
+  { value: 13, label: '13 weeks' }
+];
+
+const utilizationColor = (utilization) => {
+  if (utilization === null || utilization > 100) return 'red';
+  if (utilization >= 85) return 'orange';
+  return 'green';
+};
+
+/**
+ * Booked vs available crew-hours per day or week, with per-crew load and the jobs that don't fit
+ *
+ * @param {Array} events - Calendar jobs (start, end, estimatedHours, crewIds)
+ * @param {Array} crews - Crews with members, dailyHours and workDays
+ * @param {Object} overCapacity - { [jobId]: [reason] } from findOverCapacityJobs
+ * @param {function} onSelectJob - Called with a job when its row is clicked
+ */
+function CrewCapacityView({ events = [], crews = [], overCapacity = {}, onSelectJob }) {
+  const navigate = useNavigate();
+  const [granularity, setGranularity] = useState('day');
+  const [weeks, setWeeks] = useState(4);
+  const [from, setFrom] = useState(() => moment().startOf('isoWeek'));
+
+  const to = moment(from).add(weeks, 'week').subtract(1, 'day');
+
+  const days = useMemo(
+    () => buildDailyCapacity({ jobs: events, crews, from: from.toDate(), to: to.toDate() }),
+    [events, crews, from.valueOf(), weeks]
+  );
+  const rows = useMemo(
+    () => (granularity === 'week' ? buildWeeklyCapacity(days) : days),
+    [days, granularity]
+  );
+
+  const jobsById = useMemo(() => events.reduce((acc, event) => {
+    acc[event.id] = event;
+    return acc;
+  }, {}), [events]);
+
+  const inRange = (job) => moment(job.start).isSameOrBefore(to, 'day') && moment(job.end).isSameOrAfter(from, 'day');
+
+  const flaggedJobs = Object.keys(overCapacity)
+    .map(id => jobsById[id])
+    .filter(job => job && inRange(job));
+
+  const missingHours = events.filter(event => inRange(event) && !event.estimatedHours).length;
+
+  const periodLabel = (row) => (granularity === 'week'
+    ? `Week of ${moment(row.week).format('MMM D')}`
+    : moment(row.date).format('ddd MMM D'));
+
+  const chartData = rows.map(row => ({
+    label: granularity === 'week' ? moment(row.week).format('MMM D') : moment(row.date).format('M/D'),
+    booked: row.booked,
+    available: row.available,
+    overbooked: row.overbooked
+  }));
+
+  const columns = [
+    {
+      title: granularity === 'week' ? 'Week' : 'Day',
+      key: 'period',
+      render: (_, row) => periodLabel(row)
+    },
+    {
+      title: 'Booked',
+      dataIndex: 'booked',
+      key: 'booked',
+      render: (booked, row) => (
+        <span>
+          {booked} h
+          {row.unassigned > 0 && <Text type="secondary"> ({row.unassigned} h unassigned)</Text>}
+        </span>
+      )
+    },
+    {
+      title: 'Available',
+      dataIndex: 'available',
+      key: 'available',
+      render: (available) => `${available} h`
+    },
+    {
+      title: 'Load',
+      dataIndex: 'utilization',
+      key: 'utilization',
+      render: (utilization) => (
+        <Tag color={utilizationColor(utilization)}>
+          {utilization === null ? 'No crews working' : `${utilization}%`}
+        </Tag>
+      )
+    },
+    ...(granularity === 'day' ? crews.map(crew => ({
+      title: crew.name,
+      key: `crew-${crew.id}`,
+      render: (_, row) => {
+        const load = row.crews[crew.id];
+        if (!load || (load.available === 0 && load.booked === 0)) return <Text type="secondary">off</Text>;
+        return (
+          <Text type={load.overbooked ? 'danger' : undefined}>
+            {load.booked}/{load.available} h
+          </Text>
+        );
+      }
+    })) : [
+      {
+        title: 'Overbooked Days',
+        dataIndex: 'overbookedDays',
+        key: 'overbookedDays',
+        render: (count) => (count > 0 ? <Tag color="red">{count}</Tag> : '—')
+      }
+    ]),
+    {
+      title: 'Jobs',
+      dataIndex: 'jobIds',
+      key: 'jobs',
+      render: (jobIds = []) => (
+        <Space size={[4, 4]} wrap>
+          {jobIds.map(id => (
+            <Tag
+              key={id}
+              color={overCapacity[id] ? 'red' : 'default'}
+              style={{ cursor: 'pointer' }}
+              onClick={() => onSelectJob?.(jobsById[id])}
+            >
+              {jobsById[id]?.jobNumber || id}
+            </Tag>
+          ))}
+        </Space>
+      )
+    }
+  ];
+
+  if (crews.length === 0) {
+    return (
+      <Empty description="Add crews to see capacity">
+        <Button type="primary" onClick={() => navigate('/crews')}>Set Up Crews</Button>
+      </Empty>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center flex-wrap gap-2 mb-4">
+        <Space wrap>
+          <Button icon={<LeftOutlined />} onClick={() => setFrom(moment(from).subtract(weeks, 'week'))} />
+          <Button onClick={() => setFrom(moment().startOf('isoWeek'))}>This Week</Button>
+          <Button icon={<RightOutlined />} onClick={() => setFrom(moment(from).add(weeks, 'week'))} />
+          <Text strong>{from.format('MMM D')} – {to.format('MMM D, YYYY')}</Text>
+        </Space>
+        <Space wrap>
+          <Select value={weeks} onChange={setWeeks} style={{ width: 120 }}>
+            {SPANS.map(span => <Option key={span.value} value={span.value}>{span.label}</Option>)}
+          </Select>
+          <Segmented
+            value={granularity}
+            onChange={setGranularity}
+            options={[{ label: 'Daily', value: 'day' }, { label: 'Weekly', value: 'week' }]}
+          />
+        </Space>
+      </div>
+
+      {flaggedJobs.length > 0 && (
+        <Alert
+          type="error"
+          showIcon
+          icon={<WarningOutlined />}
+          className="mb-4"
+          message={`${flaggedJobs.length} job${flaggedJobs.length === 1 ? '' : 's'} over capacity`}
+          description={
+            <ul className="list-disc pl-4">
+              {flaggedJobs.map(job => (
+                <li key={job.id}>
+                  <a onClick={() => onSelectJob?.(job)}>{job.jobNumber}</a> – {overCapacity[job.id].join('; ')}
+                </li>
+              ))}
+            </ul>
+          }
+        />
+      )}
+
+      {missingHours > 0 && (
+        <Alert
+          type="info"
+          showIcon
+          className="mb-4"
+          message={`${missingHours} scheduled job${missingHours === 1 ? ' has' : 's have'} no estimated hours on the quote and book no capacity`}
+        />
+      )}
+
+      <div style={{ height: 280 }} className="mb-4">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" />
+            <YAxis unit=" h" />
+            <ChartTooltip />
+            <Legend />
+            <Bar dataKey="booked" name="Booked hours">
+              {chartData.map(row => (
+                <Cell key={row.label} fill={row.overbooked ? '#ff4d4f' : '#1890ff'} />
+              ))}
+            </Bar>
+            <Line type="stepAfter" dataKey="available" name="Available crew-hours" stroke="#52c41a" strokeWidth={2} dot={false} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      <Table
+        size="small"
+        columns={columns}
+        dataSource={rows}
+        rowKey={(row) => row.week || row.date}
+        rowClassName={(row) => (row.overbooked ? 'bg-red-50' : '')}
+        pagination={false}
+        scroll={{ x: true }}
+      />
+
+      <div className="mt-2">
+        <Tooltip title="Estimated hours come from the quote and are spread evenly across the job's work days, split between assigned crews by crew size.">
+          <Text type="secondary" className="text-xs">How is this calculated?</Text>
+        </Tooltip>
+      </div>
+    </div>
+  );
+}
+
+export default CrewCapacityView;
@@ -16,6 +16,7 @@ const CostBreakdownTable = ({ analytics }) => {
   const getSourceBadge = (source) => {
     const sourceConfig = {
       actual: { label: 'Actual', variant: 'success', description: 'Real tracked costs' },
+      partial: { label: 'Partial', variant: 'info', description: 'Mix of tracked costs and estimates' },
       estimated: { label: 'Estimated', variant: 'secondary', description: 'From original quote' },
       target: { label: 'Target', variant: 'info', description: 'From settings percentage' },
       calculated: { label: 'Calculated', variant: 'default', description: 'Remainder after allocations' },
@@ -116,6 +117,11 @@ const CostBreakdownTable = ({ analytics }) => {
                       ${Math.abs(data.amount).toLocaleString()}
                       {data.amount < 0 && <span className="text-red-500 ml-1">(Loss)</span>}
                     </div>
+                    {['actual', 'partial'].includes(data.source) && data.estimatedAmount !== undefined && (
+                      <div className="text-xs text-gray-500">
+                        Est. ${Math.round(data.estimatedAmount).toLocaleString()}
+                      </div>
+                    )}
                   </td>
                   <td className="px-4 py-4 whitespace-nowrap text-right">
                     <div className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(status)}`}>
@@ -0,0 +1,93 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+const formatCurrency = (value) => `$${Math.abs(value).toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+const formatHours = (value) => `${Math.abs(value).toLocaleString(undefined, { maximumFractionDigits: 1 })} h`;
+
+// Positive variance is over the estimate
+const VarianceCell = ({ value, format = formatCurrency }) => {
+  if (!value) {
+    return <span className="text-gray-400">—</span>;
+  }
+  return (
+    <span className={value > 0 ? 'text-red-600' : 'text-green-600'}>
+      {value > 0 ? '+' : '−'}{format(value)}
+    </span>
+  );
+};
+
+const CostVarianceTable = ({ variance, actuals }) => {
+  if (!variance || variance.rows.length === 0) {
+    return (
+      <div className="text-center text-gray-500 py-8">
+        No quote line items or actual costs to compare
+      </div>
+    );
+  }
+
+  const { rows, totals } = variance;
+
+  const headerClass = 'px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider';
+  const cellClass = 'px-3 py-3 whitespace-nowrap text-right text-sm';
+
+  const renderRow = (row, isTotal = false) => (
+    <tr key={row.area} className={isTotal ? 'bg-gray-50 font-semibold' : 'hover:bg-gray-50'}>
+      <td className="px-3 py-3 whitespace-nowrap text-sm text-gray-900">{row.area}</td>
+      <td className={cellClass}>{formatHours(row.estimatedHours)}</td>
+      <td className={cellClass}>{formatHours(row.actualHours)}</td>
+      <td className={cellClass}><VarianceCell value={row.hoursVariance} format={formatHours} /></td>
+      <td className={cellClass}>{formatCurrency(row.estimatedLabor)}</td>
+      <td className={cellClass}>{formatCurrency(row.actualLabor)}</td>
+      <td className={cellClass}><VarianceCell value={row.laborVariance} /></td>
+      <td className={cellClass}>{formatCurrency(row.estimatedMaterials)}</td>
+      <td className={cellClass}>{formatCurrency(row.actualMaterials)}</td>
+      <td className={cellClass}><VarianceCell value={row.materialVariance} /></td>
+    </tr>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="overflow-x-auto border border-gray-200 rounded-lg">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Area</th>
+              <th className={headerClass}>Est. Hours</th>
+              <th className={headerClass}>Actual</th>
+              <th className={headerClass}>Var.</th>
+              <th className={headerClass}>Quoted Labor</th>
+              <th className={headerClass}>Labor Cost</th>
+              <th className={headerClass}>Var.</th>
+              <th className={headerClass}>Est. Materials</th>
+              <th className={headerClass}>Actual</th>
+              <th className={headerClass}>Var.</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {rows.map(row => renderRow(row))}
+          </tbody>
+          <tfoot>
+            {renderRow(totals, true)}
+          </tfoot>
+        </table>
+      </div>
+
+      <div className="text-xs text-gray-500">
+        Quoted labor is the labor price on the quote line items; labor cost is hours logged × hourly cost.
+        Areas with no line items (or time logged without an area) appear as their own rows.
+      </div>
+
+      {actuals?.missingRates > 0 && (
+        <div className="flex items-start gap-2 text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+          <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+          <span>
+            {actuals.missingRates} time {actuals.missingRates === 1 ? 'entry has' : 'entries have'} no hourly cost,
+            so actual labor cost is understated.
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CostVarianceTable;
@@ -50,6 +50,7 @@ const DonutChart = ({ analytics }) => {
       const data = payload[0].payload;
       const sourceText = data.source === 'actual' ? 'Actual Cost' : 
                         data.source === 'estimated' ? 'Estimated Cost' :
+                        data.source === 'partial' ? 'Partly Actual' :
                         data.source === 'target' ? 'Target Percentage' :
                         data.source === 'calculated' ? 'Calculated' :
                         data.source === 'default' ? 'Default (No Data)' : 
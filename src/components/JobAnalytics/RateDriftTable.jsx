@@ -0,0 +1,70 @@
+import React from 'react';
+
+const formatHours = (value) => `${value.toLocaleString(undefined, { maximumFractionDigits: 1 })} h`;
+const formatQuantity = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 1 });
+
+// Positive drift means jobs took longer than estimated
+const DriftCell = ({ value }) => {
+  if (!value) {
+    return <span className="text-gray-400">—</span>;
+  }
+  const color = Math.abs(value) < 10 ? 'text-gray-700' : value > 0 ? 'text-red-600' : 'text-green-600';
+  return (
+    <span className={color}>
+      {value > 0 ? '+' : '−'}{Math.abs(value)}%
+    </span>
+  );
+};
+
+const RateDriftTable = ({ rows = [] }) => {
+  if (rows.length === 0) {
+    return (
+      <div className="text-center text-gray-500 py-8">
+        No finished jobs have time logged against quote areas yet
+      </div>
+    );
+  }
+
+  const headerClass = 'px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider';
+  const cellClass = 'px-3 py-3 whitespace-nowrap text-right text-sm';
+
+  return (
+    <div className="overflow-x-auto border border-gray-200 rounded-lg">
+      <table className="w-full">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Labor Category</th>
+            <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Job Type</th>
+            <th className={headerClass}>Jobs</th>
+            <th className={headerClass}>Quantity</th>
+            <th className={headerClass}>Est. Hours</th>
+            <th className={headerClass}>Actual</th>
+            <th className={headerClass}>Drift</th>
+            <th className={headerClass}>Current Rate</th>
+            <th className={headerClass}>Observed</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {rows.map(row => (
+            <tr key={`${row.key}-${row.jobType}`} className="hover:bg-gray-50">
+              <td className="px-3 py-3 whitespace-nowrap text-sm text-gray-900">
+                {row.label}
+                <div className="text-xs text-gray-500">{row.categories.join(', ')}</div>
+              </td>
+              <td className="px-3 py-3 whitespace-nowrap text-sm text-gray-700 capitalize">{row.jobType}</td>
+              <td className={cellClass}>{row.jobs}</td>
+              <td className={cellClass}>{formatQuantity(row.quantity)}</td>
+              <td className={cellClass}>{formatHours(row.estimatedHours)}</td>
+              <td className={cellClass}>{formatHours(row.actualHours)}</td>
+              <td className={cellClass}><DriftCell value={row.hoursDrift} /></td>
+              <td className={cellClass}>{row.currentRate} {row.unit}</td>
+              <td className={cellClass}>{row.observedRate ?? '—'} {row.observedRate ? row.unit : ''}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default RateDriftTable;
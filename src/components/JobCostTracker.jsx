@@ -0,0 +1,460 @@
+// components/JobCostTracker.jsx
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Table,
+  Button,
+  Modal,
+  Form,
+  Input,
+  InputNumber,
+  Select,
+  DatePicker,
+  Upload,
+  Popconfirm,
+  Statistic,
+  Row,
+  Col,
+  Tabs,
+  Alert,
+  Image,
+  Typography,
+  message
+} from 'antd';
+import { PlusOutlined, DeleteOutlined, UploadOutlined, BarChartOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { jobsService } from '../services/jobsService';
+import { uploadImageToCloudinary, isCloudinaryConfigured } from '../utils/cloudinaryUpload';
+import { getTimeEntryCost, summarizeActuals, getQuoteAreaNames, buildCostVariance } from '../utils/jobCosting';
+
+const { Text } = Typography;
+const { Option } = Select;
+
+const formatCurrency = (value) => `$${Number(value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Actual costs for a job: crew time entries and material purchases, with running totals
+ * against the quote. The same entries drive the "Actual" figures in Job Analytics.
+ *
+ * @param {Object} job - Job with its quote
+ * @param {Array} crews - Crews, for member names and hourly costs
+ */
+function JobCostTracker({ job, crews = [] }) {
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(false);
+  const [timeEntries, setTimeEntries] = useState([]);
+  const [materialPurchases, setMaterialPurchases] = useState([]);
+  const [modal, setModal] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [receiptUrl, setReceiptUrl] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [timeForm] = Form.useForm();
+  const [materialForm] = Form.useForm();
+
+  useEffect(() => {
+    fetchCosts();
+  }, [job.id]);
+
+  const fetchCosts = async () => {
+    try {
+      setLoading(true);
+      const response = await jobsService.getJobCosts(job.id);
+      if (response.success) {
+        setTimeEntries(response.data.timeEntries || []);
+        setMaterialPurchases(response.data.materialPurchases || []);
+      }
+    } catch (error) {
+      message.error('Failed to load job costs: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const areaNames = useMemo(() => getQuoteAreaNames(job.quote), [job.quote]);
+  const actuals = useMemo(
+    () => summarizeActuals({ timeEntries, materialPurchases, crews }),
+    [timeEntries, materialPurchases, crews]
+  );
+  const variance = useMemo(
+    () => buildCostVariance({ quote: job.quote, timeEntries, materialPurchases, crews }),
+    [job.quote, timeEntries, materialPurchases, crews]
+  );
+
+  // Members of the job's crews first, then everyone else
+  const memberOptions = useMemo(() => {
+    const assigned = job.crewIds || job.crews?.map(crew => crew.id) || [];
+    return [...crews]
+      .sort((a, b) => Number(assigned.includes(b.id)) - Number(assigned.includes(a.id)))
+      .flatMap(crew => (crew.members || []).map(member => ({
+        value: `${crew.id}::${member.name}`,
+        label: `${member.name} (${crew.name})`,
+        crewId: crew.id,
+        name: member.name
+      })));
+  }, [crews, job.crewIds, job.crews]);
+
+  const openTimeModal = () => {
+    timeForm.resetFields();
+    timeForm.setFieldsValue({ date: dayjs() });
+    setModal('time');
+  };
+
+  const openMaterialModal = () => {
+    materialForm.resetFields();
+    materialForm.setFieldsValue({ date: dayjs(), unit: 'gal' });
+    setReceiptUrl(null);
+    setModal('material');
+  };
+
+  const handleAddTime = async (values) => {
+    const member = memberOptions.find(option => option.value === values.member);
+    const entryData = {
+      crewId: member?.crewId || null,
+      crewMemberName: member?.name || values.member,
+      date: values.date.format('YYYY-MM-DD'),
+      hours: values.hours,
+      areaName: values.areaName || null,
+      hourlyCost: values.hourlyCost ?? null,
+      notes: values.notes || null
+    };
+    try {
+      setSaving(true);
+      const response = await jobsService.addTimeEntry(job.id, entryData);
+      if (response.success) {
+        setTimeEntries(prev => [...prev, response.data]);
+        message.success('Time logged');
+        setModal(null);
+      }
+    } catch (error) {
+      message.error('Failed to log time: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddMaterial = async (values) => {
+    const purchaseData = {
+      productName: values.productName,
+      quantity: values.quantity,
+      unit: values.unit,
+      cost: values.cost,
+      vendor: values.vendor || null,
+      date: values.date.format('YYYY-MM-DD'),
+      areaName: values.areaName || null,
+      receiptUrl
+    };
+    try {
+      setSaving(true);
+      const response = await jobsService.addMaterialPurchase(job.id, purchaseData);
+      if (response.success) {
+        setMaterialPurchases(prev => [...prev, response.data]);
+        message.success('Purchase recorded');
+        setModal(null);
+      }
+    } catch (error) {
+      message.error('Failed to record purchase: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReceiptUpload = async (file) => {
+    setUploading(true);
+    try {
+      const url = await uploadImageToCloudinary(file);
+      setReceiptUrl(url);
+    } catch (error) {
+      message.error('Failed to upload receipt: ' + error.message);
+    } finally {
+      setUploading(false);
+    }
+    return false;
+  };
+
+  const handleDeleteTime = async (entryId) => {
+    try {
+      await jobsService.deleteTimeEntry(job.id, entryId);
+      setTimeEntries(prev => prev.filter(entry => entry.id !== entryId));
+    } catch (error) {
+      message.error('Failed to delete: ' + error.message);
+    }
+  };
+
+  const handleDeleteMaterial = async (purchaseId) => {
+    try {
+      await jobsService.deleteMaterialPurchase(job.id, purchaseId);
+      setMaterialPurchases(prev => prev.filter(purchase => purchase.id !== purchaseId));
+    } catch (error) {
+      message.error('Failed to delete: ' + error.message);
+    }
+  };
+
+  const timeColumns = [
+    { title: 'Date', dataIndex: 'date', key: 'date', render: (date) => dayjs(date).format('MMM D, YYYY') },
+    { title: 'Crew Member', dataIndex: 'crewMemberName', key: 'crewMemberName' },
+    { title: 'Area', dataIndex: 'areaName', key: 'areaName', render: (area) => area || <Text type="secondary">—</Text> },
+    { title: 'Hours', dataIndex: 'hours', key: 'hours', align: 'right' },
+    { title: 'Cost', key: 'cost', align: 'right', render: (_, entry) => formatCurrency(getTimeEntryCost(entry, crews)) },
+    {
+      title: '',
+      key: 'actions',
+      render: (_, entry) => (
+        <Popconfirm title="Delete this time entry?" onConfirm={() => handleDeleteTime(entry.id)}>
+          <Button type="text" size="small" danger icon={<DeleteOutlined />} />
+        </Popconfirm>
+      )
+    }
+  ];
+
+  const materialColumns = [
+    { title: 'Date', dataIndex: 'date', key: 'date', render: (date) => dayjs(date).format('MMM D, YYYY') },
+    { title: 'Product', dataIndex: 'productName', key: 'productName' },
+    { title: 'Qty', key: 'quantity', render: (_, purchase) => `${purchase.quantity} ${purchase.unit || ''}` },
+    { title: 'Area', dataIndex: 'areaName', key: 'areaName', render: (area) => area || <Text type="secondary">—</Text> },
+    { title: 'Cost', dataIndex: 'cost', key: 'cost', align: 'right', render: formatCurrency },
+    {
+      title: 'Receipt',
+      dataIndex: 'receiptUrl',
+      key: 'receiptUrl',
+      render: (url) => (url ? <Image src={url} width={40} height={40} style={{ objectFit: 'cover' }} /> : '—')
+    },
+    {
+      title: '',
+      key: 'actions',
+      render: (_, purchase) => (
+        <Popconfirm title="Delete this purchase?" onConfirm={() => handleDeleteMaterial(purchase.id)}>
+          <Button type="text" size="small" danger icon={<DeleteOutlined />} />
+        </Popconfirm>
+      )
+    }
+  ];
+
+  const varianceCell = (value, isCurrency = true) => {
+    if (!value) return <Text type="secondary">—</Text>;
+    const text = isCurrency ? formatCurrency(Math.abs(value)) : Math.abs(value);
+    return <Text type={value > 0 ? 'danger' : 'success'}>{value > 0 ? '+' : '−'}{text}</Text>;
+  };
+
+  const varianceColumns = [
+    { title: 'Area', dataIndex: 'area', key: 'area' },
+    { title: 'Est. Hours', dataIndex: 'estimatedHours', key: 'estimatedHours', align: 'right' },
+    { title: 'Actual Hours', dataIndex: 'actualHours', key: 'actualHours', align: 'right' },
+    { title: 'Hours Var.', dataIndex: 'hoursVariance', key: 'hoursVariance', align: 'right', render: (value) => varianceCell(value, false) },
+    { title: 'Est. Materials', dataIndex: 'estimatedMaterials', key: 'estimatedMaterials', align: 'right', render: formatCurrency },
+    { title: 'Actual Materials', dataIndex: 'actualMaterials', key: 'actualMaterials', align: 'right', render: formatCurrency },
+    { title: 'Materials Var.', dataIndex: 'materialVariance', key: 'materialVariance', align: 'right', render: (value) => varianceCell(value) }
+  ];
+
+  const quoteId = job.quoteId || job.quote?.id;
+
+  return (
+    <div>
+      <Row gutter={[16, 16]} className="mb-4">
+        <Col xs={12} md={6}>
+          <Statistic
+            title="Hours Logged"
+            value={actuals.laborHours}
+            suffix={variance.totals.estimatedHours ? `/ ${variance.totals.estimatedHours}` : ''}
+          />
+        </Col>
+        <Col xs={12} md={6}>
+          <Statistic title="Labor Cost" value={actuals.laborCost} precision={2} prefix="$" />
+        </Col>
+        <Col xs={12} md={6}>
+          <Statistic title="Materials" value={actuals.materialCost} precision={2} prefix="$" />
+        </Col>
+        <Col xs={12} md={6} className="flex items-end">
+          {quoteId && (
+            <Button icon={<BarChartOutlined />} onClick={() => navigate(`/job-analytics/${quoteId}`)}>
+              Job Analytics
+            </Button>
+          )}
+        </Col>
+      </Row>
+
+      {actuals.missingRates > 0 && (
+        <Alert
+          type="warning"
+          showIcon
+          className="mb-4"
+          message={`${actuals.missingRates} time ${actuals.missingRates === 1 ? 'entry has' : 'entries have'} no hourly cost. Set one on the crew or the entry so labor cost is complete.`}
+        />
+      )}
+
+      <Tabs
+        items={[
+          {
+            key: 'time',
+            label: `Time (${timeEntries.length})`,
+            children: (
+              <>
+                <Button type="dashed" icon={<PlusOutlined />} onClick={openTimeModal} className="mb-2">
+                  Log Time
+                </Button>
+                <Table
+                  size="small"
+                  columns={timeColumns}
+                  dataSource={timeEntries}
+                  rowKey="id"
+                  loading={loading}
+                  pagination={{ pageSize: 10, hideOnSinglePage: true }}
+                  scroll={{ x: true }}
+                />
+              </>
+            )
+          },
+          {
+            key: 'materials',
+            label: `Materials (${materialPurchases.length})`,
+            children: (
+              <>
+                <Button type="dashed" icon={<PlusOutlined />} onClick={openMaterialModal} className="mb-2">
+                  Add Purchase
+                </Button>
+                <Table
+                  size="small"
+                  columns={materialColumns}
+                  dataSource={materialPurchases}
+                  rowKey="id"
+                  loading={loading}
+                  pagination={{ pageSize: 10, hideOnSinglePage: true }}
+                  scroll={{ x: true }}
+                />
+              </>
+            )
+          },
+          {
+            key: 'variance',
+            label: 'vs. Quote',
+            children: (
+              <Table
+                size="small"
+                columns={varianceColumns}
+                dataSource={variance.rows}
+                rowKey="area"
+                pagination={false}
+                scroll={{ x: true }}
+                summary={() => (
+                  <Table.Summary.Row>
+                    <Table.Summary.Cell index={0}><Text strong>Total</Text></Table.Summary.Cell>
+                    <Table.Summary.Cell index={1} align="right">{variance.totals.estimatedHours}</Table.Summary.Cell>
+                    <Table.Summary.Cell index={2} align="right">{variance.totals.actualHours}</Table.Summary.Cell>
+                    <Table.Summary.Cell index={3} align="right">{varianceCell(variance.totals.hoursVariance, false)}</Table.Summary.Cell>
+                    <Table.Summary.Cell index={4} align="right">{formatCurrency(variance.totals.estimatedMaterials)}</Table.Summary.Cell>
+                    <Table.Summary.Cell index={5} align="right">{formatCurrency(variance.totals.actualMaterials)}</Table.Summary.Cell>
+                    <Table.Summary.Cell index={6} align="right">{varianceCell(variance.totals.materialVariance)}</Table.Summary.Cell>
+                  </Table.Summary.Row>
+                )}
+              />
+            )
+          }
+        ]}
+      />
+
+      <Modal
+        title="Log Time"
+        open={modal === 'time'}
+        onCancel={() => setModal(null)}
+        onOk={() => timeForm.submit()}
+        confirmLoading={saving}
+      >
+        <Form form={timeForm} layout="vertical" onFinish={handleAddTime}>
+          <Form.Item name="member" label="Crew Member" rules={[{ required: true }]}>
+            {memberOptions.length > 0 ? (
+              <Select
+                showSearch
+                placeholder="Select a crew member"
+                options={memberOptions}
+                optionFilterProp="label"
+              />
+            ) : (
+              <Input placeholder="Name (add crews to pick members and rates)" />
+            )}
+          </Form.Item>
+          <div className="grid grid-cols-2 gap-4">
+            <Form.Item name="date" label="Date" rules={[{ required: true }]}>
+              <DatePicker className="w-full" />
+            </Form.Item>
+            <Form.Item name="hours" label="Hours" rules={[{ required: true }]}>
+              <InputNumber className="w-full" min={0.25} max={24} step={0.25} />
+            </Form.Item>
+          </div>
+          <Form.Item name="areaName" label="Area">
+            <Select allowClear placeholder="Whole job">
+              {areaNames.map(name => <Option key={name} value={name}>{name}</Option>)}
+            </Select>
+          </Form.Item>
+          <Form.Item
+            name="hourlyCost"
+            label="Hourly Cost"
+            tooltip="Leave blank to use the crew's hourly cost"
+          >
+            <InputNumber className="w-full" prefix="$" min={0} step={0.5} />
+          </Form.Item>
+          <Form.Item name="notes" label="Notes">
+            <Input />
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      <Modal
+        title="Add Material Purchase"
+        open={modal === 'material'}
+        onCancel={() => setModal(null)}
+        onOk={() => materialForm.submit()}
+        confirmLoading={saving}
+        okButtonProps={{ disabled: uploading }}
+      >
+        <Form form={materialForm} layout="vertical" onFinish={handleAddMaterial}>
+          <Form.Item name="productName" label="Product" rules={[{ required: true }]}>
+            <Input placeholder="E.g., SW Duration Satin, Tan" />
+          </Form.Item>
+          <div className="grid grid-cols-3 gap-4">
+            <Form.Item name="quantity" label="Quantity" rules={[{ required: true }]}>
+              <InputNumber className="w-full" min={0} step={1} />
+            </Form.Item>
+            <Form.Item name="unit" label="Unit">
+              <Select>
+                <Option value="gal">gal</Option>
+                <Option value="5 gal">5 gal</Option>
+                <Option value="qt">qt</Option>
+                <Option value="each">each</Option>
+              </Select>
+            </Form.Item>
+            <Form.Item name="cost" label="Total Cost" rules={[{ required: true }]}>
+              <InputNumber className="w-full" prefix="$" min={0} step={0.01} />
+            </Form.Item>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <Form.Item name="vendor" label="Vendor">
+              <Input placeholder="E.g., Sherwin-Williams #1234" />
+            </Form.Item>
+            <Form.Item name="date" label="Date" rules={[{ required: true }]}>
+              <DatePicker className="w-full" />
+            </Form.Item>
+          </div>
+          <Form.Item name="areaName" label="Area">
+            <Select allowClear placeholder="Whole job">
+              {areaNames.map(name => <Option key={name} value={name}>{name}</Option>)}
+            </Select>
+          </Form.Item>
+          <Form.Item label="Receipt Photo">
+            {receiptUrl && <Image src={receiptUrl} width={80} className="mb-2" />}
+            <Upload
+              accept="image/*"
+              showUploadList={false}
+              beforeUpload={handleReceiptUpload}
+              disabled={!isCloudinaryConfigured()}
+            >
+              <Button icon={<UploadOutlined />} loading={uploading} disabled={!isCloudinaryConfigured()}>
+                {receiptUrl ? 'Replace Receipt' : 'Upload Receipt'}
+              </Button>
+            </Upload>
+          </Form.Item>
+        </Form>
+      </Modal>
+    </div>
+  );
+}
+
+export default JobCostTracker;
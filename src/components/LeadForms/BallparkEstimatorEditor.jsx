@@ -0,0 +1,358 @@
+import { useState, useEffect, useMemo } from 'react'
+import { Select, Input, InputNumber, Switch, Checkbox, Alert, Divider, Tag } from 'antd'
+import { apiService } from '../../services/apiService'
+import { getPricingMode } from '../../utils/pricingUtils'
+import { CORE_LEAD_FIELDS, getConditionSourceFields } from '../../utils/leadFormLogic'
+import {
+  RATE_SOURCES,
+  CONDITION_LEVELS,
+  normalizeEstimatorConfig,
+  buildEstimatorRates,
+  estimateBallpark
+} from '../../utils/ballparkEstimator'
+
+const { Option } = Select
+const { TextArea } = Input
+
+const PROJECT_TYPE_OPTIONS = CORE_LEAD_FIELDS.find(field => field.fieldName === 'projectType').options
+
+/**
+ * Editor for a lead form's instant ballpark estimate, with a test panel that prices sample answers
+ *
+ * @param {object} value - Estimator config (see utils/ballparkEstimator)
+ * @param {function} onChange - Called with the updated config
+ * @param {Array} formFields - Builder fields, offered as answer sources for stories and condition
+ */
+function BallparkEstimatorEditor({ value, onChange, formFields = [] }) {
+  const config = useMemo(() => normalizeEstimatorConfig(value), [value])
+  const [pricingSchemes, setPricingSchemes] = useState([])
+  const [defaults, setDefaults] = useState(null)
+  const [loadError, setLoadError] = useState(null)
+  const [sample, setSample] = useState({ projectType: 'interior', homeSize: 2000 })
+
+  useEffect(() => {
+    const fetchPricing = async () => {
+      try {
+        const [schemesResponse, defaultsResponse] = await Promise.all([
+          apiService.getPricingSchemes(),
+          apiService.getProductConfigDefaults()
+        ])
+        setPricingSchemes((schemesResponse?.data || []).filter(scheme => getPricingMode(scheme.type) === 'turnkey'))
+        setDefaults(defaultsResponse?.data || {})
+      } catch (error) {
+        setLoadError(error.message)
+      }
+    }
+    fetchPricing()
+  }, [])
+
+  const selectedScheme = pricingSchemes.find(scheme => scheme.id === config.pricingSchemeId) ||
+    pricingSchemes.find(scheme => scheme.isDefault) || null
+
+  // Rates for the test panel, from current tenant settings. They stay out of the saved config: the
+  // server prices submissions itself so the public form never receives them
+  const rates = useMemo(
+    () => (defaults ? buildEstimatorRates(defaults, selectedScheme) : null),
+    [defaults, selectedScheme]
+  )
+
+  const update = (changes) => onChange({ ...config, ...changes })
+
+  const updateProjectType = (key, changes) => {
+    update({ projectTypes: { ...config.projectTypes, [key]: { ...config.projectTypes[key], ...changes } } })
+  }
+
+  const sourceFields = getConditionSourceFields(formFields)
+  const numberFields = sourceFields.filter(field => field.fieldType === 'number')
+  const answerFields = sourceFields.filter(field => ['select', 'radio', 'number', 'text'].includes(field.fieldType))
+  const storiesSource = sourceFields.find(field => field.fieldName === config.storiesField)
+  const conditionSource = sourceFields.find(field => field.fieldName === config.conditionField)
+
+  const result = useMemo(
+    () => estimateBallpark({ ...config, enabled: true }, sample, rates),
+    [config, sample, rates]
+  )
+
+  const renderSampleInput = (source, fieldName) => {
+    if (!source) return null
+    if (source.options?.length > 0) {
+      return (
+        <Select
+          allowClear
+          style={{ width: '100%' }}
+          value={sample[fieldName]}
+          onChange={(answer) => setSample({ ...sample, [fieldName]: answer })}
+        >
+          {source.options.map(option => (
+            <Option key={option.value} value={option.value}>{option.label}</Option>
+          ))}
+        </Select>
+      )
+    }
+    if (source.fieldType === 'number') {
+      return (
+        <InputNumber
+          min={0}
+          style={{ width: '100%' }}
+          value={sample[fieldName]}
+          onChange={(answer) => setSample({ ...sample, [fieldName]: answer })}
+        />
+      )
+    }
+    return <Input value={sample[fieldName]} onChange={(e) => setSample({ ...sample, [fieldName]: e.target.value })} />
+  }
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-4">
+        <Switch checked={config.enabled} onChange={(enabled) => update({ enabled })} />
+        <span className="font-medium">Show an instant price range after submission</span>
+      </div>
+
+      {loadError && (
+        <Alert type="warning" showIcon className="mb-4" message={`Couldn't load your pricing settings: ${loadError}`} />
+      )}
+
+      {config.enabled && (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2 space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <div className="text-sm font-medium mb-1">Pricing Scheme</div>
+                <Select
+                  allowClear
+                  style={{ width: '100%' }}
+                  placeholder={pricingSchemes.length ? 'Default turnkey scheme' : 'No turnkey schemes'}
+                  value={config.pricingSchemeId || undefined}
+                  onChange={(pricingSchemeId) => update({ pricingSchemeId: pricingSchemeId || null })}
+                >
+                  {pricingSchemes.map(scheme => (
+                    <Option key={scheme.id} value={scheme.id}>{scheme.name}</Option>
+                  ))}
+                </Select>
+                <div className="text-xs text-gray-500 mt-1">Used by the "Pricing scheme" rate sources</div>
+              </div>
+              <div>
+                <div className="text-sm font-medium mb-1">Home Size Answer</div>
+                <Select
+                  style={{ width: '100%' }}
+                  value={config.homeSizeField}
+                  onChange={(homeSizeField) => update({ homeSizeField })}
+                >
+                  {numberFields.map(field => (
+                    <Option key={field.fieldName} value={field.fieldName}>{field.fieldLabel}</Option>
+                  ))}
+                </Select>
+              </div>
+              <div>
+                <div className="text-sm font-medium mb-1">Stories Answer</div>
+                <Select
+                  allowClear
+                  style={{ width: '100%' }}
+                  placeholder="Not asked"
+                  value={config.storiesField || undefined}
+                  onChange={(storiesField) => update({ storiesField: storiesField || null })}
+                >
+                  {answerFields.map(field => (
+                    <Option key={field.fieldName} value={field.fieldName}>{field.fieldLabel}</Option>
+                  ))}
+                </Select>
+              </div>
+              <div>
+                <div className="text-sm font-medium mb-1">Condition Answer</div>
+                <Select
+                  allowClear
+                  style={{ width: '100%' }}
+                  placeholder="Not asked"
+                  value={config.conditionField || undefined}
+                  onChange={(conditionField) => update({ conditionField: conditionField || null, conditionMap: {} })}
+                >
+                  {answerFields.map(field => (
+                    <Option key={field.fieldName} value={field.fieldName}>{field.fieldLabel}</Option>
+                  ))}
+                </Select>
+              </div>
+            </div>
+
+            {conditionSource?.options?.length > 0 && (
+              <div>
+                <div className="text-sm font-medium mb-1">Condition Levels</div>
+                <div className="grid grid-cols-2 gap-2">
+                  {conditionSource.options.map(option => (
+                    <div key={option.value} className="flex items-center gap-2">
+                      <span className="text-sm flex-1 truncate">{option.label}</span>
+                      <Select
+                        style={{ width: 140 }}
+                        placeholder="No adjustment"
+                        allowClear
+                        value={config.conditionMap[option.value]}
+                        onChange={(level) => {
+                          const conditionMap = { ...config.conditionMap }
+                          if (level) conditionMap[option.value] = level
+                          else delete conditionMap[option.value]
+                          update({ conditionMap })
+                        }}
+                      >
+                        {CONDITION_LEVELS.map(level => (
+                          <Option key={level} value={level}>
+                            {level} (× {rates?.conditionMultipliers?.[level] ?? '—'})
+                          </Option>
+                        ))}
+                      </Select>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <Divider orientation="left" plain>Rates by Project Type</Divider>
+            <div className="space-y-2">
+              {PROJECT_TYPE_OPTIONS.map(option => {
+                const row = config.projectTypes[option.value]
+                const usesRate = row.rateSource === 'custom' || row.rateSource === 'flat'
+                return (
+                  <div key={option.value} className="flex flex-wrap items-center gap-2">
+                    <span className="text-sm w-32">{option.label}</span>
+                    <Select
+                      style={{ width: 230 }}
+                      value={row.rateSource}
+                      onChange={(rateSource) => updateProjectType(option.value, { rateSource })}
+                    >
+                      {RATE_SOURCES.map(source => (
+                        <Option key={source.value} value={source.value}>{source.label}</Option>
+                      ))}
+                    </Select>
+                    {usesRate && (
+                      <InputNumber
+                        min={0}
+                        prefix="$"
+                        style={{ width: 120 }}
+                        placeholder={row.rateSource === 'flat' ? 'Price' : 'Per sq ft'}
+                        value={row.rate}
+                        onChange={(rate) => updateProjectType(option.value, { rate })}
+                      />
+                    )}
+                    {row.rateSource !== 'flat' && (
+                      <InputNumber
+                        min={0}
+                        step={0.05}
+                        prefix="×"
+                        style={{ width: 100 }}
+                        value={row.factor}
+                        onChange={(factor) => updateProjectType(option.value, { factor })}
+                      />
+                    )}
+                    {config.storiesField && (
+                      <Checkbox
+                        checked={row.useStories}
+                        onChange={(e) => updateProjectType(option.value, { useStories: e.target.checked })}
+                      >
+                        Stories
+                      </Checkbox>
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+            <div className="text-xs text-gray-500">
+              Turnkey rates come from your pricing settings
+              {rates ? ` (interior $${rates.turnkeyInterior}/sq ft, exterior $${rates.turnkeyExterior}/sq ft)` : ''}.
+              The × factor scales a rate for partial scopes such as trim only.
+            </div>
+
+            <Divider orientation="left" plain>Range</Divider>
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <div className="text-sm font-medium mb-1">Low (% below)</div>
+                <InputNumber min={0} max={90} style={{ width: '100%' }} value={config.lowPercent} onChange={(lowPercent) => update({ lowPercent })} />
+              </div>
+              <div>
+                <div className="text-sm font-medium mb-1">High (% above)</div>
+                <InputNumber min={0} max={200} style={{ width: '100%' }} value={config.highPercent} onChange={(highPercent) => update({ highPercent })} />
+              </div>
+              <div>
+                <div className="text-sm font-medium mb-1">Round To</div>
+                <InputNumber min={0} prefix="$" style={{ width: '100%' }} value={config.roundTo} onChange={(roundTo) => update({ roundTo })} />
+              </div>
+              <div>
+                <div className="text-sm font-medium mb-1">Minimum Price</div>
+                <InputNumber min={0} prefix="$" style={{ width: '100%' }} value={config.minimumPrice} onChange={(minimumPrice) => update({ minimumPrice })} />
+              </div>
+              <div>
+                <div className="text-sm font-medium mb-1">Default Home Size</div>
+                <InputNumber min={0} suffix="sq ft" style={{ width: '100%' }} value={config.defaultHomeSize} onChange={(defaultHomeSize) => update({ defaultHomeSize })} />
+              </div>
+              <div>
+                <div className="text-sm font-medium mb-1">Sq Ft per Room</div>
+                <InputNumber min={0} style={{ width: '100%' }} value={config.sqftPerRoom} onChange={(sqftPerRoom) => update({ sqftPerRoom })} />
+              </div>
+            </div>
+            <div>
+              <div className="text-sm font-medium mb-1">Message Under the Range</div>
+              <TextArea rows={2} value={config.message} onChange={(e) => update({ message: e.target.value })} />
+            </div>
+          </div>
+
+          {/* Test panel */}
+          <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 space-y-3 self-start">
+            <div className="font-semibold">Try It</div>
+            <div>
+              <div className="text-sm mb-1">Project Type</div>
+              {renderSampleInput(CORE_LEAD_FIELDS[0], 'projectType')}
+            </div>
+            <div>
+              <div className="text-sm mb-1">{sourceFields.find(field => field.fieldName === config.homeSizeField)?.fieldLabel || 'Home Size'}</div>
+              <InputNumber
+                min={0}
+                style={{ width: '100%' }}
+                value={sample[config.homeSizeField]}
+                onChange={(answer) => setSample({ ...sample, [config.homeSizeField]: answer })}
+              />
+            </div>
+            {storiesSource && (
+              <div>
+                <div className="text-sm mb-1">{storiesSource.fieldLabel}</div>
+                {renderSampleInput(storiesSource, storiesSource.fieldName)}
+              </div>
+            )}
+            {conditionSource && (
+              <div>
+                <div className="text-sm mb-1">{conditionSource.fieldLabel}</div>
+                {renderSampleInput(conditionSource, conditionSource.fieldName)}
+              </div>
+            )}
+
+            <Divider className="my-2" />
+            {result ? (
+              <div>
+                <div className="text-xs text-gray-500">Visitor sees</div>
+                <div className="text-2xl font-bold text-green-600">
+                  ${result.low.toLocaleString()} - ${result.high.toLocaleString()}
+                </div>
+                <div className="mt-2 space-y-1">
+                  {result.breakdown.map(line => (
+                    <div key={line.label} className="flex justify-between text-xs text-gray-600">
+                      <span>{line.label}</span>
+                      <span>{line.value}</span>
+                    </div>
+                  ))}
+                  <div className="flex justify-between text-xs font-medium">
+                    <span>Midpoint</span>
+                    <span>${result.estimate.toLocaleString()}</span>
+                  </div>
+                </div>
+                {result.warnings.map(warning => (
+                  <Tag key={warning} color="orange" className="mt-2">{warning}</Tag>
+                ))}
+              </div>
+            ) : (
+              <div className="text-sm text-gray-500">Pick a project type to see the range.</div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BallparkEstimatorEditor
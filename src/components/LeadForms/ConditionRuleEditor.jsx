@@ -0,0 +1,155 @@
+import { Select, Input, InputNumber, Button } from 'antd'
+import { FiPlus, FiX } from 'react-icons/fi'
+import { CONDITION_OPERATORS, VALUELESS_OPERATORS } from '../../utils/leadFormLogic'
+
+const { Option } = Select
+
+/**
+ * Visual editor for a lead form rule: { action?, match: 'all' | 'any', conditions: [{ field, operator, value }] }
+ *
+ * @param {object} rule - Current rule
+ * @param {function} onChange - Called with the updated rule
+ * @param {Array} sourceFields - Fields conditions can refer to (from getConditionSourceFields)
+ * @param {boolean} showAction - Show the "Show / Hide this field" selector (field rules only)
+ * @param {string} prefix - Leading text when there is no action selector, e.g. "Skip this step when"
+ */
+function ConditionRuleEditor({ rule = {}, onChange, sourceFields = [], showAction = false, prefix }) {
+  const conditions = rule.conditions || []
+
+  const update = (changes) => onChange({ match: 'all', ...rule, ...changes })
+
+  const updateCondition = (index, changes) => {
+    update({
+      conditions: conditions.map((condition, i) => (i === index ? { ...condition, ...changes } : condition))
+    })
+  }
+
+  const addCondition = () => {
+    update({ conditions: [...conditions, { field: undefined, operator: 'equals', value: undefined }] })
+  }
+
+  const removeCondition = (index) => {
+    update({ conditions: conditions.filter((_, i) => i !== index) })
+  }
+
+  const renderValueInput = (condition, index) => {
+    if (VALUELESS_OPERATORS.has(condition.operator)) return null
+    const source = sourceFields.find(field => field.fieldName === condition.field)
+
+    if (source?.fieldType === 'checkbox') {
+      return (
+        <Select
+          style={{ width: 160 }}
+          placeholder="Value"
+          value={condition.value}
+          onChange={(value) => updateCondition(index, { value })}
+        >
+          <Option value={true}>Checked</Option>
+          <Option value={false}>Unchecked</Option>
+        </Select>
+      )
+    }
+
+    if (source?.options?.length > 0 && ['equals', 'not_equals', 'contains'].includes(condition.operator)) {
+      return (
+        <Select
+          style={{ width: 200 }}
+          placeholder="Value"
+          value={condition.value}
+          onChange={(value) => updateCondition(index, { value })}
+        >
+          {source.options.map(option => (
+            <Option key={option.value} value={option.value}>{option.label}</Option>
+          ))}
+        </Select>
+      )
+    }
+
+    if (source?.fieldType === 'number' || ['greater_than', 'less_than'].includes(condition.operator)) {
+      return (
+        <InputNumber
+          style={{ width: 140 }}
+          placeholder="Value"
+          value={condition.value}
+          onChange={(value) => updateCondition(index, { value })}
+        />
+      )
+    }
+
+    return (
+      <Input
+        style={{ width: 200 }}
+        placeholder="Value"
+        value={condition.value}
+        onChange={(e) => updateCondition(index, { value: e.target.value })}
+      />
+    )
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        {showAction ? (
+          <>
+            <Select
+              style={{ width: 100 }}
+              value={rule.action || 'show'}
+              onChange={(action) => update({ action })}
+            >
+              <Option value="show">Show</Option>
+              <Option value="hide">Hide</Option>
+            </Select>
+            <span>this field when</span>
+          </>
+        ) : (
+          <span>{prefix}</span>
+        )}
+        <Select
+          style={{ width: 80 }}
+          value={rule.match || 'all'}
+          onChange={(match) => update({ match })}
+        >
+          <Option value="all">all</Option>
+          <Option value="any">any</Option>
+        </Select>
+        <span>of these conditions are met:</span>
+      </div>
+
+      {conditions.map((condition, index) => (
+        <div key={index} className="flex flex-wrap items-center gap-2">
+          <Select
+            style={{ width: 200 }}
+            placeholder="Field"
+            value={condition.field}
+            onChange={(field) => updateCondition(index, { field, value: undefined })}
+            showSearch
+            optionFilterProp="children"
+          >
+            {sourceFields.map(field => (
+              <Option key={field.fieldName} value={field.fieldName}>
+                {field.fieldLabel || field.fieldName}
+              </Option>
+            ))}
+          </Select>
+          <Select
+            style={{ width: 160 }}
+            value={condition.operator || 'equals'}
+            onChange={(operator) => updateCondition(index, { operator })}
+          >
+            {CONDITION_OPERATORS.map(operator => (
+              <Option key={operator.value} value={operator.value}>{operator.label}</Option>
+            ))}
+          </Select>
+          {renderValueInput(condition, index)}
+          <Button type="text" size="small" icon={<FiX />} onClick={() => removeCondition(index)} />
+        </div>
+      ))}
+
+      <Button type="dashed" size="small" icon={<FiPlus />} onClick={addCondition}>
+        Add Condition
+      </Button>
+    </div>
+  )
+}
+
+export default ConditionRuleEditor
@@ -0,0 +1,113 @@
+import { useState, useMemo } from 'react'
+import { Modal, Radio, Input, Button, Space, Alert, message } from 'antd'
+import { FiCopy, FiExternalLink } from 'react-icons/fi'
+import { EMBED_PLACEMENTS, buildEmbedSnippet, getEmbedFrameUrl } from '../../utils/leadFormEmbed'
+
+const { TextArea } = Input
+
+/**
+ * Copy-paste snippet for embedding a lead form on a contractor website
+ */
+function EmbedSnippetModal({ leadForm, open, onClose }) {
+  const [placement, setPlacement] = useState('inline')
+  const [buttonText, setButtonText] = useState('Get a Free Quote')
+  const [position, setPosition] = useState('right')
+  const [color, setColor] = useState('')
+
+  const snippet = useMemo(() => (
+    leadForm
+      ? buildEmbedSnippet({ publicUrl: leadForm.publicUrl, placement, buttonText, color: color.trim(), position })
+      : ''
+  ), [leadForm, placement, buttonText, color, position])
+
+  if (!leadForm) return null
+
+  const hasLauncher = placement === 'popup' || placement === 'slide-in'
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(snippet)
+    message.success('Embed code copied to clipboard!')
+  }
+
+  return (
+    <Modal
+      title={`Embed "${leadForm.formTitle || leadForm.formName}"`}
+      open={open}
+      onCancel={onClose}
+      width={720}
+      footer={[
+        <Button key="preview" icon={<FiExternalLink />} onClick={() => window.open(`${getEmbedFrameUrl(leadForm.publicUrl)}?embed=preview`, '_blank')}>
+          Preview
+        </Button>,
+        <Button key="copy" type="primary" icon={<FiCopy />} onClick={handleCopy}>
+          Copy Code
+        </Button>
+      ]}
+    >
+      <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+        <div>
+          <div className="text-sm font-medium mb-2">Placement</div>
+          <Radio.Group value={placement} onChange={(e) => setPlacement(e.target.value)}>
+            {EMBED_PLACEMENTS.map(option => (
+              <Radio.Button key={option.value} value={option.value}>{option.label}</Radio.Button>
+            ))}
+          </Radio.Group>
+          <div className="text-xs text-gray-500 mt-1">
+            {EMBED_PLACEMENTS.find(option => option.value === placement)?.description}
+          </div>
+        </div>
+
+        {hasLauncher && (
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <div className="text-sm font-medium mb-1">Button Text</div>
+              <Input value={buttonText} onChange={(e) => setButtonText(e.target.value)} />
+            </div>
+            <div>
+              <div className="text-sm font-medium mb-1">Button Position</div>
+              <Radio.Group value={position} onChange={(e) => setPosition(e.target.value)}>
+                <Radio value="left">Left</Radio>
+                <Radio value="right">Right</Radio>
+              </Radio.Group>
+            </div>
+          </div>
+        )}
+
+        <div>
+          <div className="text-sm font-medium mb-1">Accent Color (Optional)</div>
+          <Input
+            placeholder="Uses your company branding, e.g. #1890ff"
+            value={color}
+            onChange={(e) => setColor(e.target.value)}
+            style={{ maxWidth: 260 }}
+          />
+        </div>
+
+        <div>
+          <div className="text-sm font-medium mb-1">Embed Code</div>
+          <TextArea
+            value={snippet}
+            readOnly
+            autoSize={{ minRows: 3, maxRows: 8 }}
+            style={{ fontFamily: 'monospace', fontSize: 12 }}
+            onFocus={(e) => e.target.select()}
+          />
+        </div>
+
+        <Alert
+          type="info"
+          showIcon
+          message={placement === 'iframe'
+            ? 'Paste this where the form should appear. Plain iframes do not resize, so adjust the height if needed.'
+            : 'Paste this into your website HTML. Submissions arrive in Leads just like the hosted form.'}
+        />
+
+        {!leadForm.isActive && (
+          <Alert type="warning" showIcon message="This form is inactive. Activate it before embedding it on your site." />
+        )}
+      </Space>
+    </Modal>
+  )
+}
+
+export default EmbedSnippetModal
@@ -0,0 +1,221 @@
+import { useState, useEffect, useMemo } from 'react'
+import { Modal, Select, Spin, Alert, Table, Empty, Statistic, Card } from 'antd'
+import {
+  ResponsiveContainer,
+  FunnelChart,
+  Funnel,
+  LabelList,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  Cell
+} from 'recharts'
+import { apiService } from '../../services/apiService'
+import { buildFormFunnel } from '../../utils/leadFormFunnel'
+
+const { Option } = Select
+
+const STAGE_COLORS = ['#1890ff', '#13c2c2', '#faad14', '#52c41a']
+
+const RANGES = [
+  { value: 30, label: 'Last 30 days' },
+  { value: 90, label: 'Last 90 days' },
+  { value: 365, label: 'Last 12 months' },
+  { value: 0, label: 'All time' }
+]
+
+/**
+ * Funnel analytics for one lead form: view -> submission -> quote -> accepted job, where visitors
+ * drop off between steps, the field they were on when they left, and conversion by traffic source
+ */
+function LeadFormFunnelModal({ leadForm, open, onClose }) {
+  const [range, setRange] = useState(30)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [events, setEvents] = useState([])
+  const [leads, setLeads] = useState([])
+
+  useEffect(() => {
+    if (!open || !leadForm) return
+    fetchAnalytics()
+  }, [open, leadForm, range])
+
+  const fetchAnalytics = async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      const from = range ? new Date(Date.now() - range * 24 * 60 * 60 * 1000).toISOString() : null
+      const params = new URLSearchParams({ leadFormId: leadForm.id })
+      if (from) params.append('from', from)
+
+      const [eventsResponse, leadsResponse] = await Promise.all([
+        apiService.get(`/lead-forms/${leadForm.id}/events${from ? `?from=${encodeURIComponent(from)}` : ''}`),
+        apiService.get(`/leads?${params.toString()}`)
+      ])
+      const inRange = (record) => !from || new Date(record.createdAt) >= new Date(from)
+      setEvents((eventsResponse.data?.events || eventsResponse.data || []).filter(inRange))
+      setLeads((leadsResponse.data?.leads || []).filter(inRange))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const funnel = useMemo(
+    () => buildFormFunnel({ events, leads, formFields: leadForm?.formFields || [] }),
+    [events, leads, leadForm]
+  )
+
+  if (!leadForm) return null
+
+  const hasData = funnel.stages[0].count > 0
+
+  const sourceColumns = [
+    { title: 'Source', dataIndex: 'source', key: 'source' },
+    { title: 'Views', dataIndex: 'views', key: 'views', sorter: (a, b) => a.views - b.views },
+    { title: 'Submissions', dataIndex: 'submissions', key: 'submissions', sorter: (a, b) => a.submissions - b.submissions },
+    { title: 'Quotes', dataIndex: 'quotes', key: 'quotes' },
+    { title: 'Accepted', dataIndex: 'accepted', key: 'accepted' },
+    {
+      title: 'View → Submit',
+      dataIndex: 'submissionRate',
+      key: 'submissionRate',
+      render: (rate) => `${rate}%`,
+      sorter: (a, b) => a.submissionRate - b.submissionRate
+    },
+    {
+      title: 'View → Job',
+      dataIndex: 'acceptedRate',
+      key: 'acceptedRate',
+      render: (rate) => `${rate}%`,
+      sorter: (a, b) => a.acceptedRate - b.acceptedRate
+    }
+  ]
+
+  const fieldColumns = [
+    { title: 'Last Field Touched', dataIndex: 'label', key: 'label' },
+    { title: 'Step', dataIndex: 'stepTitle', key: 'stepTitle' },
+    { title: 'Visitors Left', dataIndex: 'count', key: 'count' },
+    { title: 'Share of Abandons', dataIndex: 'share', key: 'share', render: (share) => `${share}%` }
+  ]
+
+  return (
+    <Modal
+      title={`Funnel: ${leadForm.formTitle || leadForm.formName}`}
+      open={open}
+      onCancel={onClose}
+      footer={null}
+      width={960}
+    >
+      <div className="flex justify-end mb-4">
+        <Select value={range} onChange={setRange} style={{ width: 180 }}>
+          {RANGES.map(option => (
+            <Option key={option.value} value={option.value}>{option.label}</Option>
+          ))}
+        </Select>
+      </div>
+
+      {error && <Alert type="error" showIcon className="mb-4" message={`Failed to load analytics: ${error}`} />}
+
+      <Spin spinning={loading}>
+        {!hasData && !loading ? (
+          <Empty description="No views or submissions in this period" />
+        ) : (
+          <div className="space-y-6">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {funnel.stages.map((stage, index) => (
+                <Card key={stage.key} size="small">
+                  <Statistic title={stage.label} value={stage.count} valueStyle={{ color: STAGE_COLORS[index] }} />
+                  {index > 0 && (
+                    <div className="text-xs text-gray-500">
+                      {stage.rateFromPrevious}% of {funnel.stages[index - 1].label.toLowerCase()}
+                    </div>
+                  )}
+                </Card>
+              ))}
+            </div>
+
+            <div style={{ height: 260 }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <FunnelChart>
+                  <Tooltip formatter={(value, name, props) => [`${value} (${props.payload.rateFromViews}% of views)`, props.payload.label]} />
+                  <Funnel dataKey="count" data={funnel.stages} isAnimationActive={false}>
+                    {funnel.stages.map((stage, index) => (
+                      <Cell key={stage.key} fill={STAGE_COLORS[index]} />
+                    ))}
+                    <LabelList position="right" fill="#374151" stroke="none" dataKey="label" />
+                    <LabelList position="center" fill="#fff" stroke="none" dataKey="count" />
+                  </Funnel>
+                </FunnelChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div>
+              <h4 className="font-semibold mb-2">Step Drop-off</h4>
+              <div style={{ height: 240 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={funnel.steps}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="title" />
+                    <YAxis allowDecimals={false} />
+                    <Tooltip formatter={(value, name, props) => (
+                      name === 'Dropped' ? [`${value} (${props.payload.dropOffRate}%)`, name] : [value, name]
+                    )} />
+                    <Legend />
+                    <Bar dataKey="completed" name="Completed" stackId="step" fill="#52c41a" />
+                    <Bar dataKey="dropped" name="Dropped" stackId="step" fill="#ff4d4f" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+
+            <div>
+              <h4 className="font-semibold mb-2">Where Visitors Left</h4>
+              <Table
+                size="small"
+                columns={fieldColumns}
+                dataSource={funnel.fields}
+                rowKey={(row) => `${row.step}-${row.field}`}
+                pagination={false}
+                locale={{ emptyText: 'No abandoned visits recorded' }}
+              />
+            </div>
+
+            <div>
+              <h4 className="font-semibold mb-2">By Traffic Source</h4>
+              <div style={{ height: 260 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={funnel.sources.slice(0, 8)}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="source" />
+                    <YAxis allowDecimals={false} />
+                    <Tooltip />
+                    <Legend />
+                    {funnel.stages.map((stage, index) => (
+                      <Bar key={stage.key} dataKey={stage.key} name={stage.label} fill={STAGE_COLORS[index]} />
+                    ))}
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+              <Table
+                size="small"
+                className="mt-2"
+                columns={sourceColumns}
+                dataSource={funnel.sources}
+                rowKey="source"
+                pagination={{ pageSize: 10, hideOnSinglePage: true }}
+              />
+            </div>
+          </div>
+        )}
+      </Spin>
+    </Modal>
+  )
+}
+
+export default LeadFormFunnelModal
@@ -0,0 +1,81 @@
+import { useState, useMemo } from 'react'
+import { Card, Checkbox, Tag, Button, Empty } from 'antd'
+import { FiMail, FiPhone, FiMapPin, FiGitMerge } from 'react-icons/fi'
+import {
+  STRONG_MATCH_THRESHOLD,
+  findDuplicateLeads,
+  getLeadName,
+  getLeadEmail,
+  getLeadPhone,
+  getLeadAddress
+} from '../../utils/leadDedup'
+
+/**
+ * Possible duplicates of a lead, with a checkbox per match to merge into it
+ *
+ * @param {object} lead - Lead being viewed
+ * @param {Array} leads - Leads to compare against
+ * @param {function} onMerge - Called with the selected duplicate leads
+ */
+function DuplicateLeadsPanel({ lead, leads = [], onMerge }) {
+  const [selectedIds, setSelectedIds] = useState([])
+  const matches = useMemo(() => findDuplicateLeads(lead, leads), [lead, leads])
+
+  const toggle = (id, checked) => {
+    setSelectedIds(checked ? [...selectedIds, id] : selectedIds.filter(selected => selected !== id))
+  }
+
+  return (
+    <Card
+      size="small"
+      className="mb-4"
+      title={`Possible Duplicates (${matches.length})`}
+      extra={matches.length > 0 && (
+        <Button
+          size="small"
+          type="primary"
+          icon={<FiGitMerge />}
+          disabled={selectedIds.length === 0}
+          onClick={() => onMerge(matches.filter(match => selectedIds.includes(match.lead.id)).map(match => match.lead))}
+        >
+          Merge Selected
+        </Button>
+      )}
+    >
+      {matches.length === 0 ? (
+        <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No likely duplicates" />
+      ) : (
+        <div className="space-y-3">
+          {matches.map(match => (
+            <div key={match.lead.id} className="flex items-start gap-3 border-b pb-3 last:border-b-0 last:pb-0">
+              <Checkbox
+                checked={selectedIds.includes(match.lead.id)}
+                onChange={(e) => toggle(match.lead.id, e.target.checked)}
+              />
+              <div className="flex-1">
+                <div className="flex items-center gap-2 flex-wrap">
+                  <span className="font-medium">{getLeadName(match.lead) || `Lead #${match.lead.id}`}</span>
+                  <Tag color={match.score >= STRONG_MATCH_THRESHOLD ? 'red' : 'orange'}>{match.score}% match</Tag>
+                  <span className="text-xs text-gray-500">
+                    {new Date(match.lead.createdAt).toLocaleDateString("en-US", { month: 'short', day: 'numeric', year: 'numeric' })}
+                    {match.lead.LeadForm?.formTitle ? ` · ${match.lead.LeadForm.formTitle}` : ''}
+                  </span>
+                </div>
+                <div className="text-xs text-gray-600 mt-1 space-y-0.5">
+                  {getLeadEmail(match.lead) && <div className="flex items-center gap-1"><FiMail /> {getLeadEmail(match.lead)}</div>}
+                  {getLeadPhone(match.lead) && <div className="flex items-center gap-1"><FiPhone /> {getLeadPhone(match.lead)}</div>}
+                  {getLeadAddress(match.lead) && <div className="flex items-center gap-1"><FiMapPin /> {getLeadAddress(match.lead)}</div>}
+                </div>
+                <div className="mt-1">
+                  {match.reasons.map(reason => <Tag key={reason} className="text-xs">{reason}</Tag>)}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  )
+}
+
+export default DuplicateLeadsPanel
@@ -0,0 +1,121 @@
+import { useState, useEffect, useMemo } from 'react'
+import { Modal, Radio, Alert, Descriptions, message } from 'antd'
+import { apiService } from '../../services/apiService'
+import { MERGE_FIELDS, getLeadName, getMergeFieldOptions, getSubmissionHistory, buildMergedLead, parsePhotoUrls } from '../../utils/leadDedup'
+
+// Lead with a quote attached survives the merge; otherwise the earliest submission does
+const getDefaultPrimary = (leads) => (
+  leads.find(lead => lead.quoteId) ||
+  [...leads].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))[0]
+)
+
+/**
+ * Merge duplicate leads into one. The kept lead gets every submission, photo and note; the others
+ * are marked merged and point at it.
+ *
+ * @param {boolean} open
+ * @param {Array} leads - Leads to merge (two or more)
+ * @param {function} onClose
+ * @param {function} onMerged - Called with the ID of the kept lead
+ */
+function LeadMergeModal({ open, leads = [], onClose, onMerged }) {
+  const [primaryId, setPrimaryId] = useState(null)
+  const [choices, setChoices] = useState({})
+  const [merging, setMerging] = useState(false)
+
+  useEffect(() => {
+    if (!open || leads.length === 0) return
+    setPrimaryId(getDefaultPrimary(leads).id)
+    setChoices({})
+  }, [open, leads])
+
+  const primary = leads.find(lead => lead.id === primaryId)
+  const duplicates = leads.filter(lead => lead.id !== primaryId)
+  const fieldOptions = useMemo(() => getMergeFieldOptions(leads), [leads])
+  const merged = useMemo(
+    () => (primary ? buildMergedLead(primary, duplicates, choices) : null),
+    [primary, duplicates, choices]
+  )
+
+  const handleMerge = async () => {
+    setMerging(true)
+    try {
+      // One request so the merge applies all or nothing: the server updates the kept lead, marks
+      // the duplicates merged and re-points a duplicate's quote at the kept lead in one transaction
+      const response = await apiService.post(`/leads/${primary.id}/merge`, {
+        lead: merged,
+        duplicateIds: duplicates.map(lead => lead.id)
+      })
+      if (!response?.success) throw new Error(response?.message || 'Merge was not applied')
+      message.success(`Merged ${duplicates.length + 1} leads`)
+      onMerged(primary.id)
+    } catch (error) {
+      message.error('Failed to merge leads, nothing was changed: ' + error.message)
+    } finally {
+      setMerging(false)
+    }
+  }
+
+  if (!open || !primary) return null
+
+  const photoCount = parsePhotoUrls(merged.photoUrls).length
+  // Contact values the merge will keep, after any picks
+  const mergedValues = { ...merged, name: merged.formData.fullName }
+
+  return (
+    <Modal
+      title="Merge Leads"
+      open={open}
+      onCancel={onClose}
+      onOk={handleMerge}
+      okText={`Merge ${leads.length} Leads`}
+      confirmLoading={merging}
+      width={680}
+    >
+      <div className="mb-4">
+        <div className="text-sm font-medium mb-2">Keep</div>
+        <Radio.Group value={primaryId} onChange={(e) => setPrimaryId(e.target.value)}>
+          <div className="space-y-1">
+            {leads.map(lead => (
+              <Radio key={lead.id} value={lead.id}>
+                #{lead.id} · {getLeadName(lead) || 'No name'} · {new Date(lead.createdAt).toLocaleDateString()}
+                {lead.quoteId ? ' · has quote' : ''}
+              </Radio>
+            ))}
+          </div>
+        </Radio.Group>
+      </div>
+
+      {MERGE_FIELDS.filter(field => fieldOptions[field.key].length > 1).map(field => (
+        <div key={field.key} className="mb-3">
+          <div className="text-sm font-medium mb-1">{field.label}</div>
+          <Radio.Group
+            value={mergedValues[field.key]}
+            onChange={(e) => setChoices({ ...choices, [field.key]: e.target.value })}
+          >
+            {fieldOptions[field.key].map(value => (
+              <Radio key={value} value={value}>{value}</Radio>
+            ))}
+          </Radio.Group>
+        </div>
+      ))}
+
+      <Descriptions size="small" column={1} bordered className="mt-4">
+        <Descriptions.Item label="Submissions kept">{merged.submissions.length}</Descriptions.Item>
+        <Descriptions.Item label="Photos">{photoCount}</Descriptions.Item>
+        <Descriptions.Item label="Notes">
+          {leads.filter(lead => lead.notes).length} of {leads.length} leads have notes
+        </Descriptions.Item>
+      </Descriptions>
+
+      <Alert
+        className="mt-4"
+        type="info"
+        showIcon
+        message={`The other ${duplicates.length === 1 ? 'lead is' : `${duplicates.length} leads are`} marked Merged and hidden from the list. Each original submission stays in the kept lead's history (${getSubmissionHistory(primary).length} before merging).`}
+      />
+    </Modal>
+  )
+}
+
+export default LeadMergeModal
@@ -205,9 +205,16 @@ function MainLayout ({ children }) {
         // },
         {
           key: 'leads',
-          path: '/leads',
+          path: '/leads/management',
           icon: <FiUsers size={18} />,
           label: 'Leads',
+          onClick: () => handleMenuClick('/leads/management')
+        },
+        {
+          key: 'lead-forms',
+          path: '/leads/forms',
+          icon: <FiFileText size={18} />,
+          label: 'Lead Forms',
           onClick: () => handleMenuClick('/leads/forms')
         },
         {
@@ -224,6 +231,13 @@ function MainLayout ({ children }) {
           label: 'Jobs',
           onClick: () => handleMenuClick('/jobs')
         },
+        {
+          key: 'crews',
+          path: '/crews',
+          icon: <FiUsers size={18} />,
+          label: 'Crews',
+          onClick: () => handleMenuClick('/crews')
+        },
         // {
         //   key: 'job-analytics',
         //   path: '/job-analytics',
@@ -0,0 +1,242 @@
+// components/MaterialShoppingList.jsx
+import { useState, useEffect, useMemo } from 'react';
+import { Table, Tag, Space, Button, Typography, Alert, Spin, Dropdown, message } from 'antd';
+import { DownloadOutlined, PrinterOutlined } from '@ant-design/icons';
+import * as XLSX from 'xlsx';
+import { apiService } from '../services/apiService';
+import { buildProductsMap } from '../utils/pricingEngine';
+import { buildMaterialList, materialListToRows, rowsToCSV } from '../utils/materialListUtils';
+
+const { Text } = Typography;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Paint and sundries list for a job, built from the accepted quote and the customer's
+ * color/sheen selections. Exports to CSV, XLSX or a printable purchase order page.
+ */
+function MaterialShoppingList({ job, selections }) {
+  const [products, setProducts] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const fetchProducts = async () => {
+      try {
+        setLoading(true);
+        const response = await apiService.get('/contractor/product-configs');
+        if (response.success) {
+          setProducts(buildProductsMap(response.data || []));
+        }
+      } catch (error) {
+        console.error('Error fetching products for material list:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchProducts();
+  }, []);
+
+  const materialList = useMemo(
+    () => buildMaterialList({ quote: job.quote || {}, selections: selections || [], products }),
+    [job.quote, selections, products]
+  );
+
+  const fileName = `materials-${job.jobNumber || job.id}`;
+
+  const handleExportCSV = () => {
+    const csv = rowsToCSV(materialListToRows(materialList));
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${fileName}.csv`;
+    a.click();
+    window.URL.revokeObjectURL(url);
+  };
+
+  const handleExportXLSX = () => {
+    const workbook = XLSX.utils.book_new();
+    const rows = materialListToRows(materialList);
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows.filter(row => row.Type === 'Paint')), 'Paint');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows.filter(row => row.Type === 'Sundry')), 'Sundries');
+    XLSX.writeFile(workbook, `${fileName}.xlsx`);
+  };
+
+  const handlePrint = () => {
+    const rows = materialListToRows(materialList);
+    if (rows.length === 0) return;
+    const headers = Object.keys(rows[0]).filter(header => header !== 'Type');
+    const renderTable = (title, type) => {
+      const sectionRows = rows.filter(row => row.Type === type);
+      if (sectionRows.length === 0) return '';
+      return `
+        <h3>${title}</h3>
+        <table>
+          <thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+          <tbody>${sectionRows.map(row => `<tr>${headers.map(h => `<td>${escapeHtml(row[h])}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>`;
+    };
+
+    const printWindow = window.open('', '', 'height=800,width=1000');
+    if (!printWindow) {
+      message.error('Allow pop-ups to print the material list');
+      return;
+    }
+    printWindow.document.write(`
+      <html>
+        <head>
+          <title>Material List - ${escapeHtml(job.jobNumber)}</title>
+          <style>
+            body { font-family: Arial, sans-serif; margin: 20px; font-size: 12px; }
+            table { border-collapse: collapse; width: 100%; margin-bottom: 16px; }
+            th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; }
+            th { background: #f5f5f5; }
+            @media print { body { margin: 0; } }
+          </style>
+        </head>
+        <body>
+          <h2>Material List — ${escapeHtml(job.jobNumber)}</h2>
+          <p>
+            ${escapeHtml(job.customerName || job.client?.name)}<br />
+            ${escapeHtml(job.jobAddress || job.quote?.projectAddress)}<br />
+            Quote ${escapeHtml(job.quote?.quoteNumber)}
+          </p>
+          ${renderTable('Paint', 'Paint')}
+          ${renderTable('Sundries', 'Sundry')}
+          <script>
+            window.onload = function() {
+              window.print();
+              window.close();
+            };
+          </script>
+        </body>
+      </html>
+    `);
+    printWindow.document.close();
+  };
+
+  if (loading) {
+    return (
+      <div style={{ textAlign: 'center', padding: '20px' }}>
+        <Spin tip="Loading products..." />
+      </div>
+    );
+  }
+
+  if (materialList.paint.length === 0 && materialList.sundries.length === 0) {
+    return (
+      <Alert
+        message="No Materials"
+        description="The accepted quote has no painted surfaces to order materials for."
+        type="info"
+        showIcon
+      />
+    );
+  }
+
+  const paintColumns = [
+    {
+      title: 'Product',
+      dataIndex: 'productName',
+      key: 'productName',
+      render: (val, record) => (
+        <Space direction='vertical' size={0}>
+          <Text strong>{val}</Text>
+          <Text type='secondary' style={{ fontSize: 12 }}>{record.areas.join(', ')}</Text>
+        </Space>
+      )
+    },
+    {
+      title: 'Color',
+      key: 'color',
+      render: (_, record) => record.colorName
+        ? <span>{record.colorName}{record.colorCode && <Text type='secondary'> ({record.colorCode})</Text>}</span>
+        : <Text type='secondary'>Not selected</Text>
+    },
+    {
+      title: 'Sheen',
+      dataIndex: 'sheen',
+      key: 'sheen',
+      render: (val) => val || '-'
+    },
+    {
+      title: 'Buy',
+      dataIndex: 'containers',
+      key: 'containers',
+      render: (containers, record) => (
+        <Space direction='vertical' size={0}>
+          {containers.map(container => (
+            <Tag key={container.key} style={{ marginBottom: 4 }}>{container.count} × {container.label}</Tag>
+          ))}
+          <Text type='secondary' style={{ fontSize: 12 }}>{record.gallonsNeeded} gal needed</Text>
+        </Space>
+      )
+    }
+  ];
+
+  const sundryColumns = [
+    { title: 'Sundry', dataIndex: 'item', key: 'item' },
+    { title: 'Qty', key: 'quantity', render: (_, record) => `${record.quantity} ${record.unit}` },
+    { title: 'Basis', dataIndex: 'basis', key: 'basis', render: (val) => <Text type='secondary' style={{ fontSize: 12 }}>{val}</Text> }
+  ];
+
+  return (
+    <Space direction='vertical' style={{ width: '100%' }} size='middle'>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 8 }}>
+        <Text type='secondary'>
+          {materialList.totals.gallons} gal of paint
+          {materialList.totals.paintCost > 0 && ` • $${materialList.totals.paintCost.toFixed(2)}`}
+        </Text>
+        <Space>
+          <Dropdown
+            menu={{
+              items: [
+                { key: 'csv', label: 'CSV', onClick: handleExportCSV },
+                { key: 'xlsx', label: 'Excel (XLSX)', onClick: handleExportXLSX }
+              ]
+            }}
+          >
+            <Button size='small' icon={<DownloadOutlined />}>Export</Button>
+          </Dropdown>
+          <Button size='small' icon={<PrinterOutlined />} onClick={handlePrint}>Print</Button>
+        </Space>
+      </div>
+
+      {!job.customerSelectionsComplete && (
+        <Alert
+          message="Colors and sheens will fill in once the customer completes their selections."
+          type="warning"
+          showIcon
+        />
+      )}
+
+      {materialList.paint.length > 0 && (
+        <Table
+          size='small'
+          pagination={false}
+          rowKey={(record) => `${record.productId || record.productName}-${record.colorCode || record.colorName}-${record.sheen}`}
+          dataSource={materialList.paint}
+          columns={paintColumns}
+          scroll={{ x: 'max-content' }}
+        />
+      )}
+
+      {materialList.sundries.length > 0 && (
+        <Table
+          size='small'
+          pagination={false}
+          rowKey='key'
+          dataSource={materialList.sundries}
+          columns={sundryColumns}
+          scroll={{ x: 'max-content' }}
+        />
+      )}
+    </Space>
+  );
+}
+
+export default MaterialShoppingList;
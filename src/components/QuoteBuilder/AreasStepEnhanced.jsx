@@ -4,6 +4,8 @@ import { Card, Button, Alert, Row, Col, Typography, Input, Select, InputNumber,
 import { PlusOutlined, DeleteOutlined, CalculatorOutlined, InfoCircleOutlined } from '@ant-design/icons';
 import { apiService } from '../../services/apiService';
 import DimensionCalculator from './DimensionCalculator';
+import { estimateItemGallons, estimateItemHours, getProductionRate as getEngineProductionRate } from '../../utils/pricingEngine';
+import * as unitUtils from '../../utils/unitUtils';
 
 const { Title, Text, Link } = Typography;
 const { Option } = Select;
@@ -67,6 +69,8 @@ const AreasStepEnhanced = ({ formData, onUpdate, onNext, onPrevious }) => {
   const availableRooms = COMMON_ROOMS[jobType] || [];
   const availableCategories = LABOR_CATEGORIES[jobType] || [];
   const contractorSettings = formData.contractorSettings || {};
+  const coverageRate = contractorSettings.other?.coverage || COVERAGE_RATE;
+  const unitSystem = unitUtils.getUnitSystem(formData);
 
   useEffect(() => {
     // Check if current pricing model needs labor categories/rates
@@ -190,12 +194,12 @@ const AreasStepEnhanced = ({ formData, onUpdate, onNext, onPrevious }) => {
     
     // For production-based, show production rate (sq ft per hour)
     if (formData.pricingModelType === 'production_based') {
-      const productionRate = getProductionRate(categoryName);
-      return `${productionRate} sq ft/hr`;
+      const productionRate = unitUtils.toDisplayQuantity(getProductionRate(categoryName), measurementUnit, unitSystem);
+      return `${productionRate} ${getUnitLabel(measurementUnit)}/hr`;
     }
     
     // For other models, show with appropriate unit label
-    const rate = getLaborRate(categoryName);
+    const rate = unitUtils.toDisplayRate(getLaborRate(categoryName), measurementUnit, unitSystem);
     return `$${rate}/${getUnitLabel(measurementUnit)}`;
   };
 
@@ -261,37 +265,8 @@ const AreasStepEnhanced = ({ formData, onUpdate, onNext, onPrevious }) => {
               if ((field === 'quantity' || field === 'numberOfCoats') && !item.allowManualGallons) {
                 const qty = parseFloat(field === 'quantity' ? value : item.quantity) || 0;
                 const coats = parseInt(field === 'numberOfCoats' ? value : item.numberOfCoats) || 2;
-                const coverage = 350; // Standard coverage rate
-
                 if (qty > 0 && coats > 0) {
-                  let calculatedGallons = 0;
-                  
-                  if (item.measurementUnit === 'sqft') {
-                    // For square footage items
-                    const totalSqft = qty * coats;
-                    calculatedGallons = totalSqft / coverage;
-                  } else if (item.measurementUnit === 'linear_foot') {
-                    // For linear footage (trim, etc.) - assume 6" width
-                    const sqft = qty * 0.5; // 6 inches = 0.5 feet width
-                    calculatedGallons = (sqft * coats) / coverage;
-                  } else if (item.measurementUnit === 'unit') {
-                    // For units (doors, cabinets) - estimate surface area
-                    let estimatedSqft = 0;
-                    const category = item.categoryName.toLowerCase();
-                    if (category.includes('door')) {
-                      estimatedSqft = qty * 21; // Standard door ~21 sq ft per side
-                    } else if (category.includes('cabinet')) {
-                      estimatedSqft = qty * 30; // Cabinet ~30 sq ft per unit
-                    } else if (category.includes('window')) {
-                      estimatedSqft = qty * 15; // Window ~15 sq ft
-                    } else {
-                      estimatedSqft = qty * 20; // Generic estimate
-                    }
-                    calculatedGallons = (estimatedSqft * coats) / coverage;
-                  }
-                  
-                  // Round up to nearest 0.5 gallon
-                  updatedItem.gallons = Math.ceil(calculatedGallons * 2) / 2;
+                  updatedItem.gallons = estimateItemGallons({ ...updatedItem, numberOfCoats: coats }, coverageRate);
                 }
               }
 
@@ -318,58 +293,46 @@ const AreasStepEnhanced = ({ formData, onUpdate, onNext, onPrevious }) => {
   };
 
   const handleDimensionCalculation = (sqft, dimensions) => {
+    const isWallMeasurement = ['Walls', 'Exterior Walls', 'Siding'].includes(dimensionCalc.categoryName);
+    const trimLinearFeet = dimensions?.trimLinearFeet || 0;
+
+    // Auto-calculate gallons when quantity changes
+    const withGallons = (updatedItem) => {
+      if (!updatedItem.allowManualGallons) {
+        const qty = parseFloat(updatedItem.quantity) || 0;
+        const coats = parseInt(updatedItem.numberOfCoats) || 2;
+        if (qty > 0 && coats > 0) {
+          updatedItem.gallons = estimateItemGallons({ ...updatedItem, numberOfCoats: coats }, coverageRate);
+        }
+      }
+      return updatedItem;
+    };
+
     // Update both quantity and dimensions in a single state update to avoid race conditions
     setAreas(areas.map(area => {
       if (area.id === dimensionCalc.areaId) {
         return {
           ...area,
+          // Openings deducted from the walls stay on the area so the proposal can show net vs gross
+          ...(isWallMeasurement ? { openings: dimensions?.openings || [] } : {}),
           laborItems: area.laborItems.map(item => {
             if (item.categoryName === dimensionCalc.categoryName) {
-              const updatedItem = { 
+              return withGallons({ 
                 ...item, 
                 quantity: sqft,
                 dimensions: dimensions
-              };
-
-              // Auto-calculate gallons when quantity changes
-              if (!item.allowManualGallons) {
-                const qty = parseFloat(sqft) || 0;
-                const coats = parseInt(item.numberOfCoats) || 2;
-                const coverage = 350; // Standard coverage rate
-
-                if (qty > 0 && coats > 0) {
-                  let calculatedGallons = 0;
-                  
-                  if (item.measurementUnit === 'sqft') {
-                    // For square footage items
-                    const totalSqft = qty * coats;
-                    calculatedGallons = totalSqft / coverage;
-                  } else if (item.measurementUnit === 'linear_foot') {
-                    // For linear footage (trim, etc.) - assume 6" width
-                    const sqftCalc = qty * 0.5; // 6 inches = 0.5 feet width
-                    calculatedGallons = (sqftCalc * coats) / coverage;
-                  } else if (item.measurementUnit === 'unit') {
-                    // For units (doors, cabinets) - estimate surface area
-                    let estimatedSqft = 0;
-                    const category = item.categoryName.toLowerCase();
-                    if (category.includes('door')) {
-                      estimatedSqft = qty * 21; // Standard door ~21 sq ft per side
-                    } else if (category.includes('cabinet')) {
-                      estimatedSqft = qty * 30; // Cabinet ~30 sq ft per unit
-                    } else if (category.includes('window')) {
-                      estimatedSqft = qty * 15; // Window ~15 sq ft
-                    } else {
-                      estimatedSqft = qty * 20; // Generic estimate
-                    }
-                    calculatedGallons = (estimatedSqft * coats) / coverage;
-                  }
-                  
-                  // Round up to nearest 0.5 gallon
-                  updatedItem.gallons = Math.ceil(calculatedGallons * 2) / 2;
-                }
-              }
+              });
+            }
 
-              return updatedItem;
+            // Derive trim footage from door/window casings unless it was entered by hand
+            if (
+              trimLinearFeet > 0 &&
+              item.selected &&
+              item.measurementUnit === 'linear_foot' &&
+              item.categoryName.includes('Trim') &&
+              (!item.quantity || item.dimensions?.fromOpenings)
+            ) {
+              return withGallons({ ...item, quantity: trimLinearFeet, dimensions: { fromOpenings: true } });
             }
             return item;
           })
@@ -442,15 +405,7 @@ const AreasStepEnhanced = ({ formData, onUpdate, onNext, onPrevious }) => {
     onNext();
   };
 
-  const getUnitLabel = (unit) => {
-    const labels = {
-      sqft: 'sq ft',
-      linear_foot: 'LF',
-      unit: 'units',
-      hour: 'hrs'
-    };
-    return labels[unit] || unit;
-  };
+  const getUnitLabel = (unit) => unitUtils.getUnitLabel(unit, unitSystem);
 
   // Check if using unit counts (Flat Rate model)
   const isUnitCountMode = () => {
@@ -468,7 +423,8 @@ const AreasStepEnhanced = ({ formData, onUpdate, onNext, onPrevious }) => {
     if (isUnitCountMode()) {
       return unit === 'unit' ? 'Count' : 'Qty';
     }
-    return unit === 'sqft' ? 'Sq Ft' : unit === 'linear_foot' ? 'Linear Ft' : 'Qty';
+    if (unit === 'sqft' || unit === 'linear_foot') return getUnitLabel(unit);
+    return 'Qty';
   };
 
   // Get input label based on pricing model
@@ -476,33 +432,16 @@ const AreasStepEnhanced = ({ formData, onUpdate, onNext, onPrevious }) => {
     if (isUnitCountMode()) {
       return 'Quantity';
     }
-    return unit === 'sqft' ? 'Square Feet' : unit === 'linear_foot' ? 'Linear Feet' : unit === 'unit' ? 'Count' : 'Quantity';
+    return unit === 'unit' ? 'Count' : unitUtils.getQuantityLabel(unit, unitSystem);
   };
 
   // Get production rate for a category (for time estimates)
-  const getProductionRate = (categoryName) => {
-    const prodRates = contractorSettings.productionRates || {};
-    const keyMap = {
-      'Walls': 'interiorWalls',
-      'Ceilings': 'interiorCeilings',
-      'Trim': 'interiorTrim',
-      'Exterior Walls': 'exteriorWalls',
-      'Exterior Trim': 'exteriorTrim',
-      'Soffit & Fascia': 'soffitFascia',
-      'Doors': 'doors',
-      'Exterior Doors': 'doors',
-      'Cabinets': 'cabinets'
-    };
-    const key = keyMap[categoryName] || 'interiorWalls';
-    return prodRates[key] || formData.productivityRate || 300;
-  };
+  const getProductionRate = (categoryName) => getEngineProductionRate(categoryName, jobType, contractorSettings);
 
   // Calculate estimated hours for production-based model
   const calculateEstimatedHours = (quantity, categoryName) => {
-    if (!quantity || quantity <= 0) return 0;
-    const productionRate = getProductionRate(categoryName);
     const crewSize = formData.crewSize || contractorSettings.other?.crewSize || 1;
-    return (quantity / productionRate) / crewSize;
+    return estimateItemHours({ quantity, categoryName }, jobType, contractorSettings) / crewSize;
   };
 
   // Determine pricing model type for conditional rendering
@@ -715,8 +654,8 @@ const AreasStepEnhanced = ({ formData, onUpdate, onNext, onPrevious }) => {
                               }}
                               min={0}
                               step={isUnitCountMode() ? 1 : (item.measurementUnit === 'sqft' ? 10 : 1)}
-                              value={item.quantity}
-                              onChange={(value) => updateLaborItem(area.id, item.categoryName, 'quantity', value)}
+                              value={unitUtils.toDisplayQuantity(item.quantity, item.measurementUnit, unitSystem)}
+                              onChange={(value) => updateLaborItem(area.id, item.categoryName, 'quantity', unitUtils.toCanonicalQuantity(value, item.measurementUnit, unitSystem))}
                               placeholder={getQuantityPlaceholder(item.measurementUnit)}
                               prefix={item.dimensions ? '📐' : null}
                             />
@@ -733,7 +672,9 @@ const AreasStepEnhanced = ({ formData, onUpdate, onNext, onPrevious }) => {
                           </Space.Compact>
                           {item.dimensions && (
                             <Text type="success" style={{ fontSize: 10, display: 'block', marginTop: 2, color: '#52c41a', fontWeight: 500 }}>
-                              ✓ Calculated: {item.categoryName.includes('Wall') ? (
+                              ✓ Calculated: {item.dimensions.formula ? (
+                                <>{item.dimensions.formula} = {unitUtils.formatQuantity(item.quantity || 0, item.measurementUnit, unitSystem)}</>
+                              ) : item.categoryName.includes('Wall') ? (
                                 <>2×({item.dimensions.length}+{item.dimensions.width})×{item.dimensions.height} = {item.quantity || 0} sqft</>
                               ) : item.categoryName.includes('Ceiling') ? (
                                 <>{item.dimensions.length}×{item.dimensions.width} = {item.quantity || 0} sqft</>
@@ -747,7 +688,7 @@ const AreasStepEnhanced = ({ formData, onUpdate, onNext, onPrevious }) => {
                           {/* Helpful hint for unit count mode */}
                           {isUnitCountMode() && item.quantity > 0 && (
                             <Text type="secondary" style={{ fontSize: 10, display: 'block', marginTop: 2, color: '#52c41a' }}>
-                              ✓ {item.quantity} {formData.pricingModelType === 'flat_rate_unit' ? 'units' : (item.measurementUnit === 'unit' ? 'items' : getUnitLabel(item.measurementUnit))}
+                              ✓ {unitUtils.toDisplayQuantity(item.quantity, item.measurementUnit, unitSystem)} {formData.pricingModelType === 'flat_rate_unit' ? 'units' : (item.measurementUnit === 'unit' ? 'items' : getUnitLabel(item.measurementUnit))}
                             </Text>
                           )}
                           {/* Show estimated hours for production-based model */}
@@ -783,16 +724,16 @@ const AreasStepEnhanced = ({ formData, onUpdate, onNext, onPrevious }) => {
                                 style={{ width: '100%' }}
                                 min={0}
                                 step={0.5}
-                                value={item.gallons}
-                                onChange={(value) => updateLaborItem(area.id, item.categoryName, 'gallons', value)}
-                                placeholder="Gallons"
+                                value={unitUtils.toDisplayQuantity(item.gallons, 'gallon', unitSystem)}
+                                onChange={(value) => updateLaborItem(area.id, item.categoryName, 'gallons', unitUtils.toCanonicalQuantity(value, 'gallon', unitSystem))}
+                                placeholder={unitUtils.isMetric(unitSystem) ? 'Litres' : 'Gallons'}
                                 disabled={!item.allowManualGallons}
-                                addonAfter="gal"
+                                addonAfter={getUnitLabel('gallon')}
                               />
                             </Space.Compact>
                             {item.quantity && item.numberOfCoats && (
                               <Text type="secondary" style={{ fontSize: 11, display: 'block' }}>
-                                {item.quantity} × {item.numberOfCoats} ÷ {COVERAGE_RATE} = {item.gallons} gal
+                                {unitUtils.toDisplayQuantity(item.quantity, item.measurementUnit, unitSystem)} × {item.numberOfCoats} ÷ {unitUtils.toDisplayQuantity(coverageRate, 'coverage', unitSystem)} + 10% waste = {unitUtils.formatPaintQuantity(item.gallons, unitSystem)}
                               </Text>
                             )}
                           </Col>
@@ -874,6 +815,7 @@ const AreasStepEnhanced = ({ formData, onUpdate, onNext, onPrevious }) => {
       {/* Dimension Calculator Modal */}
       <DimensionCalculator
         surfaceType={dimensionCalc.categoryName}
+        unitSystem={unitSystem}
         visible={dimensionCalc.visible}
         onCalculate={handleDimensionCalculation}
         onCancel={() => setDimensionCalc({ visible: false, areaId: null, categoryName: null })}
@@ -3,79 +3,115 @@
  * Conflict Resolution Modal for Quote Builder
  * **Feature: cadence-quote-builder-update, Task 7.4**
  * **Validates: Requirements 6.5**
+ *
+ * Shows the result of a three-way merge (see utils/quoteMergeUtils). Changes made on only
+ * one side are already merged and listed for reference; only fields both sides changed
+ * differently need a choice, grouped per area.
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { formatMergeValue } from '../../utils/quoteMergeUtils';
 import './ConflictResolutionModal.css';
 
-const ConflictResolutionModal = ({ 
-  isOpen, 
-  onClose, 
-  conflicts, 
-  localData, 
-  serverData, 
-  suggestedResolution,
-  onResolve 
+const ConflictResolutionModal = ({
+  isOpen,
+  onClose,
+  mergeResult,
+  pricingSchemes = [],
+  products = {},
+  onResolve
 }) => {
-  const [selectedResolution, setSelectedResolution] = useState(suggestedResolution || 'manual_review');
-  const [showDetails, setShowDetails] = useState(false);
-  const [selectedConflicts, setSelectedConflicts] = useState(new Set());
+  const conflicts = mergeResult?.conflicts || [];
+  const changes = mergeResult?.changes || [];
 
+  const [selectedResolution, setSelectedResolution] = useState('manual_review');
+  const [showAutoMerged, setShowAutoMerged] = useState(false);
+  const [choices, setChoices] = useState({});
+
+  // Start every conflict on "yours" whenever a new merge comes in
   useEffect(() => {
-    if (suggestedResolution) {
-      setSelectedResolution(suggestedResolution);
+    setChoices(Object.fromEntries(conflicts.map(conflict => [conflict.id, 'local'])));
+    setSelectedResolution(conflicts.length > 0 ? 'manual_review' : 'use_local');
+  }, [mergeResult]);
+
+  const groupedConflicts = useMemo(() => conflicts.reduce((groups, conflict) => {
+    const group = groups.find(g => g.name === conflict.group);
+    if (group) {
+      group.conflicts.push(conflict);
+    } else {
+      groups.push({ name: conflict.group, conflicts: [conflict] });
     }
-  }, [suggestedResolution]);
+    return groups;
+  }, []), [conflicts]);
 
-  if (!isOpen) return null;
+  if (!isOpen || !mergeResult) return null;
 
-  const handleResolve = () => {
-    onResolve(selectedResolution, Array.from(selectedConflicts));
-  };
+  const lookups = { pricingSchemes, products };
 
-  const formatValue = (value) => {
-    if (value === null || value === undefined) return 'null';
-    if (typeof value === 'object') return JSON.stringify(value, null, 2);
-    return String(value);
+  const getChoice = (conflict) => {
+    if (selectedResolution === 'use_local') return 'local';
+    if (selectedResolution === 'use_server') return 'server';
+    return choices[conflict.id] || 'local';
   };
 
-  const getConflictSeverity = (conflict) => {
-    if (conflict.type === 'version_mismatch') return 'high';
-    if (conflict.type === 'data_mismatch' && ['customerName', 'customerEmail'].includes(conflict.field)) return 'high';
-    if (conflict.type === 'complex_data_mismatch') return 'medium';
-    return 'low';
+  const handleResolve = () => {
+    onResolve(Object.fromEntries(conflicts.map(conflict => [conflict.id, getChoice(conflict)])));
   };
 
-  const getSeverityColor = (severity) => {
-    switch (severity) {
-      case 'high': return '#dc3545';
-      case 'medium': return '#fd7e14';
-      case 'low': return '#ffc107';
-      default: return '#6c757d';
-    }
+  const chooseValue = (conflict, side) => {
+    if (selectedResolution !== 'manual_review') return;
+    setChoices(prev => ({ ...prev, [conflict.id]: side }));
   };
 
   const resolutionOptions = [
     {
       value: 'use_local',
-      label: 'Use My Changes',
-      description: 'Keep your local changes and overwrite server data',
+      label: 'Keep My Changes',
+      description: 'Use your value for every conflict',
       icon: '💻'
     },
     {
       value: 'use_server',
-      label: 'Use Server Version',
-      description: 'Discard your changes and use the server version',
+      label: 'Keep Server Changes',
+      description: 'Use the server value for every conflict',
       icon: '☁️'
     },
     {
       value: 'manual_review',
-      label: 'Manual Review',
-      description: 'Review each conflict individually and choose',
+      label: 'Choose Per Field',
+      description: 'Pick yours or the server value for each conflict',
       icon: '👁️'
     }
   ];
 
+  const renderValue = (conflict, side, title, value) => {
+    const selectable = side !== 'base' && selectedResolution === 'manual_review';
+    const chosen = side !== 'base' && getChoice(conflict) === side;
+    return (
+      <div
+        className={`value-section ${selectable ? 'selectable' : ''} ${chosen ? 'chosen' : ''}`}
+        onClick={() => side !== 'base' && chooseValue(conflict, side)}
+      >
+        <h5>
+          {side !== 'base' && (
+            <input
+              type="radio"
+              name={`conflict-${conflict.id}`}
+              checked={chosen}
+              disabled={!selectable}
+              onChange={() => chooseValue(conflict, side)}
+              style={{ marginRight: 6 }}
+            />
+          )}
+          {title}
+        </h5>
+        <div className={`value-display ${side}`}>
+          {formatMergeValue(value, conflict, lookups)}
+        </div>
+      </div>
+    );
+  };
+
   return (
     <div className="conflict-resolution-overlay">
       <div className="conflict-resolution-modal">
@@ -86,125 +122,110 @@ const ConflictResolutionModal = ({
 
         <div className="modal-content">
           <div className="conflict-summary">
-            <div className="alert alert-warning">
-              <strong>⚠️ Conflicts Detected</strong>
-              <p>
-                Your quote has been modified by another user or session. 
-                We found {conflicts.length} conflict{conflicts.length !== 1 ? 's' : ''} that need resolution.
-              </p>
-            </div>
+            {conflicts.length > 0 ? (
+              <div className="alert alert-warning">
+                <strong>⚠️ Conflicts Detected</strong>
+                <p>
+                  This quote was also changed in another session.
+                  {changes.length > 0 && ` ${changes.length} change${changes.length !== 1 ? 's were' : ' was'} merged automatically.`}
+                  {' '}{conflicts.length} field{conflicts.length !== 1 ? 's were' : ' was'} changed on both sides and need{conflicts.length === 1 ? 's' : ''} a decision.
+                </p>
+              </div>
+            ) : (
+              <div className="alert alert-success">
+                <strong>✅ Changes Merged</strong>
+                <p>
+                  This quote was also changed in another session, but none of the changes overlap.
+                  Both sets of changes will be kept.
+                </p>
+              </div>
+            )}
           </div>
 
-          <div className="resolution-options">
-            <h3>Choose Resolution Strategy</h3>
-            <div className="resolution-grid">
-              {resolutionOptions.map(option => (
-                <div 
-                  key={option.value}
-                  className={`resolution-option ${selectedResolution === option.value ? 'selected' : ''}`}
-                  onClick={() => setSelectedResolution(option.value)}
-                >
-                  <div className="option-icon">{option.icon}</div>
-                  <div className="option-content">
-                    <h4>{option.label}</h4>
-                    <p>{option.description}</p>
+          {conflicts.length > 0 && (
+            <div className="resolution-options">
+              <h3>Choose Resolution Strategy</h3>
+              <div className="resolution-grid">
+                {resolutionOptions.map(option => (
+                  <div
+                    key={option.value}
+                    className={`resolution-option ${selectedResolution === option.value ? 'selected' : ''}`}
+                    onClick={() => setSelectedResolution(option.value)}
+                  >
+                    <div className="option-icon">{option.icon}</div>
+                    <div className="option-content">
+                      <h4>{option.label}</h4>
+                      <p>{option.description}</p>
+                    </div>
+                    <input
+                      type="radio"
+                      name="resolution"
+                      value={option.value}
+                      checked={selectedResolution === option.value}
+                      onChange={() => setSelectedResolution(option.value)}
+                    />
                   </div>
-                  <input 
-                    type="radio" 
-                    name="resolution" 
-                    value={option.value}
-                    checked={selectedResolution === option.value}
-                    onChange={() => setSelectedResolution(option.value)}
-                  />
-                </div>
-              ))}
+                ))}
+              </div>
             </div>
-          </div>
+          )}
 
-          <div className="conflicts-list">
-            <div className="conflicts-header">
-              <h3>Conflicts ({conflicts.length})</h3>
-              <button 
-                className="toggle-details"
-                onClick={() => setShowDetails(!showDetails)}
-              >
-                {showDetails ? 'Hide Details' : 'Show Details'}
-              </button>
-            </div>
+          {conflicts.length > 0 && (
+            <div className="conflicts-list">
+              <div className="conflicts-header">
+                <h3>Conflicts ({conflicts.length})</h3>
+              </div>
 
-            <div className="conflicts-container">
-              {conflicts.map((conflict, index) => {
-                const severity = getConflictSeverity(conflict);
-                const severityColor = getSeverityColor(severity);
-                
-                return (
-                  <div key={index} className="conflict-item">
-                    <div className="conflict-header">
-                      <div className="conflict-info">
-                        <span 
-                          className="severity-badge"
-                          style={{ backgroundColor: severityColor }}
-                        >
-                          {severity.toUpperCase()}
-                        </span>
-                        <strong>{conflict.field}</strong>
-                        <span className="conflict-type">({conflict.type.replace('_', ' ')})</span>
-                      </div>
-                      {selectedResolution === 'manual_review' && (
-                        <input
-                          type="checkbox"
-                          checked={selectedConflicts.has(index)}
-                          onChange={(e) => {
-                            const newSelected = new Set(selectedConflicts);
-                            if (e.target.checked) {
-                              newSelected.add(index);
-                            } else {
-                              newSelected.delete(index);
-                            }
-                            setSelectedConflicts(newSelected);
-                          }}
-                        />
-                      )}
-                    </div>
-                    
-                    <p className="conflict-description">{conflict.description}</p>
-                    
-                    {showDetails && (
-                      <div className="conflict-details">
-                        <div className="value-comparison">
-                          <div className="value-section">
-                            <h5>Your Version (Local)</h5>
-                            <pre className="value-display local">
-                              {formatValue(conflict.localValue)}
-                            </pre>
-                          </div>
-                          <div className="value-section">
-                            <h5>Server Version</h5>
-                            <pre className="value-display server">
-                              {formatValue(conflict.serverValue)}
-                            </pre>
+              <div className="conflicts-container">
+                {groupedConflicts.map(group => (
+                  <div key={group.name}>
+                    <div className="conflict-group-title">{group.name}</div>
+                    {group.conflicts.map(conflict => (
+                      <div key={conflict.id} className="conflict-item">
+                        <div className="conflict-header">
+                          <div className="conflict-info">
+                            <strong>{conflict.label}</strong>
                           </div>
                         </div>
+
+                        {conflict.description && (
+                          <p className="conflict-description">{conflict.description}</p>
+                        )}
+
+                        <div className="value-comparison">
+                          {renderValue(conflict, 'base', 'Before', conflict.baseValue)}
+                          {renderValue(conflict, 'local', 'Yours', conflict.localValue)}
+                          {renderValue(conflict, 'server', 'Server', conflict.serverValue)}
+                        </div>
                       </div>
-                    )}
+                    ))}
                   </div>
-                );
-              })}
+                ))}
+              </div>
             </div>
-          </div>
+          )}
 
-          {selectedResolution === 'manual_review' && (
+          {changes.length > 0 && (
             <div className="manual-review-info">
-              <div className="alert alert-info">
-                <strong>ℹ️ Manual Review Mode</strong>
-                <p>
-                  Select the conflicts you want to resolve with your local changes. 
-                  Unselected conflicts will use the server version.
-                </p>
-                <p>
-                  <strong>Selected:</strong> {selectedConflicts.size} of {conflicts.length} conflicts
-                </p>
+              <div className="conflicts-header">
+                <h3>Merged Automatically ({changes.length})</h3>
+                <button
+                  className="toggle-details"
+                  onClick={() => setShowAutoMerged(!showAutoMerged)}
+                >
+                  {showAutoMerged ? 'Hide Details' : 'Show Details'}
+                </button>
               </div>
+              {showAutoMerged && (
+                <ul className="auto-merged-list">
+                  {changes.map(change => (
+                    <li key={change.id}>
+                      {change.group !== 'Quote details' && `${change.group} › `}{change.label}
+                      <span className="conflict-type"> ({change.change})</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
           )}
         </div>
@@ -213,12 +234,11 @@ const ConflictResolutionModal = ({
           <button className="btn btn-secondary" onClick={onClose}>
             Cancel
           </button>
-          <button 
-            className="btn btn-primary" 
+          <button
+            className="btn btn-primary"
             onClick={handleResolve}
-            disabled={selectedResolution === 'manual_review' && selectedConflicts.size === 0}
           >
-            Resolve Conflicts
+            {conflicts.length > 0 ? 'Resolve Conflicts' : 'Save Merged Quote'}
           </button>
         </div>
       </div>
@@ -226,4 +246,4 @@ const ConflictResolutionModal = ({
   );
 };
 
-export default ConflictResolutionModal;
\ No newline at end of file
+export default ConflictResolutionModal;
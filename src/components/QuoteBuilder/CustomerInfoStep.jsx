@@ -1,6 +1,6 @@
 // src/components/QuoteBuilder/CustomerInfoStep.jsx
 import React, { useState, useEffect } from 'react';
-import { Form, Input, Select, Button, Alert, Modal, Card, Row, Col, Typography, Tag, Grid } from 'antd';
+import { Form, Input, Select, Button, Alert, Modal, Card, Row, Col, Typography, Tag, Grid, Image } from 'antd';
 import { UserOutlined, PhoneOutlined, MailOutlined, HomeOutlined } from '@ant-design/icons';
 
 const { Option } = Select;
@@ -334,6 +334,28 @@ const CustomerInfoStep = ({
           </Row>
         </Card>
 
+        {formData.photos?.length > 0 && (
+          <Card
+            title="Photos"
+            extra={formData.leadId && <Tag color="purple">From lead #{formData.leadId}</Tag>}
+            style={{ marginBottom: isMobile ? 16 : 24 }}
+          >
+            <Image.PreviewGroup>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8 }}>
+                {formData.photos.map(photo => (
+                  <Image
+                    key={photo.url}
+                    src={photo.url}
+                    width={isMobile ? 72 : 96}
+                    height={isMobile ? 72 : 96}
+                    style={{ objectFit: 'cover', borderRadius: 4 }}
+                  />
+                ))}
+              </div>
+            </Image.PreviewGroup>
+          </Card>
+        )}
+
         <Card title="Pricing Configuration" style={{ marginBottom: isMobile ? 16 : 24 }}>
           <Form.Item
             label="Pricing Scheme"
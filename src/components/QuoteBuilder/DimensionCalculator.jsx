@@ -1,65 +1,236 @@
 // src/components/QuoteBuilder/DimensionCalculator.jsx
-import React, { useState, useEffect } from 'react';
-import { Modal, InputNumber, Row, Col, Typography, Button, Space, Alert } from 'antd';
-import { CalculatorOutlined } from '@ant-design/icons';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Modal, InputNumber, Row, Col, Typography, Button, Space, Alert, Divider, Radio } from 'antd';
+import { CalculatorOutlined, PlusOutlined, DeleteOutlined } from '@ant-design/icons';
+import OpeningsEditor from './OpeningsEditor';
+import { applyOpenings, calculateShapeArea, getShapeFormulaText, SHAPE_MODES } from '../../utils/dimensionUtils';
+import { getUnitLabel, normalizeUnitSystem, toCanonicalQuantity, toDisplayQuantity } from '../../utils/unitUtils';
 
 const { Text } = Typography;
 
-const DimensionCalculator = ({ surfaceType, visible, onCalculate, onCancel, initialDimensions }) => {
-  const [length, setLength] = useState(initialDimensions?.length || null);
-  const [width, setWidth] = useState(initialDimensions?.width || null);
-  const [height, setHeight] = useState(initialDimensions?.height || null);
-  const [calculatedSqft, setCalculatedSqft] = useState(null);
+const isWallSurface = (surfaceType) =>
+  surfaceType === 'Walls' || surfaceType === 'Siding' || surfaceType === 'Exterior Walls';
 
+const isCeilingSurface = (surfaceType) => surfaceType === 'Ceiling' || surfaceType === 'Ceilings';
+
+const isTrimSurface = (surfaceType) => surfaceType === 'Trim' || surfaceType === 'Exterior Trim';
+
+const getSurfaceGroup = (surfaceType) => {
+  if (isWallSurface(surfaceType)) return 'wall';
+  if (isCeilingSurface(surfaceType)) return 'ceiling';
+  if (isTrimSurface(surfaceType)) return 'trim';
+  return 'other';
+};
+
+const DEFAULT_SEGMENTS = [{ length: null, height: null }];
+const DEFAULT_GABLES = [{ base: null, rise: null, count: 1 }];
+const DEFAULT_STAIRWELL = { run: null, lowHeight: null, highHeight: null, sides: 1 };
+const DEFAULT_SLOPE = { run: null, width: null, pitch: 6 };
+
+const DimensionCalculator = ({ surfaceType, visible, onCalculate, onCancel, initialDimensions, unitSystem }) => {
+  const [shape, setShape] = useState('rectangle');
+  const [measureSystem, setMeasureSystem] = useState(normalizeUnitSystem(unitSystem));
+  const [length, setLength] = useState(null);
+  const [width, setWidth] = useState(null);
+  const [height, setHeight] = useState(null);
+  const [segments, setSegments] = useState(DEFAULT_SEGMENTS);
+  const [gables, setGables] = useState(DEFAULT_GABLES);
+  const [stairwell, setStairwell] = useState(DEFAULT_STAIRWELL);
+  const [slope, setSlope] = useState(DEFAULT_SLOPE);
+  const [openings, setOpenings] = useState([]);
+
+  const surfaceGroup = getSurfaceGroup(surfaceType);
+  const shapeOptions = Object.entries(SHAPE_MODES).filter(([, mode]) => mode.surfaces.includes(surfaceGroup));
+
+  // Restore the saved shape each time the calculator opens so re-editing a quote picks up where it left off
   useEffect(() => {
-    if (length && width) {
-      let sqft = 0;
-
-      if (surfaceType === 'Walls' || surfaceType === 'Siding' || surfaceType === 'Exterior Walls') {
-        // Walls: 2 × (length + width) × height
-        if (height) {
-          sqft = 2 * (parseFloat(length) + parseFloat(width)) * parseFloat(height);
-        }
-      } else if (surfaceType === 'Ceiling' || surfaceType === 'Ceilings') {
-        // Ceiling: length × width
-        sqft = parseFloat(length) * parseFloat(width);
-      } else if (surfaceType === 'Trim' || surfaceType === 'Exterior Trim') {
-        // Trim (optional): 2 × (length + width)
-        sqft = 2 * (parseFloat(length) + parseFloat(width));
-      } else {
-        // Default: length × width
-        sqft = parseFloat(length) * parseFloat(width);
-      }
+    if (!visible) return;
+    const dims = initialDimensions || {};
+    // Saved dimensions keep the unit system they were measured in
+    setMeasureSystem(normalizeUnitSystem(dims.unitSystem || unitSystem));
+    setShape(dims.shape && SHAPE_MODES[dims.shape] ? dims.shape : 'rectangle');
+    setLength(dims.length || null);
+    setWidth(dims.width || null);
+    setHeight(dims.height || null);
+    setSegments(dims.segments?.length ? dims.segments : DEFAULT_SEGMENTS);
+    setGables(dims.gables?.length ? dims.gables : DEFAULT_GABLES);
+    setStairwell(dims.stairwell || DEFAULT_STAIRWELL);
+    setSlope(dims.slope || DEFAULT_SLOPE);
+    setOpenings(dims.openings || []);
+  }, [visible, initialDimensions, unitSystem]);
 
-      setCalculatedSqft(Math.ceil(sqft)); // Round up
-    } else {
-      setCalculatedSqft(null);
+  // Gross area and substituted formula for the current shape
+  const measurement = useMemo(() => {
+    if (shape === 'segments') return calculateShapeArea('segments', { segments });
+    if (shape === 'gable') return calculateShapeArea('gable', { gables });
+    if (shape === 'stairwell') return calculateShapeArea('stairwell', stairwell);
+    if (shape === 'sloped') return calculateShapeArea('sloped', slope);
+
+    if (!length || !width) return { area: 0, formula: '' };
+    if (surfaceGroup === 'wall') {
+      // Walls: 2 × (length + width) × height
+      if (!height) return { area: 0, formula: '' };
+      return {
+        area: 2 * (parseFloat(length) + parseFloat(width)) * parseFloat(height),
+        formula: `2 × (${length} + ${width}) × ${height}`
+      };
+    }
+    if (surfaceGroup === 'trim') {
+      // Trim (optional): 2 × (length + width)
+      return { area: 2 * (parseFloat(length) + parseFloat(width)), formula: `2 × (${length} + ${width})` };
     }
-  }, [length, width, height, surfaceType]);
+    // Ceiling and default: length × width
+    return { area: parseFloat(length) * parseFloat(width), formula: `${length} × ${width}` };
+  }, [shape, length, width, height, segments, gables, stairwell, slope, surfaceGroup]);
+
+  // Walls deduct doors, windows and openings
+  const openingTotals = surfaceGroup === 'wall' && measurement.area > 0 ? applyOpenings(measurement.area, openings) : null;
+  const netArea = openingTotals ? openingTotals.netArea : measurement.area;
+  // Dimensions are entered in the tenant's units; the quantity handed back is always sq ft / LF
+  const measurementUnit = surfaceGroup === 'trim' ? 'linear_foot' : 'sqft';
+  const calculatedSqft = netArea > 0 ? Math.ceil(toCanonicalQuantity(netArea, measurementUnit, measureSystem)) : null; // Round up
+  const displayQuantity = calculatedSqft ? toDisplayQuantity(calculatedSqft, measurementUnit, measureSystem) : null;
+  const unitLabel = getUnitLabel(measurementUnit, measureSystem);
+  const areaLabel = getUnitLabel('sqft', measureSystem);
+  const lengthLabel = getUnitLabel('length', measureSystem);
+  const round2 = (value) => Math.round(value * 100) / 100;
 
   const handleOk = () => {
     if (calculatedSqft) {
-      onCalculate(calculatedSqft, { length, width, height });
+      const dimensions = { shape, unitSystem: measureSystem };
+      if (shape === 'rectangle') Object.assign(dimensions, { length, width, height });
+      if (shape === 'segments') dimensions.segments = segments;
+      if (shape === 'gable') dimensions.gables = gables;
+      if (shape === 'stairwell') dimensions.stairwell = stairwell;
+      if (shape === 'sloped') dimensions.slope = slope;
+      dimensions.formula = measurement.formula;
+
+      if (openingTotals && openings.length > 0) {
+        Object.assign(dimensions, {
+          openings,
+          grossArea: Math.ceil(toCanonicalQuantity(openingTotals.grossArea, 'sqft', measureSystem)),
+          openingsArea: round2(toCanonicalQuantity(openingTotals.openingsArea, 'sqft', measureSystem)),
+          trimLinearFeet: Math.ceil(toCanonicalQuantity(openingTotals.trimLinearFeet, 'linear_foot', measureSystem))
+        });
+      }
+      onCalculate(calculatedSqft, dimensions);
     }
   };
 
   const getFormulaText = () => {
-    if (surfaceType === 'Walls' || surfaceType === 'Siding' || surfaceType === 'Exterior Walls') {
-      return 'Formula: 2 × (L + W) × H';
-    } else if (surfaceType === 'Ceiling' || surfaceType === 'Ceilings') {
+    const shapeFormula = getShapeFormulaText(shape);
+    if (shapeFormula) {
+      return surfaceGroup === 'wall' ? `${shapeFormula} − openings` : shapeFormula;
+    }
+    if (surfaceGroup === 'wall') {
+      return 'Formula: 2 × (L + W) × H − openings';
+    } else if (surfaceGroup === 'ceiling') {
       return 'Formula: L × W';
-    } else if (surfaceType === 'Trim' || surfaceType === 'Exterior Trim') {
+    } else if (surfaceGroup === 'trim') {
       return 'Formula: 2 × (L + W)';
     }
     return 'Formula: L × W';
   };
 
+  const renderNumber = (label, value, onChange, props = {}) => (
+    <>
+      <Text strong>{label}</Text>
+      <InputNumber
+        style={{ width: '100%', marginTop: 4 }}
+        min={0}
+        step={0.5}
+        value={value}
+        onChange={onChange}
+        placeholder={label.replace(/ \(.*\)$/, '')}
+        {...props}
+      />
+    </>
+  );
+
+  const updateRow = (rows, setRows, index, changes) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const renderRectangle = () => (
+    <Row gutter={[16, 16]}>
+      <Col span={12}>{renderNumber(`Length (${lengthLabel})`, length, setLength)}</Col>
+      <Col span={12}>{renderNumber(`Width (${lengthLabel})`, width, setWidth)}</Col>
+      {surfaceGroup === 'wall' && (
+        <Col span={12}>{renderNumber(`Height (${lengthLabel})`, height, setHeight)}</Col>
+      )}
+    </Row>
+  );
+
+  const renderSegments = () => (
+    <>
+      {segments.map((segment, index) => (
+        <Row gutter={[16, 8]} key={index} align="bottom" style={{ marginBottom: 8 }}>
+          <Col span={10}>{renderNumber(`Segment ${index + 1} Length (${lengthLabel})`, segment.length, (v) => updateRow(segments, setSegments, index, { length: v }))}</Col>
+          <Col span={10}>{renderNumber(`Height (${lengthLabel})`, segment.height, (v) => updateRow(segments, setSegments, index, { height: v }))}</Col>
+          <Col span={4}>
+            <Button
+              type="text"
+              danger
+              icon={<DeleteOutlined />}
+              disabled={segments.length === 1}
+              onClick={() => setSegments(segments.filter((_, i) => i !== index))}
+            />
+          </Col>
+        </Row>
+      ))}
+      <Button size="small" icon={<PlusOutlined />} onClick={() => setSegments([...segments, { length: null, height: segments[segments.length - 1]?.height || null }])}>
+        Add Segment
+      </Button>
+    </>
+  );
+
+  const renderGables = () => (
+    <>
+      {gables.map((gable, index) => (
+        <Row gutter={[16, 8]} key={index} align="bottom" style={{ marginBottom: 8 }}>
+          <Col span={7}>{renderNumber(`Base (${lengthLabel})`, gable.base, (v) => updateRow(gables, setGables, index, { base: v }))}</Col>
+          <Col span={7}>{renderNumber(`Rise (${lengthLabel})`, gable.rise, (v) => updateRow(gables, setGables, index, { rise: v }))}</Col>
+          <Col span={6}>{renderNumber('Count', gable.count, (v) => updateRow(gables, setGables, index, { count: v }), { step: 1 })}</Col>
+          <Col span={4}>
+            <Button
+              type="text"
+              danger
+              icon={<DeleteOutlined />}
+              disabled={gables.length === 1}
+              onClick={() => setGables(gables.filter((_, i) => i !== index))}
+            />
+          </Col>
+        </Row>
+      ))}
+      <Button size="small" icon={<PlusOutlined />} onClick={() => setGables([...gables, { base: null, rise: null, count: 1 }])}>
+        Add Gable
+      </Button>
+    </>
+  );
+
+  const renderStairwell = () => (
+    <Row gutter={[16, 16]}>
+      <Col span={12}>{renderNumber(`Horizontal Run (${lengthLabel})`, stairwell.run, (v) => setStairwell({ ...stairwell, run: v }))}</Col>
+      <Col span={12}>{renderNumber('Walls', stairwell.sides, (v) => setStairwell({ ...stairwell, sides: v }), { step: 1, min: 1 })}</Col>
+      <Col span={12}>{renderNumber(`Height at Bottom (${lengthLabel})`, stairwell.lowHeight, (v) => setStairwell({ ...stairwell, lowHeight: v }))}</Col>
+      <Col span={12}>{renderNumber(`Height at Top (${lengthLabel})`, stairwell.highHeight, (v) => setStairwell({ ...stairwell, highHeight: v }))}</Col>
+    </Row>
+  );
+
+  const renderSloped = () => (
+    <Row gutter={[16, 16]}>
+      <Col span={12}>{renderNumber(`Run (${lengthLabel})`, slope.run, (v) => setSlope({ ...slope, run: v }))}</Col>
+      <Col span={12}>{renderNumber(`Width (${lengthLabel})`, slope.width, (v) => setSlope({ ...slope, width: v }))}</Col>
+      <Col span={12}>{renderNumber('Pitch (rise per 12)', slope.pitch, (v) => setSlope({ ...slope, pitch: v }), { step: 1 })}</Col>
+    </Row>
+  );
+
   return (
     <Modal
       title={
         <Space>
           <CalculatorOutlined />
-          <span>Calculate Square Footage - {surfaceType}</span>
+          <span>Calculate {measureSystem === 'metric' ? 'Area' : 'Square Footage'} - {surfaceType}</span>
         </Space>
       }
       open={visible}
@@ -67,68 +238,59 @@ const DimensionCalculator = ({ surfaceType, visible, onCalculate, onCancel, init
       onCancel={onCancel}
       okText="Use This Calculation"
       okButtonProps={{ disabled: !calculatedSqft }}
-      width={450}
+      width={560}
     >
+      {shapeOptions.length > 1 && (
+        <Radio.Group
+          value={shape}
+          onChange={(e) => setShape(e.target.value)}
+          optionType="button"
+          size="small"
+          style={{ marginBottom: 12 }}
+        >
+          {shapeOptions.map(([key, mode]) => (
+            <Radio.Button key={key} value={key}>{mode.label}</Radio.Button>
+          ))}
+        </Radio.Group>
+      )}
+
       <div style={{ marginBottom: 16 }}>
         <Text type="secondary">{getFormulaText()}</Text>
       </div>
 
-      <Row gutter={[16, 16]}>
-        <Col span={12}>
-          <Text strong>Length (ft)</Text>
-          <InputNumber
-            style={{ width: '100%', marginTop: 4 }}
-            min={0}
-            step={0.5}
-            value={length}
-            onChange={setLength}
-            placeholder="Length"
-          />
-        </Col>
-        <Col span={12}>
-          <Text strong>Width (ft)</Text>
-          <InputNumber
-            style={{ width: '100%', marginTop: 4 }}
-            min={0}
-            step={0.5}
-            value={width}
-            onChange={setWidth}
-            placeholder="Width"
-          />
-        </Col>
-
-        {(surfaceType === 'Walls' || surfaceType === 'Siding' || surfaceType === 'Exterior Walls') && (
-          <Col span={12}>
-            <Text strong>Height (ft)</Text>
-            <InputNumber
-              style={{ width: '100%', marginTop: 4 }}
-              min={0}
-              step={0.5}
-              value={height}
-              onChange={setHeight}
-              placeholder="Height"
-            />
-          </Col>
-        )}
-      </Row>
+      {shape === 'segments' ? renderSegments()
+        : shape === 'gable' ? renderGables()
+          : shape === 'stairwell' ? renderStairwell()
+            : shape === 'sloped' ? renderSloped()
+              : renderRectangle()}
+
+      {surfaceGroup === 'wall' && (
+        <>
+          <Divider orientation="left" plain style={{ margin: '16px 0 8px' }}>
+            <Text type="secondary" style={{ fontSize: 12 }}>Doors, windows & openings</Text>
+          </Divider>
+          <OpeningsEditor openings={openings} onChange={setOpenings} unitSystem={measureSystem} />
+        </>
+      )}
 
       {calculatedSqft && (
         <Alert
-          message="Calculated Square Footage"
+          message={measureSystem === 'metric' ? 'Calculated Area' : 'Calculated Square Footage'}
           description={
             <div>
               <Text strong style={{ fontSize: 18, display: 'block', marginBottom: 8 }}>
-                {calculatedSqft.toLocaleString()} sq ft
+                {displayQuantity.toLocaleString()} {unitLabel}
               </Text>
               <Text type="secondary" style={{ fontSize: 12 }}>
-                {surfaceType === 'Walls' || surfaceType === 'Siding' || surfaceType === 'Exterior Walls' ? (
-                  <span>2 × ({length} + {width}) × {height} = {calculatedSqft} sq ft</span>
-                ) : surfaceType === 'Ceiling' || surfaceType === 'Ceilings' ? (
-                  <span>{length} × {width} = {calculatedSqft} sq ft</span>
-                ) : surfaceType === 'Trim' || surfaceType === 'Exterior Trim' ? (
-                  <span>2 × ({length} + {width}) = {calculatedSqft} LF</span>
+                {openingTotals?.openingsArea > 0 ? (
+                  <span>
+                    {measurement.formula} = {round2(openingTotals.grossArea)} {areaLabel} gross
+                    − {round2(openingTotals.openingsArea)} {areaLabel} openings = {displayQuantity} {areaLabel}
+                    <br />
+                    Opening trim: {round2(openingTotals.trimLinearFeet)} {getUnitLabel('linear_foot', measureSystem)}
+                  </span>
                 ) : (
-                  <span>{length} × {width} = {calculatedSqft} sq ft</span>
+                  <span>{measurement.formula} = {displayQuantity} {unitLabel}</span>
                 )}
               </Text>
             </div>
@@ -5,6 +5,8 @@ import { PlusOutlined, DeleteOutlined, CalculatorOutlined, InfoCircleOutlined }
 import { apiService } from '../../services/apiService';
 import DimensionCalculator from './DimensionCalculator';
 import * as pricingUtils from '../../utils/pricingUtils';
+import { estimateItemGallons, estimateItemHours } from '../../utils/pricingEngine';
+import * as unitUtils from '../../utils/unitUtils';
 
 const { Title, Text } = Typography;
 const { TextArea } = Input;
@@ -48,6 +50,9 @@ const ExteriorAreasStep = ({ formData, onUpdate, onNext, onPrevious }) => {
   // Determine pricing model mode using centralized util
   const mode = pricingUtils.getPricingMode(formData.pricingModelType);
   const jobType = 'exterior';
+  const contractorSettings = formData.contractorSettings || {};
+  const coverageRate = contractorSettings.other?.coverage || COVERAGE_RATE;
+  const unitSystem = unitUtils.getUnitSystem(formData);
 
   useEffect(() => {
     // Check if current pricing model needs labor categories/rates
@@ -214,19 +219,13 @@ const ExteriorAreasStep = ({ formData, onUpdate, onNext, onPrevious }) => {
     }
     
     // For other models, show with appropriate unit label
-    return `$${rate}/${getUnitLabel(measurementUnit)}`;
-  };
-
-  // Get production rate for a category (for time estimates)
-  const getProductionRate = (categoryName) => {
-    const settings = formData.contractorSettings || {};
-    const key = pricingUtils.mapCategoryToKey(categoryName, jobType, false, true);
-    return settings.productionRates?.[key] || 50;
+    return `$${unitUtils.toDisplayRate(rate, measurementUnit, unitSystem)}/${getUnitLabel(measurementUnit)}`;
   };
 
   // Calculate estimated hours for production-based model
   const calculateEstimatedHours = (quantity, categoryName) => {
-    return pricingUtils.calculateEstimatedHours(quantity, categoryName, jobType, formData);
+    const crewSize = formData.crewSize || contractorSettings.other?.crewSize || 1;
+    return estimateItemHours({ quantity, categoryName }, jobType, contractorSettings) / crewSize;
   };
 
   // Check if using unit counts (Flat Rate model)
@@ -249,7 +248,7 @@ const ExteriorAreasStep = ({ formData, onUpdate, onNext, onPrevious }) => {
     if (isUnitCountMode()) {
       return 'Quantity';
     }
-    return unit === 'sqft' ? 'Square Feet' : unit === 'linear_foot' ? 'Linear Feet' : unit === 'unit' ? 'Count' : 'Quantity';
+    return unit === 'unit' ? 'Count' : unitUtils.getQuantityLabel(unit, unitSystem);
   };
 
   const removeArea = (areaId) => {
@@ -285,39 +284,8 @@ const ExteriorAreasStep = ({ formData, onUpdate, onNext, onPrevious }) => {
               if ((field === 'quantity' || field === 'numberOfCoats') && !item.allowManualGallons) {
                 const qty = parseFloat(field === 'quantity' ? value : item.quantity) || 0;
                 const coats = parseInt(field === 'numberOfCoats' ? value : item.numberOfCoats) || 2;
-                const coverage = 350; // Standard coverage rate
-
                 if (qty > 0 && coats > 0) {
-                  let calculatedGallons = 0;
-                  
-                  if (item.measurementUnit === 'sqft') {
-                    // For square footage items
-                    const totalSqft = qty * coats;
-                    calculatedGallons = totalSqft / coverage;
-                  } else if (item.measurementUnit === 'linear_foot') {
-                    // For linear footage (trim, etc.) - assume 6" width
-                    const sqft = qty * 0.5; // 6 inches = 0.5 feet width
-                    calculatedGallons = (sqft * coats) / coverage;
-                  } else if (item.measurementUnit === 'unit') {
-                    // For units (doors, cabinets) - estimate surface area
-                    let estimatedSqft = 0;
-                    const category = item.categoryName.toLowerCase();
-                    if (category.includes('door')) {
-                      estimatedSqft = qty * 21; // Standard door ~21 sq ft per side
-                    } else if (category.includes('cabinet')) {
-                      estimatedSqft = qty * 30; // Cabinet ~30 sq ft per unit
-                    } else if (category.includes('window')) {
-                      estimatedSqft = qty * 15; // Window ~15 sq ft
-                    } else if (category.includes('shutter')) {
-                      estimatedSqft = qty * 10; // Shutter ~10 sq ft per pair
-                    } else {
-                      estimatedSqft = qty * 20; // Generic estimate
-                    }
-                    calculatedGallons = (estimatedSqft * coats) / coverage;
-                  }
-                  
-                  // Round up to nearest 0.5 gallon
-                  updatedItem.gallons = Math.ceil(calculatedGallons * 2) / 2;
+                  updatedItem.gallons = estimateItemGallons({ ...updatedItem, numberOfCoats: coats }, coverageRate);
                 }
               }
 
@@ -344,60 +312,46 @@ const ExteriorAreasStep = ({ formData, onUpdate, onNext, onPrevious }) => {
   };
 
   const handleDimensionCalculation = (sqft, dimensions) => {
+    const isWallMeasurement = ['Walls', 'Exterior Walls', 'Siding'].includes(dimensionCalc.categoryName);
+    const trimLinearFeet = dimensions?.trimLinearFeet || 0;
+
+    // Auto-calculate gallons when quantity changes
+    const withGallons = (updatedItem) => {
+      if (!updatedItem.allowManualGallons) {
+        const qty = parseFloat(updatedItem.quantity) || 0;
+        const coats = parseInt(updatedItem.numberOfCoats) || 2;
+        if (qty > 0 && coats > 0) {
+          updatedItem.gallons = estimateItemGallons({ ...updatedItem, numberOfCoats: coats }, coverageRate);
+        }
+      }
+      return updatedItem;
+    };
+
     // Update both quantity and dimensions in a single state update to avoid race conditions
     setAreas(areas.map(area => {
       if (area.id === dimensionCalc.areaId) {
         return {
           ...area,
+          // Openings deducted from the walls stay on the area so the proposal can show net vs gross
+          ...(isWallMeasurement ? { openings: dimensions?.openings || [] } : {}),
           laborItems: area.laborItems.map(item => {
             if (item.categoryName === dimensionCalc.categoryName) {
-              const updatedItem = { 
+              return withGallons({ 
                 ...item, 
                 quantity: sqft,
                 dimensions: dimensions
-              };
-
-              // Auto-calculate gallons when quantity changes
-              if (!item.allowManualGallons) {
-                const qty = parseFloat(sqft) || 0;
-                const coats = parseInt(item.numberOfCoats) || 2;
-                const coverage = 350; // Standard coverage rate
-
-                if (qty > 0 && coats > 0) {
-                  let calculatedGallons = 0;
-                  
-                  if (item.measurementUnit === 'sqft') {
-                    // For square footage items
-                    const totalSqft = qty * coats;
-                    calculatedGallons = totalSqft / coverage;
-                  } else if (item.measurementUnit === 'linear_foot') {
-                    // For linear footage (trim, etc.) - assume 6" width
-                    const sqftCalc = qty * 0.5; // 6 inches = 0.5 feet width
-                    calculatedGallons = (sqftCalc * coats) / coverage;
-                  } else if (item.measurementUnit === 'unit') {
-                    // For units (doors, cabinets) - estimate surface area
-                    let estimatedSqft = 0;
-                    const category = item.categoryName.toLowerCase();
-                    if (category.includes('door')) {
-                      estimatedSqft = qty * 21; // Standard door ~21 sq ft per side
-                    } else if (category.includes('cabinet')) {
-                      estimatedSqft = qty * 30; // Cabinet ~30 sq ft per unit
-                    } else if (category.includes('window')) {
-                      estimatedSqft = qty * 15; // Window ~15 sq ft
-                    } else if (category.includes('shutter')) {
-                      estimatedSqft = qty * 10; // Shutter ~10 sq ft per pair
-                    } else {
-                      estimatedSqft = qty * 20; // Generic estimate
-                    }
-                    calculatedGallons = (estimatedSqft * coats) / coverage;
-                  }
-                  
-                  // Round up to nearest 0.5 gallon
-                  updatedItem.gallons = Math.ceil(calculatedGallons * 2) / 2;
-                }
-              }
+              });
+            }
 
-              return updatedItem;
+            // Derive trim footage from door/window casings unless it was entered by hand
+            if (
+              trimLinearFeet > 0 &&
+              item.selected &&
+              item.measurementUnit === 'linear_foot' &&
+              item.categoryName.includes('Trim') &&
+              (!item.quantity || item.dimensions?.fromOpenings)
+            ) {
+              return withGallons({ ...item, quantity: trimLinearFeet, dimensions: { fromOpenings: true } });
             }
             return item;
           })
@@ -462,15 +416,7 @@ const ExteriorAreasStep = ({ formData, onUpdate, onNext, onPrevious }) => {
     onNext();
   };
 
-  const getUnitLabel = (unit) => {
-    const labels = {
-      sqft: 'sq ft',
-      linear_foot: 'LF',
-      unit: 'units',
-      hour: 'hrs'
-    };
-    return labels[unit] || unit;
-  };
+  const getUnitLabel = (unit) => unitUtils.getUnitLabel(unit, unitSystem);
 
   return (
     <div className="exterior-areas-step" style={{ maxWidth: 1400, margin: '0 auto' }}>
@@ -655,8 +601,8 @@ const ExteriorAreasStep = ({ formData, onUpdate, onNext, onPrevious }) => {
                               }}
                               min={0}
                               step={mode === 'flat_unit' ? 1 : (item.measurementUnit === 'sqft' ? 10 : 1)}
-                              value={item.quantity}
-                              onChange={(value) => updateLaborItem(area.id, item.categoryName, 'quantity', value)}
+                              value={unitUtils.toDisplayQuantity(item.quantity, item.measurementUnit, unitSystem)}
+                              onChange={(value) => updateLaborItem(area.id, item.categoryName, 'quantity', unitUtils.toCanonicalQuantity(value, item.measurementUnit, unitSystem))}
                               placeholder={pricingUtils.getQuantityPlaceholder(mode, item.measurementUnit)}
                               prefix={item.dimensions ? '📐' : null}
                             />
@@ -673,7 +619,9 @@ const ExteriorAreasStep = ({ formData, onUpdate, onNext, onPrevious }) => {
                           </Space.Compact>
                           {item.dimensions && (
                             <Text type="success" style={{ fontSize: 10, display: 'block', marginTop: 2, color: '#52c41a', fontWeight: 500 }}>
-                              ✓ Calculated: {item.categoryName.includes('Wall') ? (
+                              ✓ Calculated: {item.dimensions.formula ? (
+                                <>{item.dimensions.formula} = {unitUtils.formatQuantity(item.quantity || 0, item.measurementUnit, unitSystem)}</>
+                              ) : item.categoryName.includes('Wall') ? (
                                 <>2×({item.dimensions.length}+{item.dimensions.width})×{item.dimensions.height} = {item.quantity || 0} sqft</>
                               ) : item.categoryName.includes('Deck') ? (
                                 <>{item.dimensions.length}×{item.dimensions.width} = {item.quantity || 0} sqft</>
@@ -711,9 +659,10 @@ const ExteriorAreasStep = ({ formData, onUpdate, onNext, onPrevious }) => {
                                 style={{ width: '100%' }}
                                 min={0}
                                 step={0.5}
-                                value={item.gallons}
-                                onChange={(value) => updateLaborItem(area.id, item.categoryName, 'gallons', value)}
-                                placeholder="Gallons"
+                                value={unitUtils.toDisplayQuantity(item.gallons, 'gallon', unitSystem)}
+                                onChange={(value) => updateLaborItem(area.id, item.categoryName, 'gallons', unitUtils.toCanonicalQuantity(value, 'gallon', unitSystem))}
+                                placeholder={unitUtils.isMetric(unitSystem) ? 'Litres' : 'Gallons'}
+                                addonAfter={getUnitLabel('gallon')}
                               />
                             </Space.Compact>
                           </Col>
@@ -810,6 +759,7 @@ const ExteriorAreasStep = ({ formData, onUpdate, onNext, onPrevious }) => {
       {/* Dimension Calculator Modal */}
       <DimensionCalculator
         surfaceType={dimensionCalc.categoryName}
+        unitSystem={unitSystem}
         visible={dimensionCalc.visible}
         onCalculate={handleDimensionCalculation}
         onCancel={() => setDimensionCalc({ visible: false, areaId: null, categoryName: null })}
@@ -22,35 +22,11 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { Card, Button, Row, Col, Typography, InputNumber, Space, Divider, Alert, message, Grid } from 'antd';
 import { PlusOutlined, MinusOutlined, InfoCircleOutlined } from '@ant-design/icons';
+import { FLAT_RATE_ITEMS, getFlatRateItemPrice } from '../../utils/pricingEngine';
 
 const { Title, Text } = Typography;
 const { useBreakpoint } = Grid;
 
-/**
- * Flat rate item definitions with default prices
- * These are fallback prices if contractor settings don't provide custom prices
- */
-const FLAT_RATE_ITEMS = {
-  interior: {
-    doors: { label: 'Doors', unit: 'each', defaultPrice: 85 },
-    smallRooms: { label: 'Small Rooms', unit: 'each', defaultPrice: 350 },
-    mediumRooms: { label: 'Medium Rooms', unit: 'each', defaultPrice: 450 },
-    largeRooms: { label: 'Large Rooms', unit: 'each', defaultPrice: 600 },
-    closets: { label: 'Closets', unit: 'each', defaultPrice: 150 },
-    accentWalls: { label: 'Accent Walls', unit: 'each', defaultPrice: 200 },
-    cabinetFaces: { label: 'Cabinet Faces', unit: 'each', defaultPrice: 125 },
-    cabinetDoors: { label: 'Cabinet Doors', unit: 'each', defaultPrice: 25 }
-  },
-  exterior: {
-    doors: { label: 'Exterior Doors', unit: 'each', defaultPrice: 95 },
-    windows: { label: 'Windows', unit: 'each', defaultPrice: 75 },
-    garageDoors1Car: { label: '1-Car Garage Doors', unit: 'each', defaultPrice: 150 },
-    garageDoors2Car: { label: '2-Car Garage Doors', unit: 'each', defaultPrice: 200 },
-    garageDoors3Car: { label: '3-Car Garage Doors', unit: 'each', defaultPrice: 250 },
-    shutters: { label: 'Shutters', unit: 'each', defaultPrice: 50 }
-  }
-};
-
 const FlatRatePricingStep = ({ formData, onUpdate, onNext, onPrevious }) => {
   const screens = useBreakpoint();
   const isMobile = !screens.md;
@@ -67,26 +43,13 @@ const FlatRatePricingStep = ({ formData, onUpdate, onNext, onPrevious }) => {
 
   // Initialize unit prices from contractor settings
   useEffect(() => {
-    const settingsPrices = contractorSettings.flatRateUnitPrices || {};
-    const defaultPrices = {};
-    
-    // Map contractor settings to component keys
-    const priceMapping = {
-      'interior_doors': settingsPrices.door || 85,
-      'interior_smallRooms': settingsPrices.room_small || 350,
-      'interior_mediumRooms': settingsPrices.room_medium || 450,
-      'interior_largeRooms': settingsPrices.room_large || 600,
-      'interior_closets': settingsPrices.closet || 150,
-      'interior_accentWalls': settingsPrices.accent_wall || 200,
-      'interior_cabinetFaces': settingsPrices.cabinet_face || 125,
-      'interior_cabinetDoors': settingsPrices.cabinet_door || 25,
-      'exterior_doors': settingsPrices.exterior_door || 95,
-      'exterior_windows': settingsPrices.window || 75,
-      'exterior_garageDoors1Car': settingsPrices.garage_door_1car || 150,
-      'exterior_garageDoors2Car': settingsPrices.garage_door_2car || 200,
-      'exterior_garageDoors3Car': settingsPrices.garage_door_3car || 250,
-      'exterior_shutters': settingsPrices.shutters || 50,
-    };
+    // Map contractor settings to component keys, falling back to default prices
+    const priceMapping = {};
+    Object.entries(FLAT_RATE_ITEMS).forEach(([category, items]) => {
+      Object.keys(items).forEach(key => {
+        priceMapping[`${category}_${key}`] = getFlatRateItemPrice(category, key, contractorSettings);
+      });
+    });
     
     setUnitPrices(priceMapping);
   }, [contractorSettings]);
@@ -1,19 +1,15 @@
 import { useState, useEffect } from 'react';
 import { Form, Input, InputNumber, Radio, Card, Space, Alert, Button } from 'antd';
 import { HomeOutlined } from '@ant-design/icons';
+import { DEFAULT_CONDITION_MULTIPLIERS, DEFAULT_STORY_MULTIPLIERS } from '../../utils/pricingEngine';
 
 const HomeSizeStep = ({ formData, setFormData, onNext, onPrevious, pricingSchemes }) => {
   const [form] = Form.useForm();
   const [estimatedPrice, setEstimatedPrice] = useState(null);
 
-  // Property condition multipliers per requirements
-  const conditionMultipliers = {
-    excellent: 1.00,
-    good: 1.05,
-    average: 1.12,
-    fair: 1.25,
-    poor: 1.45,
-  };
+  // Condition and story multipliers configured in the pricing engine settings
+  const conditionMultipliers = formData.contractorSettings?.turnkey?.conditionMultipliers || DEFAULT_CONDITION_MULTIPLIERS;
+  const storyMultipliers = formData.contractorSettings?.turnkey?.storyMultipliers || DEFAULT_STORY_MULTIPLIERS;
 
   useEffect(() => {
     // Initialize form with existing data
@@ -86,9 +82,9 @@ const HomeSizeStep = ({ formData, setFormData, onNext, onPrevious, pricingScheme
             extra="How many floors does your home have?"
           >
             <Radio.Group size="large">
-              <Radio.Button value={1}>Single Story</Radio.Button>
-              <Radio.Button value={2}>Two Story</Radio.Button>
-              <Radio.Button value={3}>Three Story+</Radio.Button>
+              <Radio.Button value={1}>Single Story ({storyMultipliers[1].toFixed(2)}x)</Radio.Button>
+              <Radio.Button value={2}>Two Story ({storyMultipliers[2].toFixed(2)}x)</Radio.Button>
+              <Radio.Button value={3}>Three Story+ ({storyMultipliers[3].toFixed(2)}x)</Radio.Button>
             </Radio.Group>
           </Form.Item>
 
@@ -98,11 +94,11 @@ const HomeSizeStep = ({ formData, setFormData, onNext, onPrevious, pricingScheme
             extra="Current condition affects preparation requirements"
           >
             <Radio.Group size="large" buttonStyle="solid">
-              <Radio.Button value="excellent">Excellent (1.00x)</Radio.Button>
-              <Radio.Button value="good">Good (1.05x)</Radio.Button>
-              <Radio.Button value="average">Average (1.12x)</Radio.Button>
-              <Radio.Button value="fair">Fair (1.25x)</Radio.Button>
-              <Radio.Button value="poor">Poor (1.45x)</Radio.Button>
+              <Radio.Button value="excellent">Excellent ({conditionMultipliers.excellent.toFixed(2)}x)</Radio.Button>
+              <Radio.Button value="good">Good ({conditionMultipliers.good.toFixed(2)}x)</Radio.Button>
+              <Radio.Button value="average">Average ({conditionMultipliers.average.toFixed(2)}x)</Radio.Button>
+              <Radio.Button value="fair">Fair ({conditionMultipliers.fair.toFixed(2)}x)</Radio.Button>
+              <Radio.Button value="poor">Poor ({conditionMultipliers.poor.toFixed(2)}x)</Radio.Button>
             </Radio.Group>
           </Form.Item>
 
@@ -0,0 +1,98 @@
+// src/components/QuoteBuilder/OpeningsEditor.jsx
+import React from 'react';
+import { Button, InputNumber, Select, Space, Typography } from 'antd';
+import { PlusOutlined, DeleteOutlined } from '@ant-design/icons';
+import { OPENING_PRESETS, createOpening } from '../../utils/dimensionUtils';
+import { isMetric, toDisplayQuantity } from '../../utils/unitUtils';
+
+const { Text } = Typography;
+const { Option } = Select;
+
+/**
+ * Editable list of wall openings (doors, windows, sliders) to deduct from wall area.
+ * Each row is count × width × height; picking a preset fills in standard sizes.
+ * Sizes are in the calculator's units (presets are converted to metres for metric tenants).
+ */
+const OpeningsEditor = ({ openings = [], onChange, unitSystem }) => {
+  const toSize = (feet) => toDisplayQuantity(feet, 'length', unitSystem);
+  const sizeStep = isMetric(unitSystem) ? 0.1 : 0.5;
+
+  const addOpening = (preset) => {
+    const opening = createOpening(preset);
+    onChange([...openings, { ...opening, width: toSize(opening.width), height: toSize(opening.height) }]);
+  };
+
+  const updateOpening = (id, changes) => {
+    onChange(openings.map(opening => (opening.id === id ? { ...opening, ...changes } : opening)));
+  };
+
+  const handlePresetChange = (id, preset) => {
+    const { kind, label, width, height } = OPENING_PRESETS[preset];
+    updateOpening(id, { preset, kind, label, width: toSize(width), height: toSize(height) });
+  };
+
+  return (
+    <div>
+      {openings.map(opening => (
+        <Space key={opening.id} align="center" wrap style={{ marginBottom: 8 }}>
+          <Select
+            size="small"
+            value={opening.preset}
+            onChange={(preset) => handlePresetChange(opening.id, preset)}
+            style={{ width: 150 }}
+          >
+            {Object.entries(OPENING_PRESETS).map(([key, preset]) => (
+              <Option key={key} value={key}>{preset.label}</Option>
+            ))}
+          </Select>
+          <InputNumber
+            size="small"
+            min={0}
+            value={opening.count}
+            onChange={(count) => updateOpening(opening.id, { count })}
+            addonAfter="×"
+            style={{ width: 80 }}
+          />
+          <InputNumber
+            size="small"
+            min={0}
+            step={sizeStep}
+            value={opening.width}
+            onChange={(width) => updateOpening(opening.id, { width })}
+            addonAfter="W"
+            style={{ width: 90 }}
+          />
+          <InputNumber
+            size="small"
+            min={0}
+            step={sizeStep}
+            value={opening.height}
+            onChange={(height) => updateOpening(opening.id, { height })}
+            addonAfter="H"
+            style={{ width: 90 }}
+          />
+          <Button
+            size="small"
+            type="text"
+            danger
+            icon={<DeleteOutlined />}
+            onClick={() => onChange(openings.filter(o => o.id !== opening.id))}
+          />
+        </Space>
+      ))}
+      <Space>
+        <Button size="small" icon={<PlusOutlined />} onClick={() => addOpening('standard_door')}>
+          Door
+        </Button>
+        <Button size="small" icon={<PlusOutlined />} onClick={() => addOpening('standard_window')}>
+          Window
+        </Button>
+        {openings.length === 0 && (
+          <Text type="secondary" style={{ fontSize: 12 }}>No openings deducted</Text>
+        )}
+      </Space>
+    </div>
+  );
+};
+
+export default OpeningsEditor;
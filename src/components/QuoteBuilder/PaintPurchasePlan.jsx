@@ -0,0 +1,87 @@
+// src/components/QuoteBuilder/PaintPurchasePlan.jsx
+/**
+ * PaintPurchasePlan Component
+ *
+ * Shows what to buy for the quote: for each product + color, the gallons needed across
+ * all areas and the cheapest mix of quarts, gallons and 5-gallon pails that covers it.
+ * The plan total is the material cost used by the pricing engine.
+ *
+ * @param {Object} calculatedQuote - Result of calculateQuotePricing
+ * @param {Object} formData - Quote builder form data (used for the unit system)
+ */
+import React from 'react';
+import { Card, Table, Tag, Typography, Tooltip } from 'antd';
+import { ShoppingCartOutlined } from '@ant-design/icons';
+import { getUnitSystem, formatPaintQuantity } from '../../utils/unitUtils';
+
+const { Text } = Typography;
+
+const PaintPurchasePlan = ({ calculatedQuote, formData = {} }) => {
+  const plan = calculatedQuote?.paintPurchase;
+  if (!plan || plan.items.length === 0) return null;
+
+  const unitSystem = getUnitSystem(formData);
+
+  const columns = [
+    {
+      title: 'Product',
+      key: 'product',
+      render: (_, record) => (
+        <Tooltip title={record.surfaces.join(', ')}>
+          <Text strong>{record.brandName ? `${record.brandName} - ` : ''}{record.productName}</Text>
+        </Tooltip>
+      )
+    },
+    {
+      title: 'Color',
+      dataIndex: 'color',
+      key: 'color',
+      render: (val) => val || <Text type="secondary">Not specified</Text>
+    },
+    {
+      title: 'Needed',
+      dataIndex: 'gallonsNeeded',
+      key: 'gallonsNeeded',
+      render: (val) => formatPaintQuantity(Math.round(val * 100) / 100, unitSystem)
+    },
+    {
+      title: 'Buy',
+      dataIndex: 'containers',
+      key: 'containers',
+      render: (containers) => containers.map(container => (
+        <Tag key={container.key} style={{ marginBottom: 4 }}>
+          {container.count} × {container.label}{container.unitPrice > 0 ? ` @ $${container.unitPrice.toFixed(2)}` : ''}
+        </Tag>
+      ))
+    },
+    {
+      title: 'Cost',
+      dataIndex: 'cost',
+      key: 'cost',
+      align: 'right',
+      render: (val) => `$${val.toFixed(2)}`
+    }
+  ];
+
+  return (
+    <Card
+      title={<span><ShoppingCartOutlined /> Paint Purchase</span>}
+      extra={calculatedQuote.includeMaterials === false && <Tag>Materials not included in price</Tag>}
+      style={{ marginBottom: 16 }}
+    >
+      <Table
+        size="small"
+        pagination={false}
+        rowKey={(record) => `${record.productId}-${record.color}`}
+        dataSource={plan.items}
+        columns={columns}
+        scroll={{ x: 'max-content' }}
+      />
+      <div style={{ marginTop: 8, textAlign: 'right' }}>
+        <Text strong>Paint Total: ${plan.totalCost.toFixed(2)}</Text>
+      </div>
+    </Card>
+  );
+};
+
+export default PaintPurchasePlan;
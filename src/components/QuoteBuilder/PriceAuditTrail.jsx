@@ -0,0 +1,125 @@
+// src/components/QuoteBuilder/PriceAuditTrail.jsx
+/**
+ * PriceAuditTrail Component
+ *
+ * Expandable "why is this number what it is" view for the quote summary.
+ * Shows, for every line item, where the labor rate came from and how labor,
+ * gallons and material cost were derived, followed by each markup, overhead,
+ * profit and tax step. The same trail can be downloaded as JSON.
+ *
+ * @param {Object} calculatedQuote - Result of calculateQuotePricing
+ * @param {Object} formData - Quote builder form data (used for quote identifiers)
+ */
+import React, { useMemo } from 'react';
+import { Card, Button, Collapse, Table, Tag, Typography, Empty } from 'antd';
+import { DownloadOutlined, AuditOutlined } from '@ant-design/icons';
+import { buildPriceAuditTrail } from '../../utils/pricingEngine';
+import { getUnitSystem, isMetric, formatQuantity, formatPaintQuantity } from '../../utils/unitUtils';
+
+const { Text } = Typography;
+
+const SOURCE_COLORS = {
+  laborRates: 'blue',
+  flatRateUnitPrices: 'purple',
+  productionRates: 'green',
+  turnkey: 'gold',
+  default: 'default'
+};
+
+const PriceAuditTrail = ({ calculatedQuote, formData = {} }) => {
+  const auditTrail = useMemo(() => buildPriceAuditTrail(calculatedQuote, {
+    quoteId: formData.quoteId || null,
+    quoteNumber: formData.quoteNumber || null,
+    customerName: formData.customerName || null
+  }), [calculatedQuote, formData.quoteId, formData.quoteNumber, formData.customerName]);
+
+  if (!auditTrail) return null;
+
+  // Formulas stay in the stored imperial units; metric tenants also see the converted quantity
+  const unitSystem = getUnitSystem(formData);
+
+  const handleExport = () => {
+    const json = JSON.stringify(auditTrail, null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `price-audit-${auditTrail.quoteNumber || auditTrail.quoteId || 'draft'}.json`;
+    a.click();
+    window.URL.revokeObjectURL(url);
+  };
+
+  const lineItemPanels = auditTrail.lineItems.map((item, index) => ({
+    key: `${index}`,
+    label: (
+      <span>
+        <Text strong>{item.area}</Text> — {item.surface}
+        {item.laborRateSource && (
+          <Tag color={SOURCE_COLORS[item.laborRateSource] || 'default'} style={{ marginLeft: 8 }}>
+            {item.laborRateSource}
+          </Tag>
+        )}
+      </span>
+    ),
+    extra: <Text>${(item.laborCost + item.materialCost).toFixed(2)}</Text>,
+    children: (
+      <div style={{ fontSize: 13 }}>
+        <div>
+          Quantity: {item.quantity} {item.unit}
+          {isMetric(unitSystem) && ['sqft', 'linear_foot'].includes(item.unit) ? ` (${formatQuantity(item.quantity, item.unit, unitSystem)})` : ''}
+          {item.coats > 0 ? ` · ${item.coats} coats` : ''}
+          {isMetric(unitSystem) && item.gallons > 0 ? ` · ${formatPaintQuantity(item.gallons, unitSystem)}` : ''}
+        </div>
+        {item.laborFormula && <div>Labor: <Text code>{item.laborFormula}</Text></div>}
+        {item.materialFormula && <div>Material: <Text code>{item.materialFormula}</Text></div>}
+      </div>
+    )
+  }));
+
+  return (
+    <Card
+      title={<span><AuditOutlined /> Price Audit Trail</span>}
+      extra={
+        <Button size="small" icon={<DownloadOutlined />} onClick={handleExport}>
+          Export JSON
+        </Button>
+      }
+      style={{ marginBottom: 16 }}
+    >
+      <Collapse
+        ghost
+        items={[{
+          key: 'audit',
+          label: 'Show how this price was calculated',
+          children: (
+            <>
+              {lineItemPanels.length > 0 ? (
+                <Collapse size="small" items={lineItemPanels} style={{ marginBottom: 16 }} />
+              ) : (
+                <Empty description="No priced line items" image={Empty.PRESENTED_IMAGE_SIMPLE} />
+              )}
+
+              <Table
+                size="small"
+                pagination={false}
+                rowKey="label"
+                dataSource={auditTrail.adjustments}
+                columns={[
+                  { title: 'Step', dataIndex: 'label', key: 'label' },
+                  { title: 'Calculation', dataIndex: 'formula', key: 'formula', render: (val) => <Text code>{val}</Text> },
+                  { title: 'Amount', dataIndex: 'amount', key: 'amount', align: 'right', render: (val) => `$${val?.toFixed(2) || '0.00'}` }
+                ]}
+              />
+
+              <div style={{ marginTop: 8, textAlign: 'right' }}>
+                <Text strong>Total: ${auditTrail.totals.total?.toFixed(2) || '0.00'}</Text>
+              </div>
+            </>
+          )
+        }]}
+      />
+    </Card>
+  );
+};
+
+export default PriceAuditTrail;
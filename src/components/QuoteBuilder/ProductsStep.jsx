@@ -1,6 +1,6 @@
 // src/components/QuoteBuilder/ProductsStep.jsx
 import React, { useState, useEffect } from 'react';
-import { Card, Button, Alert, Row, Col, Typography, Select, Radio, Checkbox, Space, Modal, Divider, Tag, Collapse, Empty, Grid } from 'antd';
+import { Card, Button, Alert, Row, Col, Typography, Select, Radio, Checkbox, Space, Modal, Divider, Tag, Collapse, Empty, Grid, Input } from 'antd';
 import { CopyOutlined, CheckOutlined } from '@ant-design/icons';
 import PropTypes from 'prop-types';
 import { apiService } from '../../services/apiService';
@@ -227,6 +227,13 @@ const ProductsStep = ({ formData, onUpdate, onNext, onPrevious, pricingSchemes }
         });
     };
 
+    // Paint color for an area surface; surfaces sharing a product and color are purchased together
+    const updateProductSetColor = (areaId, surfaceType, color) => {
+        setProductSets(prev => prev.map(set =>
+            set.areaId === areaId && set.surfaceType === surfaceType ? { ...set, color } : set
+        ));
+    };
+
     // Copy product to all surfaces for the same tier (for production/rate-based pricing)
     const copyProductToAllSurfaces = (tier, productId) => {
         Modal.confirm({
@@ -1076,6 +1083,14 @@ const ProductsStep = ({ formData, onUpdate, onNext, onPrevious, pricingSchemes }
                                                                 </Row>
                                                             )
                                                             }
+                                                            <Input
+                                                                size="small"
+                                                                style={{ marginTop: 8 }}
+                                                                addonBefore="Color"
+                                                                placeholder="e.g. SW 7005 Pure White"
+                                                                value={set.color}
+                                                                onChange={(e) => updateProductSetColor(area.id, surface.name || surface.id, e.target.value)}
+                                                            />
                                                         </Card>
                                                     );
                                                 })}
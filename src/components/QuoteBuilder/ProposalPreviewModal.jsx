@@ -1,20 +1,32 @@
 // src/components/QuoteBuilder/ProposalPreviewModal.jsx
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { Modal, Spin, Typography, Divider, Row, Col, Card, Button, Space, Tag, Alert, Collapse } from 'antd';
 import { DownloadOutlined } from '@ant-design/icons';
 import { apiService } from '../../services/apiService';
 import loadingService from '../../services/loadingService';
 import { calculateGallonsNeeded } from '../../utils/paintUtils';
+import { getPricingMode } from '../../utils/pricingUtils';
+import { calculateQuotePricing, buildProductsMap } from '../../utils/pricingEngine';
+import { getUnitSystem, formatQuantity, formatPaintQuantity } from '../../utils/unitUtils';
 
 const { Title, Paragraph, Text } = Typography;
 
-const ProposalPreviewModal = ({ visible, onClose, quoteData, calculatedQuote, pricingSchemes }) => {
+const ProposalPreviewModal = ({ visible, onClose, quoteData, calculatedQuote: providedQuote, pricingSchemes }) => {
   const [settings, setSettings] = useState(null);
   const [products, setProducts] = useState({});
   const [proposalDefaults, setProposalDefaults] = useState({});
   const [loading, setLoading] = useState(false);
   const [downloading, setDownloading] = useState(false);
   const proposalRef = useRef(null);
+  const unitSystem = getUnitSystem(quoteData || {});
+
+  // Use the summary's pricing when provided so the preview always matches it
+  const calculatedQuote = useMemo(() => {
+    if (providedQuote) return providedQuote;
+    if (!quoteData) return null;
+    const scheme = pricingSchemes?.find(s => s.id === quoteData.pricingSchemeId);
+    return calculateQuotePricing({ ...quoteData, schemeType: scheme?.type, products });
+  }, [providedQuote, quoteData, pricingSchemes, products]);
 
   useEffect(() => {
     if (visible) {
@@ -35,32 +47,7 @@ const ProposalPreviewModal = ({ visible, onClose, quoteData, calculatedQuote, pr
       // Fetch products for product names
       const productsRes = await apiService.get('/contractor/product-configs');
       if (productsRes.success) {
-        const productMap = {};
-        (productsRes.data || []).forEach(config => {
-          // Support both custom and global products
-          let brandName, productName;
-          
-          if (config.isCustom && config.customProduct) {
-            // Custom product
-            brandName = config.customProduct.brandName || 'Custom';
-            productName = config.customProduct.name || 'Custom Product';
-          } else if (config.globalProduct) {
-            // Global product
-            brandName = config.globalProduct.brand?.name || 'Unknown';
-            productName = config.globalProduct.name || 'Unknown';
-          } else {
-            // Fallback
-            brandName = 'Unknown';
-            productName = 'Unknown Product';
-          }
-          
-          productMap[config.id] = {
-            brandName,
-            productName,
-            pricePerGallon: config.sheens?.[0]?.price || 0,
-            isCustom: config.isCustom || false
-          };
-        });
+        const productMap = buildProductsMap(productsRes.data || []);
         setProducts(productMap);
       }
 
@@ -90,45 +77,22 @@ const ProposalPreviewModal = ({ visible, onClose, quoteData, calculatedQuote, pr
     return scheme?.type || 'standard';
   };
 
-  const isTurnkey = () => {
-    const schemeType = getPricingSchemeType();
-    return schemeType === 'turnkey' || schemeType === 'sqft_turnkey';
-  };
+  const isTurnkey = () => getPricingMode(getPricingSchemeType()) === 'turnkey';
 
   const isAreaWise = () => {
-    const schemeType = getPricingSchemeType();
-    return schemeType === 'production_based' || schemeType === 'rate_based';
+    const mode = getPricingMode(getPricingSchemeType());
+    return mode === 'production' || mode === 'rate_sqft';
   };
 
-  const isFlatRate = () => {
-    const schemeType = getPricingSchemeType();
-    return schemeType === 'flat_rate_unit';
-  };
+  const isFlatRate = () => getPricingMode(getPricingSchemeType()) === 'flat_unit';
 
   /**
-   * Calculate gallons needed for a surface type based on areas
+   * Gallons needed for a surface type, summed from the pricing engine's line items
+   * so the preview lists the same quantities the quote is priced on
    */
-  const calculateGallonsForSurface = (surfaceType) => {
-    let totalSqft = 0;
-    
-    (quoteData.areas || []).forEach(area => {
-      if (area.laborItems) {
-        area.laborItems.forEach(item => {
-          if (item.selected && item.categoryName === surfaceType && item.quantity) {
-            totalSqft += Number(item.quantity) || 0;
-          }
-        });
-      }
-    });
-    
-    if (totalSqft === 0) return 0;
-    
-    const coverage = quoteData.coverage || 350;
-    const coats = quoteData.coats || 2;
-    const gallons = (totalSqft / coverage) * coats;
-    
-    return Math.max(gallons, 0);
-  };
+  const calculateGallonsForSurface = (surfaceType) => (calculatedQuote?.lineItems || [])
+    .filter(item => item.categoryName === surfaceType)
+    .reduce((sum, item) => sum + (Number(item.gallons) || 0), 0);
 
   /**
    * Build product tiers properly from surface-type-based productSets
@@ -324,6 +288,9 @@ const ProposalPreviewModal = ({ visible, onClose, quoteData, calculatedQuote, pr
             type: surfaceType,
             quantity: item.quantity,
             unit: item.measurementUnit,
+            grossArea: item.dimensions?.grossArea || null,
+            openingsArea: item.dimensions?.openingsArea || 0,
+            openingsCount: (item.dimensions?.openings || []).reduce((sum, o) => sum + (Number(o.count) || 0), 0),
             tiers: {},
             isOverridden: productSet ? true : false
           };
@@ -434,11 +401,11 @@ const ProposalPreviewModal = ({ visible, onClose, quoteData, calculatedQuote, pr
   const acceptanceText = pd.legalAcknowledgement || pd.signatureStatement || '';
 
   const totalInvestment = calculatedQuote?.total || 0;
-  // Prefer tenant settings depositPercentage, then proposal defaults, then calculatedQuote
-  const settingsDeposit = settings && settings.depositPercentage ? parseFloat(settings.depositPercentage) : null;
-  const pdDeposit = (pd && Number.isFinite(pd.depositPercent)) ? Number(pd.depositPercent) : null;
+  // Prefer the pricing engine deposit, then proposal defaults, then tenant settings
   const calcDeposit = Number.isFinite(calculatedQuote?.depositPercent) ? calculatedQuote.depositPercent : null;
-  const depositPercent = (Number.isFinite(settingsDeposit) ? settingsDeposit : (pdDeposit != null ? pdDeposit : (calcDeposit != null ? calcDeposit : null)));
+  const pdDeposit = (pd && Number.isFinite(pd.depositPercent)) ? Number(pd.depositPercent) : null;
+  const settingsDeposit = settings && settings.depositPercentage ? parseFloat(settings.depositPercentage) : null;
+  const depositPercent = calcDeposit != null ? calcDeposit : (pdDeposit != null ? pdDeposit : (Number.isFinite(settingsDeposit) ? settingsDeposit : null));
   const depositAmount = (depositPercent != null) ? (totalInvestment * (depositPercent / 100)) : (calculatedQuote?.deposit || 0);
   const balanceAmount = Math.max(0, totalInvestment - (depositAmount || 0));
   const balancePercent = (depositPercent != null) ? (100 - depositPercent) : (calculatedQuote?.balancePercent ?? null);
@@ -693,7 +660,7 @@ const ProposalPreviewModal = ({ visible, onClose, quoteData, calculatedQuote, pr
                               )}
                             </td>
                             <td style={{ padding: '10px', textAlign: 'center', fontWeight: '600', color: '#1890ff' }}>
-                              {Math.ceil(row.gallons)} gal
+                              {formatPaintQuantity(row.gallons, unitSystem, { wholeGallons: true })}
                             </td>
                           </tr>
                         ));
@@ -744,7 +711,7 @@ const ProposalPreviewModal = ({ visible, onClose, quoteData, calculatedQuote, pr
                               </div>
                               <div style={{ textAlign: 'right' }}>
                                 <Text strong style={{ fontSize: '14px', color: '#1890ff' }}>
-                                  {Math.ceil(info.gallons)} gal
+                                  {formatPaintQuantity(info.gallons, unitSystem, { wholeGallons: true })}
                                 </Text>
                               </div>
                             </div>
@@ -959,8 +926,13 @@ const ProposalPreviewModal = ({ visible, onClose, quoteData, calculatedQuote, pr
                         <Space>
                           <Text strong>{surface.type}</Text>
                           <Tag color="geekblue" style={{ fontSize: 11 }}>
-                            {surface.quantity} {surface.unit === 'sqft' ? 'sq ft' : surface.unit === 'linear_foot' ? 'LF' : surface.unit === 'unit' ? 'units' : surface.unit}
+                            {formatQuantity(surface.quantity, surface.unit, unitSystem)}
                           </Tag>
+                          {surface.openingsArea > 0 && (
+                            <Text type="secondary" style={{ fontSize: 11 }}>
+                              net of {formatQuantity(surface.grossArea, 'sqft', unitSystem)} gross − {formatQuantity(Math.round(surface.openingsArea), 'sqft', unitSystem)} ({surface.openingsCount} openings)
+                            </Text>
+                          )}
                           {surface.isOverridden && (
                             <Tag color="orange" style={{ fontSize: 11 }}>Custom</Tag>
                           )}
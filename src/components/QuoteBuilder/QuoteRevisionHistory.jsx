@@ -0,0 +1,239 @@
+// src/components/QuoteBuilder/QuoteRevisionHistory.jsx
+/**
+ * QuoteRevisionHistory Component
+ *
+ * Drawer listing every sent revision of a quote with who sent it and what changed from the
+ * revision before, a side-by-side diff between any two revisions, and restoring an older
+ * revision onto the quote as a new draft.
+ *
+ * @param {boolean} open
+ * @param {Function} onClose
+ * @param {Object} quote - { id, quoteNumber, status }
+ * @param {Function} onRestored - Called with the restored draft quote
+ */
+import React, { useState, useEffect, useMemo } from 'react';
+import { Drawer, Button, Select, Table, Tag, Space, Empty, Spin, Typography, Modal, message } from 'antd';
+import { HistoryOutlined, RollbackOutlined, DiffOutlined } from '@ant-design/icons';
+import { quoteBuilderApi } from '../../services/quoteBuilderApi';
+import quoteApiService from '../../services/quoteApiService';
+import {
+  getRevisionAuthor,
+  diffQuoteRevisions,
+  summarizeRevisionChanges,
+  formatRevisionValue
+} from '../../utils/quoteRevisions';
+
+const { Text } = Typography;
+const { Option } = Select;
+
+const CHANGE_COLORS = {
+  added: 'green',
+  removed: 'red',
+  changed: 'blue'
+};
+
+const formatDate = (date) => new Date(date).toLocaleString('en-US', {
+  month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+});
+
+const formatTotal = (revision) => `$${Number(revision.snapshot?.calculation?.total || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const QuoteRevisionHistory = ({ open, onClose, quote, onRestored }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [pricingSchemes, setPricingSchemes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState(null);
+  const [restoringId, setRestoringId] = useState(null);
+
+  useEffect(() => {
+    if (!open || !quote?.id) return;
+
+    const fetchRevisions = async () => {
+      try {
+        setLoading(true);
+        // Schemes only name the pricing scheme in the diff
+        const [response, schemesResponse] = await Promise.all([
+          quoteBuilderApi.getRevisions(quote.id),
+          quoteApiService.getPricingSchemes().catch(() => ({ data: [] }))
+        ]);
+        const list = (response.revisions || response.data || [])
+          .map((revision, index) => ({ ...revision, revisionNumber: revision.revisionNumber ?? index + 1 }));
+        setRevisions(list);
+        setPricingSchemes(schemesResponse.data || []);
+        // Start on what changed in the latest send
+        setFromId(list.length > 1 ? list[list.length - 2].id : null);
+        setToId(list.length > 0 ? list[list.length - 1].id : null);
+      } catch (error) {
+        console.error('Error loading quote revisions:', error);
+        message.error('Failed to load revision history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRevisions();
+  }, [open, quote?.id]);
+
+  const fromRevision = revisions.find(revision => revision.id === fromId);
+  const toRevision = revisions.find(revision => revision.id === toId);
+
+  const diffRows = useMemo(() => (
+    fromRevision && toRevision ? diffQuoteRevisions(fromRevision.snapshot, toRevision.snapshot) : []
+  ), [fromRevision, toRevision]);
+
+  const lookups = useMemo(() => ({
+    pricingSchemes,
+    products: { ...fromRevision?.snapshot?.productNames, ...toRevision?.snapshot?.productNames }
+  }), [pricingSchemes, fromRevision, toRevision]);
+
+  // What each revision changed from the one sent before it
+  const changeSummaries = useMemo(() => revisions.reduce((acc, revision, index) => {
+    acc[revision.id] = index > 0
+      ? summarizeRevisionChanges(diffQuoteRevisions(revisions[index - 1].snapshot, revision.snapshot))
+      : null;
+    return acc;
+  }, {}), [revisions]);
+
+  const compareWithPrevious = (index) => {
+    setFromId(revisions[index - 1].id);
+    setToId(revisions[index].id);
+  };
+
+  const handleRestore = (revision) => {
+    Modal.confirm({
+      title: `Restore revision ${revision.revisionNumber}?`,
+      content: 'The quote goes back to draft with the areas, products and pricing from this revision. Every sent revision stays in the history, and the customer sees nothing until you send it again.',
+      okText: 'Restore as Draft',
+      onOk: async () => {
+        try {
+          setRestoringId(revision.id);
+          const response = await quoteBuilderApi.restoreRevision(quote.id, revision.id);
+          if (response.success) {
+            message.success(`Revision ${revision.revisionNumber} restored as a draft`);
+            onRestored?.(response.quote || response.data);
+          }
+        } catch (error) {
+          console.error('Error restoring quote revision:', error);
+          message.error(error.response?.data?.message || 'Failed to restore revision');
+        } finally {
+          setRestoringId(null);
+        }
+      }
+    });
+  };
+
+  const diffColumns = [
+    { title: 'Section', dataIndex: 'group', key: 'group', width: 140 },
+    {
+      title: 'Field',
+      key: 'label',
+      width: 180,
+      render: (_, row) => (
+        <span>
+          {row.label} <Tag color={CHANGE_COLORS[row.change]}>{row.change}</Tag>
+        </span>
+      )
+    },
+    {
+      title: fromRevision ? `Revision ${fromRevision.revisionNumber}` : 'From',
+      key: 'before',
+      render: (_, row) => <Text type={row.change === 'removed' ? 'danger' : 'secondary'}>{formatRevisionValue(row.before, row, lookups)}</Text>
+    },
+    {
+      title: toRevision ? `Revision ${toRevision.revisionNumber}` : 'To',
+      key: 'after',
+      render: (_, row) => <Text strong>{formatRevisionValue(row.after, row, lookups)}</Text>
+    }
+  ];
+
+  const revisionOptions = revisions.map(revision => (
+    <Option key={revision.id} value={revision.id}>
+      Revision {revision.revisionNumber} — {formatDate(revision.createdAt)}
+    </Option>
+  ));
+
+  return (
+    <Drawer
+      title={<span><HistoryOutlined style={{ marginRight: 8 }} />Revision History{quote?.quoteNumber ? ` — #${quote.quoteNumber}` : ''}</span>}
+      open={open}
+      onClose={onClose}
+      width={Math.min(960, window.innerWidth)}
+      destroyOnClose
+    >
+      {loading ? (
+        <div style={{ textAlign: 'center', padding: 48 }}><Spin /></div>
+      ) : revisions.length === 0 ? (
+        <Empty description="No revisions yet. A revision is kept each time the quote is sent." />
+      ) : (
+        <>
+          <div style={{ marginBottom: 24 }}>
+            {[...revisions].reverse().map(revision => {
+              const index = revisions.indexOf(revision);
+              const summary = changeSummaries[revision.id];
+              return (
+                <div key={revision.id} style={{ borderBottom: '1px solid #f0f0f0', padding: '12px 0' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 8, flexWrap: 'wrap' }}>
+                    <div>
+                      <Space size="small" wrap>
+                        <Text strong>Revision {revision.revisionNumber}</Text>
+                        <Tag color={index === 0 ? 'blue' : 'purple'}>{index === 0 ? 'Sent' : 'Re-sent'}</Tag>
+                        {index === revisions.length - 1 && <Tag color="green">Latest</Tag>}
+                        <Text>{formatTotal(revision)}</Text>
+                      </Space>
+                      <div>
+                        <Text type="secondary" style={{ fontSize: 12 }}>
+                          {getRevisionAuthor(revision)} · {formatDate(revision.createdAt)}
+                        </Text>
+                      </div>
+                      {summary && (
+                        <div style={{ fontSize: 12, marginTop: 4 }}>
+                          {summary.length === 0
+                            ? <Text type="secondary">Sent again with no changes</Text>
+                            : `Changed: ${summary.map(({ group, count }) => `${group} (${count})`).join(', ')}`}
+                        </div>
+                      )}
+                    </div>
+                    <Space size="small">
+                      {index > 0 && (
+                        <Button size="small" icon={<DiffOutlined />} onClick={() => compareWithPrevious(index)}>
+                          Compare
+                        </Button>
+                      )}
+                      <Button
+                        size="small"
+                        icon={<RollbackOutlined />}
+                        loading={restoringId === revision.id}
+                        onClick={() => handleRestore(revision)}
+                      >
+                        Restore
+                      </Button>
+                    </Space>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {revisions.length > 1 && (
+            <>
+              <Space wrap style={{ marginBottom: 12 }}>
+                <Text strong>Compare</Text>
+                <Select value={fromId} onChange={setFromId} style={{ width: 260 }}>{revisionOptions}</Select>
+                <Text>with</Text>
+                <Select value={toId} onChange={setToId} style={{ width: 260 }}>{revisionOptions}</Select>
+              </Space>
+              {diffRows.length === 0 ? (
+                <Empty description="These revisions are identical" />
+              ) : (
+                <Table columns={diffColumns} dataSource={diffRows} rowKey="id" size="small" pagination={false} />
+              )}
+            </>
+          )}
+        </>
+      )}
+    </Drawer>
+  );
+};
+
+export default QuoteRevisionHistory;
@@ -1,35 +1,25 @@
 // src/components/QuoteBuilder/SummaryStep.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Card, Button, Alert, Row, Col, Typography, Descriptions, Divider, Input, Modal, Table, Tag, Space, Statistic, Collapse, Grid } from 'antd';
 import { EditOutlined, SendOutlined, SaveOutlined, CheckCircleOutlined, EyeOutlined } from '@ant-design/icons';
 import { quoteBuilderApi } from '../../services/quoteBuilderApi';
 import { apiService } from '../../services/apiService';
 import loadingService from '../../services/loadingService';
+import leadQuoteService from '../../services/leadQuoteService';
+import { useAuth } from '../../hooks/useAuth';
 import ProposalPreviewModal from './ProposalPreviewModal';
+import PriceAuditTrail from './PriceAuditTrail';
+import PaintPurchasePlan from './PaintPurchasePlan';
 import { calculateGallonsNeeded } from '../../utils/paintUtils';
+import { getPricingMode } from '../../utils/pricingUtils';
+import { calculateQuotePricing, calculateTierPricing, buildProductsMap } from '../../utils/pricingEngine';
+import { buildRevisionSnapshot } from '../../utils/quoteRevisions';
+import { getUnitSystem, getUnitLabel, toDisplayQuantity, toDisplayRate, formatQuantity, formatPaintQuantity } from '../../utils/unitUtils';
 
 const { Title, Text, Paragraph } = Typography;
 const { TextArea } = Input;
 const { useBreakpoint } = Grid;
 
-/**
- * Helper function to detect pricing scheme category
- * @param {string} schemeType - The pricing scheme type
- * @returns {string} - Category: 'turnkey', 'rate_based', 'production_based', 'flat_rate', or 'unknown'
- */
-const getPricingSchemeCategory = (schemeType) => {
-    const TURNKEY_TYPES = ['turnkey', 'sqft_turnkey'];
-    const RATE_BASED_TYPES = ['rate_based_sqft', 'sqft_labor_paint'];
-    const PRODUCTION_TYPES = ['production_based', 'hourly_time_materials'];
-    const FLAT_RATE_TYPES = ['flat_rate_unit', 'unit_pricing', 'room_flat_rate'];
-    
-    if (TURNKEY_TYPES.includes(schemeType)) return 'turnkey';
-    if (RATE_BASED_TYPES.includes(schemeType)) return 'rate_based';
-    if (PRODUCTION_TYPES.includes(schemeType)) return 'production_based';
-    if (FLAT_RATE_TYPES.includes(schemeType)) return 'flat_rate';
-    return 'unknown';
-};
-
 /**
  * Turnkey Pricing Summary Component
  * Displays simplified pricing for turnkey quotes (no detailed breakdown)
@@ -38,20 +28,13 @@ const TurnkeyPricingSummary = ({ formData, calculatedQuote, turnkeyProducts = []
     const screens = useBreakpoint();
     const isMobile = !screens.md;
 
-    const conditionMultipliers = {
-        excellent: 1.00,
-        good: 1.05,
-        average: 1.12,
-        fair: 1.25,
-        poor: 1.45
-    };
-    
-    const multiplier = conditionMultipliers[formData.conditionModifier] || 1.12;
+    const multiplier = calculatedQuote.conditionMultiplier;
+    const storyMultiplier = calculatedQuote.storyMultiplier || 1;
     
     return (
         <Card title="Turnkey Pricing Summary" style={{ marginBottom: 16 }}>
             <Row gutter={isMobile ? 8 : 16}>
-                <Col xs={24} sm={8}>
+                <Col xs={24} sm={6}>
                     <Statistic
                         title="Home Size"
                         value={formData.homeSqft || 0}
@@ -59,7 +42,7 @@ const TurnkeyPricingSummary = ({ formData, calculatedQuote, turnkeyProducts = []
                         valueStyle={{ fontSize: isMobile ? 16 : 20 }}
                     />
                 </Col>
-                <Col xs={24} sm={8}>
+                <Col xs={24} sm={6}>
                     <Statistic
                         title="Base Rate"
                         value={calculatedQuote.baseRate || formData.baseRate || 0}
@@ -69,13 +52,20 @@ const TurnkeyPricingSummary = ({ formData, calculatedQuote, turnkeyProducts = []
                         valueStyle={{ fontSize: isMobile ? 16 : 20 }}
                     />
                 </Col>
-                <Col xs={24} sm={8}>
+                <Col xs={24} sm={6}>
                     <Statistic
                         title="Condition Multiplier"
                         value={`${multiplier}x`}
                         valueStyle={{ fontSize: isMobile ? 16 : 20 }}
                     />
                 </Col>
+                <Col xs={24} sm={6}>
+                    <Statistic
+                        title="Story Multiplier"
+                        value={`${storyMultiplier}x`}
+                        valueStyle={{ fontSize: isMobile ? 16 : 20 }}
+                    />
+                </Col>
             </Row>
             
             <Divider />
@@ -110,7 +100,7 @@ const TurnkeyPricingSummary = ({ formData, calculatedQuote, turnkeyProducts = []
                         </Text>
                         <div style={{ fontSize: isMobile ? '14px' : '16px', marginBottom: 8 }}>
                             {(formData.homeSqft || 0).toLocaleString()} sq ft × 
-                            ${calculatedQuote.baseRate || formData.baseRate || 0} × {multiplier}
+                            ${calculatedQuote.baseRate || formData.baseRate || 0} × {multiplier} × {storyMultiplier}
                         </div>
                         <div style={{ fontSize: isMobile ? '20px' : '24px', fontWeight: 'bold', color: '#1890ff' }}>
                             = ${calculatedQuote.total?.toLocaleString('en-US', { 
@@ -201,13 +191,14 @@ const TurnkeyPricingSummary = ({ formData, calculatedQuote, turnkeyProducts = []
 const SummaryStep = ({ formData, onUpdate, onPrevious, onEdit, pricingSchemes, tierPricing, selectedTier }) => {
     const screens = useBreakpoint();
     const isMobile = !screens.md;
+    const { user } = useAuth();
 
     // Get current pricing scheme and detect category
     const currentScheme = pricingSchemes?.find(s => s.id === formData.pricingSchemeId);
-    const schemeCategory = getPricingSchemeCategory(currentScheme?.type);
-    const isTurnkey = schemeCategory === 'turnkey';
-    const isProductionBased = schemeCategory === 'production_based';
-    const isFlatRate = schemeCategory === 'flat_rate';
+    const pricingMode = getPricingMode(currentScheme?.type);
+    const isTurnkey = pricingMode === 'turnkey';
+    const isProductionBased = pricingMode === 'production';
+    const isFlatRate = pricingMode === 'flat_unit';
     
     // Check if GBB is enabled
     const gbbEnabled = tierPricing && tierPricing.gbbEnabled;
@@ -223,70 +214,23 @@ const SummaryStep = ({ formData, onUpdate, onPrevious, onEdit, pricingSchemes, t
     console.log('======================');
 
     const [notes, setNotes] = useState(formData.notes || '');
-    const [calculatedQuote, setCalculatedQuote] = useState(null);
-    const [loading, setLoading] = useState(false);
     const [sending, setSending] = useState(false);
     const [showProposalPreview, setShowProposalPreview] = useState(false);
-    const [totalEstimatedHours, setTotalEstimatedHours] = useState(0);
     const [productsMap, setProductsMap] = useState({});
-
-    // Calculate total estimated hours for production-based model
-    useEffect(() => {
-        if (isProductionBased && formData.areas && formData.contractorSettings?.productionRates) {
-            let totalHours = 0;
-            const prodRates = formData.contractorSettings.productionRates;
-            const crewSize = formData.contractorSettings.other?.crewSize || 1;
-
-            const getProductionRate = (categoryName) => {
-                const keyMap = {
-                    'Walls': 'interiorWalls',
-                    'Ceilings': 'interiorCeilings',
-                    'Trim': 'interiorTrim',
-                    'Cabinets': 'cabinets',
-                    'Doors': 'doors',
-                    'Exterior Walls': 'exteriorWalls',
-                    'Exterior Trim': 'exteriorTrim',
-                    'Deck': 'deck',
-                    'Fence': 'fence'
-                };
-                const key = keyMap[categoryName] || 'interiorWalls';
-                return prodRates[key] || 300;
-            };
-
-            formData.areas.forEach(area => {
-                if (area.laborItems) {
-                    area.laborItems.forEach(item => {
-                        if (item.quantity > 0) {
-                            const productionRate = getProductionRate(item.categoryName);
-                            const hours = (item.quantity / productionRate) / crewSize;
-                            totalHours += hours;
-                        }
-                    });
-                }
-            });
-
-            setTotalEstimatedHours(totalHours);
-        }
-    }, [isProductionBased, formData.areas, formData.contractorSettings]);
+    const unitSystem = getUnitSystem(formData);
 
     useEffect(() => {
-        // calculateQuote();
         fetchProducts();
     }, []);
 
-    // Recalculate when key inputs change (areas, product sets, turnkey fields)
-    useEffect(() => {
-        calculateQuote();
-    }, [
-        JSON.stringify(formData.areas),
-        JSON.stringify(formData.productSets),
-        formData.pricingSchemeId,
-        formData.jobType,
-        formData.homeSqft,
-        formData.jobType,
-        formData.numberOfStories,
-        formData.conditionModifier
-    ]);
+    // Price the quote with the shared engine so the summary, proposal and tiers always agree
+    const calculatedQuote = useMemo(() => calculateQuotePricing({
+        ...formData,
+        schemeType: currentScheme?.type,
+        products: productsMap,
+        tier: hasSelectedTier ? selectedTier : formData.gbbSelectedTier
+    }), [formData, currentScheme?.type, productsMap, hasSelectedTier, selectedTier]);
+    const totalEstimatedHours = calculatedQuote.crewHours;
 
     useEffect(() => {
         onUpdate({ notes });
@@ -296,109 +240,13 @@ const SummaryStep = ({ formData, onUpdate, onPrevious, onEdit, pricingSchemes, t
         try {
             const response = await apiService.get('/contractor/product-configs');
             if (response.success) {
-                const productMap = {};
-                const list = response.data || [];
-                list.forEach(config => {
-                    // Support both custom and global products
-                    let brandName, productName;
-                    
-                    if (config.isCustom && config.customProduct) {
-                        // Custom product
-                        brandName = config.customProduct.brandName || 'Custom';
-                        productName = config.customProduct.name || 'Custom Product';
-                    } else if (config.globalProduct) {
-                        // Global product
-                        brandName = config.globalProduct.brand?.name || 'Unknown';
-                        productName = config.globalProduct.name || 'Unknown';
-                    } else {
-                        // Fallback
-                        brandName = 'Unknown';
-                        productName = 'Unknown Product';
-                    }
-                    
-                    productMap[config.id] = {
-                        brandName,
-                        productName,
-                        pricePerGallon: config.sheens?.[0]?.price || 0,
-                        globalProductId: config.globalProductId,
-                        isCustom: config.isCustom || false
-                    };
-                });
-                
-                // Also map by globalProductId so productSets using global ids resolve names
-                list.forEach(config => {
-                    if (config.globalProductId && !productMap[config.globalProductId]) {
-                        let brandName, productName;
-                        
-                        if (config.isCustom && config.customProduct) {
-                            brandName = config.customProduct.brandName || 'Custom';
-                            productName = config.customProduct.name || 'Custom Product';
-                        } else if (config.globalProduct) {
-                            brandName = config.globalProduct.brand?.name || 'Unknown';
-                            productName = config.globalProduct.name || 'Unknown';
-                        } else {
-                            brandName = 'Unknown';
-                            productName = 'Unknown Product';
-                        }
-                        
-                        productMap[config.globalProductId] = {
-                            brandName,
-                            productName,
-                            pricePerGallon: config.sheens?.[0]?.price || 0,
-                            globalProductId: config.globalProductId,
-                            isCustom: config.isCustom || false
-                        };
-                    }
-                });
-                setProductsMap(productMap);
+                setProductsMap(buildProductsMap(response.data || []));
             }
         } catch (error) {
             console.error('Error fetching products:', error);
         }
     };
 
-    const calculateQuote = async () => {
-        try {
-            setLoading(true);
-            const response = await quoteBuilderApi.calculateQuote(
-                formData.areas,
-                formData.productSets,
-                formData.pricingSchemeId,
-                formData.jobType,
-                {
-                    distance: 0, // TODO: Calculate from customer address
-                    homeSqft: formData.homeSqft,
-                    jobType: formData.jobType,
-                    numberOfStories: formData.numberOfStories,
-                    conditionModifier: formData.conditionModifier,
-                    flatRateItems: formData.flatRateItems, // CRITICAL: Pass flat rate items
-                    // Material calculation settings
-                    includeMaterials: formData.includeMaterials,
-                    coverage: formData.coverage,
-                    applicationMethod: formData.applicationMethod,
-                    coats: formData.coats,
-                    // Crew size and material toggle overrides
-                    paintersOnSite: formData.paintersOnSite,
-                    laborOnly: formData.laborOnly
-                }
-            );
-            console.log('Calculate Quote Response:', response);
-            console.log('Turnkey values - homeSqft:', formData.homeSqft, 'jobType:', formData.jobType, 'isTurnkey:', isTurnkey);
-            if (response.success) {
-                console.log('Setting calculatedQuote:', response.calculation);
-                setCalculatedQuote(response.calculation);
-            }
-        } catch (error) {
-            console.error('Error calculating quote:', error);
-            Modal.error({
-                title: 'Calculation Error',
-                content: 'Failed to calculate quote totals. Please try again.',
-            });
-        } finally {
-            setLoading(false);
-        }
-    };
-
     const handleSendQuote = async () => {
         try {
             setSending(true);
@@ -463,6 +311,38 @@ const SummaryStep = ({ formData, onUpdate, onPrevious, onEdit, pricingSchemes, t
 
             // Send the quote email directly
             const response = await quoteBuilderApi.sendQuote(currentQuoteId, emailData);
+            if (!response?.success) {
+                throw new Error(response?.message || 'Failed to send quote. Please try again.');
+            }
+
+            // Keep the quote exactly as it went out so later revisions can be compared and restored
+            let revisionSaved = true;
+            try {
+                await quoteBuilderApi.createRevision(currentQuoteId, {
+                    snapshot: {
+                        ...buildRevisionSnapshot({
+                            formData: { ...formData, notes },
+                            calculation: calculatedQuote,
+                            // Priced here rather than taken from the builder, so the tiers match what was sent
+                            tierPricing: formData.productStrategy === 'GBB' || gbbEnabled
+                                ? calculateTierPricing({ ...formData, schemeType: currentScheme?.type, products: productsMap })
+                                : null,
+                            products: productsMap
+                        }),
+                        sentBy: user?.fullName || user?.email || null
+                    }
+                });
+            } catch (error) {
+                console.error('Error saving quote revision:', error);
+                revisionSaved = false;
+            }
+
+            // Quote created from a lead: move the lead to Quote Sent
+            if (formData.leadId) {
+                leadQuoteService.syncLeadStatus(formData.leadId, 'sent').catch(error => {
+                    console.error('Error updating lead status:', error);
+                });
+            }
 
             Modal.success({
                 title: 'Quote Sent Successfully!',
@@ -470,6 +350,13 @@ const SummaryStep = ({ formData, onUpdate, onPrevious, onEdit, pricingSchemes, t
                     <div>
                         <p>Quote #{currentQuoteId} has been sent to {formData.customerEmail}</p>
                         <p>The customer can view and accept the quote in their portal.</p>
+                        {!revisionSaved && (
+                            <Alert
+                                type="warning"
+                                showIcon
+                                message="This send wasn't saved to the quote's revision history, so it can't be compared with or restored later."
+                            />
+                        )}
                     </div>
                 ),
                 onOk: () => {
@@ -520,56 +407,14 @@ const SummaryStep = ({ formData, onUpdate, onPrevious, onEdit, pricingSchemes, t
     const getAreaDetails = () => {
         // For flat rate pricing, show flat rate items instead of areas
         if (isFlatRate) {
-            const flatRateItems = formData.flatRateItems || { interior: {}, exterior: {} };
-            const items = [];
-
-            // Add interior items
-            Object.entries(flatRateItems.interior || {}).forEach(([key, count]) => {
-                if (count > 0) {
-                    const itemLabels = {
-                        doors: 'Interior Doors',
-                        smallRooms: 'Small Rooms',
-                        mediumRooms: 'Medium Rooms',
-                        largeRooms: 'Large Rooms',
-                        closets: 'Closets',
-                        accentWalls: 'Accent Walls',
-                        cabinetFaces: 'Cabinet Faces',
-                        cabinetDoors: 'Cabinet Doors'
-                    };
-
-                    items.push({
-                        type: itemLabels[key] || key,
-                        quantity: count,
-                        unit: 'each',
-                        coats: 0, // Not applicable for flat rate
-                        gallons: 0, // Not applicable for flat rate
-                        laborRate: formData.contractorSettings?.flatRateUnitPrices?.[key] || 0
-                    });
-                }
-            });
-
-            // Add exterior items
-            Object.entries(flatRateItems.exterior || {}).forEach(([key, count]) => {
-                if (count > 0) {
-                    const itemLabels = {
-                        doors: 'Exterior Doors',
-                        windows: 'Windows',
-                        garageDoors1Car: '1-Car Garage Doors',
-                        garageDoors2Car: '2-Car Garage Doors',
-                        garageDoors3Car: '3-Car Garage Doors',
-                        shutters: 'Shutters'
-                    };
-
-                    items.push({
-                        type: itemLabels[key] || key,
-                        quantity: count,
-                        unit: 'each',
-                        coats: 0, // Not applicable for flat rate
-                        gallons: 0, // Not applicable for flat rate
-                        laborRate: formData.contractorSettings?.flatRateUnitPrices?.[key] || 0
-                    });
-                }
-            });
+            const items = calculatedQuote.lineItems.map(item => ({
+                type: item.categoryName,
+                quantity: item.quantity,
+                unit: 'each',
+                coats: 0, // Not applicable for flat rate
+                gallons: 0, // Not applicable for flat rate
+                laborRate: item.laborRate
+            }));
 
             return [{
                 areaName: 'Flat Rate Items',
@@ -589,40 +434,11 @@ const SummaryStep = ({ formData, onUpdate, onPrevious, onEdit, pricingSchemes, t
             if (area.laborItems) {
                 const selectedItems = area.laborItems.filter(i => i.selected);
                 items = selectedItems.map(item => {
-                    // Calculate gallons for each item based on its type
-                    let itemGallons = item.gallons || 0;
-
-                    // If gallons not already calculated, calculate it
-                    if (!itemGallons && item.numberOfCoats > 0) {
-                        const qty = parseFloat(item.quantity) || 0;
-                        const coats = parseInt(item.numberOfCoats) || 2;
-                        const coverage = 350; // Standard coverage rate
-
-                        if (item.measurementUnit === 'sqft') {
-                            // For square footage items
-                            itemGallons = (qty * coats) / coverage;
-                        } else if (item.measurementUnit === 'linear_foot') {
-                            // For linear footage (trim, etc.) - assume 6" width
-                            const sqft = qty * 0.5; // 6 inches = 0.5 feet width
-                            itemGallons = (sqft * coats) / coverage;
-                        } else if (item.measurementUnit === 'unit') {
-                            // For units (doors, cabinets) - estimate surface area
-                            let estimatedSqft = 0;
-                            const category = item.categoryName.toLowerCase();
-                            if (category.includes('door')) {
-                                estimatedSqft = qty * 21; // Standard door ~21 sq ft per side
-                            } else if (category.includes('cabinet')) {
-                                estimatedSqft = qty * 30; // Cabinet ~30 sq ft per unit
-                            } else if (category.includes('window')) {
-                                estimatedSqft = qty * 15; // Window ~15 sq ft
-                            } else if (category.includes('shutter')) {
-                                estimatedSqft = qty * 10; // Shutter ~10 sq ft per pair
-                            } else {
-                                estimatedSqft = qty * 20; // Generic estimate
-                            }
-                            itemGallons = (estimatedSqft * coats) / coverage;
-                        }
-                    }
+                    // Gallons come from the pricing engine so they match the priced materials
+                    const pricedItem = calculatedQuote.lineItems.find(li =>
+                        li.areaId === area.id && li.categoryName === item.categoryName
+                    );
+                    const itemGallons = pricedItem?.gallons || item.gallons || 0;
 
                     return {
                         type: item.categoryName,
@@ -678,17 +494,14 @@ const SummaryStep = ({ formData, onUpdate, onPrevious, onEdit, pricingSchemes, t
      */
     const getSurfaceProductSummary = () => {
         // Determine which display logic to use based on pricing scheme
-        const schemeCategory = getPricingSchemeCategory(currentScheme?.type);
-        
-        // Route to appropriate display function
-        switch (schemeCategory) {
+        switch (pricingMode) {
             case 'turnkey':
                 // For surface-type rendering, build a surface-shaped summary that includes gallons
                 return getTurnkeySurfaceSummary();
-            case 'production_based':
-            case 'rate_based':
+            case 'production':
+            case 'rate_sqft':
                 return getAreaWiseProductSummary();
-            case 'flat_rate':
+            case 'flat_unit':
                 return getFlatRateProductSummary();
             default:
                 return [];
@@ -1033,38 +846,9 @@ const SummaryStep = ({ formData, onUpdate, onPrevious, onEdit, pricingSchemes, t
      * Used in area-wise pricing schemes
      */
     const calculateGallonsForAreaSurface = (areaId, surfaceType) => {
-        const area = formData.areas?.find(a => a.id === areaId);
-        if (!area || !area.laborItems) return 0;
-
-        let totalSqft = 0;
-        const COVERAGE_PER_GALLON = 400;
-
-        area.laborItems.forEach(item => {
-            if (item.selected && item.categoryName === surfaceType) {
-                const quantity = parseFloat(item.quantity) || 0;
-                const coats = parseInt(item.numberOfCoats) || 1;
-
-                // Convert different measurement units to sqft
-                if (item.measurementUnit === 'sqft') {
-                    totalSqft += quantity * coats;
-                } else if (item.measurementUnit === 'linear_foot') {
-                    // Assume 6 inches (0.5 ft) height for trim/linear
-                    totalSqft += (quantity * 0.5) * coats;
-                } else if (item.measurementUnit === 'unit') {
-                    // Estimate sqft per unit based on surface type
-                    let sqftPerUnit = 20; // default for doors
-                    if (surfaceType.toLowerCase().includes('cabinet')) {
-                        sqftPerUnit = 15;
-                    } else if (surfaceType.toLowerCase().includes('window')) {
-                        sqftPerUnit = 10;
-                    }
-                    totalSqft += (quantity * sqftPerUnit) * coats;
-                }
-            }
-        });
-
-        // Calculate gallons using shared utility (wasteFactor 1.1, round to 0.25)
-        return calculateGallonsNeeded(totalSqft, 1, COVERAGE_PER_GALLON, { wasteFactor: 1.1, roundTo: 0.25 });
+        return calculatedQuote.lineItems
+            .filter(item => item.areaId === areaId && item.categoryName === surfaceType)
+            .reduce((sum, item) => sum + item.gallons, 0);
     };
 
     /**
@@ -1440,7 +1224,7 @@ const SummaryStep = ({ formData, onUpdate, onPrevious, onEdit, pricingSchemes, t
                     style={{ marginBottom: 16 }}
                 >
                     <Descriptions column={isMobile ? 1 : 2}>
-                        <Descriptions.Item label="Home Square Footage">{parseFloat(formData.homeSqft).toLocaleString()} sq ft</Descriptions.Item>
+                        <Descriptions.Item label="Home Square Footage">{unitSystem === 'metric' ? formatQuantity(formData.homeSqft, 'sqft', unitSystem) : `${parseFloat(formData.homeSqft).toLocaleString()} sq ft`}</Descriptions.Item>
                         <Descriptions.Item label="Job Type">
                             <Tag color={formData.jobType === 'interior' ? 'blue' : formData.jobType === 'exterior' ? 'green' : 'purple'}>
                                 {formData.jobType === 'interior' ? 'Interior Only' : formData.jobType === 'exterior' ? 'Exterior Only' : 'Both Interior & Exterior'}
@@ -1507,14 +1291,14 @@ const SummaryStep = ({ formData, onUpdate, onPrevious, onEdit, pricingSchemes, t
                                         dataIndex: 'quantity',
                                         key: 'quantity',
                                         width: isMobile ? 80 : undefined,
-                                        render: (val) => val || 'N/A'
+                                        render: (val, record) => val ? toDisplayQuantity(val, record.unit, unitSystem) : 'N/A'
                                     },
                                     {
                                         title: 'Unit',
                                         dataIndex: 'unit',
                                         key: 'unit',
                                         width: isMobile ? 70 : undefined,
-                                        render: (val) => val === 'sqft' ? 'sq ft' : val === 'linear_foot' ? 'LF' : val === 'unit' ? 'units' : val === 'hour' ? 'hrs' : val || '-'
+                                        render: (val) => val ? getUnitLabel(val, unitSystem) : '-'
                                     },
                                     ...(!isFlatRate ? [
                                         {
@@ -1525,12 +1309,13 @@ const SummaryStep = ({ formData, onUpdate, onPrevious, onEdit, pricingSchemes, t
                                             render: (val) => val > 0 ? `${val} coat${val > 1 ? 's' : ''}` : '-'
                                         },
                                         {
-                                            title: 'Gallons',
+                                            title: unitSystem === 'metric' ? 'Litres' : 'Gallons',
                                             dataIndex: 'gallons',
                                             key: 'gallons',
                                             width: isMobile ? 80 : undefined,
                                             render: (val) => {
                                                 if (!val || val === 0) return '-';
+                                                if (unitSystem === 'metric') return formatPaintQuantity(val, unitSystem);
                                                 return val < 1 ? `${val.toFixed(2)} gal` : `${Math.ceil(val)} gal`;
                                             }
                                         }
@@ -1546,7 +1331,7 @@ const SummaryStep = ({ formData, onUpdate, onPrevious, onEdit, pricingSchemes, t
                                                 // Flat-rate: show fixed price per item
                                                 return `$${val}/item`;
                                             }
-                                            return `$${val}/${record.unit === 'sqft' ? 'sqft' : record.unit === 'linear_foot' ? 'LF' : record.unit === 'unit' ? 'unit' : 'hr'}`;
+                                            return `$${toDisplayRate(val, record.unit, unitSystem)}/${getUnitLabel(record.unit === 'unit' || record.unit === 'sqft' || record.unit === 'linear_foot' ? record.unit : 'hour', unitSystem)}`;
                                         }
                                     },
                                     ...(!isFlatRate ? [
@@ -1563,8 +1348,8 @@ const SummaryStep = ({ formData, onUpdate, onPrevious, onEdit, pricingSchemes, t
                             />
                             {!isFlatRate && (
                                 <Space style={{ marginTop: 8 }} wrap>
-                                    {area.totalSqft > 0 && <Text type="secondary" style={{ fontSize: isMobile ? 12 : 14 }}>Total Area: {area.totalSqft.toFixed(0)} sq ft</Text>}
-                                    {area.totalGallons > 0 && <Text type="secondary" style={{ fontSize: isMobile ? 12 : 14 }}>• Total Gallons: {Math.ceil(area.totalGallons)} gal</Text>}
+                                    {area.totalSqft > 0 && <Text type="secondary" style={{ fontSize: isMobile ? 12 : 14 }}>Total Area: {formatQuantity(Math.round(area.totalSqft), 'sqft', unitSystem)}</Text>}
+                                    {area.totalGallons > 0 && <Text type="secondary" style={{ fontSize: isMobile ? 12 : 14 }}>• Total Paint: {unitSystem === 'metric' ? formatPaintQuantity(area.totalGallons, unitSystem) : `${Math.ceil(area.totalGallons)} gal`}</Text>}
                                 </Space>
                             )}
                             {isFlatRate && (
@@ -2311,7 +2096,7 @@ const SummaryStep = ({ formData, onUpdate, onPrevious, onEdit, pricingSchemes, t
                         </Card>
                     ) : (
                         // Non-Turnkey, Non-Flat-Rate: Show full cost breakdown
-                        <Card title="Cost Breakdown" loading={loading} style={{ marginBottom: 16 }}>
+                        <Card title="Cost Breakdown" style={{ marginBottom: 16 }}>
                     <Row gutter={isMobile ? 8 : 16} style={{ marginBottom: isMobile ? 16 : 24 }}>
                         <Col xs={24} sm={isProductionBased ? 6 : 8}>
                             <Statistic
@@ -2560,6 +2345,12 @@ const SummaryStep = ({ formData, onUpdate, onPrevious, onEdit, pricingSchemes, t
                 </>
             )}
 
+            {/* Containers to buy per product + color */}
+            <PaintPurchasePlan calculatedQuote={calculatedQuote} formData={formData} />
+
+            {/* Explainable price breakdown */}
+            <PriceAuditTrail calculatedQuote={calculatedQuote} formData={formData} />
+
             {/* Notes */}
             <Card title="Additional Notes (Optional)" style={{ marginBottom: 16 }}>
                 <TextArea
@@ -51,7 +51,8 @@ const TurnkeyTierConfig = ({ config, onChange, disabled }) => {
                 prefix="$"
               />
               <p style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
-                Price per square foot for turnkey pricing
+                Price per square foot for turnkey pricing. The property condition and story
+                multipliers configured in the Pricing Engine are applied on top of this rate.
               </p>
             </div>
 
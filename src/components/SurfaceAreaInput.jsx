@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { Card, InputNumber, Radio, Space, Tooltip, Spin, Alert } from 'antd';
 import { InfoCircleOutlined } from '@ant-design/icons';
 import quoteApiService from '../services/quoteApiService';
+import OpeningsEditor from './QuoteBuilder/OpeningsEditor';
+import { applyOpenings } from '../utils/dimensionUtils';
 
 export const SurfaceAreaInput = ({ surfaceType, dimensions, onDimensionsChange }) => {
   const [inputMode, setInputMode] = useState(dimensions?.directArea ? 'direct' : 'dimensions');
@@ -55,12 +57,12 @@ export const SurfaceAreaInput = ({ surfaceType, dimensions, onDimensionsChange }
     // Use server-side calculation logic based on surface type
     switch (dimensionConfig.calculation) {
       case 'perimeter':
-        // Walls: (L + W) * 2 * H
+        // Walls: (L + W) * 2 * H, less doors/windows/openings
         if (length && width && height) {
-          return (parseFloat(length) + parseFloat(width)) * 2 * parseFloat(height);
+          return applyOpenings((parseFloat(length) + parseFloat(width)) * 2 * parseFloat(height), dimensions.openings).netArea;
         } else if (length && height) {
           // Single wall
-          return parseFloat(length) * parseFloat(height);
+          return applyOpenings(parseFloat(length) * parseFloat(height), dimensions.openings).netArea;
         }
         return 0;
         
@@ -206,6 +208,22 @@ export const SurfaceAreaInput = ({ surfaceType, dimensions, onDimensionsChange }
                 </div>
               )}
               
+              {/* Openings (walls only) */}
+              {dimensionConfig?.calculation === 'perimeter' && (
+                <div className="mt-2 pt-2 border-t">
+                  <span className="text-xs text-gray-400 block mb-1">Doors, Windows & Openings</span>
+                  <OpeningsEditor
+                    openings={dimensions?.openings || []}
+                    onChange={(openings) => handleDimensionChange('openings', openings)}
+                  />
+                  {(dimensions?.openings || []).length > 0 && (
+                    <span className="text-xs text-gray-500 block mt-1">
+                      Opening trim: {Math.ceil(applyOpenings(0, dimensions.openings).trimLinearFeet)} LF
+                    </span>
+                  )}
+                </div>
+              )}
+
               {/* Calculated Total */}
               <div className="mt-3 pt-3 border-t bg-blue-50 p-2 rounded">
                 <div className="flex justify-between items-center">
@@ -0,0 +1,80 @@
+// hooks/useFinishedJobs.js
+// Loads recently finished jobs with their quotes and the time and materials logged against them,
+// plus the contractor's product config defaults (rates and margin targets) and crews (hourly costs).
+
+import { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../services/apiService';
+import { jobsService } from '../services/jobsService';
+import { crewsService } from '../services/crewsService';
+import { COMPLETED_JOB_STATUSES } from '../utils/productionRateTuning';
+
+const loadFinishedJobs = async (maxJobs) => {
+  const responses = await Promise.all(COMPLETED_JOB_STATUSES.map(status => (
+    jobsService.getAllJobs({ status, limit: maxJobs, sortBy: 'updatedAt', sortOrder: 'DESC' })
+  )));
+  const jobs = responses
+    .flatMap(response => response.data || [])
+    .sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0))
+    .slice(0, maxJobs);
+
+  const details = await Promise.all(jobs.map(async (job) => {
+    try {
+      const [jobResponse, costsResponse] = await Promise.all([
+        jobsService.getJobById(job.id),
+        jobsService.getJobCosts(job.id)
+      ]);
+      if (!jobResponse.data?.quote) return null;
+      return {
+        job: jobResponse.data,
+        quote: jobResponse.data.quote,
+        timeEntries: costsResponse.data?.timeEntries || [],
+        materialPurchases: costsResponse.data?.materialPurchases || []
+      };
+    } catch (err) {
+      console.error(`Error loading costs for job ${job.id}:`, err);
+      return null;
+    }
+  }));
+  return details.filter(Boolean);
+};
+
+/**
+ * @param {Object} options
+ * @param {number} options.maxJobs - Most recently finished jobs to load (two requests each)
+ * @returns {Object} - { loading, error, jobs: [{ job, quote, timeEntries, materialPurchases }], defaults, crews, reload }
+ */
+const useFinishedJobs = ({ maxJobs = 30 } = {}) => {
+  const [jobs, setJobs] = useState([]);
+  const [defaults, setDefaults] = useState({});
+  const [crews, setCrews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [defaultsResponse, crewsResponse, finishedJobs] = await Promise.all([
+        apiService.getProductConfigDefaults(),
+        crewsService.getCrews().catch(() => ({ data: [] })),
+        loadFinishedJobs(maxJobs)
+      ]);
+      setDefaults(defaultsResponse.data || {});
+      setCrews(crewsResponse.data || []);
+      setJobs(finishedJobs);
+    } catch (err) {
+      console.error('Error loading finished jobs:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [maxJobs]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { loading, error, jobs, defaults, crews, reload };
+};
+
+export default useFinishedJobs;
@@ -0,0 +1,123 @@
+// hooks/useLeadFormTracking.js
+// Funnel tracking for the public lead form: one view per visit, step entries and completions, and
+// an abandon event (with the last field touched) when the visitor leaves without submitting.
+// Events go to the public lead form endpoint; tracking never blocks or breaks the form.
+
+import { useEffect, useRef, useCallback, useMemo } from 'react';
+import { apiService } from '../services/apiService';
+import { readAttribution } from '../utils/leadFormFunnel';
+
+const getSessionId = (publicUrl) => {
+  const key = `cadence-lead-form-session:${publicUrl}`;
+  try {
+    const existing = sessionStorage.getItem(key);
+    if (existing) return existing;
+    const id = window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    sessionStorage.setItem(key, id);
+    return id;
+  } catch (e) {
+    // Storage blocked (third-party iframe): one session per page load
+    return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  }
+};
+
+/**
+ * @param {Object} params
+ * @param {string} params.publicUrl - Lead form public URL slug
+ * @param {boolean} params.enabled - Start tracking once the form has loaded
+ * @param {boolean} params.embedded - Rendered by the embed widget; the host page is the referrer
+ * @returns {Object} - { sessionId, attribution, trackStepEnter, trackStepComplete, trackFieldChange, trackSubmitted }
+ */
+const useLeadFormTracking = ({ publicUrl, enabled = true, embedded = false }) => {
+  const sessionId = useMemo(() => getSessionId(publicUrl), [publicUrl]);
+
+  const attribution = useMemo(() => {
+    const params = new URLSearchParams(window.location.search);
+    const referrer = embedded ? (params.get('sourceUrl') || document.referrer) : document.referrer;
+    return {
+      ...readAttribution(window.location.search, referrer),
+      landingPage: embedded ? (params.get('sourceUrl') || null) : window.location.href
+    };
+  }, [embedded]);
+
+  const stateRef = useRef({ step: null, lastField: null, touched: new Set(), submitted: false, abandoned: false });
+
+  const send = useCallback((type, data = {}, { keepalive = false } = {}) => {
+    const body = { type, sessionId, embedded, ...attribution, ...data };
+    // keepalive lets the abandon event finish while the page unloads
+    fetch(`${apiService.baseURL}/lead-forms/public/${publicUrl}/events`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      keepalive
+    }).catch(() => {});
+  }, [publicUrl, sessionId, embedded, attribution]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    send('view');
+  }, [enabled, send]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const handleLeave = () => {
+      const state = stateRef.current;
+      if (state.submitted || state.abandoned) return;
+      state.abandoned = true;
+      send('abandon', {
+        step: state.step,
+        field: state.lastField,
+        fields: [...state.touched]
+      }, { keepalive: true });
+    };
+    // Hidden tabs are often never shown again, so report then; coming back re-arms it
+    // (the funnel keeps only a session's last abandon and drops it if the session submits)
+    const handleVisibility = () => {
+      if (document.visibilityState === 'hidden') handleLeave();
+      else stateRef.current.abandoned = false;
+    };
+
+    window.addEventListener('pagehide', handleLeave);
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => {
+      window.removeEventListener('pagehide', handleLeave);
+      document.removeEventListener('visibilitychange', handleVisibility);
+    };
+  }, [enabled, send]);
+
+  const trackStepEnter = useCallback((step) => {
+    if (!enabled || stateRef.current.step === step) return;
+    stateRef.current.step = step;
+    send('step_enter', { step });
+  }, [enabled, send]);
+
+  const trackStepComplete = useCallback((step) => {
+    if (!enabled) return;
+    send('step_complete', { step, fields: [...stateRef.current.touched] });
+  }, [enabled, send]);
+
+  // Field changes are kept locally and only reported with step and abandon events
+  const trackFieldChange = useCallback((fieldName) => {
+    if (!fieldName) return;
+    stateRef.current.lastField = fieldName;
+    stateRef.current.touched.add(fieldName);
+  }, []);
+
+  const trackSubmitted = useCallback(() => {
+    if (!enabled) return;
+    stateRef.current.submitted = true;
+    send('submit', { step: stateRef.current.step });
+  }, [enabled, send]);
+
+  return {
+    sessionId,
+    attribution,
+    trackStepEnter,
+    trackStepComplete,
+    trackFieldChange,
+    trackSubmitted
+  };
+};
+
+export default useLeadFormTracking;
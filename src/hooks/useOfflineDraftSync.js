@@ -0,0 +1,269 @@
+// hooks/useOfflineDraftSync.js
+/**
+ * Offline-first draft saving for the Quote Builder
+ *
+ * Every change is written to IndexedDB first; server saves go through an outbound queue
+ * that is replayed in order whenever the browser is online. Before replaying a draft's
+ * queued saves after a reconnect, the server's autoSaveVersion is compared with the
+ * version the edits were based on so changes made elsewhere are not silently overwritten.
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { offlineDraftStore } from '../services/offlineDraftStore';
+import { quoteBuilderApi } from '../services/quoteBuilderApi';
+
+// fetch() rejects with a TypeError when there is no connection; apiService wraps it as "... request failed: ..."
+const isNetworkError = (error) =>
+  (typeof navigator !== 'undefined' && navigator.onLine === false) ||
+  error instanceof TypeError ||
+  /failed to fetch|networkerror|load failed|network request failed/i.test(error?.message || '');
+
+const useOfflineDraftSync = ({ onSynced, onConflict } = {}) => {
+  const [isOnline, setIsOnline] = useState(typeof navigator === 'undefined' ? true : navigator.onLine);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [failedMutation, setFailedMutation] = useState(null);
+  const [syncing, setSyncing] = useState(false);
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const [storageAvailable, setStorageAvailable] = useState(true);
+
+  const flushingRef = useRef(false);
+  const callbacksRef = useRef({ onSynced, onConflict });
+  callbacksRef.current = { onSynced, onConflict };
+
+  /**
+   * Refresh pending / failed counts from the queue
+   */
+  const refreshQueueState = useCallback(async () => {
+    try {
+      const mutations = await offlineDraftStore.getMutations();
+      setPendingCount(mutations.filter(m => m.status !== 'failed').length);
+      setFailedMutation(mutations.find(m => m.status === 'failed') || null);
+    } catch (error) {
+      console.error('Failed to read offline save queue:', error);
+      setStorageAvailable(false);
+    }
+  }, []);
+
+  /**
+   * Replay queued saves in order. Stops at the first failure so later edits
+   * are never applied on top of a save the server rejected.
+   */
+  const flushQueue = useCallback(async () => {
+    if (flushingRef.current) return;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+
+    flushingRef.current = true;
+    setSyncing(true);
+    const reconciled = new Set();
+
+    try {
+      // Re-read the head of the queue each time: a save that creates a quote re-keys the rest
+      for (;;) {
+        const [mutation] = await offlineDraftStore.getMutations();
+        if (!mutation || mutation.status === 'failed') break;
+
+        const quoteId = mutation.payload?.quoteId;
+
+        // Reconcile with the server once per draft before replaying its queued edits
+        if (quoteId && mutation.baseVersion !== null && !reconciled.has(mutation.draftKey)) {
+          reconciled.add(mutation.draftKey);
+          try {
+            const response = await quoteBuilderApi.getQuoteById(quoteId);
+            const serverQuote = response?.quote;
+            if (serverQuote && (serverQuote.autoSaveVersion || 0) > mutation.baseVersion) {
+              await offlineDraftStore.updateMutation(mutation.id, { status: 'failed', error: 'conflict' });
+              callbacksRef.current.onConflict?.({
+                mutation,
+                conflictData: {
+                  conflict: true,
+                  quote: serverQuote,
+                  localData: mutation.payload,
+                  baseVersion: mutation.baseVersion
+                }
+              });
+              break;
+            }
+          } catch (error) {
+            if (isNetworkError(error)) break;
+            // Couldn't read the server copy; let saveDraft's own optimistic locking decide
+            console.warn('Could not reconcile draft version before sync:', error);
+          }
+        }
+
+        try {
+          // Mark in flight so a new edit is queued behind it instead of replacing it
+          await offlineDraftStore.updateMutation(mutation.id, { status: 'syncing' });
+          const response = await quoteBuilderApi.saveDraft(mutation.payload);
+
+          if (response.conflict) {
+            await offlineDraftStore.updateMutation(mutation.id, { status: 'failed', error: 'conflict' });
+            callbacksRef.current.onConflict?.({ mutation, conflictData: response.conflictData });
+            break;
+          }
+
+          await offlineDraftStore.removeMutation(mutation.id);
+
+          const quote = response.quote || response.data || {};
+          if (!quoteId && quote.id) {
+            await offlineDraftStore.renameDraft(mutation.draftKey, quote.id);
+          }
+
+          // Later saves of this draft now build on the version we just wrote
+          const savedVersion = response.autoSave?.version ?? quote.autoSaveVersion;
+          if (savedVersion !== undefined && savedVersion !== null) {
+            const draftKey = !quoteId && quote.id ? String(quote.id) : mutation.draftKey;
+            const remaining = await offlineDraftStore.getMutations();
+            await Promise.all(remaining
+              .filter(m => m.draftKey === draftKey)
+              .map(m => offlineDraftStore.updateMutation(m.id, { baseVersion: savedVersion })));
+          }
+
+          setLastSyncedAt(Date.now());
+          callbacksRef.current.onSynced?.({ mutation, response, quote });
+        } catch (error) {
+          if (isNetworkError(error)) {
+            await offlineDraftStore.updateMutation(mutation.id, { status: 'pending', attempts: (mutation.attempts || 0) + 1 });
+            break;
+          }
+          await offlineDraftStore.updateMutation(mutation.id, {
+            status: 'failed',
+            attempts: (mutation.attempts || 0) + 1,
+            error: error.message
+          });
+          break;
+        }
+      }
+    } catch (error) {
+      console.error('Offline save queue replay failed:', error);
+    } finally {
+      flushingRef.current = false;
+      setSyncing(false);
+      await refreshQueueState();
+    }
+  }, [refreshQueueState]);
+
+  /**
+   * Write the latest form data to the local draft store (no network)
+   */
+  const saveLocalDraft = useCallback(async (draftKey, data, meta) => {
+    try {
+      await offlineDraftStore.saveDraft(draftKey, data, meta);
+      return true;
+    } catch (error) {
+      console.error('Failed to save local draft:', error);
+      setStorageAvailable(false);
+      return false;
+    }
+  }, []);
+
+  /**
+   * Save locally, queue a saveDraft for the server and replay the queue if online
+   * @param {string} draftKey - Quote ID, or the local ID of an unsaved quote
+   * @param {object} payload - saveDraft payload
+   * @param {number} baseVersion - autoSaveVersion the edits were made on top of
+   */
+  const queueSave = useCallback(async (draftKey, payload, baseVersion, meta) => {
+    try {
+      await offlineDraftStore.saveDraft(draftKey, payload, meta);
+      await offlineDraftStore.enqueueSave({ draftKey, payload, baseVersion });
+    } catch (error) {
+      // No IndexedDB (private mode, old browser): fall back to a direct save
+      console.error('Failed to queue draft save:', error);
+      setStorageAvailable(false);
+      return quoteBuilderApi.saveDraft(payload);
+    }
+    await refreshQueueState();
+    await flushQueue();
+    return null;
+  }, [flushQueue, refreshQueueState]);
+
+  /**
+   * Retry failed saves
+   */
+  const retryFailed = useCallback(async () => {
+    const mutations = await offlineDraftStore.getMutations();
+    await Promise.all(mutations
+      .filter(m => m.status === 'failed')
+      .map(m => offlineDraftStore.updateMutation(m.id, { status: 'pending', error: null })));
+    await flushQueue();
+  }, [flushQueue]);
+
+  /**
+   * Drop queued saves for a draft (after a conflict was resolved another way)
+   */
+  const discardQueuedSaves = useCallback(async (draftKey) => {
+    const mutations = await offlineDraftStore.getMutations();
+    await Promise.all(mutations
+      .filter(m => draftKey === undefined || m.draftKey === String(draftKey))
+      .map(m => offlineDraftStore.removeMutation(m.id)));
+    await refreshQueueState();
+  }, [refreshQueueState]);
+
+  const getLocalDraft = useCallback(async (draftKey) => {
+    try {
+      return await offlineDraftStore.getDraft(draftKey);
+    } catch (error) {
+      console.error('Failed to read local draft:', error);
+      return null;
+    }
+  }, []);
+
+  const listLocalDrafts = useCallback(async () => {
+    try {
+      return await offlineDraftStore.listDrafts();
+    } catch (error) {
+      console.error('Failed to list local drafts:', error);
+      return [];
+    }
+  }, []);
+
+  const deleteLocalDraft = useCallback(async (draftKey) => {
+    try {
+      await offlineDraftStore.deleteDraft(draftKey);
+    } catch (error) {
+      console.error('Failed to delete local draft:', error);
+    }
+  }, []);
+
+  // Track connectivity and replay the queue on reconnect
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      flushQueue();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    // Replay anything left over from a previous session
+    refreshQueueState().then(flushQueue);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [flushQueue, refreshQueueState]);
+
+  return {
+    // State
+    isOnline,
+    pendingCount,
+    failedMutation,
+    syncing,
+    lastSyncedAt,
+    storageAvailable,
+
+    // Methods
+    saveLocalDraft,
+    queueSave,
+    flushQueue,
+    retryFailed,
+    discardQueuedSaves,
+    getLocalDraft,
+    listLocalDrafts,
+    deleteLocalDraft
+  };
+};
+
+export default useOfflineDraftSync;
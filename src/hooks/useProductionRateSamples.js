@@ -0,0 +1,22 @@
+// hooks/useProductionRateSamples.js
+// Finished jobs with time logged, the contractor's current production rates, and the rate samples
+// built from them for estimate-accuracy reporting.
+
+import { useMemo } from 'react';
+import useFinishedJobs from './useFinishedJobs';
+import { getProductionRatesFromDefaults, buildRateSamples } from '../utils/productionRateTuning';
+
+/**
+ * @returns {Object} - { loading, error, jobs, productionRates, samples, reload }
+ */
+const useProductionRateSamples = () => {
+  const { loading, error, jobs: finishedJobs, defaults, reload } = useFinishedJobs();
+
+  const jobs = useMemo(() => finishedJobs.filter(entry => entry.timeEntries.length > 0), [finishedJobs]);
+  const productionRates = useMemo(() => getProductionRatesFromDefaults(defaults), [defaults]);
+  const samples = useMemo(() => buildRateSamples(jobs, productionRates), [jobs, productionRates]);
+
+  return { loading, error, jobs, productionRates, samples, reload };
+};
+
+export default useProductionRateSamples;
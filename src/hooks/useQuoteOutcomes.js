@@ -0,0 +1,75 @@
+// hooks/useQuoteOutcomes.js
+// Loads the quotes sent over a period with the tenant's jobs and pricing schemes, and classifies
+// each quote as won, lost or open for win/loss and forecast reporting.
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import moment from 'moment';
+import { apiService } from '../services/apiService';
+import quoteApiService from '../services/quoteApiService';
+import { jobsService } from '../services/jobsService';
+import { buildWinLossRecord } from '../utils/winLoss';
+
+const PAGE_SIZE = 100;
+const MAX_PAGES = 10;
+
+const loadQuotes = async (dateFrom) => {
+  const quotes = [];
+  for (let page = 1; page <= MAX_PAGES; page += 1) {
+    const response = await quoteApiService.getQuotes({ page, limit: PAGE_SIZE, sortBy: 'createdAt', sortOrder: 'DESC', dateFrom });
+    const batch = response.data || [];
+    quotes.push(...batch);
+    if (batch.length < PAGE_SIZE || quotes.length >= (response.pagination?.total ?? Infinity)) break;
+  }
+  return quotes;
+};
+
+/**
+ * @param {Object} options
+ * @param {number} options.months - How far back to load quotes, by month sent
+ * @returns {Object} - { loading, error, quotes, jobs, jobsByQuoteId, records, reload }
+ */
+const useQuoteOutcomes = ({ months = 12 } = {}) => {
+  const [quotes, setQuotes] = useState([]);
+  const [jobs, setJobs] = useState([]);
+  const [schemesById, setSchemesById] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const dateFrom = moment().subtract(months, 'month').startOf('month').format('YYYY-MM-DD');
+      const [quotesData, jobsResponse, schemesResponse] = await Promise.all([
+        loadQuotes(dateFrom),
+        jobsService.getAllJobs({ limit: PAGE_SIZE * MAX_PAGES }),
+        apiService.getPricingSchemes().catch(() => ({ data: [] }))
+      ]);
+      setQuotes(quotesData);
+      setJobs(jobsResponse.data || []);
+      setSchemesById((schemesResponse.data || []).reduce((acc, scheme) => ({ ...acc, [scheme.id]: scheme }), {}));
+    } catch (err) {
+      console.error('Error loading quote outcomes:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [months]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const jobsByQuoteId = useMemo(() => jobs.reduce((acc, job) => ({ ...acc, [job.quoteId]: job }), {}), [jobs]);
+
+  const records = useMemo(() => {
+    const since = moment().subtract(months, 'month').startOf('month');
+    return quotes
+      .map(quote => buildWinLossRecord(quote, { job: jobsByQuoteId[quote.id], schemesById }))
+      .filter(record => record && record.sentAt && moment(record.sentAt).isSameOrAfter(since));
+  }, [quotes, jobsByQuoteId, schemesById, months]);
+
+  return { loading, error, quotes, jobs, jobsByQuoteId, records, reload };
+};
+
+export default useQuoteOutcomes;
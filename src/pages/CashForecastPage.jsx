@@ -0,0 +1,259 @@
+// pages/CashForecastPage.jsx
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Card, Table, Button, Segmented, Select, Tag, Space, Alert, Spin, Statistic, Row, Col, Typography, Tooltip } from 'antd';
+import { ArrowLeftOutlined, ReloadOutlined } from '@ant-design/icons';
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as ChartTooltip,
+  Legend
+} from 'recharts';
+import moment from 'moment';
+import { apiService } from '../services/apiService';
+import { jobsService } from '../services/jobsService';
+import useQuoteOutcomes from '../hooks/useQuoteOutcomes';
+import {
+  FORECAST_DAYS,
+  FORECAST_SCENARIOS,
+  FORECAST_SOURCES,
+  getHistoricalCloseRates,
+  applyScenario,
+  getForecastTiming,
+  buildForecastItems,
+  buildWeeklyForecast,
+  summarizeForecast
+} from '../utils/cashForecast';
+
+const { Title, Text } = Typography;
+const { Option } = Select;
+
+const SOURCE_COLORS = {
+  deposit: '#1890ff',
+  balance: '#52c41a',
+  pipeline_deposit: '#91caff',
+  pipeline_balance: '#b7eb8f'
+};
+
+const formatCurrency = (value) => `$${value.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+const formatPercent = (rate) => `${Math.round(rate * 1000) / 10}%`;
+
+function CashForecastPage() {
+  const navigate = useNavigate();
+  const [scenario, setScenario] = useState('expected');
+  const [sourceFilter, setSourceFilter] = useState('all');
+  const [depositPercent, setDepositPercent] = useState(null);
+  const { loading, error, quotes, jobs, records, reload } = useQuoteOutcomes({ months: 12 });
+
+  useEffect(() => {
+    apiService.getProductConfigDefaults()
+      .then(response => setDepositPercent(response?.data?.depositPercentage))
+      .catch(err => console.error('Error loading product config defaults:', err));
+  }, []);
+
+  const historicalRates = useMemo(() => getHistoricalCloseRates(records), [records]);
+  const closeRates = useMemo(() => applyScenario(historicalRates, scenario), [historicalRates, scenario]);
+  const timing = useMemo(() => getForecastTiming(records, jobs), [records, jobs]);
+
+  const items = useMemo(() => buildForecastItems({
+    quotes,
+    jobs,
+    closeRates,
+    timing,
+    depositPercent
+  }), [quotes, jobs, closeRates, timing, depositPercent]);
+  const weeks = useMemo(() => buildWeeklyForecast(items), [items]);
+  const totals = useMemo(() => summarizeForecast(items), [items]);
+
+  const tableItems = useMemo(() => items
+    .filter(item => sourceFilter === 'all' || item.source === sourceFilter)
+    .sort((a, b) => (a.dueDate ? moment(a.dueDate).valueOf() : Infinity) - (b.dueDate ? moment(b.dueDate).valueOf() : Infinity)),
+  [items, sourceFilter]);
+
+  const columns = [
+    {
+      title: 'Job / Quote',
+      key: 'number',
+      render: (_, item) => (
+        <div>
+          <a onClick={() => navigate(item.jobId ? `/jobs/${item.jobId}` : `/quotes/edit/${item.quoteId}`)}>
+            {item.number ? `#${item.number}` : 'View'}
+          </a>
+          {item.customerName && <div><Text type="secondary" className="text-xs">{item.customerName}</Text></div>}
+        </div>
+      )
+    },
+    {
+      title: 'Type',
+      dataIndex: 'source',
+      key: 'source',
+      render: (source) => <Tag color={FORECAST_SOURCES[source].committed ? 'blue' : 'default'}>{FORECAST_SOURCES[source].label}</Tag>
+    },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      render: (status, item) => (item.jobId ? jobsService.getStatusLabel(status) : status)
+    },
+    { title: 'Amount', dataIndex: 'amount', key: 'amount', render: formatCurrency, sorter: (a, b) => a.amount - b.amount },
+    {
+      title: 'Probability',
+      dataIndex: 'probability',
+      key: 'probability',
+      render: formatPercent,
+      sorter: (a, b) => a.probability - b.probability
+    },
+    {
+      title: 'Expected',
+      dataIndex: 'expectedAmount',
+      key: 'expectedAmount',
+      render: formatCurrency,
+      sorter: (a, b) => a.expectedAmount - b.expectedAmount
+    },
+    {
+      title: 'Due',
+      dataIndex: 'dueDate',
+      key: 'dueDate',
+      render: (date, item) => {
+        if (!date) return <Text type="secondary">Not scheduled</Text>;
+        if (item.overdue) return <Tag color="red">Overdue</Tag>;
+        return moment(date).format('MMM D, YYYY');
+      }
+    }
+  ];
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-96">
+        <Spin size="large" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center flex-wrap gap-2 mb-4">
+        <Space>
+          <Button icon={<ArrowLeftOutlined />} onClick={() => navigate('/dashboard')} />
+          <Title level={3} className="mb-0">Cash Forecast</Title>
+        </Space>
+        <Space>
+          <Segmented
+            value={scenario}
+            onChange={setScenario}
+            options={FORECAST_SCENARIOS.map(s => ({ value: s.key, label: s.label }))}
+          />
+          <Button icon={<ReloadOutlined />} onClick={reload}>Refresh</Button>
+        </Space>
+      </div>
+
+      {error && <Alert type="error" showIcon className="mb-4" message={error} />}
+
+      <Row gutter={[16, 16]} className="mb-4">
+        <Col xs={12} md={6}>
+          <Card>
+            <Statistic title={`Expected Cash In (${FORECAST_DAYS} days)`} value={formatCurrency(totals.total)} />
+          </Card>
+        </Col>
+        <Col xs={12} md={6}>
+          <Card>
+            <Statistic title="Committed" value={formatCurrency(totals.committed)} valueStyle={{ color: '#1890ff' }} />
+            <Text type="secondary" className="text-xs">Deposits and balances on accepted work</Text>
+          </Card>
+        </Col>
+        <Col xs={12} md={6}>
+          <Card>
+            <Statistic title="Weighted Pipeline" value={formatCurrency(totals.pipeline)} />
+            <Text type="secondary" className="text-xs">Open quotes × close probability</Text>
+          </Card>
+        </Col>
+        <Col xs={12} md={6}>
+          <Card>
+            <Statistic title="Overdue" value={formatCurrency(totals.overdue)} valueStyle={totals.overdue > 0 ? { color: '#cf1322' } : undefined} />
+            <Text type="secondary" className="text-xs">
+              {formatCurrency(totals.unscheduled)} unscheduled, {formatCurrency(totals.beyondWindow)} after {FORECAST_DAYS} days
+            </Text>
+          </Card>
+        </Col>
+      </Row>
+
+      <Row gutter={[16, 16]} className="mb-4">
+        <Col xs={24} lg={17}>
+          <Card title="Expected Cash In by Week">
+            <div style={{ height: 320 }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={weeks}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="weekStart" tickFormatter={(date) => moment(date).format('MMM D')} />
+                  <YAxis yAxisId="week" tickFormatter={formatCurrency} />
+                  <YAxis yAxisId="cumulative" orientation="right" tickFormatter={formatCurrency} />
+                  <ChartTooltip
+                    labelFormatter={(date) => `Week of ${moment(date).format('MMM D, YYYY')}`}
+                    formatter={(value) => formatCurrency(value)}
+                  />
+                  <Legend />
+                  {Object.entries(FORECAST_SOURCES).map(([source, { label }]) => (
+                    <Bar key={source} yAxisId="week" dataKey={source} name={label} stackId="cash" fill={SOURCE_COLORS[source]} />
+                  ))}
+                  <Line yAxisId="cumulative" dataKey="cumulative" name="Cumulative" stroke="#722ed1" strokeWidth={2} dot={false} />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          </Card>
+        </Col>
+        <Col xs={24} lg={7}>
+          <Card title="Assumptions">
+            <Space direction="vertical" style={{ width: '100%' }}>
+              {Object.entries(historicalRates).map(([status, { rate, decided, historical }]) => (
+                <div key={status} className="flex justify-between">
+                  <Tooltip
+                    title={historical
+                      ? `${decided} decided ${status} quotes in the last 12 months`
+                      : `Only ${decided} decided ${status} quotes so far, using a typical rate`}
+                  >
+                    <span className="capitalize">{status} close rate</span>
+                  </Tooltip>
+                  <span>
+                    <strong>{formatPercent(closeRates[status])}</strong>
+                    {scenario !== 'expected' && <Text type="secondary" className="text-xs"> (history {formatPercent(rate)})</Text>}
+                  </span>
+                </div>
+              ))}
+              <div className="flex justify-between">
+                <span>Typical days to accept</span>
+                <strong>{timing.daysToDecision}</strong>
+              </div>
+              <div className="flex justify-between">
+                <span>Typical days to finish a job</span>
+                <strong>{timing.daysToCompletion}</strong>
+              </div>
+              <Text type="secondary" className="text-xs">
+                Pipeline deposits land when a quote would typically be accepted and balances when the job would typically finish.
+                Booked jobs pay their balance at their scheduled end date.
+              </Text>
+            </Space>
+          </Card>
+        </Col>
+      </Row>
+
+      <Card
+        title={`Expected Payments (${tableItems.length})`}
+        extra={(
+          <Select value={sourceFilter} onChange={setSourceFilter} style={{ width: 180 }}>
+            <Option value="all">All payments</Option>
+            {Object.entries(FORECAST_SOURCES).map(([source, { label }]) => <Option key={source} value={source}>{label}</Option>)}
+          </Select>
+        )}
+      >
+        <Table columns={columns} dataSource={tableItems} rowKey="id" size="small" pagination={{ pageSize: 20 }} />
+      </Card>
+    </div>
+  );
+}
+
+export default CashForecastPage;
@@ -28,11 +28,28 @@ import {
 } from '@ant-design/icons';
 import apiService from '../services/apiService';
 import { isAbortError } from '../hooks/useAbortableEffect';
+import { getTurnkeyMultipliers } from '../utils/pricingEngine';
+import { toDisplayQuantity, toCanonicalQuantity, getUnitLabel, formatQuantity, isMetric } from '../utils/unitUtils';
+import { PAINT_CONTAINERS } from '../utils/paintUtils';
 
 const { Option } = Select;
 const { TabPane } = Tabs;
 const { Panel } = Collapse;
 
+const TURNKEY_CONDITIONS = [
+    { key: 'excellent', label: 'Excellent' },
+    { key: 'good', label: 'Good' },
+    { key: 'average', label: 'Average' },
+    { key: 'fair', label: 'Fair' },
+    { key: 'poor', label: 'Poor' }
+];
+
+const TURNKEY_STORIES = [
+    { key: '1', label: 'Single Story' },
+    { key: '2', label: 'Two Story' },
+    { key: '3', label: 'Three Story+' }
+];
+
 const ContractorProductConfigManager = () => {
     const [configs, setConfigs] = useState([]);
     const [brands, setBrands] = useState([]);
@@ -59,6 +76,10 @@ const ContractorProductConfigManager = () => {
     const [form] = Form.useForm();
     const [laborForm] = Form.useForm();
     const [markupForm] = Form.useForm();
+    const unitSystem = Form.useWatch('unitSystem', markupForm);
+    const coverage = Form.useWatch('coverage', markupForm);
+    // Product coverage is entered and shown in the saved unit system, not the unsaved pricing settings form
+    const productUnitSystem = laborDefaults?.unitSystem;
     const [laborModalVisible, setLaborModalVisible] = useState(false);
     const [editingLaborRate, setEditingLaborRate] = useState(null);
     const [laborRateType, setLaborRateType] = useState('interior');
@@ -160,6 +181,8 @@ const ContractorProductConfigManager = () => {
                 quoteValidityDays: laborDefaults.quoteValidityDays || 30,
                 turnkeyInteriorRate: laborDefaults.turnkeyInteriorRate || 0,
                 turnkeyExteriorRate: laborDefaults.turnkeyExteriorRate || 0,
+                turnkeyConditionMultipliers: getTurnkeyMultipliers(laborDefaults).conditionMultipliers,
+                turnkeyStoryMultipliers: getTurnkeyMultipliers(laborDefaults).storyMultipliers,
                 prepRepairHourlyRate: laborDefaults.prepRepairHourlyRate || 0,
                 finishCabinetHourlyRate: laborDefaults.finishCabinetHourlyRate || 0,
                 productionInteriorWalls: laborDefaults.productionInteriorWalls || 300,
@@ -175,6 +198,7 @@ const ContractorProductConfigManager = () => {
                 includeMaterials: laborDefaults.includeMaterials !== undefined ? laborDefaults.includeMaterials : true,
                 coverage: laborDefaults.coverage || 350,
                 applicationMethod: laborDefaults.applicationMethod || 'roll',
+                unitSystem: laborDefaults.unitSystem || 'imperial',
                 coats: laborDefaults.coats || 2,
                 // Flat Rate Unit Prices
                 flatRateUnitPrices: {
@@ -538,7 +562,7 @@ const ContractorProductConfigManager = () => {
                 for (const sheen of record.sheens) {
                     sheensFormData[sheen.sheen] = {
                         price: sheen.price,
-                        coverage: sheen.coverage,
+                        coverage: toDisplayQuantity(sheen.coverage, 'coverage', productUnitSystem),
                     };
                 }
             }
@@ -553,6 +577,7 @@ const ContractorProductConfigManager = () => {
                 },
                 customSheenOptions: record.sheens.map(s => s.sheen).join(', '),
                 sheens: sheensFormData,
+                containerPrices: record.containerPrices || {},
             });
 
             setLoadingEditData(false);
@@ -566,7 +591,7 @@ const ContractorProductConfigManager = () => {
                 for (const sheen of record.sheens) {
                     sheensFormData[sheen.sheen] = {
                         price: sheen.price,
-                        coverage: sheen.coverage,
+                        coverage: toDisplayQuantity(sheen.coverage, 'coverage', productUnitSystem),
                     };
                 }
             }
@@ -604,6 +629,7 @@ const ContractorProductConfigManager = () => {
             form.setFieldsValue({
                 globalProductId: record.globalProductId,
                 sheens: sheensFormData,
+                containerPrices: record.containerPrices || {},
             });
         }
 
@@ -643,13 +669,15 @@ const ContractorProductConfigManager = () => {
                     sheensArray.push({
                         sheen,
                         price: values.sheens[sheen].price,
-                        coverage: values.sheens[sheen].coverage,
+                        // Coverage is entered in the tenant's units and stored as sq ft/gal
+                        coverage: toCanonicalQuantity(values.sheens[sheen].coverage, 'coverage', productUnitSystem),
                     });
                 }
             }
 
             const payload = {
                 sheens: sheensArray,
+                containerPrices: values.containerPrices || {},
                 laborRates: laborDefaults?.laborRates || { interior: [], exterior: [] },
                 productMarkups: {},
                 taxRate: laborDefaults?.defaultTaxRate || 0,
@@ -803,6 +831,8 @@ const ContractorProductConfigManager = () => {
                 quoteValidityDays: values.quoteValidityDays,
                 turnkeyInteriorRate: values.turnkeyInteriorRate,
                 turnkeyExteriorRate: values.turnkeyExteriorRate,
+                turnkeyConditionMultipliers: values.turnkeyConditionMultipliers,
+                turnkeyStoryMultipliers: values.turnkeyStoryMultipliers,
                 prepRepairHourlyRate: values.prepRepairHourlyRate,
                 finishCabinetHourlyRate: values.finishCabinetHourlyRate,
                 productionInteriorWalls: values.productionInteriorWalls,
@@ -818,6 +848,7 @@ const ContractorProductConfigManager = () => {
                 includeMaterials: values.includeMaterials,
                 coverage: values.coverage,
                 applicationMethod: values.applicationMethod,
+                unitSystem: values.unitSystem,
                 coats: values.coats,
                 // Flat Rate Unit Prices
                 flatRateUnitPrices: {
@@ -884,7 +915,7 @@ const ContractorProductConfigManager = () => {
             for (const sheen of sheenOptions) {
                 sheensInit[sheen] = {
                     price: 0,
-                    coverage: laborDefaults.defaultCoverage || 350,
+                    coverage: toDisplayQuantity(laborDefaults.defaultCoverage || 350, 'coverage', productUnitSystem),
                 };
             }
             form.setFieldsValue({ sheens: sheensInit });
@@ -950,7 +981,7 @@ const ContractorProductConfigManager = () => {
                             <div key={sheen.sheen} className='mb-1'>
                                 <Tag color='green' className={isMobile ? 'text-xs' : ''}>{sheen.sheen}</Tag>
                                 <span className={isMobile ? 'text-[10px]' : 'text-xs'}>
-                                    ${Number(sheen.price).toFixed(2)}/gal{!isMobile && ` • ${sheen.coverage} sq ft/gal`}
+                                    ${Number(sheen.price).toFixed(2)}/gal{!isMobile && ` • ${formatQuantity(sheen.coverage, 'coverage', productUnitSystem)}`}
                                 </span>
                             </div>
                         ))
@@ -1137,7 +1168,7 @@ const ContractorProductConfigManager = () => {
 
                             <Form.Item
                                 name={['sheens', sheen, 'coverage']}
-                                label="Coverage (sq ft/gallon)"
+                                label={`Coverage (${getUnitLabel('coverage', productUnitSystem)})`}
                                 rules={[
                                     { required: true, message: `Please enter coverage for ${sheen}` },
                                     {
@@ -1155,8 +1186,8 @@ const ContractorProductConfigManager = () => {
                                 className="mb-2 sm:mb-0"
                             >
                                 <InputNumber
-                                    min={1}
-                                    precision={0}
+                                    min={isMetric(productUnitSystem) ? 0.1 : 1}
+                                    precision={isMetric(productUnitSystem) ? 2 : 0}
                                     style={{ width: '100%' }}
                                     placeholder={`Coverage for ${sheen}`}
                                 />
@@ -1164,6 +1195,29 @@ const ContractorProductConfigManager = () => {
                         </div>
                     </div>
                 ))}
+
+                <h4 className="font-semibold mb-1 text-sm sm:text-base">Container Prices:</h4>
+                <p className="text-xs text-gray-500 mb-3">
+                    Used to buy the cheapest mix of containers for each quote. Leave a size blank if you don't stock it; gallons default to the sheen price.
+                </p>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 sm:gap-4">
+                    {PAINT_CONTAINERS.map(container => (
+                        <Form.Item
+                            key={container.key}
+                            name={['containerPrices', container.key]}
+                            label={container.label}
+                            className="mb-2 sm:mb-0"
+                        >
+                            <InputNumber
+                                prefix="$"
+                                min={0}
+                                precision={2}
+                                style={{ width: '100%' }}
+                                placeholder={`Price per ${container.label.toLowerCase()}`}
+                            />
+                        </Form.Item>
+                    ))}
+                </div>
             </>
         );
     };
@@ -1406,6 +1460,20 @@ const ContractorProductConfigManager = () => {
                                 <Form.Item name="turnkeyExteriorRate" label="Exterior Rate" tooltip="All-in price per sq ft">
                                     <InputNumber min={0} precision={2} addonBefore="$" addonAfter="/ sq ft" style={{ width: 200 }} />
                                 </Form.Item>
+
+                                <h4 className="font-medium mb-3 mt-4">Property Condition Multipliers</h4>
+                                {TURNKEY_CONDITIONS.map(({ key, label }) => (
+                                    <Form.Item key={key} name={['turnkeyConditionMultipliers', key]} label={label} tooltip="Applied to the turnkey price for homes in this condition">
+                                        <InputNumber min={0.5} max={3} step={0.01} precision={2} addonAfter="x" style={{ width: 200 }} />
+                                    </Form.Item>
+                                ))}
+
+                                <h4 className="font-medium mb-3 mt-4">Story Multipliers</h4>
+                                {TURNKEY_STORIES.map(({ key, label }) => (
+                                    <Form.Item key={key} name={['turnkeyStoryMultipliers', key]} label={label} tooltip="Applied to the turnkey price for homes with this many stories">
+                                        <InputNumber min={0.5} max={3} step={0.01} precision={2} addonAfter="x" style={{ width: 200 }} />
+                                    </Form.Item>
+                                ))}
                             </div>
                         )}
                     </Panel>
@@ -1456,7 +1524,19 @@ const ContractorProductConfigManager = () => {
                                         <Form.Item name="includeMaterials" label="Include Materials" valuePropName="checked" tooltip="Default setting for including materials">
                                             <Switch checkedChildren="Included" unCheckedChildren="Excluded" />
                                         </Form.Item>
-                                        <Form.Item name="coverage" label="Paint Coverage" rules={[{ required: true }]} tooltip="Default square feet covered per gallon">
+                                        <Form.Item name="unitSystem" label="Units of Measure" tooltip="Units used for measurements, coverage and paint quantities in quotes and proposals">
+                                            <Select style={{ width: 200 }}>
+                                                <Option value="imperial">Imperial (ft, gal)</Option>
+                                                <Option value="metric">Metric (m, L)</Option>
+                                            </Select>
+                                        </Form.Item>
+                                        <Form.Item
+                                            name="coverage"
+                                            label="Paint Coverage"
+                                            rules={[{ required: true }]}
+                                            tooltip="Default square feet covered per gallon"
+                                            extra={unitSystem === 'metric' && coverage ? `≈ ${toDisplayQuantity(coverage, 'coverage', 'metric')} ${getUnitLabel('coverage', 'metric')}` : undefined}
+                                        >
                                             <InputNumber min={250} max={450} precision={0} addonAfter="sq ft/gal" style={{ width: 200 }} />
                                         </Form.Item>
                                         <Form.Item name="applicationMethod" label="Application Method" rules={[{ required: true }]} tooltip="Default paint application method">
@@ -0,0 +1,299 @@
+import { useState, useEffect } from 'react';
+import { Card, Table, Button, Modal, Form, Input, InputNumber, Select, Checkbox, message, Popconfirm, Tag, Space } from 'antd';
+import { FiPlus, FiEdit, FiTrash2, FiUserPlus, FiX } from 'react-icons/fi';
+import { crewsService } from '../services/crewsService';
+import {
+  DEFAULT_DAILY_HOURS,
+  DEFAULT_WORK_DAYS,
+  getCrewSize,
+  getCrewWorkDays,
+  getCrewDailyCost
+} from '../utils/crewCapacity';
+
+const SKILL_OPTIONS = [
+  'Interior',
+  'Exterior',
+  'Cabinets',
+  'Drywall Repair',
+  'Wallpaper Removal',
+  'Staining',
+  'Spraying',
+  'Commercial'
+];
+
+const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' }
+];
+
+const CREW_COLORS = ['#722ed1', '#1890ff', '#13c2c2', '#52c41a', '#fa8c16', '#eb2f96', '#2f54eb', '#a0d911'];
+
+function CrewsPage() {
+  const [loading, setLoading] = useState(false);
+  const [crews, setCrews] = useState([]);
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editingCrew, setEditingCrew] = useState(null);
+  const [form] = Form.useForm();
+
+  useEffect(() => {
+    fetchCrews();
+  }, []);
+
+  const fetchCrews = async () => {
+    try {
+      setLoading(true);
+      const response = await crewsService.getCrews();
+      if (response.success) {
+        setCrews(response.data);
+      }
+    } catch (error) {
+      message.error('Failed to load crews: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = () => {
+    setEditingCrew(null);
+    form.resetFields();
+    form.setFieldsValue({
+      color: CREW_COLORS[crews.length % CREW_COLORS.length],
+      members: [{ name: '', role: 'Lead' }],
+      dailyHours: DEFAULT_DAILY_HOURS,
+      workDays: DEFAULT_WORK_DAYS
+    });
+    setModalVisible(true);
+  };
+
+  const handleEdit = (record) => {
+    setEditingCrew(record);
+    form.setFieldsValue({
+      ...record,
+      members: record.members?.length ? record.members : [{ name: '', role: 'Lead' }],
+      workDays: getCrewWorkDays(record)
+    });
+    setModalVisible(true);
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      const response = await crewsService.deleteCrew(id);
+      if (response.success) {
+        message.success('Crew deleted successfully');
+        fetchCrews();
+      }
+    } catch (error) {
+      message.error('Failed to delete: ' + error.message);
+    }
+  };
+
+  const handleSubmit = async (values) => {
+    const crewData = {
+      ...values,
+      members: (values.members || []).filter(member => member?.name?.trim())
+    };
+    try {
+      if (editingCrew) {
+        await crewsService.updateCrew(editingCrew.id, crewData);
+        message.success('Crew updated successfully');
+      } else {
+        await crewsService.createCrew(crewData);
+        message.success('Crew created successfully');
+      }
+      setModalVisible(false);
+      fetchCrews();
+    } catch (error) {
+      message.error('Failed to save: ' + error.message);
+    }
+  };
+
+  const columns = [
+    {
+      title: 'Crew',
+      dataIndex: 'name',
+      key: 'name',
+      render: (name, record) => <Tag color={record.color || 'purple'}>{name}</Tag>
+    },
+    {
+      title: 'Members',
+      dataIndex: 'members',
+      key: 'members',
+      render: (members = []) => members.map(member => member.name).join(', ') || '—'
+    },
+    {
+      title: 'Skills',
+      dataIndex: 'skills',
+      key: 'skills',
+      render: (skills = []) => skills.map(skill => <Tag key={skill}>{skill}</Tag>)
+    },
+    {
+      title: 'Work Days',
+      key: 'workDays',
+      render: (_, record) => WEEKDAYS
+        .filter(day => getCrewWorkDays(record).includes(day.value))
+        .map(day => day.label)
+        .join(' ')
+    },
+    {
+      title: 'Capacity / Day',
+      key: 'capacity',
+      render: (_, record) => `${getCrewSize(record) * (record.dailyHours || DEFAULT_DAILY_HOURS)} crew-hrs`
+    },
+    {
+      title: 'Cost / Day',
+      key: 'cost',
+      render: (_, record) => (record.hourlyCost ? `$${getCrewDailyCost(record).toFixed(2)}` : '—')
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, record) => (
+        <div className="flex gap-2">
+          <Button size="small" icon={<FiEdit />} onClick={() => handleEdit(record)}>
+            Edit
+          </Button>
+          <Popconfirm
+            title="Delete this crew?"
+            description="It will be removed from any jobs it's assigned to."
+            onConfirm={() => handleDelete(record.id)}
+            okText="Yes"
+            cancelText="No"
+          >
+            <Button size="small" danger icon={<FiTrash2 />}>
+              Delete
+            </Button>
+          </Popconfirm>
+        </div>
+      )
+    }
+  ];
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      <div className="mb-6 flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Crews</h1>
+          <p className="text-gray-600 mt-1">
+            Manage crews, their members and how many hours they can take on each day
+          </p>
+        </div>
+        <Button type="primary" icon={<FiPlus />} onClick={handleCreate}>
+          Add Crew
+        </Button>
+      </div>
+
+      <Card>
+        <Table
+          dataSource={crews}
+          columns={columns}
+          rowKey="id"
+          loading={loading}
+          pagination={{ pageSize: 20 }}
+        />
+      </Card>
+
+      <Modal
+        title={editingCrew ? 'Edit Crew' : 'Create Crew'}
+        open={modalVisible}
+        onCancel={() => setModalVisible(false)}
+        onOk={() => form.submit()}
+        width={720}
+      >
+        <Form form={form} layout="vertical" onFinish={handleSubmit}>
+          <div className="grid grid-cols-2 gap-4">
+            <Form.Item
+              label="Crew Name"
+              name="name"
+              rules={[{ required: true }]}
+            >
+              <Input placeholder="E.g., Crew A, Mike's Crew" />
+            </Form.Item>
+
+            <Form.Item
+              label="Calendar Color"
+              name="color"
+            >
+              <Select>
+                {CREW_COLORS.map(color => (
+                  <Select.Option key={color} value={color}>
+                    <Tag color={color}>{color}</Tag>
+                  </Select.Option>
+                ))}
+              </Select>
+            </Form.Item>
+
+            <Form.Item
+              label="Hours per Person per Day"
+              name="dailyHours"
+              rules={[{ required: true }]}
+            >
+              <InputNumber className="w-full" min={1} max={24} step={0.5} />
+            </Form.Item>
+
+            <Form.Item
+              label="Hourly Cost per Person"
+              name="hourlyCost"
+              tooltip="Loaded labor cost (wages, burden). Used for job costing, not for pricing quotes."
+            >
+              <InputNumber className="w-full" prefix="$" min={0} step={0.5} />
+            </Form.Item>
+          </div>
+
+          <Form.Item
+            label="Work Days"
+            name="workDays"
+            rules={[{ required: true, message: 'Pick at least one day' }]}
+          >
+            <Checkbox.Group options={WEEKDAYS} />
+          </Form.Item>
+
+          <Form.Item
+            label="Skills"
+            name="skills"
+          >
+            <Select mode="tags" placeholder="Select or type skills">
+              {SKILL_OPTIONS.map(skill => (
+                <Select.Option key={skill} value={skill}>{skill}</Select.Option>
+              ))}
+            </Select>
+          </Form.Item>
+
+          <div className="text-sm font-medium mb-2">Members</div>
+          <Form.List name="members">
+            {(fields, { add, remove }) => (
+              <>
+                {fields.map(({ key, name, ...restField }) => (
+                  <Space key={key} align="baseline" className="flex">
+                    <Form.Item {...restField} name={[name, 'name']} rules={[{ required: true, message: 'Name required' }]}>
+                      <Input placeholder="Name" />
+                    </Form.Item>
+                    <Form.Item {...restField} name={[name, 'role']}>
+                      <Select style={{ width: 140 }} placeholder="Role">
+                        <Select.Option value="Lead">Lead</Select.Option>
+                        <Select.Option value="Painter">Painter</Select.Option>
+                        <Select.Option value="Helper">Helper</Select.Option>
+                      </Select>
+                    </Form.Item>
+                    {fields.length > 1 && (
+                      <Button type="text" icon={<FiX />} onClick={() => remove(name)} />
+                    )}
+                  </Space>
+                ))}
+                <Button type="dashed" icon={<FiUserPlus />} onClick={() => add({ name: '', role: 'Painter' })}>
+                  Add Member
+                </Button>
+              </>
+            )}
+          </Form.List>
+        </Form>
+      </Modal>
+    </div>
+  );
+}
+
+export default CrewsPage;
@@ -275,6 +275,14 @@ function DashboardPage() {
                             <p className='text-base sm:text-lg font-semibold text-gray-900'>
                                 {new Date().toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
                             </p>
+                            <Button
+                                type='link'
+                                size='small'
+                                className='px-0'
+                                onClick={() => navigate('/dashboard/forecast')}
+                            >
+                                Cash Forecast
+                            </Button>
                         </div>
                     </div>
 
@@ -346,6 +354,13 @@ function DashboardPage() {
                                 <h3 className='text-lg sm:text-xl font-bold text-gray-900'>
                                     Job Analytics
                                 </h3>
+                                <Button
+                                    type="link"
+                                    size="small"
+                                    onClick={() => navigate('/job-analytics/profitability')}
+                                >
+                                    Profitability
+                                </Button>
                                 {/* <Button 
                 type="link" 
                 size="small"
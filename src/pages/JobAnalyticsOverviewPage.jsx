@@ -1,9 +1,12 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
 import { Button } from '../components/ui/button';
 import { Alert, AlertDescription } from '../components/ui/alert';
 import { apiService } from '../services/apiService';
+import RateDriftTable from '../components/JobAnalytics/RateDriftTable';
+import useProductionRateSamples from '../hooks/useProductionRateSamples';
+import { summarizeRateDrift, suggestProductionRates } from '../utils/productionRateTuning';
 import { 
   TrendingUp, 
   TrendingDown, 
@@ -13,7 +16,8 @@ import {
   DollarSign,
   BarChart3,
   PieChart,
-  Calendar
+  Calendar,
+  Gauge
 } from 'lucide-react';
 
 const JobAnalyticsOverviewPage = () => {
@@ -21,6 +25,13 @@ const JobAnalyticsOverviewPage = () => {
   const [summary, setSummary] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const { loading: samplesLoading, productionRates, samples } = useProductionRateSamples();
+
+  const rateDrift = useMemo(() => summarizeRateDrift(samples, productionRates), [samples, productionRates]);
+  const rateSuggestions = useMemo(
+    () => suggestProductionRates(samples, productionRates).filter(suggestion => suggestion.actionable),
+    [samples, productionRates]
+  );
 
   useEffect(() => {
     fetchAnalyticsSummary();
@@ -142,11 +153,21 @@ const JobAnalyticsOverviewPage = () => {
   return (
     <div className="container mx-auto px-4 py-8 max-w-7xl">
       {/* Header */}
-      <div className="mb-8">
-        <h1 className="text-3xl font-bold text-gray-900 mb-2">Job Analytics</h1>
-        <p className="text-gray-600">
-          Profitability analysis and cost breakdowns for {summary.totalJobs} completed jobs
-        </p>
+      <div className="mb-8 flex items-start justify-between flex-wrap gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Job Analytics</h1>
+          <p className="text-gray-600">
+            Profitability analysis and cost breakdowns for {summary.totalJobs} completed jobs
+          </p>
+        </div>
+        <Button
+          variant="outline"
+          onClick={() => navigate('/job-analytics/profitability')}
+          className="flex items-center gap-2"
+        >
+          <BarChart3 className="h-4 w-4" />
+          Profitability Explorer
+        </Button>
       </div>
 
       {/* Summary Cards */}
@@ -237,6 +258,38 @@ const JobAnalyticsOverviewPage = () => {
         </CardContent>
       </Card>
 
+      {/* Estimate Accuracy */}
+      <Card className="mb-8">
+        <CardHeader>
+          <div className="flex items-center justify-between flex-wrap gap-2">
+            <CardTitle className="flex items-center gap-2">
+              <Gauge className="h-5 w-5" />
+              Estimate Accuracy
+            </CardTitle>
+            {rateSuggestions.length > 0 && (
+              <Button
+                onClick={() => navigate('/job-analytics/production-rates')}
+                className="bg-blue-600 hover:bg-blue-700"
+              >
+                Review {rateSuggestions.length} Suggested Rate{rateSuggestions.length === 1 ? '' : 's'}
+              </Button>
+            )}
+          </div>
+          <p className="text-sm text-gray-600">
+            Estimated vs actual hours by labor category, from time logged against quote areas on finished jobs
+          </p>
+        </CardHeader>
+        <CardContent>
+          {samplesLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : (
+            <RateDriftTable rows={rateDrift} />
+          )}
+        </CardContent>
+      </Card>
+
       {/* Recent Jobs */}
       <Card>
         <CardHeader>
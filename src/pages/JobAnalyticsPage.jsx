@@ -1,17 +1,22 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
 import { Button } from '../components/ui/button';
 import { Alert, AlertDescription } from '../components/ui/alert';
 import { ArrowLeft, TrendingUp, TrendingDown, AlertTriangle, CheckCircle } from 'lucide-react';
 import { apiService } from '../services/apiService';
+import { jobsService } from '../services/jobsService';
+import { crewsService } from '../services/crewsService';
+import { summarizeActuals, buildCostVariance, applyActualsToAnalytics } from '../utils/jobCosting';
 import DonutChart from '../components/JobAnalytics/DonutChart';
 import CostBreakdownTable from '../components/JobAnalytics/CostBreakdownTable';
+import CostVarianceTable from '../components/JobAnalytics/CostVarianceTable';
 
 const JobAnalyticsPage = () => {
   const { quoteId } = useParams();
   const navigate = useNavigate();
-  const [analytics, setAnalytics] = useState(null);
+  const [estimatedAnalytics, setEstimatedAnalytics] = useState(null);
+  const [costs, setCosts] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -30,7 +35,8 @@ const JobAnalyticsPage = () => {
         throw new Error(data.error?.message || 'Failed to fetch analytics');
       }
 
-      setAnalytics(data.data);
+      setEstimatedAnalytics(data.data);
+      await fetchActualCosts(data.data);
     } catch (err) {
       console.error('Error fetching job analytics:', err);
       setError(err.message);
@@ -39,6 +45,48 @@ const JobAnalyticsPage = () => {
     }
   };
 
+  // Time and materials logged on the job; analytics stay on estimates if there are none
+  const fetchActualCosts = async (quoteAnalytics) => {
+    try {
+      let jobId = quoteAnalytics.jobId;
+      if (!jobId) {
+        const jobsResponse = await jobsService.getAllJobs({ quoteId, limit: 1 });
+        // Don't trust the filter: a list that ignores quoteId would attach another job's costs
+        const job = (jobsResponse.data || []).find(entry => String(entry.quoteId) === String(quoteId));
+        jobId = job?.id;
+      }
+      if (!jobId) {
+        setCosts(null);
+        return;
+      }
+
+      const [jobResponse, costsResponse, crewsResponse] = await Promise.all([
+        jobsService.getJobById(jobId),
+        jobsService.getJobCosts(jobId),
+        crewsService.getCrews().catch(() => ({ data: [] }))
+      ]);
+      setCosts({
+        job: jobResponse.data,
+        timeEntries: costsResponse.data?.timeEntries || [],
+        materialPurchases: costsResponse.data?.materialPurchases || [],
+        crews: crewsResponse.data || []
+      });
+    } catch (err) {
+      console.error('Error fetching job costs:', err);
+      setCosts(null);
+    }
+  };
+
+  const actuals = useMemo(() => (costs ? summarizeActuals(costs) : null), [costs]);
+  const variance = useMemo(
+    () => (costs ? buildCostVariance({ ...costs, quote: costs.job?.quote }) : null),
+    [costs]
+  );
+  const analytics = useMemo(
+    () => applyActualsToAnalytics(estimatedAnalytics, actuals),
+    [estimatedAnalytics, actuals]
+  );
+
   const getHealthStatusIcon = (status) => {
     switch (status) {
       case 'good':
@@ -145,6 +193,19 @@ const JobAnalyticsPage = () => {
                 ${analytics.jobPrice.toLocaleString()}
               </span>
             </p>
+            {analytics.usesActuals && (
+              <p className="text-sm mt-1">
+                Using actual costs from {costs.timeEntries.length} time entries and {costs.materialPurchases.length} material purchases
+                {' '}
+                <button
+                  type="button"
+                  className="text-blue-600 hover:underline"
+                  onClick={() => navigate(`/jobs/${costs.job.id}`)}
+                >
+                  ({costs.job.jobNumber})
+                </button>
+              </p>
+            )}
           </div>
         </div>
       </div>
@@ -175,6 +236,18 @@ const JobAnalyticsPage = () => {
         </Card>
       </div>
 
+      {/* Estimate vs Actual */}
+      {variance && (actuals.hasLabor || actuals.hasMaterials) && (
+        <Card className="mb-8">
+          <CardHeader>
+            <CardTitle>Estimate vs Actual</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <CostVarianceTable variance={variance} actuals={actuals} />
+          </CardContent>
+        </Card>
+      )}
+
       {/* Industry Standards Comparison */}
       <Card className="mb-8">
         <CardHeader>
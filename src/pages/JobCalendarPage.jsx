@@ -1,17 +1,43 @@
 // pages/JobCalendarPage.jsx
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Card, Typography, Space, Button, Select, Tag, message, Spin } from 'antd';
+import { Card, Typography, Space, Button, Select, Tag, message, Spin, Modal, notification, Segmented } from 'antd';
 import { Calendar, momentLocalizer } from 'react-big-calendar';
+import withDragAndDrop from 'react-big-calendar/lib/addons/dragAndDrop';
 import moment from 'moment';
 import 'react-big-calendar/lib/css/react-big-calendar.css';
-import { ArrowLeftOutlined, CalendarOutlined } from '@ant-design/icons';
+import 'react-big-calendar/lib/addons/dragAndDrop/styles.css';
+import { ArrowLeftOutlined, CalendarOutlined, DownloadOutlined, LinkOutlined } from '@ant-design/icons';
 import { jobsService } from '../services/jobsService';
+import { crewsService } from '../services/crewsService';
+import { buildDailyCapacity, findOverCapacityJobs } from '../utils/crewCapacity';
+import { buildCalendar, buildJobDescription, downloadIcs } from '../utils/icsCalendar';
+import CalendarFeedModal from '../components/CalendarFeedModal';
+import CrewCapacityView from '../components/CrewCapacityView';
 
 const { Title, Text } = Typography;
 const { Option } = Select;
 
 const localizer = momentLocalizer(moment);
+const DnDCalendar = withDragAndDrop(Calendar);
+
+// Jobs still waiting on the deposit shouldn't be moved without a heads-up
+const PRE_DEPOSIT_STATUSES = ['accepted', 'pending_deposit'];
+// Finished jobs stay where they happened
+const LOCKED_STATUSES = ['completed', 'invoiced', 'paid', 'canceled'];
+
+const isMovable = (event) => !LOCKED_STATUSES.includes(event.status);
+
+// Other active jobs sharing a day with the new range (end days are inclusive, like getDurationDays)
+const findOverlaps = (events, movedEvent, start, end) => events.filter(event =>
+  event.id !== movedEvent.id &&
+  !LOCKED_STATUSES.includes(event.status) &&
+  moment(event.start).isSameOrBefore(end, 'day') &&
+  moment(start).isSameOrBefore(event.end, 'day')
+);
+
+// Same rule as the scheduling form on JobDetailPage: both start and end day count
+const getDurationDays = (start, end) => Math.max(moment(end).diff(moment(start), 'day') + 1, 1);
 
 function JobCalendarPage() {
   const navigate = useNavigate();
@@ -19,11 +45,27 @@ function JobCalendarPage() {
   const [events, setEvents] = useState([]);
   const [view, setView] = useState('month');
   const [statusFilter, setStatusFilter] = useState('all');
+  const [feedModalOpen, setFeedModalOpen] = useState(false);
+  const [crews, setCrews] = useState([]);
+  const [crewFilter, setCrewFilter] = useState('all');
+  const [mode, setMode] = useState('calendar');
 
   useEffect(() => {
     fetchCalendarEvents();
+    fetchCrews();
   }, []);
 
+  const fetchCrews = async () => {
+    try {
+      const response = await crewsService.getCrews();
+      if (response.success) {
+        setCrews(response.data);
+      }
+    } catch (error) {
+      console.error('Failed to load crews:', error);
+    }
+  };
+
   const fetchCalendarEvents = async () => {
     try {
       setLoading(true);
@@ -40,7 +82,12 @@ function JobCalendarPage() {
             status: job.status,
             jobNumber: job.jobNumber,
             customerName: job.customerName,
-            duration: job.duration
+            duration: job.duration,
+            jobAddress: job.jobAddress,
+            crewIds: job.crewIds || job.crews?.map(crew => crew.id) || [],
+            estimatedHours: job.estimatedHours,
+            updatedAt: job.updatedAt,
+            sequence: job.sequence
           }));
         
         setEvents(formattedEvents);
@@ -53,7 +100,98 @@ function JobCalendarPage() {
   };
 
   const handleSelectEvent = (event) => {
-    navigate(`/portal/job/${event.id}`);
+    navigate(`/jobs/${event.id}`);
+  };
+
+  const saveSchedule = async (event, start, end) => {
+    const response = await jobsService.updateJobSchedule(event.id, {
+      scheduledStartDate: start.toISOString(),
+      scheduledEndDate: end.toISOString(),
+      estimatedDuration: getDurationDays(start, end)
+    });
+    if (!response.success) {
+      throw new Error(response.message || 'Schedule update was rejected');
+    }
+  };
+
+  const setEventDates = (id, start, end) => {
+    setEvents(prev => prev.map(e => (
+      // updatedAt moves so an exported event's SEQUENCE goes up with the change
+      e.id === id ? { ...e, start, end, duration: getDurationDays(start, end), updatedAt: new Date() } : e
+    )));
+  };
+
+  const undoMove = async (event, previous) => {
+    notification.destroy(`job-move-${event.id}`);
+    setEventDates(event.id, previous.start, previous.end);
+    try {
+      await saveSchedule(event, previous.start, previous.end);
+      message.success(`${event.jobNumber} moved back`);
+    } catch (error) {
+      message.error('Failed to undo: ' + error.message);
+      fetchCalendarEvents();
+    }
+  };
+
+  const applyMove = async (event, start, end, verb) => {
+    const previous = { start: event.start, end: event.end };
+    // Move it right away, put it back if the save fails
+    setEventDates(event.id, start, end);
+    try {
+      await saveSchedule(event, start, end);
+      const key = `job-move-${event.id}`;
+      notification.success({
+        key,
+        message: `${event.jobNumber} ${verb}`,
+        description: `${moment(start).format('MMM D')} – ${moment(end).format('MMM D, YYYY')}`,
+        actions: (
+          <Button size="small" onClick={() => undoMove(event, previous)}>
+            Undo
+          </Button>
+        ),
+        duration: 8
+      });
+    } catch (error) {
+      setEventDates(event.id, previous.start, previous.end);
+      message.error('Failed to reschedule job: ' + error.message);
+    }
+  };
+
+  const confirmMove = (event, start, end, verb) => {
+    const warnings = [];
+    if (PRE_DEPOSIT_STATUSES.includes(event.status)) {
+      warnings.push(`${event.jobNumber} is ${jobsService.getStatusLabel(event.status).toLowerCase()} — the deposit hasn't been paid yet.`);
+    }
+    const overlaps = findOverlaps(events, event, start, end);
+    if (overlaps.length > 0) {
+      warnings.push(`Overlaps with ${overlaps.map(o => `${o.jobNumber} (${o.customerName})`).join(', ')}.`);
+    }
+
+    if (warnings.length === 0) {
+      applyMove(event, start, end, verb);
+      return;
+    }
+
+    Modal.confirm({
+      title: `${verb === 'resized' ? 'Change' : 'Move'} ${event.jobNumber}?`,
+      content: (
+        <div>
+          {warnings.map(warning => <p key={warning}>{warning}</p>)}
+        </div>
+      ),
+      okText: verb === 'resized' ? 'Change Anyway' : 'Move Anyway',
+      onOk: () => applyMove(event, start, end, verb)
+    });
+  };
+
+  const handleEventDrop = ({ event, start, end }) => {
+    if (moment(start).isSame(event.start) && moment(end).isSame(event.end)) return;
+    confirmMove(event, new Date(start), new Date(end), 'moved');
+  };
+
+  const handleEventResize = ({ event, start, end }) => {
+    if (moment(start).isSame(event.start) && moment(end).isSame(event.end)) return;
+    confirmMove(event, new Date(start), new Date(end), 'resized');
   };
 
   const eventStyleGetter = (event) => {
@@ -75,14 +213,46 @@ function JobCalendarPage() {
         border: '0px',
         display: 'block',
         fontSize: '13px',
-        fontWeight: '500'
+        fontWeight: '500',
+        ...(overCapacity[event.id] && { border: '2px solid #ff4d4f', opacity: 1 })
       }
     };
   };
 
-  const filteredEvents = statusFilter === 'all' 
-    ? events 
-    : events.filter(e => e.status === statusFilter);
+  const filteredEvents = events.filter(e => (
+    (statusFilter === 'all' || e.status === statusFilter) &&
+    (crewFilter === 'all' || (crewFilter === 'unassigned' ? e.crewIds.length === 0 : e.crewIds.includes(crewFilter)))
+  ));
+
+  // Capacity counts every active job, whatever the filters show
+  const capacityEvents = useMemo(
+    () => events.filter(e => !LOCKED_STATUSES.includes(e.status)),
+    [events]
+  );
+
+  const overCapacity = useMemo(() => {
+    if (crews.length === 0 || capacityEvents.length === 0) return {};
+    const from = moment.min(capacityEvents.map(e => moment(e.start)));
+    const to = moment.max(capacityEvents.map(e => moment(e.end)));
+    const days = buildDailyCapacity({ jobs: capacityEvents, crews, from: from.toDate(), to: to.toDate() });
+    return findOverCapacityJobs({ jobs: capacityEvents, crews, days });
+  }, [capacityEvents, crews]);
+
+  const getCrewNames = (event) => crews
+    .filter(crew => event.crewIds.includes(crew.id))
+    .map(crew => crew.name)
+    .join(', ');
+
+  const handleExportIcs = () => {
+    const ics = buildCalendar(filteredEvents, {
+      name: 'Jobs',
+      eventOptions: (job) => ({
+        description: buildJobDescription({ ...job, crewName: getCrewNames(job) }, jobsService.getStatusLabel),
+        url: `${window.location.origin}/jobs/${job.id}`
+      })
+    });
+    downloadIcs(ics, `jobs-${moment().format('YYYY-MM-DD')}.ics`);
+  };
 
   if (loading) {
     return (
@@ -108,7 +278,7 @@ function JobCalendarPage() {
             <Title level={2}>
               <CalendarOutlined /> Job Calendar
             </Title>
-            <Text type="secondary">View scheduled jobs and their timelines</Text>
+            <Text type="secondary">Drag jobs to reschedule them, or drag an edge to change the duration</Text>
           </div>
           
           <Space wrap>
@@ -123,6 +293,24 @@ function JobCalendarPage() {
               <Option value="completed">Completed</Option>
               <Option value="paused">Paused</Option>
             </Select>
+
+            <Select
+              value={crewFilter}
+              onChange={setCrewFilter}
+              style={{ width: 160 }}
+            >
+              <Option value="all">All Crews</Option>
+              <Option value="unassigned">Unassigned</Option>
+              {crews.map(crew => (
+                <Option key={crew.id} value={crew.id}>{crew.name}</Option>
+              ))}
+            </Select>
+
+            <Segmented
+              value={mode}
+              onChange={setMode}
+              options={[{ label: 'Calendar', value: 'calendar' }, { label: 'Capacity', value: 'capacity' }]}
+            />
             
             <Select
               value={view}
@@ -134,6 +322,13 @@ function JobCalendarPage() {
               <Option value="day">Day</Option>
               <Option value="agenda">Agenda</Option>
             </Select>
+
+            <Button icon={<DownloadOutlined />} onClick={handleExportIcs} disabled={filteredEvents.length === 0}>
+              Export .ics
+            </Button>
+            <Button icon={<LinkOutlined />} onClick={() => setFeedModalOpen(true)}>
+              Subscribe
+            </Button>
           </Space>
         </div>
       </div>
@@ -146,36 +341,64 @@ function JobCalendarPage() {
           <Tag color="#1890ff">In Progress</Tag>
           <Tag color="#52c41a">Completed</Tag>
           <Tag color="#d9d9d9">Paused</Tag>
+          <Tag color="red">Red outline: over crew capacity</Tag>
         </Space>
       </Card>
 
-      {/* Calendar */}
-      <Card>
-        <div style={{ height: '600px' }}>
-          <Calendar
-            localizer={localizer}
-            events={filteredEvents}
-            startAccessor="start"
-            endAccessor="end"
-            view={view}
-            onView={setView}
-            onSelectEvent={handleSelectEvent}
-            eventPropGetter={eventStyleGetter}
-            popup
-            tooltipAccessor={(event) => 
-              `${event.jobNumber}\n${event.customerName}\nStatus: ${jobsService.getStatusLabel(event.status)}`
-            }
+      {mode === 'capacity' && (
+        <Card>
+          <CrewCapacityView
+            events={capacityEvents}
+            crews={crews}
+            overCapacity={overCapacity}
+            onSelectJob={handleSelectEvent}
           />
-        </div>
-      </Card>
+        </Card>
+      )}
 
-      {filteredEvents.length === 0 && (
+      {/* Calendar */}
+      {mode === 'calendar' && (
+        <Card>
+          <div style={{ height: '600px' }}>
+            <DnDCalendar
+              localizer={localizer}
+              events={filteredEvents}
+              startAccessor="start"
+              endAccessor="end"
+              view={view}
+              onView={setView}
+              onSelectEvent={handleSelectEvent}
+              onEventDrop={handleEventDrop}
+              onEventResize={handleEventResize}
+              draggableAccessor={isMovable}
+              resizableAccessor={isMovable}
+              eventPropGetter={eventStyleGetter}
+              popup
+              tooltipAccessor={(event) => [
+                event.jobNumber,
+                event.customerName,
+                `Status: ${jobsService.getStatusLabel(event.status)}`,
+                `Crew: ${getCrewNames(event) || 'Unassigned'}`,
+                ...(overCapacity[event.id] || [])
+              ].join('\n')}
+            />
+          </div>
+        </Card>
+      )}
+
+      {mode === 'calendar' && filteredEvents.length === 0 && (
         <Card className="mt-4">
           <div className="text-center py-8">
             <Text type="secondary">No scheduled jobs found</Text>
           </div>
         </Card>
       )}
+
+      <CalendarFeedModal
+        open={feedModalOpen}
+        onClose={() => setFeedModalOpen(false)}
+        crews={crews}
+      />
     </div>
   );
 }
@@ -28,12 +28,20 @@ import {
   CheckCircleOutlined,
   FileTextOutlined,
   DownloadOutlined,
-  LoadingOutlined
+  LoadingOutlined,
+  ShoppingCartOutlined,
+  DollarOutlined
 } from '@ant-design/icons'
 
 import { jobsService } from '../services/jobsService'
+import { crewsService } from '../services/crewsService'
 import dayjs from 'dayjs'
 import JobProgressTracker from '../components/JobProgressTracker'
+import MaterialShoppingList from '../components/MaterialShoppingList'
+import JobCostTracker from '../components/JobCostTracker'
+import LostJobReasonModal from '../components/LostJobReasonModal'
+import { buildCalendar, buildJobDescription, downloadIcs } from '../utils/icsCalendar'
+import { getJobCrewIds, getJobEstimatedHours, findOverCapacityJobs } from '../utils/crewCapacity'
 
 const { Title, Text, Paragraph } = Typography
 const { useBreakpoint } = Grid
@@ -46,6 +54,7 @@ function JobDetailPage () {
   const [job, setJob] = useState(null)
   const [schedulingModalVisible, setSchedulingModalVisible] = useState(false)
   const [statusModalVisible, setStatusModalVisible] = useState(false)
+  const [lostReasonModalVisible, setLostReasonModalVisible] = useState(false)
   const [form] = Form.useForm()
   const [documents, setDocuments] = useState([])
   const [documentsLoading, setDocumentsLoading] = useState(false)
@@ -55,6 +64,8 @@ function JobDetailPage () {
   const [schedulingJob, setSchedulingJob] = useState(false)
   const [updatingStatus, setUpdatingStatus] = useState(false)
   const [approvingSelections, setApprovingSelections] = useState(false)
+  const [crews, setCrews] = useState([])
+  const [assigningCrews, setAssigningCrews] = useState(false)
 
   const isMobile = !screens.md
   const isTablet = screens.md && !screens.lg
@@ -67,6 +78,41 @@ function JobDetailPage () {
     }
   }, [jobId])
 
+  useEffect(() => {
+    fetchCrews()
+  }, [])
+
+  const fetchCrews = async () => {
+    try {
+      const response = await crewsService.getCrews()
+      if (response.success) {
+        setCrews(response.data)
+      }
+    } catch (error) {
+      // Crew assignment is optional; the rest of the page works without it
+      console.error('Failed to load crews:', error)
+    }
+  }
+
+  const handleCrewChange = async crewIds => {
+    try {
+      setAssigningCrews(true)
+      const response = await crewsService.assignCrews(jobId, crewIds)
+      if (response.success) {
+        setJob(prevJob => ({
+          ...prevJob,
+          crewIds,
+          crews: crews.filter(crew => crewIds.includes(crew.id))
+        }))
+        message.success('Crews updated')
+      }
+    } catch (error) {
+      message.error('Failed to assign crews: ' + error.message)
+    } finally {
+      setAssigningCrews(false)
+    }
+  }
+
   const fetchJobDetails = async () => {
     try {
       setLoading(true)
@@ -237,6 +283,17 @@ function JobDetailPage () {
     return false
   }
 
+  const handleAddToCalendar = () => {
+    const ics = buildCalendar([job], {
+      name: job.jobNumber,
+      eventOptions: () => ({
+        description: buildJobDescription(job, jobsService.getStatusLabel),
+        url: window.location.href
+      })
+    })
+    downloadIcs(ics, `${job.jobNumber || `job-${job.id}`}.ics`)
+  }
+
   const handleScheduleSubmit = async values => {
     try {
       setSchedulingJob(true)
@@ -289,6 +346,10 @@ function JobDetailPage () {
           status: values.status
         }))
         await fetchJobDetails()
+        // Canceled jobs are lost work; the reason feeds the win/loss report
+        if (values.status === 'canceled') {
+          setLostReasonModalVisible(true)
+        }
       }
     } catch (error) {
       message.destroy('update-status')
@@ -408,14 +469,25 @@ function JobDetailPage () {
               </Space>
             }
             extra={
-              <Button
-                type='primary'
-                icon={<EditOutlined />}
-                onClick={handleScheduleJob}
-                size={isMobile ? 'small' : 'middle'}
-              >
-                {isMobile ? 'Edit' : 'Edit Schedule'}
-              </Button>
+              <Space size='small'>
+                {job.scheduledStartDate && (
+                  <Button
+                    icon={<DownloadOutlined />}
+                    onClick={handleAddToCalendar}
+                    size={isMobile ? 'small' : 'middle'}
+                  >
+                    {isMobile ? '.ics' : 'Add to Calendar'}
+                  </Button>
+                )}
+                <Button
+                  type='primary'
+                  icon={<EditOutlined />}
+                  onClick={handleScheduleJob}
+                  size={isMobile ? 'small' : 'middle'}
+                >
+                  {isMobile ? 'Edit' : 'Edit Schedule'}
+                </Button>
+              </Space>
             }
             style={{ marginBottom: 16 }}
           >
@@ -463,7 +535,35 @@ function JobDetailPage () {
                   <Text type='secondary' style={{ fontSize: isMobile ? 12 : 14 }}>Not started</Text>
                 )}
               </Descriptions.Item>
+
+              <Descriptions.Item label='Estimated Hours'>
+                {getJobEstimatedHours(job) ? (
+                  <Text style={{ fontSize: isMobile ? 12 : 14 }}>{getJobEstimatedHours(job).toFixed(1)} crew-hours</Text>
+                ) : (
+                  <Text type='secondary' style={{ fontSize: isMobile ? 12 : 14 }}>Not on quote</Text>
+                )}
+              </Descriptions.Item>
+
+              <Descriptions.Item label='Crews' span={isMobile ? 1 : 2}>
+                <Select
+                  mode='multiple'
+                  value={getJobCrewIds(job)}
+                  onChange={handleCrewChange}
+                  loading={assigningCrews}
+                  disabled={assigningCrews}
+                  placeholder={crews.length ? 'Assign crews' : 'No crews set up yet'}
+                  style={{ width: '100%' }}
+                  size={isMobile ? 'small' : 'middle'}
+                >
+                  {crews.map(crew => (
+                    <Select.Option key={crew.id} value={crew.id}>{crew.name}</Select.Option>
+                  ))}
+                </Select>
+              </Descriptions.Item>
             </Descriptions>
+            {job.scheduledStartDate && findOverCapacityJobs({ jobs: [job], crews })[job.id]?.map(reason => (
+              <Alert key={reason} type='warning' showIcon message={reason} style={{ marginTop: 12 }} />
+            ))}
           </Card>
 
           {/* Job Progress Tracker - Only show if job is scheduled */}
@@ -487,6 +587,34 @@ function JobDetailPage () {
               />
             </Card>
           )}
+
+          {/* Material List */}
+          {job.quote?.areas?.length > 0 && (
+            <Card
+              title={
+                <Space size="small">
+                  <ShoppingCartOutlined />
+                  <span>Material List</span>
+                </Space>
+              }
+              style={{ marginBottom: 16 }}
+            >
+              <MaterialShoppingList job={job} selections={customerSelections} />
+            </Card>
+          )}
+
+          {/* Actual Costs */}
+          <Card
+            title={
+              <Space size="small">
+                <DollarOutlined />
+                <span>Actual Costs</span>
+              </Space>
+            }
+            style={{ marginBottom: 16 }}
+          >
+            <JobCostTracker job={job} crews={crews} />
+          </Card>
         </Col>
 
         {/* Right Column */}
@@ -911,6 +1039,7 @@ function JobDetailPage () {
                 <Select.Option value='paused'>⏸️ Paused</Select.Option>
                 <Select.Option value='completed'>✅ Completed</Select.Option>
                 <Select.Option value='on_hold'>⏳ On Hold</Select.Option>
+                <Select.Option value='canceled'>❌ Canceled (customer backed out)</Select.Option>
               </Select>
             </Form.Item>
 
@@ -944,6 +1073,14 @@ function JobDetailPage () {
           </Form>
         </Spin>
       </Modal>
+
+      <LostJobReasonModal
+        visible={lostReasonModalVisible}
+        onCancel={() => setLostReasonModalVisible(false)}
+        onSuccess={fetchJobDetails}
+        jobId={jobId}
+        jobNumber={job.jobNumber}
+      />
     </div>
   )
 }
@@ -1,9 +1,20 @@
 import { useState, useEffect } from 'react'
 import { useNavigate, useParams } from 'react-router-dom'
-import { Card, Form, Input, Button, Select, Switch, Space, message, Divider } from 'antd'
-import { FiPlus, FiTrash2, FiSave, FiArrowLeft } from 'react-icons/fi'
+import { Card, Form, Input, Button, Select, Switch, Space, message, Divider, Tag } from 'antd'
+import { FiPlus, FiTrash2, FiSave, FiArrowLeft, FiGitBranch } from 'react-icons/fi'
 import { apiService } from '../services/apiService'
-import MainLayout from '../components/MainLayout'
+import ConditionRuleEditor from '../components/LeadForms/ConditionRuleEditor'
+import BallparkEstimatorEditor from '../components/LeadForms/BallparkEstimatorEditor'
+import { normalizeEstimatorConfig } from '../utils/ballparkEstimator'
+import {
+  LEAD_FORM_STEPS,
+  DEFAULT_FIELD_STEP,
+  BUILT_IN_FIELD_NAMES,
+  VALUELESS_OPERATORS,
+  getConditionSourceFields,
+  getStepRuleSourceFields,
+  describeRule
+} from '../utils/leadFormLogic'
 
 const { TextArea } = Input
 const { Option } = Select
@@ -49,6 +60,10 @@ function LeadFormBuilderPage() {
       order: 3,
     },
   ])
+  // Step skip rules: [{ step, match, conditions }]
+  const [stepRules, setStepRules] = useState([])
+  // Instant estimate shown after submission (see utils/ballparkEstimator)
+  const [ballparkEstimator, setBallparkEstimator] = useState(null)
 
   useEffect(() => {
     if (id) {
@@ -69,10 +84,12 @@ function LeadFormBuilderPage() {
           isActive: data.isActive,
         })
         setFormFields(data.formFields || [])
+        setStepRules(data.stepRules || [])
+        setBallparkEstimator(data.ballparkEstimator || null)
       }
     } catch (error) {
       message.error('Failed to load lead form: ' + error.message)
-      navigate('/lead-forms')
+      navigate('/leads/forms')
     } finally {
       setLoading(false)
     }
@@ -113,6 +130,28 @@ function LeadFormBuilderPage() {
     setFormFields(updated)
   }
 
+  const handleToggleLogic = (index, enabled) => {
+    handleFieldChange(
+      index,
+      'visibility',
+      enabled ? { action: 'show', match: 'all', conditions: [{ field: undefined, operator: 'equals', value: undefined }] } : null
+    )
+  }
+
+  const getStepRule = (stepKey) => stepRules.find(rule => rule.step === stepKey)
+
+  const handleStepRuleChange = (stepKey, rule) => {
+    const others = stepRules.filter(r => r.step !== stepKey)
+    setStepRules(rule ? [...others, { ...rule, step: stepKey }] : others)
+  }
+
+  // Conditions must name a field that still exists and have a value unless the operator needs none
+  const hasIncompleteRule = (rule, sourceFields) => (rule?.conditions || []).some(condition =>
+    !condition.field ||
+    !sourceFields.some(field => field.fieldName === condition.field) ||
+    (!VALUELESS_OPERATORS.has(condition.operator) && (condition.value === undefined || condition.value === null || condition.value === ''))
+  )
+
   const handleSubmit = async (values) => {
     // Validate fields
     const invalidFields = formFields.filter(f => !f.fieldName || !f.fieldLabel || !f.fieldType)
@@ -121,11 +160,20 @@ function LeadFormBuilderPage() {
       return
     }
 
+    const invalidLogic = formFields.find(f => hasIncompleteRule(f.visibility, getConditionSourceFields(formFields, f.fieldName))) ||
+      stepRules.find(rule => hasIncompleteRule(rule, getStepRuleSourceFields(formFields, rule.step)))
+    if (invalidLogic) {
+      message.error(`Complete or remove the conditions for "${invalidLogic.fieldLabel || LEAD_FORM_STEPS.find(s => s.key === invalidLogic.step)?.title}"`)
+      return
+    }
+
     setSaving(true)
     try {
       const payload = {
         ...values,
         formFields,
+        stepRules: stepRules.filter(rule => rule.conditions?.length > 0),
+        ballparkEstimator: ballparkEstimator && normalizeEstimatorConfig(ballparkEstimator),
       }
 
       if (id) {
@@ -133,7 +181,7 @@ function LeadFormBuilderPage() {
         const response = await apiService.put(`/lead-forms/${id}`, payload)
         if (response.success) {
           message.success('Lead form updated successfully')
-          navigate('/lead-forms')
+          navigate('/leads/forms')
         }
       } else {
         // Create new form
@@ -141,7 +189,7 @@ function LeadFormBuilderPage() {
         if (response.success) {
           message.success('Lead form created successfully')
           message.info(`Public URL: ${window.location.origin}/lead/${response.data.publicUrl}`, 5)
-          navigate('/lead-forms')
+          navigate('/leads/forms')
         }
       }
     } catch (error) {
@@ -153,222 +201,321 @@ function LeadFormBuilderPage() {
 
   if (loading) {
     return (
-      <MainLayout>
-        <div className="flex items-center justify-center min-h-screen">
-          <div>Loading...</div>
-        </div>
-      </MainLayout>
+      <div className="flex items-center justify-center min-h-screen">
+        <div>Loading...</div>
+      </div>
     )
   }
 
   return (
-    <MainLayout>
-      <div className="p-8 max-w-5xl mx-auto">
-        {/* Header */}
-        <div className="mb-6">
-          <Button
-            icon={<FiArrowLeft />}
-            onClick={() => navigate('/lead-forms')}
-            className="mb-4"
+    <div className="p-8 max-w-5xl mx-auto">
+      {/* Header */}
+      <div className="mb-6">
+        <Button
+          icon={<FiArrowLeft />}
+          onClick={() => navigate('/leads/forms')}
+          className="mb-4"
+        >
+          Back to Lead Forms
+        </Button>
+        <h1 className="text-3xl font-bold text-gray-900">
+          {id ? 'Edit Lead Form' : 'Create Lead Form'}
+        </h1>
+        <p className="text-gray-600 mt-1">
+          Build a custom form to capture leads from your website
+        </p>
+      </div>
+
+      <Form
+        form={form}
+        layout="vertical"
+        onFinish={handleSubmit}
+        initialValues={{
+          isActive: true,
+        }}
+      >
+        {/* Basic Info */}
+        <Card title="Basic Information" className="mb-6">
+          <Form.Item
+            label="Form Name"
+            name="formName"
+            rules={[{ required: true, message: 'Please enter form name' }]}
+            tooltip="Internal identifier (lowercase, no spaces)"
           >
-            Back to Lead Forms
-          </Button>
-          <h1 className="text-3xl font-bold text-gray-900">
-            {id ? 'Edit Lead Form' : 'Create Lead Form'}
-          </h1>
-          <p className="text-gray-600 mt-1">
-            Build a custom form to capture leads from your website
-          </p>
-        </div>
+            <Input
+              size="large"
+              placeholder="e.g., kitchen-remodel"
+              onChange={(e) => {
+                const value = e.target.value.toLowerCase().replace(/\s+/g, '-')
+                form.setFieldsValue({ formName: value })
+              }}
+            />
+          </Form.Item>
 
-        <Form
-          form={form}
-          layout="vertical"
-          onFinish={handleSubmit}
-          initialValues={{
-            isActive: true,
-          }}
-        >
-          {/* Basic Info */}
-          <Card title="Basic Information" className="mb-6">
-            <Form.Item
-              label="Form Name"
-              name="formName"
-              rules={[{ required: true, message: 'Please enter form name' }]}
-              tooltip="Internal identifier (lowercase, no spaces)"
-            >
-              <Input
-                size="large"
-                placeholder="e.g., kitchen-remodel"
-                onChange={(e) => {
-                  const value = e.target.value.toLowerCase().replace(/\s+/g, '-')
-                  form.setFieldsValue({ formName: value })
-                }}
-              />
-            </Form.Item>
-
-            <Form.Item
-              label="Form Title"
-              name="formTitle"
-              rules={[{ required: true, message: 'Please enter form title' }]}
-              tooltip="Displayed to users at the top of the form"
-            >
-              <Input size="large" placeholder="e.g., Kitchen Remodel Quote Request" />
-            </Form.Item>
+          <Form.Item
+            label="Form Title"
+            name="formTitle"
+            rules={[{ required: true, message: 'Please enter form title' }]}
+            tooltip="Displayed to users at the top of the form"
+          >
+            <Input size="large" placeholder="e.g., Kitchen Remodel Quote Request" />
+          </Form.Item>
 
-            <Form.Item
-              label="Description (Optional)"
-              name="formDescription"
-              tooltip="Brief description shown below the title"
-            >
-              <TextArea rows={2} placeholder="Tell us about your kitchen remodeling project..." />
-            </Form.Item>
+          <Form.Item
+            label="Description (Optional)"
+            name="formDescription"
+            tooltip="Brief description shown below the title"
+          >
+            <TextArea rows={2} placeholder="Tell us about your kitchen remodeling project..." />
+          </Form.Item>
 
-            <Form.Item
-              label="Status"
-              name="isActive"
-              valuePropName="checked"
+          <Form.Item
+            label="Status"
+            name="isActive"
+            valuePropName="checked"
+          >
+            <Switch checkedChildren="Active" unCheckedChildren="Inactive" />
+          </Form.Item>
+        </Card>
+
+        {/* Form Fields */}
+        <Card
+          title="Form Fields"
+          className="mb-6"
+          extra={
+            <Button
+              type="primary"
+              icon={<FiPlus />}
+              onClick={handleAddField}
             >
-              <Switch checkedChildren="Active" unCheckedChildren="Inactive" />
-            </Form.Item>
-          </Card>
-
-          {/* Form Fields */}
-          <Card
-            title="Form Fields"
-            className="mb-6"
-            extra={
-              <Button
-                type="primary"
-                icon={<FiPlus />}
-                onClick={handleAddField}
+              Add Field
+            </Button>
+          }
+        >
+          <div className="space-y-4">
+            {formFields.map((field, index) => (
+              <Card
+                key={index}
+                size="small"
+                className="bg-gray-50"
+                extra={
+                  formFields.length > 1 && (
+                    <Button
+                      type="text"
+                      danger
+                      size="small"
+                      icon={<FiTrash2 />}
+                      onClick={() => handleRemoveField(index)}
+                    >
+                      Remove
+                    </Button>
+                  )
+                }
               >
-                Add Field
-              </Button>
-            }
-          >
-            <div className="space-y-4">
-              {formFields.map((field, index) => (
-                <Card
-                  key={index}
-                  size="small"
-                  className="bg-gray-50"
-                  extra={
-                    formFields.length > 1 && (
-                      <Button
-                        type="text"
-                        danger
-                        size="small"
-                        icon={<FiTrash2 />}
-                        onClick={() => handleRemoveField(index)}
-                      >
-                        Remove
-                      </Button>
-                    )
-                  }
-                >
-                  <div className="grid grid-cols-12 gap-4">
-                    <div className="col-span-4">
-                      <label className="block text-sm font-medium mb-1">Field Label *</label>
-                      <Input
-                        placeholder="e.g., Full Name"
-                        value={field.fieldLabel}
-                        onChange={(e) => handleFieldChange(index, 'fieldLabel', e.target.value)}
+                <div className="grid grid-cols-12 gap-4">
+                  <div className="col-span-4">
+                    <label className="block text-sm font-medium mb-1">Field Label *</label>
+                    <Input
+                      placeholder="e.g., Full Name"
+                      value={field.fieldLabel}
+                      onChange={(e) => handleFieldChange(index, 'fieldLabel', e.target.value)}
+                    />
+                  </div>
+
+                  <div className="col-span-3">
+                    <label className="block text-sm font-medium mb-1">Field Name *</label>
+                    <Input
+                      placeholder="e.g., fullName"
+                      value={field.fieldName}
+                      onChange={(e) => handleFieldChange(index, 'fieldName', e.target.value)}
+                    />
+                  </div>
+
+                  <div className="col-span-3">
+                    <label className="block text-sm font-medium mb-1">Field Type *</label>
+                    <Select
+                      style={{ width: '100%' }}
+                      value={field.fieldType}
+                      onChange={(value) => handleFieldChange(index, 'fieldType', value)}
+                    >
+                      {FIELD_TYPES.map(type => (
+                        <Option key={type.value} value={type.value}>
+                          {type.label}
+                        </Option>
+                      ))}
+                    </Select>
+                  </div>
+
+                  <div className="col-span-2 flex items-end">
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={field.isRequired}
+                        onChange={(e) => handleFieldChange(index, 'isRequired', e.target.checked)}
+                        className="w-4 h-4"
                       />
-                    </div>
+                      <span className="text-sm">Required</span>
+                    </label>
+                  </div>
 
-                    <div className="col-span-3">
-                      <label className="block text-sm font-medium mb-1">Field Name *</label>
+                  {(field.fieldType === 'select' || field.fieldType === 'radio') && (
+                    <div className="col-span-12">
+                      <label className="block text-sm font-medium mb-1">
+                        Options (comma-separated)
+                      </label>
                       <Input
-                        placeholder="e.g., fullName"
-                        value={field.fieldName}
-                        onChange={(e) => handleFieldChange(index, 'fieldName', e.target.value)}
+                        placeholder="e.g., Full Kitchen, Cabinets Only, Walls Only"
+                        value={field.options?.join(', ') || ''}
+                        onChange={(e) => {
+                          const options = e.target.value.split(',').map(o => o.trim()).filter(Boolean)
+                          handleFieldChange(index, 'options', options)
+                        }}
                       />
                     </div>
+                  )}
 
-                    <div className="col-span-3">
-                      <label className="block text-sm font-medium mb-1">Field Type *</label>
-                      <Select
-                        style={{ width: '100%' }}
-                        value={field.fieldType}
-                        onChange={(value) => handleFieldChange(index, 'fieldType', value)}
-                      >
-                        {FIELD_TYPES.map(type => (
-                          <Option key={type.value} value={type.value}>
-                            {type.label}
-                          </Option>
-                        ))}
-                      </Select>
+                  {field.fieldType === 'textarea' && (
+                    <div className="col-span-12">
+                      <label className="block text-sm font-medium mb-1">Placeholder (Optional)</label>
+                      <Input
+                        placeholder="Tell us more about your project..."
+                        value={field.placeholder || ''}
+                        onChange={(e) => handleFieldChange(index, 'placeholder', e.target.value)}
+                      />
                     </div>
+                  )}
 
-                    <div className="col-span-2 flex items-end">
-                      <label className="flex items-center gap-2 cursor-pointer">
-                        <input
-                          type="checkbox"
-                          checked={field.isRequired}
-                          onChange={(e) => handleFieldChange(index, 'isRequired', e.target.checked)}
-                          className="w-4 h-4"
-                        />
-                        <span className="text-sm">Required</span>
-                      </label>
+                  {BUILT_IN_FIELD_NAMES.has(field.fieldName) ? (
+                    <div className="col-span-12">
+                      <Tag>Built-in</Tag>
+                      <span className="text-xs text-gray-500">
+                        Always shown on the public form, so it can't have conditions
+                      </span>
                     </div>
+                  ) : (
+                    <>
+                      <div className="col-span-4">
+                        <label className="block text-sm font-medium mb-1">Step</label>
+                        <Select
+                          style={{ width: '100%' }}
+                          value={field.step || DEFAULT_FIELD_STEP}
+                          onChange={(value) => handleFieldChange(index, 'step', value)}
+                        >
+                          {LEAD_FORM_STEPS.map(step => (
+                            <Option key={step.key} value={step.key}>{step.title}</Option>
+                          ))}
+                        </Select>
+                      </div>
 
-                    {(field.fieldType === 'select' || field.fieldType === 'radio') && (
-                      <div className="col-span-12">
-                        <label className="block text-sm font-medium mb-1">
-                          Options (comma-separated)
+                      <div className="col-span-8 flex items-end">
+                        <label className="flex items-center gap-2 cursor-pointer">
+                          <Switch
+                            size="small"
+                            checked={Boolean(field.visibility)}
+                            onChange={(checked) => handleToggleLogic(index, checked)}
+                          />
+                          <span className="text-sm"><FiGitBranch className="inline mr-1" />Conditional logic</span>
                         </label>
-                        <Input
-                          placeholder="e.g., Full Kitchen, Cabinets Only, Walls Only"
-                          value={field.options?.join(', ') || ''}
-                          onChange={(e) => {
-                            const options = e.target.value.split(',').map(o => o.trim()).filter(Boolean)
-                            handleFieldChange(index, 'options', options)
-                          }}
-                        />
+                        {field.visibility && describeRule(field.visibility, getConditionSourceFields(formFields, field.fieldName)) && (
+                          <span className="text-xs text-gray-500 ml-3">
+                            {field.visibility.action === 'hide' ? 'Hidden' : 'Shown'} when {describeRule(field.visibility, getConditionSourceFields(formFields, field.fieldName))}
+                          </span>
+                        )}
                       </div>
-                    )}
-
-                    {field.fieldType === 'textarea' && (
-                      <div className="col-span-12">
-                        <label className="block text-sm font-medium mb-1">Placeholder (Optional)</label>
-                        <Input
-                          placeholder="Tell us more about your project..."
-                          value={field.placeholder || ''}
-                          onChange={(e) => handleFieldChange(index, 'placeholder', e.target.value)}
-                        />
-                      </div>
-                    )}
-                  </div>
-                </Card>
-              ))}
 
-              {formFields.length === 0 && (
-                <div className="text-center py-8 text-gray-500">
-                  No fields added yet. Click "Add Field" to create your first form field.
+                      {field.visibility && (
+                        <div className="col-span-12 bg-white border rounded p-3">
+                          <ConditionRuleEditor
+                            rule={field.visibility}
+                            onChange={(rule) => handleFieldChange(index, 'visibility', rule)}
+                            sourceFields={getConditionSourceFields(formFields, field.fieldName)}
+                            showAction
+                          />
+                          {field.isRequired && (
+                            <div className="text-xs text-gray-500 mt-2">
+                              Required only while the field is shown.
+                            </div>
+                          )}
+                        </div>
+                      )}
+                    </>
+                  )}
                 </div>
-              )}
-            </div>
-          </Card>
-
-          {/* Submit Buttons */}
-          <div className="flex justify-end gap-3">
-            <Button size="large" onClick={() => navigate('/lead-forms')}>
-              Cancel
-            </Button>
-            <Button
-              type="primary"
-              size="large"
-              icon={<FiSave />}
-              htmlType="submit"
-              loading={saving}
-            >
-              {id ? 'Update Form' : 'Create Form'}
-            </Button>
+              </Card>
+            ))}
+
+            {formFields.length === 0 && (
+              <div className="text-center py-8 text-gray-500">
+                No fields added yet. Click "Add Field" to create your first form field.
+              </div>
+            )}
           </div>
-        </Form>
-      </div>
-    </MainLayout>
+        </Card>
+
+        {/* Step Logic */}
+        <Card title="Step Logic" className="mb-6">
+          <p className="text-sm text-gray-600 mb-4">
+            Skip a step of the public form based on earlier answers. Contact Info is always shown.
+          </p>
+          <div className="space-y-4">
+            {LEAD_FORM_STEPS.slice(1).map(step => {
+              const rule = getStepRule(step.key)
+              return (
+                <Card key={step.key} size="small" className="bg-gray-50">
+                  <div className="flex items-center gap-2 mb-2">
+                    <Switch
+                      size="small"
+                      checked={Boolean(rule)}
+                      onChange={(checked) => handleStepRuleChange(
+                        step.key,
+                        checked ? { match: 'all', conditions: [{ field: undefined, operator: 'equals', value: undefined }] } : null
+                      )}
+                    />
+                    <span className="font-medium">{step.title}</span>
+                  </div>
+                  {rule && (
+                    <ConditionRuleEditor
+                      rule={rule}
+                      onChange={(updated) => handleStepRuleChange(step.key, updated)}
+                      sourceFields={getStepRuleSourceFields(formFields, step.key)}
+                      prefix="Skip this step when"
+                    />
+                  )}
+                </Card>
+              )
+            })}
+          </div>
+        </Card>
+
+        {/* Instant Estimate */}
+        <Card title="Instant Estimate" className="mb-6">
+          <p className="text-sm text-gray-600 mb-4">
+            Turn answers into a ballpark price range using your turnkey rates. Try sample answers before publishing.
+          </p>
+          <BallparkEstimatorEditor
+            value={ballparkEstimator}
+            onChange={setBallparkEstimator}
+            formFields={formFields}
+          />
+        </Card>
+
+        {/* Submit Buttons */}
+        <div className="flex justify-end gap-3">
+          <Button size="large" onClick={() => navigate('/leads/forms')}>
+            Cancel
+          </Button>
+          <Button
+            type="primary"
+            size="large"
+            icon={<FiSave />}
+            htmlType="submit"
+            loading={saving}
+          >
+            {id ? 'Update Form' : 'Create Form'}
+          </Button>
+        </div>
+      </Form>
+    </div>
   )
 }
 
@@ -1,14 +1,18 @@
 import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { Table, Button, Card, message, Popconfirm, Tag, Tooltip, Space } from 'antd'
-import { FiFileText, FiPlus, FiEdit2, FiTrash2, FiCopy, FiExternalLink } from 'react-icons/fi'
+import { FiFileText, FiPlus, FiEdit2, FiTrash2, FiCopy, FiExternalLink, FiCode, FiBarChart2 } from 'react-icons/fi'
 import { apiService } from '../services/apiService'
-import MainLayout from '../components/MainLayout'
+import EmbedSnippetModal from '../components/LeadForms/EmbedSnippetModal'
+import LeadFormFunnelModal from '../components/LeadForms/LeadFormFunnelModal'
+import { getPublicFormUrl } from '../utils/leadFormEmbed'
 
 function LeadFormsPage() {
   const navigate = useNavigate()
   const [loading, setLoading] = useState(false)
   const [leadForms, setLeadForms] = useState([])
+  const [embedForm, setEmbedForm] = useState(null)
+  const [funnelForm, setFunnelForm] = useState(null)
 
   useEffect(() => {
     fetchLeadForms()
@@ -41,13 +45,12 @@ function LeadFormsPage() {
   }
 
   const handleCopyUrl = (publicUrl) => {
-    const fullUrl = `${window.location.origin}/lead/${publicUrl}`
-    navigator.clipboard.writeText(fullUrl)
+    navigator.clipboard.writeText(getPublicFormUrl(publicUrl))
     message.success('Public URL copied to clipboard!')
   }
 
   const handleOpenPublicForm = (publicUrl) => {
-    window.open(`/lead/${publicUrl}`, '_blank')
+    window.open(getPublicFormUrl(publicUrl), '_blank')
   }
 
   const columns = [
@@ -96,7 +99,7 @@ function LeadFormsPage() {
       title: 'Public URL',
       dataIndex: 'publicUrl',
       key: 'publicUrl',
-      render: (url) => (
+      render: (url, record) => (
         <Space>
           <Tooltip title="Copy URL">
             <Button
@@ -114,6 +117,14 @@ function LeadFormsPage() {
               onClick={() => handleOpenPublicForm(url)}
             />
           </Tooltip>
+          <Tooltip title="Embed on your website">
+            <Button
+              type="text"
+              size="small"
+              icon={<FiCode />}
+              onClick={() => setEmbedForm(record)}
+            />
+          </Tooltip>
         </Space>
       ),
     },
@@ -122,10 +133,17 @@ function LeadFormsPage() {
       key: 'actions',
       render: (_, record) => (
         <Space>
+          <Button
+            type="link"
+            icon={<FiBarChart2 />}
+            onClick={() => setFunnelForm(record)}
+          >
+            Funnel
+          </Button>
           <Button
             type="link"
             icon={<FiEdit2 />}
-            onClick={() => navigate(`/lead-forms/edit/${record.id}`)}
+            onClick={() => navigate(`/leads/forms/edit/${record.id}`)}
           >
             Edit
           </Button>
@@ -147,69 +165,79 @@ function LeadFormsPage() {
   ]
 
   return (
-    <MainLayout>
-      <div className="p-8">
-        {/* Header */}
-        <div className="mb-6">
-          <div className="flex items-center justify-between">
-            <div>
-              <div className="flex items-center gap-3 mb-2">
-                <FiFileText className="text-3xl text-blue-600" />
-                <h1 className="text-3xl font-bold text-gray-900">Lead Forms</h1>
-              </div>
-              <p className="text-gray-600">
-                Create custom lead capture forms with unique public URLs
-              </p>
+    <div className="p-8">
+      {/* Header */}
+      <div className="mb-6">
+        <div className="flex items-center justify-between">
+          <div>
+            <div className="flex items-center gap-3 mb-2">
+              <FiFileText className="text-3xl text-blue-600" />
+              <h1 className="text-3xl font-bold text-gray-900">Lead Forms</h1>
             </div>
-            <Button
-              type="primary"
-              size="large"
-              icon={<FiPlus />}
-              onClick={() => navigate('/lead-forms/create')}
-            >
-              Create Lead Form
-            </Button>
+            <p className="text-gray-600">
+              Create custom lead capture forms with unique public URLs or embed them on your website
+            </p>
           </div>
+          <Button
+            type="primary"
+            size="large"
+            icon={<FiPlus />}
+            onClick={() => navigate('/leads/forms/create')}
+          >
+            Create Lead Form
+          </Button>
         </div>
+      </div>
 
-        {/* Stats Cards */}
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
-          <Card>
-            <div className="text-gray-600 text-sm mb-1">Total Forms</div>
-            <div className="text-3xl font-bold text-gray-900">
-              {leadForms.length}
-            </div>
-          </Card>
-          <Card>
-            <div className="text-gray-600 text-sm mb-1">Active Forms</div>
-            <div className="text-3xl font-bold text-green-600">
-              {leadForms.filter(f => f.isActive).length}
-            </div>
-          </Card>
-          <Card>
-            <div className="text-gray-600 text-sm mb-1">Total Submissions</div>
-            <div className="text-3xl font-bold text-blue-600">
-              {leadForms.reduce((sum, f) => sum + (f.submissionCount || 0), 0)}
-            </div>
-          </Card>
-        </div>
-
-        {/* Table */}
+      {/* Stats Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
         <Card>
-          <Table
-            columns={columns}
-            dataSource={leadForms}
-            rowKey="id"
-            loading={loading}
-            pagination={{
-              pageSize: 10,
-              showSizeChanger: true,
-              showTotal: (total) => `Total ${total} forms`,
-            }}
-          />
+          <div className="text-gray-600 text-sm mb-1">Total Forms</div>
+          <div className="text-3xl font-bold text-gray-900">
+            {leadForms.length}
+          </div>
+        </Card>
+        <Card>
+          <div className="text-gray-600 text-sm mb-1">Active Forms</div>
+          <div className="text-3xl font-bold text-green-600">
+            {leadForms.filter(f => f.isActive).length}
+          </div>
+        </Card>
+        <Card>
+          <div className="text-gray-600 text-sm mb-1">Total Submissions</div>
+          <div className="text-3xl font-bold text-blue-600">
+            {leadForms.reduce((sum, f) => sum + (f.submissionCount || 0), 0)}
+          </div>
         </Card>
       </div>
-    </MainLayout>
+
+      {/* Table */}
+      <Card>
+        <Table
+          columns={columns}
+          dataSource={leadForms}
+          rowKey="id"
+          loading={loading}
+          pagination={{
+            pageSize: 10,
+            showSizeChanger: true,
+            showTotal: (total) => `Total ${total} forms`,
+          }}
+        />
+      </Card>
+
+      <EmbedSnippetModal
+        leadForm={embedForm}
+        open={Boolean(embedForm)}
+        onClose={() => setEmbedForm(null)}
+      />
+
+      <LeadFormFunnelModal
+        leadForm={funnelForm}
+        open={Boolean(funnelForm)}
+        onClose={() => setFunnelForm(null)}
+      />
+    </div>
   )
 }
 
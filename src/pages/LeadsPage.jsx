@@ -1,8 +1,12 @@
-import { useState, useEffect } from 'react'
-import { Table, Card, Select, Tag, Button, Modal, Form, Input, message, Space } from 'antd'
-import { FiMail, FiPhone, FiCalendar } from 'react-icons/fi'
+import { useState, useEffect, useMemo } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Table, Card, Select, Tag, Button, Modal, Form, Input, message, Space, Alert } from 'antd'
+import { FiMail, FiPhone, FiCalendar, FiFileText } from 'react-icons/fi'
 import { apiService } from '../services/apiService'
-import MainLayout from '../components/MainLayout'
+import leadQuoteService from '../services/leadQuoteService'
+import DuplicateLeadsPanel from '../components/Leads/DuplicateLeadsPanel'
+import LeadMergeModal from '../components/Leads/LeadMergeModal'
+import { countDuplicateLeads, getSubmissionHistory } from '../utils/leadDedup'
 
 const { TextArea } = Input
 const { Option } = Select
@@ -16,14 +20,19 @@ const STATUS_COLORS = {
   proposal_signed: 'purple',
   won: 'success',
   lost: 'default',
+  merged: 'geekblue',
 }
 
 function LeadsPage() {
+  const navigate = useNavigate()
   const [loading, setLoading] = useState(false)
   const [leads, setLeads] = useState([])
   const [stats, setStats] = useState(null)
   const [selectedLead, setSelectedLead] = useState(null)
   const [isModalVisible, setIsModalVisible] = useState(false)
+  // Every lead, unfiltered, for duplicate detection
+  const [allLeads, setAllLeads] = useState([])
+  const [mergeLeads, setMergeLeads] = useState(null)
   const [form] = Form.useForm()
   const [filters, setFilters] = useState({
     status: null,
@@ -35,6 +44,10 @@ function LeadsPage() {
     fetchStats()
   }, [filters])
 
+  useEffect(() => {
+    syncLinkedQuotes()
+  }, [])
+
   const fetchLeads = async () => {
     setLoading(true)
     try {
@@ -44,7 +57,17 @@ function LeadsPage() {
       
       const response = await apiService.get(`/leads?${params.toString()}`)
       if (response.success) {
-        setLeads(response.data.leads)
+        // Merged leads live on in the lead they were merged into
+        setLeads(filters.status === 'merged'
+          ? response.data.leads
+          : response.data.leads.filter(lead => lead.status !== 'merged'))
+
+        if (filters.status || filters.leadFormId) {
+          const allResponse = await apiService.get('/leads')
+          if (allResponse.success) setAllLeads(allResponse.data.leads)
+        } else {
+          setAllLeads(response.data.leads)
+        }
       }
     } catch (error) {
       message.error('Failed to load leads: ' + error.message)
@@ -53,6 +76,36 @@ function LeadsPage() {
     }
   }
 
+  // Quotes are accepted or declined in the customer portal; bring linked leads up to date once per visit
+  const syncLinkedQuotes = async () => {
+    try {
+      const changed = await leadQuoteService.syncQuoteStatuses()
+      if (changed.length === 0) return
+      fetchLeads()
+      fetchStats()
+    } catch (error) {
+      console.error('Failed to sync leads with their quotes:', error)
+    }
+  }
+
+  // Opens the quote builder prefilled from the lead; a lead that already has a quote opens that quote
+  const handleCreateQuote = (lead) => {
+    if (lead.quoteId) {
+      navigate(`/quote-builder?quoteId=${lead.quoteId}`)
+    } else {
+      navigate(`/quotes/new?leadId=${lead.id}`)
+    }
+  }
+
+  const duplicateCounts = useMemo(() => countDuplicateLeads(allLeads), [allLeads])
+
+  const handleMerged = (primaryId) => {
+    setMergeLeads(null)
+    fetchLeads()
+    fetchStats()
+    handleViewLead(primaryId)
+  }
+
   const fetchStats = async () => {
     try {
       const response = await apiService.get('/leads/stats')
@@ -107,9 +160,19 @@ function LeadsPage() {
     {
       title: 'Name',
       key: 'name',
-      render: (_, record) => record.firstName && record.lastName 
-        ? `${record.firstName} ${record.lastName}`
-        : record.formData?.fullName || 'N/A',
+      render: (_, record) => (
+        <div>
+          {record.firstName && record.lastName 
+            ? `${record.firstName} ${record.lastName}`
+            : record.formData?.fullName || 'N/A'}
+          {duplicateCounts[record.id] > 0 && (
+            <Tag color="orange" className="ml-2">Possible duplicate</Tag>
+          )}
+          {record.submissions?.length > 1 && (
+            <Tag className="ml-2">{record.submissions.length} submissions</Tag>
+          )}
+        </div>
+      ),
     },
     {
       title: 'Zip Code',
@@ -184,6 +247,7 @@ function LeadsPage() {
         { text: 'Proposal Signed', value: 'proposal_signed' },
         { text: 'Won', value: 'won' },
         { text: 'Lost', value: 'lost' },
+        { text: 'Merged', value: 'merged' },
       ],
       onFilter: (value, record) => record.status === value,
     },
@@ -191,277 +255,353 @@ function LeadsPage() {
       title: 'Actions',
       key: 'actions',
       render: (_, record) => (
-        <Button type="link" onClick={() => handleViewLead(record.id)}>
-          View Details
-        </Button>
+        <Space size={0}>
+          <Button type="link" onClick={() => handleViewLead(record.id)}>
+            View Details
+          </Button>
+          <Button type="link" icon={<FiFileText />} onClick={() => handleCreateQuote(record)}>
+            {record.quoteId ? 'Open Quote' : 'Create Quote'}
+          </Button>
+        </Space>
       ),
     },
   ]
 
   return (
-    <MainLayout>
-      <div className="p-8">
-        {/* Header */}
-        <div className="mb-6">
-          <h1 className="text-3xl font-bold text-gray-900 mb-2">Leads Dashboard</h1>
-          <p className="text-gray-600">
-            Manage and track your incoming leads
-          </p>
+    <div className="p-8">
+      {/* Header */}
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Leads Dashboard</h1>
+        <p className="text-gray-600">
+          Manage and track your incoming leads
+        </p>
+      </div>
+
+      {/* Stats Cards */}
+      {stats && (
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+          <Card>
+            <div className="text-gray-600 text-sm mb-1">Total Leads</div>
+            <div className="text-3xl font-bold text-gray-900">{stats.total}</div>
+          </Card>
+          <Card>
+            <div className="text-gray-600 text-sm mb-1">Recent (7 days)</div>
+            <div className="text-3xl font-bold text-blue-600">{stats.recent}</div>
+          </Card>
+          <Card>
+            <div className="text-gray-600 text-sm mb-1">Qualified</div>
+            <div className="text-3xl font-bold text-green-600">
+              {stats.byStatus?.find(s => s.status === 'qualified')?.count || 0}
+            </div>
+          </Card>
+          <Card>
+            <div className="text-gray-600 text-sm mb-1">Won</div>
+            <div className="text-3xl font-bold text-success">
+              {stats.byStatus?.find(s => s.status === 'won')?.count || 0}
+            </div>
+          </Card>
         </div>
+      )}
 
-        {/* Stats Cards */}
-        {stats && (
-          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
-            <Card>
-              <div className="text-gray-600 text-sm mb-1">Total Leads</div>
-              <div className="text-3xl font-bold text-gray-900">{stats.total}</div>
-            </Card>
-            <Card>
-              <div className="text-gray-600 text-sm mb-1">Recent (7 days)</div>
-              <div className="text-3xl font-bold text-blue-600">{stats.recent}</div>
-            </Card>
-            <Card>
-              <div className="text-gray-600 text-sm mb-1">Qualified</div>
-              <div className="text-3xl font-bold text-green-600">
-                {stats.byStatus?.find(s => s.status === 'qualified')?.count || 0}
-              </div>
-            </Card>
-            <Card>
-              <div className="text-gray-600 text-sm mb-1">Won</div>
-              <div className="text-3xl font-bold text-success">
-                {stats.byStatus?.find(s => s.status === 'won')?.count || 0}
-              </div>
-            </Card>
+      {/* Filters */}
+      <Card className="mb-4">
+        <div className="flex gap-4">
+          <div className="flex-1">
+            <label className="block text-sm font-medium mb-1">Filter by Status</label>
+            <Select
+              style={{ width: '100%' }}
+              placeholder="All Statuses"
+              allowClear
+              value={filters.status}
+              onChange={(value) => setFilters({ ...filters, status: value })}
+            >
+              <Option value="new">New</Option>
+              <Option value="contacted">Contacted</Option>
+              <Option value="qualified">Qualified</Option>
+              <Option value="quoted">Quoted</Option>
+              <Option value="quote_sent">Quote Sent</Option>
+              <Option value="proposal_signed">Proposal Signed</Option>
+              <Option value="won">Won</Option>
+              <Option value="lost">Lost</Option>
+              <Option value="merged">Merged</Option>
+            </Select>
           </div>
-        )}
+        </div>
+      </Card>
 
-        {/* Filters */}
-        <Card className="mb-4">
-          <div className="flex gap-4">
-            <div className="flex-1">
-              <label className="block text-sm font-medium mb-1">Filter by Status</label>
-              <Select
-                style={{ width: '100%' }}
-                placeholder="All Statuses"
-                allowClear
-                value={filters.status}
-                onChange={(value) => setFilters({ ...filters, status: value })}
-              >
-                <Option value="new">New</Option>
-                <Option value="contacted">Contacted</Option>
-                <Option value="qualified">Qualified</Option>
-                <Option value="quoted">Quoted</Option>
-                <Option value="quote_sent">Quote Sent</Option>
-                <Option value="proposal_signed">Proposal Signed</Option>
-                <Option value="won">Won</Option>
-                <Option value="lost">Lost</Option>
-              </Select>
-            </div>
-          </div>
-        </Card>
+      {/* Leads Table */}
+      <Card>
+        <Table
+          columns={columns}
+          dataSource={leads}
+          rowKey="id"
+          loading={loading}
+          pagination={{
+            pageSize: 10,
+            showSizeChanger: true,
+            showTotal: (total) => `Total ${total} leads`,
+          }}
+        />
+      </Card>
 
-        {/* Leads Table */}
-        <Card>
-          <Table
-            columns={columns}
-            dataSource={leads}
-            rowKey="id"
-            loading={loading}
-            pagination={{
-              pageSize: 10,
-              showSizeChanger: true,
-              showTotal: (total) => `Total ${total} leads`,
-            }}
-          />
-        </Card>
+      {/* Lead Detail Modal */}
+      <Modal
+        title="Lead Details"
+        open={isModalVisible}
+        onCancel={() => setIsModalVisible(false)}
+        footer={null}
+        width={700}
+      >
+        {selectedLead && (
+          <div>
+            {selectedLead.status === 'merged' && selectedLead.mergedIntoId && (
+              <Alert
+                className="mb-4"
+                type="info"
+                showIcon
+                message={`Merged into lead #${selectedLead.mergedIntoId}`}
+                action={<Button size="small" onClick={() => handleViewLead(selectedLead.mergedIntoId)}>Open</Button>}
+              />
+            )}
 
-        {/* Lead Detail Modal */}
-        <Modal
-          title="Lead Details"
-          open={isModalVisible}
-          onCancel={() => setIsModalVisible(false)}
-          footer={null}
-          width={700}
-        >
-          {selectedLead && (
-            <div>
-              {/* Lead Info */}
-              <Card className="mb-4 bg-gray-50">
-                <div className="grid grid-cols-2 gap-4">
-                  <div>
-                    <label className="text-sm font-medium text-gray-600">Name</label>
-                    <div className="text-lg font-semibold">
-                      {selectedLead.firstName && selectedLead.lastName 
-                        ? `${selectedLead.firstName} ${selectedLead.lastName}`
-                        : selectedLead.formData?.fullName || 'N/A'}
-                    </div>
+            {/* Lead Info */}
+            <Card className="mb-4 bg-gray-50">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="text-sm font-medium text-gray-600">Name</label>
+                  <div className="text-lg font-semibold">
+                    {selectedLead.firstName && selectedLead.lastName 
+                      ? `${selectedLead.firstName} ${selectedLead.lastName}`
+                      : selectedLead.formData?.fullName || 'N/A'}
                   </div>
-                  <div>
-                    <label className="text-sm font-medium text-gray-600">Source</label>
-                    <div className="text-lg">{selectedLead.LeadForm?.formTitle}</div>
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-gray-600">Source</label>
+                  <div className="text-lg">{selectedLead.LeadForm?.formTitle}</div>
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-gray-600">Email</label>
+                  <div className="flex items-center gap-2">
+                    <FiMail className="text-gray-400" />
+                    {selectedLead.email || selectedLead.formData?.email}
                   </div>
-                  <div>
-                    <label className="text-sm font-medium text-gray-600">Email</label>
-                    <div className="flex items-center gap-2">
-                      <FiMail className="text-gray-400" />
-                      {selectedLead.email || selectedLead.formData?.email}
-                    </div>
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-gray-600">Phone</label>
+                  <div className="flex items-center gap-2">
+                    <FiPhone className="text-gray-400" />
+                    {selectedLead.phone || selectedLead.formData?.phone || 'N/A'}
                   </div>
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-gray-600">Zip Code</label>
+                  <div>{selectedLead.zipCode || 'N/A'}</div>
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-gray-600">Home Size</label>
+                  <div>{selectedLead.homeSize ? `${selectedLead.homeSize.toLocaleString()} sq ft` : 'N/A'}</div>
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-gray-600">Room Count</label>
+                  <div>{selectedLead.roomCount || 'N/A'}</div>
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-gray-600">Timeline</label>
+                  <div>{selectedLead.timeline ? selectedLead.timeline.replace('_', ' ').toUpperCase() : 'N/A'}</div>
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-gray-600">Preferred Contact</label>
+                  <div>{selectedLead.preferredContactMethod || 'N/A'}</div>
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-gray-600">Best Time</label>
+                  <div>{selectedLead.bestTimeToContact || 'N/A'}</div>
+                </div>
+                {selectedLead.ballparkQuote && (
                   <div>
-                    <label className="text-sm font-medium text-gray-600">Phone</label>
-                    <div className="flex items-center gap-2">
-                      <FiPhone className="text-gray-400" />
-                      {selectedLead.phone || selectedLead.formData?.phone || 'N/A'}
+                    <label className="text-sm font-medium text-gray-600">Ballpark Quote</label>
+                    <div className="text-lg font-semibold text-green-600">
+                      ${parseFloat(selectedLead.ballparkQuote).toLocaleString()}
                     </div>
                   </div>
+                )}
+                {selectedLead.quoteId && (
                   <div>
-                    <label className="text-sm font-medium text-gray-600">Zip Code</label>
-                    <div>{selectedLead.zipCode || 'N/A'}</div>
-                  </div>
-                  <div>
-                    <label className="text-sm font-medium text-gray-600">Home Size</label>
-                    <div>{selectedLead.homeSize ? `${selectedLead.homeSize.toLocaleString()} sq ft` : 'N/A'}</div>
-                  </div>
-                  <div>
-                    <label className="text-sm font-medium text-gray-600">Room Count</label>
-                    <div>{selectedLead.roomCount || 'N/A'}</div>
-                  </div>
-                  <div>
-                    <label className="text-sm font-medium text-gray-600">Timeline</label>
-                    <div>{selectedLead.timeline ? selectedLead.timeline.replace('_', ' ').toUpperCase() : 'N/A'}</div>
+                    <label className="text-sm font-medium text-gray-600">Quote</label>
+                    <div>
+                      <Button type="link" className="p-0" onClick={() => handleCreateQuote(selectedLead)}>
+                        Quote #{selectedLead.Quote?.quoteNumber || selectedLead.quoteId}
+                      </Button>
+                    </div>
                   </div>
+                )}
+                {selectedLead.referralSource && (
                   <div>
-                    <label className="text-sm font-medium text-gray-600">Preferred Contact</label>
-                    <div>{selectedLead.preferredContactMethod || 'N/A'}</div>
+                    <label className="text-sm font-medium text-gray-600">Referral Source</label>
+                    <div>{selectedLead.referralSource}</div>
                   </div>
-                  <div>
-                    <label className="text-sm font-medium text-gray-600">Best Time</label>
-                    <div>{selectedLead.bestTimeToContact || 'N/A'}</div>
+                )}
+                <div>
+                  <label className="text-sm font-medium text-gray-600">Submitted</label>
+                  <div className="flex items-center gap-2">
+                    <FiCalendar className="text-gray-400" />
+                    {new Date(selectedLead.createdAt).toLocaleString()}
                   </div>
-                  {selectedLead.ballparkQuote && (
-                    <div>
-                      <label className="text-sm font-medium text-gray-600">Ballpark Quote</label>
-                      <div className="text-lg font-semibold text-green-600">
-                        ${parseFloat(selectedLead.ballparkQuote).toLocaleString()}
-                      </div>
-                    </div>
-                  )}
-                  {selectedLead.referralSource && (
-                    <div>
-                      <label className="text-sm font-medium text-gray-600">Referral Source</label>
-                      <div>{selectedLead.referralSource}</div>
-                    </div>
-                  )}
+                </div>
+                {selectedLead.contactedAt && (
                   <div>
-                    <label className="text-sm font-medium text-gray-600">Submitted</label>
+                    <label className="text-sm font-medium text-gray-600">Contacted At</label>
                     <div className="flex items-center gap-2">
                       <FiCalendar className="text-gray-400" />
-                      {new Date(selectedLead.createdAt).toLocaleString()}
+                      {new Date(selectedLead.contactedAt).toLocaleString()}
                     </div>
                   </div>
-                  {selectedLead.contactedAt && (
-                    <div>
-                      <label className="text-sm font-medium text-gray-600">Contacted At</label>
-                      <div className="flex items-center gap-2">
-                        <FiCalendar className="text-gray-400" />
-                        {new Date(selectedLead.contactedAt).toLocaleString()}
-                      </div>
-                    </div>
-                  )}
+                )}
+              </div>
+
+              {/* Project Details */}
+              {selectedLead.projectDetails && (
+                <div className="mt-4 pt-4 border-t">
+                  <label className="text-sm font-medium text-gray-600 block mb-2">
+                    Project Details
+                  </label>
+                  <div className="text-sm">{selectedLead.projectDetails}</div>
                 </div>
+              )}
 
-                {/* Project Details */}
-                {selectedLead.projectDetails && (
-                  <div className="mt-4 pt-4 border-t">
-                    <label className="text-sm font-medium text-gray-600 block mb-2">
-                      Project Details
-                    </label>
-                    <div className="text-sm">{selectedLead.projectDetails}</div>
+              {/* UTM Tracking */}
+              {(selectedLead.utmSource || selectedLead.utmMedium || selectedLead.utmCampaign) && (
+                <div className="mt-4 pt-4 border-t">
+                  <label className="text-sm font-medium text-gray-600 block mb-2">
+                    Marketing Attribution
+                  </label>
+                  <div className="space-y-1 text-sm">
+                    {selectedLead.utmSource && <div><strong>Source:</strong> {selectedLead.utmSource}</div>}
+                    {selectedLead.utmMedium && <div><strong>Medium:</strong> {selectedLead.utmMedium}</div>}
+                    {selectedLead.utmCampaign && <div><strong>Campaign:</strong> {selectedLead.utmCampaign}</div>}
                   </div>
-                )}
+                </div>
+              )}
 
-                {/* UTM Tracking */}
-                {(selectedLead.utmSource || selectedLead.utmMedium || selectedLead.utmCampaign) && (
-                  <div className="mt-4 pt-4 border-t">
-                    <label className="text-sm font-medium text-gray-600 block mb-2">
-                      Marketing Attribution
-                    </label>
-                    <div className="space-y-1 text-sm">
-                      {selectedLead.utmSource && <div><strong>Source:</strong> {selectedLead.utmSource}</div>}
-                      {selectedLead.utmMedium && <div><strong>Medium:</strong> {selectedLead.utmMedium}</div>}
-                      {selectedLead.utmCampaign && <div><strong>Campaign:</strong> {selectedLead.utmCampaign}</div>}
-                    </div>
-                  </div>
-                )}
+              {/* All Form Data */}
+              <div className="mt-4 pt-4 border-t">
+                <label className="text-sm font-medium text-gray-600 block mb-2">
+                  Additional Information
+                </label>
+                <div className="space-y-2">
+                  {Object.entries(selectedLead.formData || {}).map(([key, value]) => {
+                    if (['fullName', 'email', 'phone'].includes(key)) return null
+                    return (
+                      <div key={key} className="flex gap-2">
+                        <span className="text-sm text-gray-600 capitalize">
+                          {key.replaceAll(/([A-Z])/g, ' $1').trim()}:
+                        </span>
+                        <span className="text-sm font-medium">{value}</span>
+                      </div>
+                    )
+                  })}
+                </div>
+              </div>
 
-                {/* All Form Data */}
+              {/* Submission History (merged leads) */}
+              {selectedLead.submissions?.length > 1 && (
                 <div className="mt-4 pt-4 border-t">
                   <label className="text-sm font-medium text-gray-600 block mb-2">
-                    Additional Information
+                    Submission History
                   </label>
-                  <div className="space-y-2">
-                    {Object.entries(selectedLead.formData || {}).map(([key, value]) => {
-                      if (['fullName', 'email', 'phone'].includes(key)) return null
-                      return (
-                        <div key={key} className="flex gap-2">
-                          <span className="text-sm text-gray-600 capitalize">
-                            {key.replaceAll(/([A-Z])/g, ' $1').trim()}:
-                          </span>
-                          <span className="text-sm font-medium">{value}</span>
+                  <div className="space-y-3">
+                    {getSubmissionHistory(selectedLead).map(submission => (
+                      <div key={`${submission.leadId}-${submission.submittedAt}`} className="text-sm border-l-2 border-blue-200 pl-3">
+                        <div className="flex items-center gap-2 text-gray-600">
+                          <FiCalendar className="text-gray-400" />
+                          {new Date(submission.submittedAt).toLocaleString()}
+                          <span>· Lead #{submission.leadId}</span>
+                          {submission.formTitle && <span>· {submission.formTitle}</span>}
                         </div>
-                      )
-                    })}
+                        <div className="font-medium">
+                          {[submission.name, submission.email, submission.phone].filter(Boolean).join(' · ')}
+                        </div>
+                        {(submission.projectType || submission.homeSize) && (
+                          <div>
+                            {[submission.projectType, submission.homeSize && `${submission.homeSize.toLocaleString()} sq ft`].filter(Boolean).join(' · ')}
+                          </div>
+                        )}
+                        {submission.projectDetails && <div className="text-gray-600">{submission.projectDetails}</div>}
+                        {submission.photoUrls?.length > 0 && (
+                          <div className="text-gray-500">{submission.photoUrls.length} photo(s)</div>
+                        )}
+                      </div>
+                    ))}
                   </div>
                 </div>
-              </Card>
+              )}
+            </Card>
+
+            {selectedLead.status !== 'merged' && (
+              <DuplicateLeadsPanel
+                key={selectedLead.id}
+                lead={selectedLead}
+                leads={allLeads}
+                onMerge={(duplicates) => setMergeLeads([selectedLead, ...duplicates])}
+              />
+            )}
 
-              {/* Update Form */}
-              <Form
-                form={form}
-                layout="vertical"
-                onFinish={handleUpdateLead}
+            {/* Update Form */}
+            <Form
+              form={form}
+              layout="vertical"
+              onFinish={handleUpdateLead}
+            >
+              <Form.Item
+                label="Status"
+                name="status"
+                rules={[{ required: true }]}
               >
-                <Form.Item
-                  label="Status"
-                  name="status"
-                  rules={[{ required: true }]}
-                >
-                  <Select size="large">
-                    <Option value="new">New</Option>
-                    <Option value="contacted">Contacted</Option>
-                    <Option value="qualified">Qualified</Option>
-                    <Option value="quoted">Quoted</Option>
-                    <Option value="quote_sent">Quote Sent</Option>
-                    <Option value="proposal_signed">Proposal Signed</Option>
-                    <Option value="won">Won</Option>
-                    <Option value="lost">Lost</Option>
-                  </Select>
-                </Form.Item>
+                <Select size="large">
+                  <Option value="new">New</Option>
+                  <Option value="contacted">Contacted</Option>
+                  <Option value="qualified">Qualified</Option>
+                  <Option value="quoted">Quoted</Option>
+                  <Option value="quote_sent">Quote Sent</Option>
+                  <Option value="proposal_signed">Proposal Signed</Option>
+                  <Option value="won">Won</Option>
+                  <Option value="lost">Lost</Option>
+                </Select>
+              </Form.Item>
 
-                <Form.Item
-                  label="Notes"
-                  name="notes"
-                >
-                  <TextArea
-                    rows={4}
-                    placeholder="Add notes about this lead..."
-                  />
-                </Form.Item>
+              <Form.Item
+                label="Notes"
+                name="notes"
+              >
+                <TextArea
+                  rows={4}
+                  placeholder="Add notes about this lead..."
+                />
+              </Form.Item>
 
-                <div className="flex justify-end gap-3">
-                  <Button onClick={() => setIsModalVisible(false)}>
-                    Cancel
-                  </Button>
-                  <Button type="primary" htmlType="submit">
-                    Update Lead
-                  </Button>
-                </div>
-              </Form>
-            </div>
-          )}
-        </Modal>
-      </div>
-    </MainLayout>
+              <div className="flex justify-end gap-3">
+                <Button icon={<FiFileText />} onClick={() => handleCreateQuote(selectedLead)}>
+                  {selectedLead.quoteId ? 'Open Quote' : 'Create Quote'}
+                </Button>
+                <Button onClick={() => setIsModalVisible(false)}>
+                  Cancel
+                </Button>
+                <Button type="primary" htmlType="submit">
+                  Update Lead
+                </Button>
+              </div>
+            </Form>
+          </div>
+        )}
+      </Modal>
+
+      <LeadMergeModal
+        open={Boolean(mergeLeads)}
+        leads={mergeLeads || []}
+        onClose={() => setMergeLeads(null)}
+        onMerged={handleMerged}
+      />
+    </div>
   )
 }
 
@@ -0,0 +1,299 @@
+// pages/ProductionRateReviewPage.jsx
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Card, Table, Button, InputNumber, Tag, Space, Alert, Empty, Spin, Statistic, Row, Col, Typography, Modal, message } from 'antd';
+import { ArrowLeftOutlined, CheckOutlined, ReloadOutlined } from '@ant-design/icons';
+import { apiService } from '../services/apiService';
+import useProductionRateSamples from '../hooks/useProductionRateSamples';
+import {
+  suggestProductionRates,
+  previewQuoteChanges,
+  toProductionRateDefaults
+} from '../utils/productionRateTuning';
+
+const { Title, Text } = Typography;
+
+const CONFIDENCE_COLORS = {
+  high: 'green',
+  medium: 'blue',
+  low: 'default'
+};
+
+const formatCurrency = (value) => `$${Math.abs(value).toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+
+const changeTag = (change) => {
+  if (!change) return <Text type="secondary">—</Text>;
+  // A slower rate means more hours on every quote
+  return <Tag color={change < 0 ? 'orange' : 'cyan'}>{change > 0 ? '+' : ''}{change}%</Tag>;
+};
+
+// Average gap between the estimate and the hours actually logged, as a share of logged hours
+const averageMiss = (rows, field) => {
+  const withActuals = rows.filter(row => row.actualHours > 0);
+  if (withActuals.length === 0) return null;
+  const total = withActuals.reduce((sum, row) => sum + Math.abs(row[field] - row.actualHours) / row.actualHours, 0);
+  return Math.round((total / withActuals.length) * 1000) / 10;
+};
+
+function ProductionRateReviewPage() {
+  const navigate = useNavigate();
+  const { loading, error, jobs, productionRates, samples, reload } = useProductionRateSamples();
+  const [selectedKeys, setSelectedKeys] = useState([]);
+  const [editedRates, setEditedRates] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const suggestions = useMemo(() => suggestProductionRates(samples, productionRates), [samples, productionRates]);
+
+  // Preselect the suggestions with enough evidence behind them
+  useEffect(() => {
+    setSelectedKeys(suggestions.filter(suggestion => suggestion.actionable).map(suggestion => suggestion.key));
+    setEditedRates({});
+  }, [suggestions]);
+
+  const getRate = (suggestion) => editedRates[suggestion.key] ?? suggestion.suggestedRate;
+
+  const newRates = useMemo(() => suggestions
+    .filter(suggestion => selectedKeys.includes(suggestion.key))
+    .reduce((acc, suggestion) => ({ ...acc, [suggestion.key]: getRate(suggestion) }), { ...productionRates }),
+  [suggestions, selectedKeys, editedRates, productionRates]);
+
+  const preview = useMemo(() => previewQuoteChanges(jobs, productionRates, newRates), [jobs, productionRates, newRates]);
+  const currentMiss = averageMiss(preview, 'currentHours');
+  const newMiss = averageMiss(preview, 'newHours');
+  const totalLaborChange = preview.reduce((sum, row) => sum + row.laborChange, 0);
+
+  const handleAccept = () => {
+    const accepted = suggestions.filter(suggestion => selectedKeys.includes(suggestion.key));
+    Modal.confirm({
+      title: `Update ${accepted.length} production rate${accepted.length === 1 ? '' : 's'}?`,
+      content: (
+        <div>
+          <ul className="list-disc pl-4 mb-2">
+            {accepted.map(suggestion => (
+              <li key={suggestion.key}>
+                {suggestion.label}: {suggestion.currentRate} → {getRate(suggestion)} {suggestion.unit}
+              </li>
+            ))}
+          </ul>
+          <Text type="secondary">New production-priced quotes will use these rates. Existing quotes are not repriced.</Text>
+        </div>
+      ),
+      okText: 'Update Rates',
+      onOk: async () => {
+        try {
+          setSaving(true);
+          const rates = accepted.reduce((acc, suggestion) => ({ ...acc, [suggestion.key]: getRate(suggestion) }), {});
+          const response = await apiService.updateProductConfigDefaults(toProductionRateDefaults(rates));
+          if (response.success) {
+            message.success('Production rates updated');
+            reload();
+          }
+        } catch (err) {
+          message.error('Failed to update production rates: ' + err.message);
+        } finally {
+          setSaving(false);
+        }
+      }
+    });
+  };
+
+  const suggestionColumns = [
+    {
+      title: 'Labor Category',
+      key: 'label',
+      render: (_, suggestion) => (
+        <div>
+          <div>{suggestion.label}</div>
+          <Text type="secondary" className="text-xs">{suggestion.unit}</Text>
+        </div>
+      )
+    },
+    {
+      title: 'Current',
+      dataIndex: 'currentRate',
+      key: 'currentRate'
+    },
+    {
+      title: 'Observed',
+      dataIndex: 'observedRate',
+      key: 'observedRate'
+    },
+    {
+      title: 'Suggested',
+      key: 'suggestedRate',
+      render: (_, suggestion) => (
+        <InputNumber
+          min={0.1}
+          step={suggestion.currentRate >= 20 ? 5 : 0.1}
+          value={getRate(suggestion)}
+          onChange={(value) => setEditedRates(prev => ({ ...prev, [suggestion.key]: value || suggestion.suggestedRate }))}
+          style={{ width: 100 }}
+        />
+      )
+    },
+    {
+      title: 'Change',
+      key: 'change',
+      render: (_, suggestion) => changeTag(
+        suggestion.currentRate > 0 ? Math.round(((getRate(suggestion) - suggestion.currentRate) / suggestion.currentRate) * 1000) / 10 : 0
+      )
+    },
+    {
+      title: 'Based On',
+      key: 'basis',
+      render: (_, suggestion) => `${suggestion.jobs} job${suggestion.jobs === 1 ? '' : 's'}, ${suggestion.actualHours} h`
+    },
+    {
+      title: 'Confidence',
+      dataIndex: 'confidence',
+      key: 'confidence',
+      render: (confidence) => <Tag color={CONFIDENCE_COLORS[confidence]}>{confidence}</Tag>
+    }
+  ];
+
+  const previewColumns = [
+    {
+      title: 'Job',
+      key: 'job',
+      render: (_, row) => (
+        <div>
+          <a onClick={() => navigate(`/jobs/${row.jobId}`)}>{row.jobNumber || `Quote #${row.quoteNumber}`}</a>
+          {row.customerName && <div><Text type="secondary" className="text-xs">{row.customerName}</Text></div>}
+        </div>
+      )
+    },
+    {
+      title: 'Estimated Hours',
+      key: 'hours',
+      render: (_, row) => (
+        row.newHours === row.currentHours
+          ? `${row.currentHours} h`
+          : <span>{row.currentHours} h → <strong>{row.newHours} h</strong></span>
+      )
+    },
+    {
+      title: 'Logged Hours',
+      dataIndex: 'actualHours',
+      key: 'actualHours',
+      render: (hours) => `${hours} h`
+    },
+    {
+      title: 'Closer to Actual',
+      key: 'closer',
+      render: (_, row) => {
+        if (row.newHours === row.currentHours || !row.actualHours) return <Text type="secondary">—</Text>;
+        const closer = Math.abs(row.newHours - row.actualHours) < Math.abs(row.currentHours - row.actualHours);
+        return <Tag color={closer ? 'green' : 'red'}>{closer ? 'Yes' : 'No'}</Tag>;
+      }
+    },
+    {
+      title: 'Labor Price',
+      key: 'labor',
+      render: (_, row) => {
+        if (!row.laborChange) return row.currentLabor ? formatCurrency(row.currentLabor) : <Text type="secondary">Not production-priced</Text>;
+        return (
+          <span>
+            {formatCurrency(row.currentLabor)} → {formatCurrency(row.newLabor)}{' '}
+            <Text type="secondary">
+              ({row.laborChange > 0 ? '+' : '−'}{formatCurrency(row.laborChange)})
+            </Text>
+          </span>
+        );
+      }
+    }
+  ];
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-96">
+        <Spin size="large" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center flex-wrap gap-2 mb-4">
+        <Space>
+          <Button icon={<ArrowLeftOutlined />} onClick={() => navigate('/job-analytics')} />
+          <Title level={3} className="mb-0">Suggested Production Rates</Title>
+        </Space>
+        <Space>
+          <Button icon={<ReloadOutlined />} onClick={reload}>Refresh</Button>
+          <Button
+            type="primary"
+            icon={<CheckOutlined />}
+            disabled={selectedKeys.length === 0}
+            loading={saving}
+            onClick={handleAccept}
+          >
+            Accept Selected
+          </Button>
+        </Space>
+      </div>
+
+      {error && <Alert type="error" showIcon className="mb-4" message={error} />}
+
+      <Alert
+        type="info"
+        showIcon
+        className="mb-4"
+        message="Rates are learned from hours your crews log against quote areas on finished jobs."
+        description="Each suggestion blends your current rate with what was observed, so it moves further as more hours are logged. Suggestions from fewer than two jobs or with less than a 5% change are not preselected."
+      />
+
+      <Card title="Rates" className="mb-4">
+        {suggestions.length === 0 ? (
+          <Empty description="No finished jobs have time logged against quote areas yet" />
+        ) : (
+          <Table
+            size="small"
+            rowKey="key"
+            columns={suggestionColumns}
+            dataSource={suggestions}
+            pagination={false}
+            rowSelection={{ selectedRowKeys: selectedKeys, onChange: setSelectedKeys }}
+          />
+        )}
+      </Card>
+
+      {preview.length > 0 && (
+        <Card title="How Past Quotes Would Have Changed">
+          <Row gutter={16} className="mb-4">
+            <Col xs={24} md={8}>
+              <Statistic title="Average miss today" value={currentMiss ?? '—'} suffix={currentMiss !== null ? '%' : ''} />
+            </Col>
+            <Col xs={24} md={8}>
+              <Statistic
+                title="Average miss with selected rates"
+                value={newMiss ?? '—'}
+                suffix={newMiss !== null ? '%' : ''}
+                valueStyle={newMiss !== null && currentMiss !== null ? { color: newMiss <= currentMiss ? '#3f8600' : '#cf1322' } : undefined}
+              />
+            </Col>
+            <Col xs={24} md={8}>
+              <Statistic
+                title="Labor price change across these quotes"
+                value={formatCurrency(totalLaborChange)}
+                prefix={totalLaborChange > 0 ? '+' : totalLaborChange < 0 ? '−' : ''}
+              />
+            </Col>
+          </Row>
+          <Table
+            size="small"
+            rowKey="jobId"
+            columns={previewColumns}
+            dataSource={preview}
+            pagination={{ pageSize: 10 }}
+            scroll={{ x: true }}
+          />
+          <Text type="secondary" className="text-xs">
+            Labor price is before markup, overhead and tax. Logged hours include time not assigned to an area.
+          </Text>
+        </Card>
+      )}
+    </div>
+  );
+}
+
+export default ProductionRateReviewPage;
@@ -0,0 +1,400 @@
+// pages/ProfitabilityExplorerPage.jsx
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Card, Table, Button, Select, Segmented, Tag, Space, Alert, Empty, Spin, Statistic, Row, Col, Typography, Dropdown, Tooltip } from 'antd';
+import { ArrowLeftOutlined, DownloadOutlined, ReloadOutlined } from '@ant-design/icons';
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as ChartTooltip,
+  Legend,
+  ReferenceLine
+} from 'recharts';
+import * as XLSX from 'xlsx';
+import moment from 'moment';
+import { apiService } from '../services/apiService';
+import useFinishedJobs from '../hooks/useFinishedJobs';
+import { rowsToCSV } from '../utils/materialListUtils';
+import {
+  PROFIT_DIMENSIONS,
+  getMarginTargets,
+  buildJobProfitability,
+  summarizeProfitability,
+  groupProfitability,
+  buildProfitTrend,
+  profitabilityGroupsToRows,
+  profitabilityRecordsToRows
+} from '../utils/profitability';
+
+const { Title, Text } = Typography;
+const { Option } = Select;
+
+// Each finished job takes two requests to load with its logged costs
+const MAX_JOBS = 100;
+
+const PERIODS = [
+  { value: 3, label: 'Last 3 months' },
+  { value: 6, label: 'Last 6 months' },
+  { value: 12, label: 'Last 12 months' },
+  { value: 0, label: 'All loaded jobs' }
+];
+
+const COST_SOURCE_COLORS = {
+  actual: 'green',
+  mixed: 'blue',
+  estimated: 'default',
+  none: 'orange'
+};
+
+const formatCurrency = (value) => `${value < 0 ? '−' : ''}$${Math.abs(value).toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+
+// Jobs without known costs sort below every margin
+const sortByNullable = (key) => (a, b) => (a[key] ?? Number.MIN_SAFE_INTEGER) - (b[key] ?? Number.MIN_SAFE_INTEGER);
+
+const vsTargetTag = (points) => (
+  <Tag color={points >= 0 ? 'green' : 'red'}>
+    {points >= 0 ? '+' : '−'}{Math.abs(points)} pts
+  </Tag>
+);
+
+function ProfitabilityExplorerPage() {
+  const navigate = useNavigate();
+  const { loading, error, jobs, defaults, crews, reload } = useFinishedJobs({ maxJobs: MAX_JOBS });
+  const [leadsById, setLeadsById] = useState({});
+  const [dimension, setDimension] = useState('pricingScheme');
+  const [selectedValue, setSelectedValue] = useState(null);
+  const [months, setMonths] = useState(12);
+
+  useEffect(() => {
+    const fetchLeads = async () => {
+      try {
+        const response = await apiService.get('/leads');
+        if (response.success) {
+          setLeadsById((response.data || []).reduce((acc, lead) => ({ ...acc, [lead.id]: lead }), {}));
+        }
+      } catch (err) {
+        console.error('Error fetching leads for profitability:', err);
+      }
+    };
+    fetchLeads();
+  }, []);
+
+  useEffect(() => {
+    setSelectedValue(null);
+  }, [dimension]);
+
+  const targets = useMemo(() => getMarginTargets(defaults), [defaults]);
+
+  const records = useMemo(() => {
+    const since = months > 0 ? moment().subtract(months, 'month').startOf('day') : null;
+    return jobs
+      .map(entry => buildJobProfitability(entry, { crews, leadsById, targets }))
+      .filter(record => !since || (record.completedAt && moment(record.completedAt).isSameOrAfter(since)));
+  }, [jobs, crews, leadsById, targets, months]);
+
+  const dimensionLabel = PROFIT_DIMENSIONS.find(d => d.key === dimension).label;
+  const groups = useMemo(() => groupProfitability(records, dimension, targets), [records, dimension, targets]);
+  const sliceRecords = useMemo(
+    () => (selectedValue ? records.filter(record => record[dimension] === selectedValue) : records),
+    [records, dimension, selectedValue]
+  );
+  const totals = useMemo(() => summarizeProfitability(sliceRecords, targets), [sliceRecords, targets]);
+  const trend = useMemo(() => buildProfitTrend(sliceRecords, targets), [sliceRecords, targets]);
+  const estimatedCount = sliceRecords.filter(record => record.costSource === 'estimated').length;
+  const uncostedCount = sliceRecords.filter(record => record.costSource === 'none').length;
+
+  const fileName = `profitability-by-${dimension}-${moment().format('YYYY-MM-DD')}`;
+
+  const handleExportCSV = () => {
+    const csv = rowsToCSV(profitabilityGroupsToRows(groups, dimensionLabel));
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${fileName}.csv`;
+    a.click();
+    window.URL.revokeObjectURL(url);
+  };
+
+  const handleExportXLSX = () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(profitabilityGroupsToRows(groups, dimensionLabel)), `By ${dimensionLabel}`);
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(profitabilityGroupsToRows(trend.map(row => ({ ...row, value: row.month })), 'Month')), 'Trend');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(profitabilityRecordsToRows(records)), 'Jobs');
+    XLSX.writeFile(workbook, `${fileName}.xlsx`);
+  };
+
+  const groupColumns = [
+    {
+      title: dimensionLabel,
+      dataIndex: 'value',
+      key: 'value',
+      render: (value) => <a onClick={() => setSelectedValue(value === selectedValue ? null : value)}>{value}</a>
+    },
+    { title: 'Jobs', dataIndex: 'jobs', key: 'jobs', sorter: (a, b) => a.jobs - b.jobs },
+    { title: 'Revenue', dataIndex: 'revenue', key: 'revenue', render: formatCurrency, sorter: (a, b) => a.revenue - b.revenue },
+    { title: 'Avg Job', dataIndex: 'averageJob', key: 'averageJob', render: formatCurrency, sorter: (a, b) => a.averageJob - b.averageJob },
+    {
+      title: 'Gross Margin',
+      dataIndex: 'grossMargin',
+      key: 'grossMargin',
+      sorter: (a, b) => a.grossMargin - b.grossMargin,
+      render: (margin, row) => (row.costedJobs > 0 ? <Space size={4}>{margin}% {vsTargetTag(row.grossMarginVsTarget)}</Space> : '—')
+    },
+    { title: 'Net Profit', dataIndex: 'netProfit', key: 'netProfit', render: formatCurrency, sorter: (a, b) => a.netProfit - b.netProfit },
+    {
+      title: 'Net Margin',
+      dataIndex: 'netMargin',
+      key: 'netMargin',
+      sorter: (a, b) => a.netMargin - b.netMargin,
+      render: (margin, row) => (row.costedJobs > 0 ? <Space size={4}>{margin}% {vsTargetTag(row.netMarginVsTarget)}</Space> : '—')
+    }
+  ];
+
+  const jobColumns = [
+    {
+      title: 'Job',
+      key: 'job',
+      render: (_, record) => (
+        <div>
+          <a onClick={() => navigate(`/job-analytics/${record.quoteId}`)}>{record.jobNumber || `Quote #${record.quoteNumber}`}</a>
+          {record.customerName && <div><Text type="secondary" className="text-xs">{record.customerName}</Text></div>}
+        </div>
+      )
+    },
+    {
+      title: 'Completed',
+      dataIndex: 'completedAt',
+      key: 'completedAt',
+      render: (date) => (date ? moment(date).format('MMM D, YYYY') : '—'),
+      sorter: (a, b) => moment(a.completedAt).valueOf() - moment(b.completedAt).valueOf()
+    },
+    { title: dimensionLabel, dataIndex: dimension, key: 'dimension' },
+    { title: 'Revenue', dataIndex: 'revenue', key: 'revenue', render: formatCurrency, sorter: (a, b) => a.revenue - b.revenue },
+    {
+      title: 'Costs',
+      key: 'costs',
+      render: (_, record) => (
+        <Space size={4}>
+          {record.costSource === 'none' ? '—' : formatCurrency(record.laborCost + record.materialCost)}
+          <Tag color={COST_SOURCE_COLORS[record.costSource]}>{record.costSource === 'none' ? 'not logged' : record.costSource}</Tag>
+        </Space>
+      )
+    },
+    {
+      title: 'Gross Margin',
+      dataIndex: 'grossMargin',
+      key: 'grossMargin',
+      render: (margin) => (margin === null ? '—' : `${margin}%`),
+      sorter: sortByNullable('grossMargin')
+    },
+    {
+      title: 'Net Margin',
+      dataIndex: 'netMargin',
+      key: 'netMargin',
+      sorter: sortByNullable('netMargin'),
+      render: (margin) => (margin === null ? '—' : <Text type={margin < targets.netProfitPercent ? 'danger' : undefined}>{margin}%</Text>)
+    }
+  ];
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-96">
+        <Spin size="large" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center flex-wrap gap-2 mb-4">
+        <Space>
+          <Button icon={<ArrowLeftOutlined />} onClick={() => navigate('/job-analytics')} />
+          <Title level={3} className="mb-0">Profitability Explorer</Title>
+        </Space>
+        <Space wrap>
+          <Select value={months} onChange={setMonths} style={{ width: 160 }}>
+            {PERIODS.map(period => <Option key={period.value} value={period.value}>{period.label}</Option>)}
+          </Select>
+          <Button icon={<ReloadOutlined />} onClick={reload}>Refresh</Button>
+          <Dropdown
+            disabled={records.length === 0}
+            menu={{
+              items: [
+                { key: 'csv', label: `CSV (by ${dimensionLabel.toLowerCase()})`, onClick: handleExportCSV },
+                { key: 'xlsx', label: 'Excel (XLSX, with trend and jobs)', onClick: handleExportXLSX }
+              ]
+            }}
+          >
+            <Button icon={<DownloadOutlined />}>Export</Button>
+          </Dropdown>
+        </Space>
+      </div>
+
+      {error && <Alert type="error" showIcon className="mb-4" message={error} />}
+
+      {!targets.overheadPercent && !targets.netProfitPercent && (
+        <Alert
+          type="warning"
+          showIcon
+          className="mb-4"
+          message="No overhead or net profit targets are set, so margins aren't compared with a goal."
+          action={<Button size="small" onClick={() => navigate('/pricing-engine')}>Set Targets</Button>}
+        />
+      )}
+
+      <Segmented
+        className="mb-4"
+        value={dimension}
+        onChange={setDimension}
+        options={PROFIT_DIMENSIONS.map(d => ({ label: d.label, value: d.key }))}
+      />
+
+      {records.length === 0 ? (
+        <Card>
+          <Empty description="No finished jobs in this period" />
+        </Card>
+      ) : (
+        <>
+          {selectedValue && (
+            <div className="mb-4">
+              <Tag closable onClose={() => setSelectedValue(null)} color="blue">
+                {dimensionLabel}: {selectedValue}
+              </Tag>
+            </div>
+          )}
+
+          <Row gutter={[16, 16]} className="mb-4">
+            <Col xs={12} md={6}>
+              <Card><Statistic title="Jobs" value={totals.jobs} /></Card>
+            </Col>
+            <Col xs={12} md={6}>
+              <Card><Statistic title="Revenue" value={formatCurrency(totals.revenue)} /></Card>
+            </Col>
+            <Col xs={12} md={6}>
+              <Card>
+                <Statistic title="Gross Margin" value={totals.grossMargin} suffix="%" />
+                <Text type="secondary" className="text-xs">
+                  Target {targets.grossMarginPercent}% {vsTargetTag(totals.grossMarginVsTarget)}
+                </Text>
+              </Card>
+            </Col>
+            <Col xs={12} md={6}>
+              <Card>
+                <Statistic
+                  title="Net Profit"
+                  value={formatCurrency(totals.netProfit)}
+                  valueStyle={{ color: totals.netMarginVsTarget >= 0 ? '#3f8600' : '#cf1322' }}
+                />
+                <Text type="secondary" className="text-xs">
+                  {totals.netMargin}% vs {targets.netProfitPercent}% target {vsTargetTag(totals.netMarginVsTarget)}
+                </Text>
+              </Card>
+            </Col>
+          </Row>
+
+          {estimatedCount > 0 && (
+            <Alert
+              type="info"
+              showIcon
+              className="mb-4"
+              message={`${estimatedCount} of ${sliceRecords.length} jobs have no logged time or materials, so their costs are the quote's estimates.`}
+            />
+          )}
+
+          {uncostedCount > 0 && (
+            <Alert
+              type="warning"
+              showIcon
+              className="mb-4"
+              message={`${uncostedCount} of ${sliceRecords.length} turnkey or flat rate jobs have no logged costs. Their quotes only set a selling price, so they count toward revenue but not costs or margins.`}
+            />
+          )}
+
+          <Card title={`By ${dimensionLabel}`} className="mb-4">
+            <div style={{ height: 300 }} className="mb-4">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={groups} onClick={(state) => state?.activeLabel && setSelectedValue(state.activeLabel)}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="value" />
+                  <YAxis yAxisId="revenue" tickFormatter={formatCurrency} />
+                  <YAxis yAxisId="margin" orientation="right" unit="%" />
+                  <ChartTooltip formatter={(value, name) => (name.includes('Margin') ? `${value}%` : formatCurrency(value))} />
+                  <Legend />
+                  <Bar yAxisId="revenue" dataKey="revenue" name="Revenue" fill="#1890ff" />
+                  <Bar yAxisId="revenue" dataKey="netProfit" name="Net Profit" fill="#52c41a" />
+                  <Line yAxisId="margin" dataKey="grossMargin" name="Gross Margin" stroke="#722ed1" strokeWidth={2} />
+                  <Line yAxisId="margin" dataKey="netMargin" name="Net Margin" stroke="#fa8c16" strokeWidth={2} />
+                  <ReferenceLine yAxisId="margin" y={targets.netProfitPercent} stroke="#fa8c16" strokeDasharray="4 4" />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+            <Table
+              size="small"
+              rowKey="value"
+              columns={groupColumns}
+              dataSource={groups}
+              pagination={groups.length > 10 ? { pageSize: 10 } : false}
+              rowClassName={(row) => (row.value === selectedValue ? 'bg-blue-50' : '')}
+              scroll={{ x: true }}
+            />
+          </Card>
+
+          <Card
+            title={
+              <Space>
+                Monthly Trend
+                <Tooltip title="Months are by job completion date. The dashed lines are your gross margin and net profit targets.">
+                  <Text type="secondary" className="text-xs">(by completion month)</Text>
+                </Tooltip>
+              </Space>
+            }
+            className="mb-4"
+          >
+            <div style={{ height: 300 }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={trend}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="month" tickFormatter={(month) => moment(month, 'YYYY-MM').format('MMM YY')} />
+                  <YAxis yAxisId="revenue" tickFormatter={formatCurrency} />
+                  <YAxis yAxisId="margin" orientation="right" unit="%" />
+                  <ChartTooltip
+                    labelFormatter={(month) => moment(month, 'YYYY-MM').format('MMMM YYYY')}
+                    formatter={(value, name) => (name.includes('Margin') ? `${value}%` : formatCurrency(value))}
+                  />
+                  <Legend />
+                  <Bar yAxisId="revenue" dataKey="revenue" name="Revenue" fill="#1890ff" />
+                  <Line yAxisId="margin" dataKey="grossMargin" name="Gross Margin" stroke="#722ed1" strokeWidth={2} />
+                  <Line yAxisId="margin" dataKey="netMargin" name="Net Margin" stroke="#fa8c16" strokeWidth={2} />
+                  <ReferenceLine yAxisId="margin" y={targets.grossMarginPercent} stroke="#722ed1" strokeDasharray="4 4" />
+                  <ReferenceLine yAxisId="margin" y={targets.netProfitPercent} stroke="#fa8c16" strokeDasharray="4 4" />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          </Card>
+
+          <Card title={`Jobs (${sliceRecords.length})`}>
+            <Table
+              size="small"
+              rowKey="jobId"
+              columns={jobColumns}
+              dataSource={sliceRecords}
+              pagination={{ pageSize: 10 }}
+              scroll={{ x: true }}
+            />
+            <Text type="secondary" className="text-xs">
+              Overhead is charged at {targets.overheadPercent}% of revenue. Only the {MAX_JOBS} most recently finished jobs are loaded.
+            </Text>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ProfitabilityExplorerPage;
@@ -1,13 +1,19 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { useLocation, useSearchParams } from 'react-router-dom';
-import { Card, Steps, message, Progress, Button, Modal, Grid } from 'antd';
+import { Card, Steps, message, Progress, Button, Modal, Grid, Tag, Tooltip } from 'antd';
 import {
   UserOutlined,
   HomeOutlined,
   UnorderedListOutlined,
   BgColorsOutlined,
   FileTextOutlined,
-  ReloadOutlined
+  ReloadOutlined,
+  CloudOutlined,
+  CloudSyncOutlined,
+  CloudUploadOutlined,
+  DisconnectOutlined,
+  ExclamationCircleOutlined,
+  HistoryOutlined
 } from '@ant-design/icons';
 
 const { useBreakpoint } = Grid;
@@ -21,11 +27,16 @@ import ProductsStep from '../components/QuoteBuilder/ProductsStep';
 import TierSelectionStep from '../components/QuoteBuilder/TierSelectionStep';
 import SummaryStep from '../components/QuoteBuilder/SummaryStep';
 import ConflictResolutionModal from '../components/QuoteBuilder/ConflictResolutionModal';
+import QuoteRevisionHistory from '../components/QuoteBuilder/QuoteRevisionHistory';
 import { quoteBuilderApi } from '../services/quoteBuilderApi';
 import { apiService } from '../services/apiService';
 import * as pricingUtils from '../utils/pricingUtils';
+import { buildContractorSettings, buildProductsMap, getTurnkeyMultipliers, calculateTierPricing as calculateEngineTierPricing } from '../utils/pricingEngine';
 import loadingService from '../services/loadingService';
+import useOfflineDraftSync from '../hooks/useOfflineDraftSync';
+import { mergeQuoteDrafts, isEqualValue, IGNORED_FIELDS } from '../utils/quoteMergeUtils';
 import gbbSettingsApi from '../services/gbbSettingsApi';
+import leadQuoteService from '../services/leadQuoteService';
 
 // Helper function to get dynamic steps based on pricing model and GBB status
 const getSteps = (isTurnkey, gbbEnabled = false) => {
@@ -117,6 +128,10 @@ function QuoteBuilderPage() {
     // Summary (Step 5 or 6)
     notes: '',
     
+    // Lead the quote was created from, and its uploaded photos ({ url, source })
+    leadId: null,
+    photos: [],
+    
     // Pricing defaults from settings
     defaultTax: 8.25,
     defaultDeposit: 50,
@@ -130,7 +145,9 @@ function QuoteBuilderPage() {
   const [pricingSchemes, setPricingSchemes] = useState([]);
   const [detectedClient, setDetectedClient] = useState(null);
   const [loadingSchemes, setLoadingSchemes] = useState(true);
+  const [loadingQuote, setLoadingQuote] = useState(false);
   const [contractorSettings, setContractorSettings] = useState({});
+  const [productsMap, setProductsMap] = useState({});
   const [steps, setSteps] = useState(getSteps(false, false)); // Initialize with non-turnkey, no GBB steps
   
   // GBB Tier Selection State
@@ -142,9 +159,59 @@ function QuoteBuilderPage() {
   const [conflictData, setConflictData] = useState(null);
   const [lastModified, setLastModified] = useState(null);
   const [autoSaveVersion, setAutoSaveVersion] = useState(1);
+  const [revisionHistoryVisible, setRevisionHistoryVisible] = useState(false);
 
   const autoSaveInterval = useRef(null);
   const lastSaveTime = useRef(Date.now());
+  // Local key for a new quote until the server assigns an ID
+  const localDraftKey = useRef(`local-${Date.now()}`);
+  const handleAutoSaveRef = useRef(null);
+  // Last form data handed to the save queue, so the timer doesn't queue the same draft again
+  const lastQueuedRef = useRef(null);
+  const calculateTierPricingRef = useRef(null);
+  // Last copy confirmed by the server; the common ancestor for three-way merges
+  const baseDataRef = useRef(null);
+
+  const {
+    isOnline,
+    pendingCount,
+    failedMutation,
+    syncing,
+    storageAvailable,
+    saveLocalDraft,
+    queueSave,
+    retryFailed,
+    discardQueuedSaves,
+    listLocalDrafts
+  } = useOfflineDraftSync({
+    // The queue replays every draft saved on this device; only the open one updates this page
+    onSynced: ({ mutation, quote, response }) => {
+      if (!isOpenDraft(mutation)) return;
+      baseDataRef.current = mutation.payload;
+      // A new quote gets its server ID on first sync, and its queued saves are re-keyed to it
+      if (quote.id) {
+        localDraftKey.current = String(quote.id);
+        setFormData(prev => (prev.quoteId ? prev : { ...prev, quoteId: quote.id }));
+      }
+      if (quote.lastModified) setLastModified(quote.lastModified);
+      if (quote.autoSaveVersion) setAutoSaveVersion(quote.autoSaveVersion);
+      if (response.autoSave) {
+        setLastModified(response.autoSave.lastModified);
+        setAutoSaveVersion(response.autoSave.version);
+      }
+      lastSaveTime.current = Date.now();
+    },
+    onConflict: ({ mutation, conflictData }) => {
+      if (!isOpenDraft(mutation)) {
+        message.warning('A save queued for another quote conflicts with changes made elsewhere. Open that quote to resolve it.');
+        return;
+      }
+      handleConflict(conflictData);
+    }
+  });
+
+  const getDraftKey = () => formData.quoteId || localDraftKey.current;
+  const isOpenDraft = (mutation) => String(mutation.draftKey) === String(getDraftKey());
 
   // ============================================================================
   // SINGLE SOURCE OF TRUTH: Consolidated labor data fetching
@@ -218,7 +285,8 @@ function QuoteBuilderPage() {
           // Extract turnkey rates (for turnkey pricing)
           const turnkeyRates = {
             interior: defaults.turnkeyInteriorRate || 3.50,
-            exterior: defaults.turnkeyExteriorRate || 3.50
+            exterior: defaults.turnkeyExteriorRate || 3.50,
+            ...getTurnkeyMultipliers(defaults)
           };
           
           // Extract flat rate unit prices (for flat-rate pricing)
@@ -389,14 +457,27 @@ function QuoteBuilderPage() {
       const response = await gbbSettingsApi.calculateTierPricing(params);
       
       if (response.success && response.data) {
-        console.log('[QuoteBuilder] Tier pricing calculated:', response.data);
-        setTierPricing(response.data);
-        setGbbEnabled(response.data.gbbEnabled || false);
+        // Tier configuration (enabled flag, descriptions) comes from the server,
+        // tier totals come from the shared pricing engine so they match the summary
+        const scheme = pricingSchemes.find(s => s.id === formData.pricingSchemeId);
+        const engineTiers = calculateEngineTierPricing({
+          ...formData,
+          schemeType: scheme?.type,
+          contractorSettings,
+          products: productsMap
+        });
+        const tierData = { ...response.data };
+        Object.entries(engineTiers).forEach(([tier, pricing]) => {
+          tierData[tier] = { ...response.data[tier], ...pricing };
+        });
+
+        setTierPricing(tierData);
+        setGbbEnabled(tierData.gbbEnabled || false);
         
         // Update formData with tier pricing
-        setFormData(prev => ({
+        setFormData(prev => (isEqualValue(prev.gbbTierPricing, tierData) ? prev : {
           ...prev,
-          gbbTierPricing: response.data
+          gbbTierPricing: tierData
         }));
       } else {
         console.log('[QuoteBuilder] GBB not enabled or calculation failed');
@@ -408,10 +489,8 @@ function QuoteBuilderPage() {
       setTierPricing(null);
       setGbbEnabled(false);
     }
-  }, [formData.areas, formData.homeSqft, formData.flatRateItems, formData.productSets, 
-      formData.pricingSchemeId, formData.jobType, formData.jobScope, formData.numberOfStories,
-      formData.conditionModifier, formData.includeMaterials, formData.coverage, 
-      formData.applicationMethod, formData.coats]);
+  }, [formData, pricingSchemes, contractorSettings, productsMap]);
+  calculateTierPricingRef.current = calculateTierPricing;
   // ============================================================================
 
   // Routing/context: detect edit mode via URL or navigation state
@@ -419,20 +498,34 @@ function QuoteBuilderPage() {
   const [searchParams] = useSearchParams();
   const quoteIdFromUrl = searchParams.get('quoteId');
   const editQuote = location?.state?.quote || location?.state?.editQuote || null;
+  const leadIdFromUrl = searchParams.get('leadId');
+  // Lead to link once a quote created from it gets its server ID
+  const pendingLeadLinkRef = useRef(null);
   const isEditMode = Boolean(quoteIdFromUrl || editQuote || formData.quoteId);
 
-  // Auto-save every 30 seconds
-  // useEffect(() => {
-  //   autoSaveInterval.current = setInterval(() => {
-  //     handleAutoSave();
-  //   }, 30000); // 30 seconds
+  // Keep a local copy of every change so nothing is lost if the connection drops
+  useEffect(() => {
+    const hasData = formData.customerName || formData.customerEmail || formData.areas.length > 0;
+    if (!hasData) return;
+
+    const timer = setTimeout(() => {
+      saveLocalDraft(formData.quoteId || localDraftKey.current, formData, { autoSaveVersion, lastModified, baseData: baseDataRef.current });
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [formData, autoSaveVersion, lastModified, saveLocalDraft]);
+
+  // Auto-save every 30 seconds (queued while offline)
+  useEffect(() => {
+    autoSaveInterval.current = setInterval(() => {
+      handleAutoSaveRef.current?.();
+    }, 30000); // 30 seconds
 
-  //   return () => {
-  //     if (autoSaveInterval.current) {
-  //       clearInterval(autoSaveInterval.current);
-  //     }
-  //   };
-  // }, [formData]);
+    return () => {
+      if (autoSaveInterval.current) {
+        clearInterval(autoSaveInterval.current);
+      }
+    };
+  }, []);
 
   // Fetch pricing schemes and load quote data on mount
   useEffect(() => {
@@ -445,6 +538,8 @@ function QuoteBuilderPage() {
       } else if (editQuote) {
         // Load quote data from location state
         loadQuoteForEdit(editQuote);
+      } else if (leadIdFromUrl) {
+        await loadFromLead(leadIdFromUrl);
       } else {
         // Check for existing draft only if not in edit mode
         checkForExistingDraft();
@@ -461,8 +556,9 @@ function QuoteBuilderPage() {
     const selectedScheme = pricingSchemes.find(s => s.id === formData.pricingSchemeId);
     if (!selectedScheme) return;
     
-    const isTurnkey = selectedScheme.type === 'turnkey' || selectedScheme.type === 'sqft_turnkey';
-    const isFlatRate = selectedScheme.type === 'flat_rate_unit' || selectedScheme.type === 'unit_pricing' || selectedScheme.type === 'room_flat_rate';
+    const mode = pricingUtils.getPricingMode(selectedScheme.type);
+    const isTurnkey = mode === 'turnkey';
+    const isFlatRate = mode === 'flat_unit';
     const hasAreas = formData.areas && formData.areas.length > 0;
     const hasHomeSqft = formData.homeSqft && formData.homeSqft > 0;
     const hasFlatRateItems = formData.flatRateItems && (
@@ -613,24 +709,37 @@ function QuoteBuilderPage() {
     }));
   }, [formData.jobType, formData.pricingSchemeId, pricingSchemes, fetchLaborData]);
 
-//   // Calculate tier pricing when areas, products, or turnkey data changes
-//   useEffect(() => {
-//     // Debounce the calculation to avoid excessive API calls
-//     const timer = setTimeout(() => {
-//       calculateTierPricing();
-//     }, 500);
-
-//     return () => clearTimeout(timer);
-//   }, [
-//     JSON.stringify(formData.areas),
-//     JSON.stringify(formData.productSets),
-//     formData.homeSqft,
-//     formData.jobScope,
-//     formData.numberOfStories,
-//     formData.conditionModifier,
-//     JSON.stringify(formData.flatRateItems),
-//     formData.pricingSchemeId
-//   ]);
+  // Recalculate tier pricing only when a pricing input changes. Writing gbbTierPricing back
+  // into formData leaves the key unchanged, so the calculation doesn't trigger itself.
+  const tierPricingKey = useMemo(() => JSON.stringify([
+    formData.pricingSchemeId,
+    formData.areas,
+    formData.productSets,
+    formData.homeSqft,
+    formData.jobScope,
+    formData.jobType,
+    formData.numberOfStories,
+    formData.conditionModifier,
+    formData.flatRateItems,
+    formData.includeMaterials,
+    formData.coverage,
+    formData.applicationMethod,
+    formData.coats,
+    formData.laborOnly,
+    formData.billableLaborRate,
+    formData.productivityRate,
+    formData.crewSize,
+    formData.paintersOnSite
+  ]), [formData]);
+
+  useEffect(() => {
+    // Debounce the calculation to avoid excessive API calls while typing
+    const timer = setTimeout(() => {
+      calculateTierPricingRef.current?.();
+    }, 500);
+
+    return () => clearTimeout(timer);
+  }, [tierPricingKey, contractorSettings, productsMap, pricingSchemes]);
 
   // Update steps based on pricing scheme (don't fetch labor data automatically)
   useEffect(() => {
@@ -639,7 +748,7 @@ function QuoteBuilderPage() {
       if (!selectedScheme) return;
 
       // Update steps based on pricing model and GBB status
-      const isTurnkey = selectedScheme.type === 'turnkey' || selectedScheme.type === 'sqft_turnkey';
+      const isTurnkey = pricingUtils.getPricingMode(selectedScheme.type) === 'turnkey';
       const newSteps = getSteps(isTurnkey, gbbEnabled);
       
       // Force steps update
@@ -695,13 +804,9 @@ function QuoteBuilderPage() {
         const defaults = defaultsResponse?.data || {};
         
         // Determine if we need labor categories and rates based on pricing scheme type
-        const schemeType = selectedScheme?.type;
-        const needsLaborData = schemeType && 
-          (schemeType === 'rate_based_sqft' || 
-           schemeType === 'sqft_labor_paint' ||
-           schemeType === 'production_based' ||
-           schemeType === 'flat_rate_unit' ||
-           schemeType === 'hourly_time_materials');
+        const needsLaborData = ['rate_sqft', 'production', 'flat_unit'].includes(
+          pricingUtils.getPricingMode(selectedScheme?.type)
+        );
         
         // NOTE: Don't fetch labor categories/rates here without jobType
         // They will be fetched by the fetchLaborData callback when jobType is set
@@ -726,44 +831,18 @@ function QuoteBuilderPage() {
         }
         
         // Build contractor settings object for child components
-        const fullSettings = {
-          markups: {
-            labor: defaults.laborMarkupPercent || 0,
-            material: defaults.materialMarkupPercent || 0,
-            overhead: defaults.overheadPercent || 0,
-            netProfit: defaults.netProfitPercent || 0
-          },
-          turnkey: {
-            interior: defaults.turnkeyInteriorRate || 0,
-            exterior: defaults.turnkeyExteriorRate || 0
-          },
-          productionRates: {
-            interiorWalls: defaults.productionInteriorWalls || 300,
-            interiorCeilings: defaults.productionInteriorCeilings || 250,
-            interiorTrim: defaults.productionInteriorTrim || 150,
-            exteriorWalls: defaults.productionExteriorWalls || 250,
-            exteriorTrim: defaults.productionExteriorTrim || 120,
-            soffitFascia: defaults.productionSoffitFascia || 100,
-            doors: defaults.productionDoors || 2,
-            cabinets: defaults.productionCabinets || 1.5
-          },
+        const fullSettings = buildContractorSettings(settings, defaults, {
           laborCategories: laborCategoriesRes.success ? laborCategoriesRes.data : [],
-          laborRates: laborRatesMap,
-          flatRateUnitPrices: defaults.flatRateUnitPrices || {},
-          other: {
-            taxRate: settings.taxRatePercentage || 8.25,
-            depositPercentage: settings.depositPercentage || 50,
-            includeMaterials: defaults.includeMaterials !== undefined ? defaults.includeMaterials : true,
-            coverage: defaults.coverage || 350,
-            applicationMethod: defaults.applicationMethod || 'roll',
-            coats: defaults.coats || 2,
-            defaultBillableLaborRate: defaults.defaultBillableLaborRate || 50,
-            crewSize: defaults.crewSize || 1,
-            quoteValidityDays: defaults.quoteValidityDays || 30
-          }
-        };
+          laborRates: laborRatesMap
+        });
         
         setContractorSettings(fullSettings);
+
+        // Product prices feed material costs in the pricing engine
+        const productsRes = await apiService.get('/contractor/product-configs');
+        if (productsRes.success) {
+          setProductsMap(buildProductsMap(productsRes.data || []));
+        }
         
         // Store all settings in formData if not already set
         setFormData(prev => ({
@@ -777,6 +856,8 @@ function QuoteBuilderPage() {
           coverage: prev.coverage ?? fullSettings.other.coverage,
           applicationMethod: prev.applicationMethod ?? fullSettings.other.applicationMethod,
           coats: prev.coats ?? fullSettings.other.coats,
+          // Display units; quantities are always stored in imperial units
+          unitSystem: prev.unitSystem ?? fullSettings.other.unitSystem,
           
           // Production-based settings (from Pricing Engine)
           billableLaborRate: prev.billableLaborRate ?? fullSettings.other.defaultBillableLaborRate,
@@ -820,8 +901,9 @@ function QuoteBuilderPage() {
     try {
       // Check if the quote uses turnkey pricing
       const quoteScheme = pricingSchemes.find(s => s.id === quote.pricingSchemeId);
-      const isTurnkeyQuote = quoteScheme && (quoteScheme.type === 'turnkey' || quoteScheme.type === 'sqft_turnkey');
-      const isFlatRateQuote = quoteScheme && (quoteScheme.type === 'flat_rate_unit' || quoteScheme.type === 'unit_pricing' || quoteScheme.type === 'room_flat_rate');
+      const quoteMode = quoteScheme ? pricingUtils.getPricingMode(quoteScheme.type) : null;
+      const isTurnkeyQuote = quoteMode === 'turnkey';
+      const isFlatRateQuote = quoteMode === 'flat_unit';
       
       const baseData = {
         // Customer Info
@@ -869,6 +951,10 @@ function QuoteBuilderPage() {
         // Summary
         notes: quote.notes || '',
         
+        // Lead link
+        leadId: quote.leadId || null,
+        photos: quote.photos || [],
+        
         // Internal
         quoteId: quote.id,
         clientId: quote.clientId || null,
@@ -876,6 +962,7 @@ function QuoteBuilderPage() {
       };
       
       setFormData(baseData);
+      baseDataRef.current = baseData;
       
       // Set auto-save metadata
       setLastModified(quote.lastModified);
@@ -888,6 +975,43 @@ function QuoteBuilderPage() {
     }
   };
 
+  const loadFromLead = async (leadId) => {
+    try {
+      setLoadingQuote(true);
+      const response = await apiService.get(`/leads/${leadId}`);
+      const lead = response?.data;
+      if (!lead) {
+        message.error('Lead not found');
+        return;
+      }
+
+      // Converted before: open that quote instead of starting a second one
+      if (lead.quoteId) {
+        await fetchQuoteById(lead.quoteId);
+        return;
+      }
+
+      setFormData(prev => ({ ...prev, ...leadQuoteService.buildQuoteDraftFromLead(lead) }));
+      pendingLeadLinkRef.current = lead.id;
+      message.success('Quote prefilled from lead');
+    } catch (error) {
+      console.error('Error loading lead:', error);
+      message.error('Failed to load lead');
+    } finally {
+      setLoadingQuote(false);
+    }
+  };
+
+  // Link the lead and the new quote both ways once the first save returns a quote ID
+  useEffect(() => {
+    const leadId = pendingLeadLinkRef.current;
+    if (!leadId || !formData.quoteId) return;
+    pendingLeadLinkRef.current = null;
+    leadQuoteService.linkQuote(leadId, formData.quoteId).catch(error => {
+      console.error('Error linking lead to quote:', error);
+    });
+  }, [formData.quoteId]);
+
   const checkForExistingDraft = async () => {
     try {
       const response = await quoteBuilderApi.getDrafts();
@@ -909,6 +1033,19 @@ function QuoteBuilderPage() {
       }
     } catch (error) {
       console.error('Error checking for drafts:', error);
+
+      // Offline: pick up the newest draft kept on this device
+      const [localDraft] = await listLocalDrafts();
+      if (localDraft) {
+        if (String(localDraft.draftKey).startsWith('local-')) {
+          localDraftKey.current = localDraft.draftKey;
+        }
+        setFormData(prev => ({ ...prev, ...localDraft.data }));
+        baseDataRef.current = localDraft.baseData || null;
+        setLastModified(localDraft.lastModified);
+        setAutoSaveVersion(localDraft.autoSaveVersion || 1);
+        message.info('You are offline. Loaded the draft saved on this device.');
+      }
     }
   };
 
@@ -919,7 +1056,7 @@ function QuoteBuilderPage() {
       
       // Check if the draft uses turnkey pricing
       const draftScheme = pricingSchemes.find(s => s.id === draft.pricingSchemeId);
-      const isTurnkeyDraft = draftScheme && (draftScheme.type === 'turnkey' || draftScheme.type === 'sqft_turnkey');
+      const isTurnkeyDraft = Boolean(draftScheme) && pricingUtils.getPricingMode(draftScheme.type) === 'turnkey';
       
       // Prepare base draft data
       const draftData = {
@@ -969,6 +1106,7 @@ function QuoteBuilderPage() {
       }
       
       setFormData(draftData);
+      baseDataRef.current = draftData;
       
       message.success('Draft loaded successfully');
     } catch (error) {
@@ -983,86 +1121,106 @@ function QuoteBuilderPage() {
     
     if (!hasData) return;
 
-    // Wrap auto-save with loading service
-    const wrappedAutoSave = loadingService.wrapAutoSave(async () => {
-      // Include lastModified timestamp for optimistic locking
-      const saveData = {
-        ...formData,
-        lastModified: lastModified
-      };
+    // Nothing changed since the last synced or queued copy; bookkeeping and derived fields
+    // (quote ID, versions, tier totals) aren't edits
+    const isSameDraft = (other) => Boolean(other) && Object.keys({ ...formData, ...other })
+      .every(key => IGNORED_FIELDS.has(key) || isEqualValue(formData[key], other[key]));
+    if (isSameDraft(baseDataRef.current) || isSameDraft(lastQueuedRef.current)) return;
 
-      const response = await quoteBuilderApi.saveDraft(saveData);
-      
-      // Check for conflicts
-      if (response.conflict) {
-        setConflictData(response.conflictData);
-        setConflictModalVisible(true);
-        return;
-      }
-      
-      // Update quote ID if this was a new quote
-      if (!formData.quoteId && response.data?.id) {
-        setFormData(prev => ({ ...prev, quoteId: response.data.id }));
-      }
+    // Include lastModified timestamp for optimistic locking
+    const saveData = {
+      ...formData,
+      lastModified: lastModified
+    };
 
-      // Update auto-save metadata
-      if (response.quote || response.data) {
-        const quote = response.quote || response.data;
-        setLastModified(quote.lastModified);
-        setAutoSaveVersion(quote.autoSaveVersion);
-      }
+    // Saves go through the offline queue: stored locally first, sent now if online,
+    // replayed in order after reconnecting otherwise
+    const save = async () => {
+      lastQueuedRef.current = formData;
+      const response = await queueSave(getDraftKey(), saveData, autoSaveVersion, {
+        autoSaveVersion,
+        lastModified,
+        baseData: baseDataRef.current
+      });
 
-      // Update auto-save metadata from response
-      if (response.autoSave) {
-        setLastModified(response.autoSave.lastModified);
-        setAutoSaveVersion(response.autoSave.version);
+      // No local storage available: queueSave saved directly
+      if (response) {
+        if (response.conflict) {
+          handleConflict(response.conflictData);
+          return;
+        }
+        const quote = response.quote || response.data;
+        if (!formData.quoteId && quote?.id) {
+          setFormData(prev => ({ ...prev, quoteId: quote.id }));
+        }
+        if (response.autoSave) {
+          setLastModified(response.autoSave.lastModified);
+          setAutoSaveVersion(response.autoSave.version);
+        }
+        lastSaveTime.current = Date.now();
       }
-      
-      lastSaveTime.current = Date.now();
-      console.log('Auto-saved successfully', { version: autoSaveVersion });
-    });
+    };
 
     try {
-      await wrappedAutoSave();
+      if (isOnline) {
+        await loadingService.wrapAutoSave(save)();
+      } else {
+        await save();
+      }
     } catch (error) {
+      // Let the next tick try the same data again
+      lastQueuedRef.current = null;
       console.error('Auto-save failed:', error);
-      
-      // Check if it's a conflict error that wasn't handled by the API wrapper
-      if (error.response && error.response.status === 409) {
-        const conflictData = error.response.data;
-        if (conflictData.conflict) {
-          setConflictData(conflictData);
-          setConflictModalVisible(true);
-          return;
-        }
-      }
-      
       message.error('Auto-save failed. Please save manually.');
     }
   };
+  handleAutoSaveRef.current = handleAutoSave;
+
+  /**
+   * The two sides of a conflict. A conflict for the open quote merges the current form data
+   * on top of the last synced copy; one for any other quote merges the save that conflicted,
+   * with no known base, so every difference is shown instead of being merged silently.
+   */
+  const getConflictSides = (data = conflictData) => {
+    const serverQuote = data?.quote || data?.serverData || null;
+    if (!serverQuote) return null;
+    const isOpenQuote = !serverQuote.id || String(serverQuote.id) === String(getDraftKey());
+    return isOpenQuote
+      ? { serverQuote, isOpenQuote, base: baseDataRef.current, local: formData }
+      : { serverQuote, isOpenQuote, base: null, local: data.localData || {} };
+  };
+
+  // Merge against the latest local form data (recomputed when the modal opens) so edits made while offline are included
+  const conflictMerge = useMemo(() => {
+    const sides = getConflictSides();
+    return sides
+      ? mergeQuoteDrafts({ base: sides.base, local: sides.local, server: sides.serverQuote })
+      : null;
+  }, [conflictData, conflictModalVisible]);
+
+  const handleConflictResolution = async (choices, data = conflictData, successMessage = 'Quote merged and saved') => {
+    const sides = getConflictSides(data);
+    if (!sides) return;
+    const { serverQuote, isOpenQuote, base, local } = sides;
 
-  const handleConflictResolution = async (resolution, data) => {
     try {
-      if (resolution === 'server') {
-        // Use server data - reload the quote
-        const serverQuote = data.quote;
-        loadQuoteForEdit(serverQuote);
-        setLastModified(serverQuote.lastModified);
-        setAutoSaveVersion(serverQuote.autoSaveVersion);
-        message.success('Server version loaded successfully');
-      } else {
-        // Use client data - resolve conflict with our data
-        const response = await quoteBuilderApi.resolveConflict(
-          formData.quoteId, 
-          'client', 
-          formData
-        );
-        
-        if (response.success) {
+      const { merged } = mergeQuoteDrafts({ base, local, server: serverQuote, choices });
+      const quoteId = isOpenQuote ? (formData.quoteId || serverQuote.id) : serverQuote.id;
+      const resolved = { ...merged, quoteId };
+
+      const response = await quoteBuilderApi.resolveConflict(quoteId, 'client', resolved);
+
+      if (response.success) {
+        // Another quote's conflict is saved without touching the one being edited
+        if (isOpenQuote) {
+          setFormData(resolved);
+          baseDataRef.current = resolved;
           setLastModified(response.quote.lastModified);
           setAutoSaveVersion(response.quote.autoSaveVersion);
-          message.success('Your changes have been saved');
         }
+        // The merged save already includes everything that was queued
+        await discardQueuedSaves(quoteId);
+        message.success(successMessage);
       }
       
       setConflictModalVisible(false);
@@ -1073,9 +1231,27 @@ function QuoteBuilderPage() {
     }
   };
 
+  // Edits to different fields merge on their own; only ask when both sides changed the same thing
+  const handleConflict = (data) => {
+    setConflictData(data);
+    const sides = getConflictSides(data);
+    if (sides?.isOpenQuote && mergeQuoteDrafts({ base: sides.base, local: sides.local, server: sides.serverQuote }).conflicts.length === 0) {
+      handleConflictResolution({}, data, 'Merged changes made elsewhere with yours');
+      return;
+    }
+    setConflictModalVisible(true);
+  };
+
+  // The restored revision replaces whatever was still waiting to sync
+  const handleRevisionRestored = async () => {
+    setRevisionHistoryVisible(false);
+    await discardQueuedSaves(formData.quoteId);
+    await fetchQuoteById(formData.quoteId);
+  };
+
+  // Leave the conflict pending; it can be reopened from the sync status in the header
   const handleConflictCancel = () => {
     setConflictModalVisible(false);
-    setConflictData(null);
   };
 
   const handleStepDataUpdate = (stepData) => {
@@ -1085,10 +1261,8 @@ function QuoteBuilderPage() {
       const newScheme = pricingSchemes.find(s => s.id === stepData.pricingSchemeId);
       
       if (oldScheme && newScheme) {
-        const oldType = oldScheme.type?.toLowerCase() || '';
-        const newType = newScheme.type?.toLowerCase() || '';
-        const oldIsTurnkey = oldType.includes('turnkey');
-        const newIsTurnkey = newType.includes('turnkey');
+        const oldIsTurnkey = pricingUtils.getPricingMode(oldScheme.type) === 'turnkey';
+        const newIsTurnkey = pricingUtils.getPricingMode(newScheme.type) === 'turnkey';
         
         // Switching between Turnkey and non-Turnkey
         if (oldIsTurnkey !== newIsTurnkey) {
@@ -1270,20 +1444,7 @@ function QuoteBuilderPage() {
     }
     
     // Normalize legacy types to new types
-    const typeMap = {
-      'turnkey': 'turnkey',
-      'sqft_turnkey': 'turnkey',
-      'rate_based_sqft': 'rate_based_sqft',
-      'sqft_labor_paint': 'rate_based_sqft',
-      'production_based': 'production_based',
-      'hourly_time_materials': 'production_based',
-      'flat_rate_unit': 'flat_rate_unit',
-      'unit_pricing': 'flat_rate_unit',
-      'room_flat_rate': 'flat_rate_unit',
-    };
-    
-    const normalized = scheme.type?.toLowerCase() || '';
-    const modelType = typeMap[normalized] || 'rate_based_sqft';
+    const modelType = pricingUtils.getPricingModelType(scheme.type);
     
     console.debug(`[QuoteBuilder] getPricingModelType: scheme.type="${scheme.type}" → "${modelType}"`);
     return modelType;
@@ -1638,6 +1799,52 @@ function QuoteBuilderPage() {
     }
   };
 
+  const renderSyncStatus = () => {
+    if (failedMutation) {
+      return (
+        <Tooltip title={failedMutation.error === 'conflict' ? 'This quote was changed elsewhere' : failedMutation.error}>
+          <Tag color="error" icon={<ExclamationCircleOutlined />} style={{ marginInlineEnd: 0 }}>
+            Sync failed
+            {failedMutation.error === 'conflict' ? (
+              conflictData && (
+                <Button type="link" size="small" onClick={() => setConflictModalVisible(true)} style={{ padding: '0 0 0 4px', height: 'auto' }}>
+                  Resolve
+                </Button>
+              )
+            ) : (
+              <Button type="link" size="small" onClick={retryFailed} style={{ padding: '0 0 0 4px', height: 'auto' }}>
+                Retry
+              </Button>
+            )}
+          </Tag>
+        </Tooltip>
+      );
+    }
+    if (!isOnline) {
+      return (
+        <Tag color="warning" icon={<DisconnectOutlined />} style={{ marginInlineEnd: 0 }}>
+          Offline{pendingCount > 0 && ` • ${pendingCount} pending`}
+        </Tag>
+      );
+    }
+    if (syncing) {
+      return <Tag color="processing" icon={<CloudSyncOutlined spin />} style={{ marginInlineEnd: 0 }}>Syncing</Tag>;
+    }
+    if (pendingCount > 0) {
+      return <Tag color="processing" icon={<CloudUploadOutlined />} style={{ marginInlineEnd: 0 }}>{pendingCount} pending</Tag>;
+    }
+    if (!storageAvailable) {
+      return (
+        <Tooltip title="Offline drafts are unavailable in this browser">
+          <Tag icon={<CloudOutlined />} style={{ marginInlineEnd: 0 }}>Online only</Tag>
+        </Tooltip>
+      );
+    }
+    return formData.quoteId
+      ? <Tag color="success" icon={<CloudOutlined />} style={{ marginInlineEnd: 0 }}>Saved</Tag>
+      : null;
+  };
+
   return (
     <div className={`${isMobile ? 'p-2' : 'p-4 md:p-6'}`}>
       <div className="max-w-5xl mx-auto">
@@ -1659,6 +1866,17 @@ function QuoteBuilderPage() {
               >
                 {!isMobile && 'Refresh Settings'}
               </Button>
+              {formData.quoteId && (
+                <Button
+                  icon={<HistoryOutlined />}
+                  onClick={() => setRevisionHistoryVisible(true)}
+                  title="Revision history"
+                  size={isMobile ? 'small' : 'middle'}
+                >
+                  {!isMobile && 'History'}
+                </Button>
+              )}
+              {renderSyncStatus()}
               <span className={`${isMobile ? 'text-xs' : 'text-sm'} text-gray-500`}>
                 Step {currentStep + 1} of {steps.length}
               </span>
@@ -1698,7 +1916,7 @@ function QuoteBuilderPage() {
 
         {/* Auto-save indicator */}
         <div className={`text-center ${isMobile ? 'text-xs' : 'text-xs'} text-gray-500 mt-4`}>
-          Auto-saving every 30 seconds
+          {isOnline ? 'Auto-saving every 30 seconds' : 'Offline • Changes are saved on this device and will sync when you reconnect'}
           {formData.quoteId && ` • Draft ID: ${formData.quoteId}`}
           {autoSaveVersion > 1 && ` • Version: ${autoSaveVersion}`}
         </div>
@@ -1706,10 +1924,19 @@ function QuoteBuilderPage() {
 
       {/* Conflict Resolution Modal */}
       <ConflictResolutionModal
-        visible={conflictModalVisible}
-        onCancel={handleConflictCancel}
+        isOpen={conflictModalVisible}
+        onClose={handleConflictCancel}
         onResolve={handleConflictResolution}
-        conflictData={conflictData}
+        mergeResult={conflictMerge}
+        pricingSchemes={pricingSchemes}
+        products={productsMap}
+      />
+
+      <QuoteRevisionHistory
+        open={revisionHistoryVisible}
+        onClose={() => setRevisionHistoryVisible(false)}
+        quote={{ id: formData.quoteId, quoteNumber: formData.quoteNumber, status: formData.status }}
+        onRestored={handleRevisionRestored}
       />
     </div>
   );
@@ -1,9 +1,11 @@
 import { useState, useEffect } from 'react'
-import { Card, Form, Input, InputNumber, Button, Select, message, Divider, Table, Tag } from 'antd'
+import { Card, Form, InputNumber, Button, Select, message, Divider, Table, Tag } from 'antd'
 import {  FiDollarSign } from 'react-icons/fi'
 import { apiService } from '../services/apiService'
 import MainLayout from '../components/MainLayout'
 import { Calculator } from 'lucide-react'
+import { getPricingMode } from '../utils/pricingUtils'
+import { buildContractorSettings, buildProductsMap, calculateQuotePricing } from '../utils/pricingEngine'
 
 const { Option } = Select
 
@@ -12,12 +14,47 @@ function QuoteCalculatorPage() {
   const [pricingSchemes, setPricingSchemes] = useState([])
   const [selectedScheme, setSelectedScheme] = useState(null)
   const [calculationResult, setCalculationResult] = useState(null)
+  const [contractorSettings, setContractorSettings] = useState(null)
+  const [productConfigs, setProductConfigs] = useState([])
   const [form] = Form.useForm()
 
+  const schemeMode = getPricingMode(selectedScheme?.type)
+
   useEffect(() => {
     fetchPricingSchemes()
+    fetchPricingSettings()
   }, [])
 
+  // Load the same settings the quote builder prices with
+  const fetchPricingSettings = async () => {
+    try {
+      const [settingsRes, defaultsRes, categoriesRes, ratesRes, productsRes] = await Promise.all([
+        apiService.get('/settings'),
+        apiService.getProductConfigDefaults(),
+        apiService.get('/labor-categories?jobType=interior'),
+        apiService.get('/labor-categories/rates'),
+        apiService.get('/contractor/product-configs')
+      ])
+
+      const laborRates = {}
+      if (ratesRes.success && Array.isArray(ratesRes.data)) {
+        ratesRes.data.forEach((rateRecord) => {
+          laborRates[rateRecord.laborCategoryId] = parseFloat(rateRecord.rate) || 0
+        })
+      }
+
+      setContractorSettings(buildContractorSettings(settingsRes.data || {}, defaultsRes?.data || {}, {
+        laborCategories: categoriesRes.success ? categoriesRes.data : [],
+        laborRates
+      }))
+      if (productsRes.success) {
+        setProductConfigs(productsRes.data || [])
+      }
+    } catch (error) {
+      message.error('Failed to load pricing settings')
+    }
+  }
+
   const fetchPricingSchemes = async () => {
     try {
       const response = await apiService.get('/pricing-schemes')
@@ -45,21 +82,49 @@ function QuoteCalculatorPage() {
     }
   }
 
-  const handleCalculate = async (values) => {
+  // Turn the calculator measurements into a single quote builder area
+  const buildAreaFromMeasurements = (measurements = {}) => {
+    const { walls = {}, ceilings = {}, trim = {} } = measurements
+    const surfaces = [
+      { categoryName: 'Walls', measurementUnit: 'sqft', quantity: (walls.height || 0) * (walls.width || 0) * (walls.count || 0) },
+      { categoryName: 'Ceilings', measurementUnit: 'sqft', quantity: (ceilings.length || 0) * (ceilings.width || 0) },
+      { categoryName: 'Trim', measurementUnit: 'linear_foot', quantity: trim.length || 0 }
+    ]
+
+    return {
+      id: 'calculator-room',
+      name: 'Room',
+      jobType: 'interior',
+      laborItems: surfaces
+        .filter(surface => surface.quantity > 0)
+        .map(surface => ({ ...surface, selected: true, numberOfCoats: contractorSettings?.other?.coats || 2 }))
+    }
+  }
+
+  const handleCalculate = (values) => {
     if (!selectedScheme) {
       message.error('Please select a pricing scheme')
       return
     }
+    if (!contractorSettings) {
+      message.error('Pricing settings are still loading')
+      return
+    }
 
     setLoading(true)
     try {
-      const response = await apiService.post(`/pricing-schemes/${selectedScheme.id}/calculate`, values)
-      if (response.success) {
-        setCalculationResult(response.data)
-        message.success('Quote calculated successfully!')
-      } else {
-        message.error(response.message)
-      }
+      const result = calculateQuotePricing({
+        schemeType: selectedScheme.type,
+        jobType: 'interior',
+        homeSqft: values.homeSqft,
+        conditionModifier: 'average',
+        areas: [buildAreaFromMeasurements(values.measurements)],
+        additionalMaterials: values.selectedProducts || [],
+        contractorSettings,
+        products: buildProductsMap(productConfigs)
+      })
+      setCalculationResult(result)
+      message.success('Quote calculated successfully!')
     } catch (error) {
       message.error('Failed to calculate quote: ' + error.message)
     } finally {
@@ -72,7 +137,11 @@ function QuoteCalculatorPage() {
       'sqft_turnkey': 'Square-Foot (Turnkey)',
       'sqft_labor_only': 'Square-Foot (Labor Only)',
       'hourly_time_materials': 'Hourly (Time & Materials)',
-      'unit_based': 'Unit Based'
+      'unit_based': 'Unit Based',
+      'turnkey': 'Turnkey',
+      'rate_based_sqft': 'Rate-Based (Sq Ft)',
+      'production_based': 'Production-Based',
+      'flat_rate_unit': 'Flat Rate (Per Unit)'
     }
     return types[type] || type
   }
@@ -97,43 +166,50 @@ function QuoteCalculatorPage() {
     }
   ]
 
+  const getUnitLabel = (unit) => {
+    if (unit === 'sqft') return 'sqft'
+    if (unit === 'linear_foot') return 'linear ft'
+    if (unit === 'gallon') return 'gal'
+    if (unit === 'hour') return 'hrs'
+    return 'units'
+  }
+
   const getBreakdownData = () => {
     if (!calculationResult) return []
 
-    const data = []
-    const { breakdown } = calculationResult
-
-    // Add surface costs
-    Object.entries(breakdown.surfaces).forEach(([surface, details]) => {
-      data.push({
-        key: surface,
-        item: surface.charAt(0).toUpperCase() + surface.slice(1),
-        details: details.squareFeet ? `${details.squareFeet} sqft @ $${details.rate}/sqft` :
-                details.linearFeet ? `${details.linearFeet} linear ft @ $${details.rate}/ft` :
-                details.count ? `${details.count} units @ $${details.rate}/unit` : '',
-        cost: details.cost
-      })
-    })
+    const data = calculationResult.lineItems.map(item => {
+      let details = `${item.quantity} ${getUnitLabel(item.measurementUnit)}`
+      if (item.measurementUnit === 'gallon') {
+        details += ` @ $${item.pricePerGallon}/gal`
+      } else if (item.laborRateSource === 'productionRates') {
+        details += ` ÷ ${item.laborRate}/hr = ${item.hours.toFixed(1)} hrs @ $${item.billableLaborRate}/hr`
+      } else {
+        details += ` @ $${item.laborRate}/${getUnitLabel(item.measurementUnit)}`
+      }
+      if (item.gallons > 0 && item.measurementUnit !== 'gallon') {
+        details += ` + ${item.gallons} gal`
+      }
 
-    // Add product costs
-    Object.entries(breakdown.products).forEach(([product, details]) => {
-      data.push({
-        key: `product-${product}`,
-        item: product,
-        details: `${details.quantity} units @ $${details.unitPrice}`,
-        cost: details.total
-      })
+      return {
+        key: item.id,
+        item: item.categoryName,
+        details,
+        cost: item.laborCost + item.materialCost
+      }
     })
 
-    // Add labor if any
-    if (breakdown.labor > 0) {
-      data.push({
-        key: 'labor',
-        item: 'Labor',
-        details: 'Billable rate',
-        cost: breakdown.labor
-      })
-    }
+    const adjustments = [
+      ['laborMarkup', 'Labor Markup', `${calculationResult.laborMarkupPercent}%`, calculationResult.laborMarkupAmount],
+      ['materialMarkup', 'Material Markup', `${calculationResult.materialMarkupPercent}%`, calculationResult.materialMarkupAmount],
+      ['overhead', 'Overhead', `${calculationResult.overheadPercent}%`, calculationResult.overhead],
+      ['profit', 'Profit Margin', `${calculationResult.profitMarginPercent}%`, calculationResult.profitAmount],
+      ['tax', 'Sales Tax', `${calculationResult.taxPercent}%`, calculationResult.tax]
+    ]
+    adjustments.forEach(([key, item, details, cost]) => {
+      if (cost > 0) {
+        data.push({ key, item, details, cost })
+      }
+    })
 
     return data
   }
@@ -186,6 +262,16 @@ function QuoteCalculatorPage() {
                   </div>
                 )}
 
+                {schemeMode === 'turnkey' && (
+                  <Form.Item
+                    label="Home Size (sq ft)"
+                    name="homeSqft"
+                    rules={[{ required: true, message: 'Home size required for turnkey pricing' }]}
+                  >
+                    <InputNumber min={0} placeholder="2000" />
+                  </Form.Item>
+                )}
+
                 <Divider>Room Measurements</Divider>
 
                 {/* Walls */}
@@ -216,17 +302,6 @@ function QuoteCalculatorPage() {
                   <InputNumber min={0} placeholder="40" />
                 </Form.Item>
 
-                {/* Estimated Hours (for hourly schemes) */}
-                {selectedScheme?.type === 'hourly_time_materials' && (
-                  <Form.Item
-                    label="Estimated Hours"
-                    name={['measurements', 'estimatedHours']}
-                    rules={[{ required: true, message: 'Hours required for hourly pricing' }]}
-                  >
-                    <InputNumber min={0} step={0.5} placeholder="8" />
-                  </Form.Item>
-                )}
-
                 <Divider>Products (Optional)</Divider>
                 <p className="text-sm text-gray-600 mb-3">
                   Add products to include in the quote calculation
@@ -242,13 +317,19 @@ function QuoteCalculatorPage() {
                             name={[name, 'productId']}
                             className="flex-1"
                           >
-                            <Input placeholder="Product ID" />
+                            <Select placeholder="Product" showSearch optionFilterProp="children">
+                              {productConfigs.map(config => (
+                                <Option key={config.id} value={config.id}>
+                                  {config.isCustom ? config.customProduct?.name : config.globalProduct?.name}
+                                </Option>
+                              ))}
+                            </Select>
                           </Form.Item>
                           <Form.Item
                             {...restField}
                             name={[name, 'quantity']}
                           >
-                            <InputNumber min={1} placeholder="Qty" />
+                            <InputNumber min={1} placeholder="Gallons" />
                           </Form.Item>
                           <Button type="link" danger onClick={() => remove(name)}>
                             Remove
@@ -282,7 +363,7 @@ function QuoteCalculatorPage() {
                   <div className="text-center p-6 bg-green-50 rounded-lg">
                     <FiDollarSign className="text-4xl text-green-600 mx-auto mb-2" />
                     <div className="text-3xl font-bold text-green-800">
-                      ${calculationResult.totalAmount.toFixed(2)}
+                      ${calculationResult.total.toFixed(2)}
                     </div>
                     <p className="text-green-600">Total Quote Amount</p>
                   </div>
@@ -296,8 +377,8 @@ function QuoteCalculatorPage() {
                       dataSource={getBreakdownData()}
                       pagination={false}
                       size="small"
-                      summary={(pageData) => {
-                        const total = pageData.reduce((sum, item) => sum + item.cost, 0)
+                      summary={() => {
+                        const total = calculationResult.total
                         return (
                           <Table.Summary.Row>
                             <Table.Summary.Cell index={0} colSpan={2}>
@@ -32,7 +32,9 @@ import {
   DollarCircleOutlined,
   ReloadOutlined,
   SyncOutlined,
-  MoreOutlined
+  MoreOutlined,
+  BarChartOutlined,
+  HistoryOutlined
 } from '@ant-design/icons';
 import quoteApiService from '../services/quoteApiService';
 import { apiService } from '../services/apiService';
@@ -42,6 +44,7 @@ import MarkDepositPaidModal from '../components/AdminActions/MarkDepositPaidModa
 import ReopenQuoteModal from '../components/AdminActions/ReopenQuoteModal';
 import SyncPaymentModal from '../components/AdminActions/SyncPaymentModal';
 import MarkJobCompleteModal from '../components/MarkJobCompleteModal';
+import QuoteRevisionHistory from '../components/QuoteBuilder/QuoteRevisionHistory';
 
 const { Search } = Input;
 const { Option } = Select;
@@ -65,6 +68,7 @@ const QuotesListPage = () => {
   const [selectedQuoteForAction, setSelectedQuoteForAction] = useState(null);
   const [markCompleteModalVisible, setMarkCompleteModalVisible] = useState(false);
   const [selectedQuoteForComplete, setSelectedQuoteForComplete] = useState(null);
+  const [revisionHistoryQuote, setRevisionHistoryQuote] = useState(null);
   
   // Filters
   const [searchTerm, setSearchTerm] = useState('');
@@ -518,6 +522,18 @@ const QuotesListPage = () => {
                 Duplicate
               </Button>
 
+              {record.status !== 'draft' && (
+                <Button
+                  type="link"
+                  icon={<HistoryOutlined />}
+                  onClick={() => setRevisionHistoryQuote(record)}
+                  size="small"
+                  title="Revision History"
+                >
+                  History
+                </Button>
+              )}
+
               {/* Mark Job Complete Button - Only show for accepted/deposit_paid quotes that aren't completed */}
               {(record.status === 'accepted' || record.status === 'deposit_paid' || record.status === 'scheduled') && !record.jobCompletedAt && (
                 <Button
@@ -593,6 +609,14 @@ const QuotesListPage = () => {
                 size="small"
                 title="Copy"
               />
+              {record.status !== 'draft' && (
+                <Button
+                  icon={<HistoryOutlined />}
+                  onClick={() => setRevisionHistoryQuote(record)}
+                  size="small"
+                  title="Revision History"
+                />
+              )}
               {/* Mark Job Complete Button - Mobile */}
               {(record.status === 'accepted' || record.status === 'deposit_paid' || record.status === 'scheduled') && !record.jobCompletedAt && (
                 <Button
@@ -768,14 +792,23 @@ const QuotesListPage = () => {
               }}
             >
               <span style={{ fontSize: isMobile ? '16px' : '18px', fontWeight: 600 }}>Quotes</span>
-              <Button
-                type="primary"
-                icon={<PlusOutlined />}
-                onClick={() => navigate('/quotes/new')}
-                size={isMobile ? 'middle' : 'large'}
-              >
-                {isMobile ? 'New' : 'New Quote'}
-              </Button>
+              <Space>
+                <Button
+                  icon={<BarChartOutlined />}
+                  onClick={() => navigate('/quotes/win-loss')}
+                  size={isMobile ? 'middle' : 'large'}
+                >
+                  {isMobile ? 'Win/Loss' : 'Win/Loss Report'}
+                </Button>
+                <Button
+                  type="primary"
+                  icon={<PlusOutlined />}
+                  onClick={() => navigate('/quotes/new')}
+                  size={isMobile ? 'middle' : 'large'}
+                >
+                  {isMobile ? 'New' : 'New Quote'}
+                </Button>
+              </Space>
             </Space>
           }
         >
@@ -1292,6 +1325,18 @@ const QuotesListPage = () => {
           onSuccess={handleJobCompleteSuccess}
           quote={selectedQuoteForComplete}
         />
+
+        {/* Revision History Drawer */}
+        <QuoteRevisionHistory
+          open={Boolean(revisionHistoryQuote)}
+          onClose={() => setRevisionHistoryQuote(null)}
+          quote={revisionHistoryQuote}
+          onRestored={() => {
+            const quoteId = revisionHistoryQuote.id;
+            setRevisionHistoryQuote(null);
+            navigate(`/quote-builder?quoteId=${quoteId}`);
+          }}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,385 @@
+// pages/WinLossReportPage.jsx
+import { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Card, Table, Button, Select, Segmented, Tag, Space, Alert, Empty, Spin, Statistic, Row, Col, Typography, Drawer, Tooltip } from 'antd';
+import { ArrowLeftOutlined, ReloadOutlined } from '@ant-design/icons';
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  BarChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as ChartTooltip,
+  Legend
+} from 'recharts';
+import moment from 'moment';
+import { jobsService } from '../services/jobsService';
+import useQuoteOutcomes from '../hooks/useQuoteOutcomes';
+import {
+  LOST_REASONS,
+  WIN_LOSS_DIMENSIONS,
+  summarizeWinLoss,
+  groupWinLoss,
+  buildCloseRateTrend
+} from '../utils/winLoss';
+
+const { Title, Text } = Typography;
+const { Option } = Select;
+
+const PERIODS = [
+  { value: 6, label: 'Last 6 months' },
+  { value: 12, label: 'Last 12 months' },
+  { value: 24, label: 'Last 24 months' }
+];
+
+const REASON_COLORS = {
+  budget_mismatch: '#ff4d4f',
+  chose_competitor: '#fa8c16',
+  timing_changed: '#fadb14',
+  scope_misalignment: '#13c2c2',
+  confidence_issues: '#722ed1',
+  project_paused: '#2f54eb',
+  other: '#8c8c8c',
+  no_response: '#bfbfbf',
+  not_recorded: '#d9d9d9'
+};
+
+const OUTCOME_COLORS = {
+  won: 'green',
+  lost: 'red',
+  open: 'blue'
+};
+
+const formatCurrency = (value) => `$${value.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+
+function WinLossReportPage() {
+  const navigate = useNavigate();
+  const [months, setMonths] = useState(12);
+  const [dimension, setDimension] = useState('tier');
+  const [drilldown, setDrilldown] = useState(null);
+  const [drilldownOutcome, setDrilldownOutcome] = useState('all');
+  const { loading, error, records, reload } = useQuoteOutcomes({ months });
+
+  const totals = useMemo(() => summarizeWinLoss(records), [records]);
+  const trend = useMemo(() => buildCloseRateTrend(records), [records]);
+  const groups = useMemo(() => groupWinLoss(records, dimension), [records, dimension]);
+  const dimensionLabel = WIN_LOSS_DIMENSIONS.find(d => d.key === dimension).label;
+
+  const reasonsInUse = LOST_REASONS.filter(reason => totals.reasons[reason]);
+  const reasonChartData = groups.map(group => ({
+    value: group.value,
+    ...reasonsInUse.reduce((acc, reason) => ({ ...acc, [reason]: group.reasons[reason] || 0 }), {})
+  }));
+  const overallReasons = reasonsInUse.map(reason => ({
+    reason,
+    label: jobsService.getLostReasonLabel(reason),
+    count: totals.reasons[reason],
+    share: Math.round((totals.reasons[reason] / totals.lost) * 1000) / 10
+  }));
+
+  const openDrilldown = ({ value = null, reason = null, outcome = 'all' }) => {
+    setDrilldown({ value, reason });
+    setDrilldownOutcome(reason ? 'lost' : outcome);
+  };
+
+  const drilldownRecords = useMemo(() => {
+    if (!drilldown) return [];
+    return records.filter(record => (
+      (drilldown.value === null || record[dimension] === drilldown.value)
+      && (!drilldown.reason || record.lostReason === drilldown.reason)
+      && (drilldownOutcome === 'all' || record.outcome === drilldownOutcome)
+    ));
+  }, [drilldown, drilldownOutcome, records, dimension]);
+
+  const groupColumns = [
+    {
+      title: dimensionLabel,
+      dataIndex: 'value',
+      key: 'value',
+      render: (value) => <a onClick={() => openDrilldown({ value })}>{value}</a>
+    },
+    { title: 'Quotes', dataIndex: 'quotes', key: 'quotes' },
+    {
+      title: 'Won',
+      dataIndex: 'won',
+      key: 'won',
+      render: (won, row) => <a onClick={() => openDrilldown({ value: row.value, outcome: 'won' })}>{won}</a>
+    },
+    {
+      title: 'Lost',
+      dataIndex: 'lost',
+      key: 'lost',
+      render: (lost, row) => <a onClick={() => openDrilldown({ value: row.value, outcome: 'lost' })}>{lost}</a>
+    },
+    { title: 'Open', dataIndex: 'open', key: 'open' },
+    {
+      title: 'Close Rate',
+      dataIndex: 'closeRate',
+      key: 'closeRate',
+      sorter: (a, b) => (a.closeRate ?? -1) - (b.closeRate ?? -1),
+      render: (closeRate) => {
+        if (closeRate === null) return <Text type="secondary">—</Text>;
+        const overall = totals.closeRate ?? 0;
+        return <Text type={closeRate < overall - 10 ? 'danger' : closeRate > overall + 10 ? 'success' : undefined}>{closeRate}%</Text>;
+      }
+    },
+    {
+      title: 'Top Lost Reason',
+      key: 'topReason',
+      render: (_, row) => {
+        const [reason, count] = Object.entries(row.reasons).sort((a, b) => b[1] - a[1])[0] || [];
+        if (!reason) return <Text type="secondary">—</Text>;
+        return (
+          <a onClick={() => openDrilldown({ value: row.value, reason })}>
+            {jobsService.getLostReasonLabel(reason)} ({Math.round((count / row.lost) * 100)}%)
+          </a>
+        );
+      }
+    },
+    {
+      title: 'Lost Value',
+      dataIndex: 'lostValue',
+      key: 'lostValue',
+      render: formatCurrency,
+      sorter: (a, b) => a.lostValue - b.lostValue
+    }
+  ];
+
+  const drilldownColumns = [
+    {
+      title: 'Quote',
+      key: 'quote',
+      render: (_, record) => (
+        <div>
+          <a onClick={() => navigate(`/quotes/edit/${record.quoteId}`)}>#{record.quoteNumber}</a>
+          {record.customerName && <div><Text type="secondary" className="text-xs">{record.customerName}</Text></div>}
+        </div>
+      )
+    },
+    { title: 'Total', dataIndex: 'total', key: 'total', render: formatCurrency, sorter: (a, b) => a.total - b.total },
+    { title: 'Tier', dataIndex: 'tier', key: 'tier' },
+    { title: 'Scheme', dataIndex: 'pricingScheme', key: 'pricingScheme' },
+    {
+      title: 'Sent',
+      dataIndex: 'sentAt',
+      key: 'sentAt',
+      render: (date) => moment(date).format('MMM D, YYYY'),
+      sorter: (a, b) => moment(a.sentAt).valueOf() - moment(b.sentAt).valueOf()
+    },
+    {
+      title: 'Days',
+      dataIndex: 'daysToDecision',
+      key: 'daysToDecision',
+      render: (days) => (days === null ? '—' : days),
+      sorter: (a, b) => (a.daysToDecision ?? Infinity) - (b.daysToDecision ?? Infinity)
+    },
+    {
+      title: 'Outcome',
+      key: 'outcome',
+      render: (_, record) => (
+        <div>
+          <Tag color={OUTCOME_COLORS[record.outcome]}>{record.outcome}</Tag>
+          {record.lostReason && (
+            <div className="text-xs mt-1">
+              {jobsService.getLostReasonLabel(record.lostReason)}
+              {record.lostReasonDetails && <div><Text type="secondary">“{record.lostReasonDetails}”</Text></div>}
+            </div>
+          )}
+        </div>
+      )
+    }
+  ];
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-96">
+        <Spin size="large" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center flex-wrap gap-2 mb-4">
+        <Space>
+          <Button icon={<ArrowLeftOutlined />} onClick={() => navigate('/quotes')} />
+          <Title level={3} className="mb-0">Win/Loss Report</Title>
+        </Space>
+        <Space>
+          <Select value={months} onChange={setMonths} style={{ width: 160 }}>
+            {PERIODS.map(period => <Option key={period.value} value={period.value}>{period.label}</Option>)}
+          </Select>
+          <Button icon={<ReloadOutlined />} onClick={reload}>Refresh</Button>
+        </Space>
+      </div>
+
+      {error && <Alert type="error" showIcon className="mb-4" message={error} />}
+
+      {records.length === 0 ? (
+        <Card>
+          <Empty description="No quotes were sent in this period" />
+        </Card>
+      ) : (
+        <>
+          <Row gutter={[16, 16]} className="mb-4">
+            <Col xs={12} md={6}>
+              <Card>
+                <Statistic title="Close Rate" value={totals.closeRate ?? '—'} suffix={totals.closeRate !== null ? '%' : ''} />
+                <Text type="secondary" className="text-xs">{totals.won + totals.lost} decided, {totals.open} still open</Text>
+              </Card>
+            </Col>
+            <Col xs={12} md={6}>
+              <Card>
+                <Statistic title="Won" value={totals.won} valueStyle={{ color: '#3f8600' }} />
+                <Text type="secondary" className="text-xs">{formatCurrency(totals.wonValue)}</Text>
+              </Card>
+            </Col>
+            <Col xs={12} md={6}>
+              <Card>
+                <Statistic title="Lost" value={totals.lost} valueStyle={{ color: '#cf1322' }} />
+                <Text type="secondary" className="text-xs">{formatCurrency(totals.lostValue)}</Text>
+              </Card>
+            </Col>
+            <Col xs={12} md={6}>
+              <Card>
+                <Statistic title="Avg Days to Decision" value={totals.averageDaysToDecision ?? '—'} />
+              </Card>
+            </Col>
+          </Row>
+
+          <Row gutter={[16, 16]} className="mb-4">
+            <Col xs={24} lg={14}>
+              <Card title="Close Rate by Month Sent">
+                <div style={{ height: 280 }}>
+                  <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart data={trend}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="month" tickFormatter={(month) => moment(month, 'YYYY-MM').format('MMM YY')} />
+                      <YAxis yAxisId="quotes" allowDecimals={false} />
+                      <YAxis yAxisId="rate" orientation="right" unit="%" domain={[0, 100]} />
+                      <ChartTooltip
+                        labelFormatter={(month) => moment(month, 'YYYY-MM').format('MMMM YYYY')}
+                        formatter={(value, name) => (name === 'Close Rate' ? `${value ?? '—'}%` : value)}
+                      />
+                      <Legend />
+                      <Bar yAxisId="quotes" dataKey="won" name="Won" stackId="outcome" fill="#52c41a" />
+                      <Bar yAxisId="quotes" dataKey="lost" name="Lost" stackId="outcome" fill="#ff4d4f" />
+                      <Bar yAxisId="quotes" dataKey="open" name="Open" stackId="outcome" fill="#d9d9d9" />
+                      <Line yAxisId="rate" dataKey="closeRate" name="Close Rate" stroke="#1890ff" strokeWidth={2} connectNulls />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+              </Card>
+            </Col>
+            <Col xs={24} lg={10}>
+              <Card title="Why We Lose">
+                {overallReasons.length === 0 ? (
+                  <Empty description="No lost quotes in this period" />
+                ) : (
+                  <Space direction="vertical" style={{ width: '100%' }}>
+                    {overallReasons.map(item => (
+                      <div key={item.reason} className="cursor-pointer" onClick={() => openDrilldown({ reason: item.reason })}>
+                        <div className="flex justify-between text-sm">
+                          <span>{item.label}</span>
+                          <Text type="secondary">{item.count} ({item.share}%)</Text>
+                        </div>
+                        <div className="h-2 rounded bg-gray-100">
+                          <div className="h-2 rounded" style={{ width: `${item.share}%`, background: REASON_COLORS[item.reason] }} />
+                        </div>
+                      </div>
+                    ))}
+                  </Space>
+                )}
+              </Card>
+            </Col>
+          </Row>
+
+          <Card
+            title={
+              <Space>
+                Lost Reasons by
+                <Segmented
+                  value={dimension}
+                  onChange={setDimension}
+                  options={WIN_LOSS_DIMENSIONS.map(d => ({ label: d.label, value: d.key }))}
+                />
+              </Space>
+            }
+          >
+            {reasonsInUse.length > 0 && (
+              <div style={{ height: 300 }} className="mb-4">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={reasonChartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="value" />
+                    <YAxis allowDecimals={false} />
+                    <ChartTooltip formatter={(value, reason) => [value, jobsService.getLostReasonLabel(reason)]} />
+                    <Legend formatter={(reason) => jobsService.getLostReasonLabel(reason)} />
+                    {reasonsInUse.map(reason => (
+                      <Bar
+                        key={reason}
+                        dataKey={reason}
+                        stackId="reasons"
+                        fill={REASON_COLORS[reason]}
+                        cursor="pointer"
+                        onClick={(data) => openDrilldown({ value: data.value ?? data.payload?.value, reason })}
+                      />
+                    ))}
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+            <Table
+              size="small"
+              rowKey="value"
+              columns={groupColumns}
+              dataSource={groups}
+              pagination={false}
+              scroll={{ x: true }}
+            />
+            <div className="mt-2">
+              <Tooltip title="Won: accepted or became a job. Lost: rejected or declined, a job canceled after acceptance, or a sent quote that expired with no response. Open quotes don't count toward close rate.">
+                <Text type="secondary" className="text-xs">How are quotes classified?</Text>
+              </Tooltip>
+            </div>
+          </Card>
+        </>
+      )}
+
+      <Drawer
+        title={drilldown && [
+          drilldown.value && `${dimensionLabel}: ${drilldown.value}`,
+          drilldown.reason && jobsService.getLostReasonLabel(drilldown.reason)
+        ].filter(Boolean).join(' • ')}
+        open={!!drilldown}
+        onClose={() => setDrilldown(null)}
+        width={900}
+      >
+        <Segmented
+          className="mb-4"
+          value={drilldownOutcome}
+          onChange={setDrilldownOutcome}
+          options={[
+            { label: 'All', value: 'all' },
+            { label: 'Won', value: 'won' },
+            { label: 'Lost', value: 'lost' },
+            { label: 'Open', value: 'open' }
+          ]}
+        />
+        <Table
+          size="small"
+          rowKey="quoteId"
+          columns={drilldownColumns}
+          dataSource={drilldownRecords}
+          pagination={{ pageSize: 20 }}
+          scroll={{ x: true }}
+        />
+      </Drawer>
+    </div>
+  );
+}
+
+export default WinLossReportPage;
@@ -4,9 +4,10 @@ import { Card, Typography, Space, Button, Select, Tag, message, Spin } from 'ant
 import { Calendar, momentLocalizer } from 'react-big-calendar';
 import moment from 'moment';
 import 'react-big-calendar/lib/css/react-big-calendar.css';
-import { ArrowLeftOutlined, CalendarOutlined } from '@ant-design/icons';
+import { ArrowLeftOutlined, CalendarOutlined, DownloadOutlined } from '@ant-design/icons';
 import { apiService } from '../../services/apiService';
 import { magicLinkApiService } from '../../services/magicLinkApiService';
+import { buildCalendar, downloadIcs } from '../../utils/icsCalendar';
 
 const { Title, Text } = Typography;
 const { Option } = Select;
@@ -44,7 +45,10 @@ function CustomerCalendar() {
             status: job.status,
             jobNumber: job.jobNumber,
             customerName: job.customerName,
-            duration: job.duration
+            duration: job.duration,
+            jobAddress: job.jobAddress,
+            updatedAt: job.updatedAt,
+            sequence: job.sequence
           }));
 
         setEvents(formattedEvents);
@@ -98,6 +102,19 @@ function CustomerCalendar() {
     ? events
     : events.filter(e => e.status === statusFilter);
 
+  // Same UIDs as the contractor's feed, so re-downloading after a reschedule updates the event
+  const handleDownloadIcs = () => {
+    const ics = buildCalendar(filteredEvents, {
+      name: 'My Painting Project',
+      eventOptions: (job) => ({
+        summary: `Painting - ${job.jobNumber}`,
+        description: `Status: ${getStatusLabel(job.status)}`,
+        url: `${window.location.origin}/portal/job/${job.id}`
+      })
+    });
+    downloadIcs(ics, 'my-project-schedule.ics');
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-screen">
@@ -149,6 +166,10 @@ function CustomerCalendar() {
               <Option value="day">Day</Option>
               <Option value="agenda">Agenda</Option>
             </Select>
+
+            <Button icon={<DownloadOutlined />} onClick={handleDownloadIcs} disabled={filteredEvents.length === 0}>
+              Add to My Calendar
+            </Button>
           </Space>
         </div>
       </div>
@@ -7,6 +7,7 @@ import { useAbortableEffect, isAbortError } from '../../hooks/useAbortableEffect
 import PortalStatusIndicator from '../../components/PortalStatusIndicator';
 import BrandedPortalHeader from '../../components/CustomerPortal/BrandedPortalHeader';
 import TierChangeModal from '../../components/TierChangeModal';
+import { getUnitSystem, isMetric, toDisplayQuantity, formatPaintQuantity } from '../../utils/unitUtils';
 
 const { Title, Text, Paragraph } = Typography;
 
@@ -410,6 +411,7 @@ function ViewProposal() {
             <Space direction="vertical" size="large" style={{ width: '100%' }}>
               {proposal.areas.map((area, areaIdx) => {
                 const items = area.laborItems || area.items || [];
+                const unitSystem = getUnitSystem(proposal);
                 const selectedItems = items.filter(item => item.selected);
                 
                 if (selectedItems.length === 0) return null;
@@ -422,9 +424,9 @@ function ViewProposal() {
                         // Properly format unit display
                         let unit = 'items';
                         if (item.measurementUnit === 'sqft') {
-                          unit = 'sq ft';
+                          unit = isMetric(unitSystem) ? 'm²' : 'sq ft';
                         } else if (item.measurementUnit === 'linear_foot') {
-                          unit = 'linear feet';
+                          unit = isMetric(unitSystem) ? 'metres' : 'linear feet';
                         } else if (item.measurementUnit === 'unit') {
                           unit = 'units';
                         } else if (item.measurementUnit === 'hour') {
@@ -438,14 +440,16 @@ function ViewProposal() {
                         }
                         
                         const coats = item.numberOfCoats > 0 ? ` • ${item.numberOfCoats} coat${item.numberOfCoats > 1 ? 's' : ''}` : '';
-                        const gallons = item.gallons > 0 ? ` • ${Math.ceil(item.gallons)} gallon${Math.ceil(item.gallons) > 1 ? 's' : ''}` : '';
+                        const gallons = !(item.gallons > 0) ? ''
+                          : isMetric(unitSystem) ? ` • ${formatPaintQuantity(item.gallons, unitSystem)}`
+                          : ` • ${Math.ceil(item.gallons)} gallon${Math.ceil(item.gallons) > 1 ? 's' : ''}`;
                         
                         return (
                           <div key={itemIdx} style={{ padding: '8px 0', borderBottom: '1px solid #f0f0f0' }}>
                             <Text strong>{item.categoryName}</Text>
                             <br />
                             <Text type="secondary">
-                              {item.quantity} {unit}{coats}{gallons}
+                              {toDisplayQuantity(item.quantity, item.measurementUnit || item.unit, unitSystem)} {unit}{coats}{gallons}
                             </Text>
                           </div>
                         );
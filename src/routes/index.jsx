@@ -14,7 +14,6 @@ import ResumePaymentPage from '../pages/ResumePaymentPage';
 import ProductCatalog from '../features/products/ProductCatalog';
 import ColorLibrary from '../features/products/ColorLibrary';
 import PricingSchemes from '../features/pricing/PricingSchemes';
-import LeadFormBuilder from '../features/leads/LeadFormBuilder';
 import ForgotPasswordPage from '../pages/ForgotPasswordPage';
 import ResetPasswordPage from '../pages/ResetPasswordPage';
 
@@ -69,6 +68,9 @@ import TwoFactorVerificationPage from '../pages/TwoFactorVerificationPage';
 import ComingSoonPage from '../pages/ComingSoonPage';
 import RoleBasedRoute from '../pages/RoleBasedRoute';
 import PublicLeadFormPage from '../pages/PublicLeadFormPage';
+import LeadsPage from '../pages/LeadsPage';
+import LeadFormsPage from '../pages/LeadFormsPage';
+import LeadFormBuilderPage from '../pages/LeadFormBuilderPage';
 import { Spin } from 'antd';
 import BrandProductManager from '../features/admin/BrandProductManager';
 import ProductTierManager from '../features/admin/ProductTierManager';
@@ -76,9 +78,14 @@ import QuoteBuilderPage from '../pages/QuoteBuilderPage';
 import QuotesListPage from '../pages/QuotesListPage';
 import ProposalDefaultsPage from '../pages/ProposalDefaultsPage';
 import ServiceTypesPage from '../pages/ServiceTypesPage';
+import CrewsPage from '../pages/CrewsPage';
 import LaborRatesPage from '../pages/LaborRatesPage';
 import JobAnalyticsPage from '../pages/JobAnalyticsPage';
 import JobAnalyticsOverviewPage from '../pages/JobAnalyticsOverviewPage';
+import ProductionRateReviewPage from '../pages/ProductionRateReviewPage';
+import ProfitabilityExplorerPage from '../pages/ProfitabilityExplorerPage';
+import CashForecastPage from '../pages/CashForecastPage';
+import WinLossReportPage from '../pages/WinLossReportPage';
 
 // Admin Components
 import RoleProtectedRoute from '../components/RoleProtectedRoute';
@@ -132,6 +139,8 @@ const AppRoutes = () => {
       
       {/* Public Lead Form Route - No authentication required */}
       <Route path='/public-form/:publicUrl' element={<PublicLeadFormPage />} />
+      {/* Iframe target for the embeddable widget (public/embed/lead-form.js) */}
+      <Route path='/embed/lead-form/:publicUrl' element={<PublicLeadFormPage embedded />} />
 
       {/* Protected Routes for contractor_admin with MainLayout */}
       <Route
@@ -144,10 +153,14 @@ const AppRoutes = () => {
         }
       >
         <Route path='/dashboard' element={<DashboardPage />} />
+        <Route path='/dashboard/forecast' element={<CashForecastPage />} />
         <Route path='/quotes' element={<QuotesListPage />} />
         <Route path='/quotes/new' element={<QuoteBuilderPage />} />
         <Route path='/quotes/edit/:quoteId' element={<QuoteBuilderPage />} />
+        <Route path='/quotes/win-loss' element={<WinLossReportPage />} />
         <Route path='/job-analytics' element={<JobAnalyticsOverviewPage />} />
+        <Route path='/job-analytics/production-rates' element={<ProductionRateReviewPage />} />
+        <Route path='/job-analytics/profitability' element={<ProfitabilityExplorerPage />} />
         <Route path='/job-analytics/:quoteId' element={<JobAnalyticsPage />} />
         <Route path='/quote-builder' element={<QuoteBuilderPage />} />
         <Route path='/jobs' element={<JobsListPage />} />
@@ -158,13 +171,13 @@ const AppRoutes = () => {
         <Route path='/products/colors' element={<ColorLibrary />} />
         <Route path='/products/tiers' element={<ProductTierManager />} />
         <Route path='/pricing/schemes' element={<PricingSchemes />} />
-        <Route path='/leads/forms' element={<LeadFormBuilder />} />
-        <Route
-          path='/leads/management'
-          element={<LeadFormBuilder initialTab='leads' />}
-        />
+        <Route path='/leads/management' element={<LeadsPage />} />
+        <Route path='/leads/forms' element={<LeadFormsPage />} />
+        <Route path='/leads/forms/create' element={<LeadFormBuilderPage />} />
+        <Route path='/leads/forms/edit/:id' element={<LeadFormBuilderPage />} />
         <Route path='/proposal-defaults' element={<ProposalDefaultsPage />} />
         <Route path='/service-types' element={<ServiceTypesPage />} />
+        <Route path='/crews' element={<CrewsPage />} />
         {/* Labor rates consolidated under Pricing Engine, route preserved if needed */}
         <Route path='/labor-rates' element={<LaborRatesPage />} />
         <Route path='/cadence-pulse' element={<MagicLinkDashboard />} />
@@ -0,0 +1,74 @@
+// services/crewsService.js
+// API service for crews and crew assignment on jobs
+
+import { apiService } from './apiService';
+
+export const crewsService = {
+  /**
+   * Get all crews for the tenant
+   */
+  async getCrews() {
+    try {
+      const response = await apiService.get('/crews');
+      return response;
+    } catch (error) {
+      console.error('Get crews error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a crew
+   * @param {Object} crewData - { name, color, members: [{ name, role }], skills, dailyHours, hourlyCost, workDays }
+   */
+  async createCrew(crewData) {
+    try {
+      const response = await apiService.post('/crews', crewData);
+      return response;
+    } catch (error) {
+      console.error('Create crew error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a crew
+   */
+  async updateCrew(crewId, crewData) {
+    try {
+      const response = await apiService.put(`/crews/${crewId}`, crewData);
+      return response;
+    } catch (error) {
+      console.error('Update crew error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a crew; its job assignments are removed with it
+   */
+  async deleteCrew(crewId) {
+    try {
+      const response = await apiService.delete(`/crews/${crewId}`);
+      return response;
+    } catch (error) {
+      console.error('Delete crew error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replace the crews assigned to a job
+   */
+  async assignCrews(jobId, crewIds) {
+    try {
+      const response = await apiService.patch(`/jobs/${jobId}/crews`, { crewIds });
+      return response;
+    } catch (error) {
+      console.error('Assign crews error:', error);
+      throw error;
+    }
+  }
+};
+
+export default crewsService;
@@ -17,6 +17,7 @@ export const jobsService = {
       if (params.sortBy) queryParams.append('sortBy', params.sortBy);
       if (params.sortOrder) queryParams.append('sortOrder', params.sortOrder);
       if (params.search) queryParams.append('search', params.search);
+      if (params.quoteId) queryParams.append('quoteId', params.quoteId);
 
       const response = await apiService.get(`/jobs?${queryParams.toString()}`);
       return response;
@@ -52,6 +53,73 @@ export const jobsService = {
     }
   },
 
+  /**
+   * Get actual costs recorded on a job: { timeEntries, materialPurchases }
+   */
+  async getJobCosts(jobId) {
+    try {
+      const response = await apiService.get(`/jobs/${jobId}/costs`);
+      return response;
+    } catch (error) {
+      console.error('Get job costs error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Log crew time on a job
+   * @param {Object} entryData - { crewId, crewMemberName, date, hours, areaName, hourlyCost, notes }
+   */
+  async addTimeEntry(jobId, entryData) {
+    try {
+      const response = await apiService.post(`/jobs/${jobId}/time-entries`, entryData);
+      return response;
+    } catch (error) {
+      console.error('Add time entry error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a time entry
+   */
+  async deleteTimeEntry(jobId, entryId) {
+    try {
+      const response = await apiService.delete(`/jobs/${jobId}/time-entries/${entryId}`);
+      return response;
+    } catch (error) {
+      console.error('Delete time entry error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record a material purchase for a job
+   * @param {Object} purchaseData - { productId, productName, quantity, unit, cost, vendor, date, areaName, receiptUrl }
+   */
+  async addMaterialPurchase(jobId, purchaseData) {
+    try {
+      const response = await apiService.post(`/jobs/${jobId}/material-purchases`, purchaseData);
+      return response;
+    } catch (error) {
+      console.error('Add material purchase error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a material purchase
+   */
+  async deleteMaterialPurchase(jobId, purchaseId) {
+    try {
+      const response = await apiService.delete(`/jobs/${jobId}/material-purchases/${purchaseId}`);
+      return response;
+    } catch (error) {
+      console.error('Delete material purchase error:', error);
+      throw error;
+    }
+  },
+
   /**
    * Update job status
    */
@@ -141,6 +209,43 @@ export const jobsService = {
     }
   },
 
+  /**
+   * Get the tenant's ICS feed token (created on first request)
+   */
+  async getCalendarFeed() {
+    try {
+      const response = await apiService.get('/jobs/calendar/feed');
+      return response;
+    } catch (error) {
+      console.error('Get calendar feed error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replace the ICS feed token; existing subscriptions stop updating
+   */
+  async regenerateCalendarFeed() {
+    try {
+      const response = await apiService.post('/jobs/calendar/feed/regenerate');
+      return response;
+    } catch (error) {
+      console.error('Regenerate calendar feed error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Subscribable ICS feed URL for a feed token, optionally limited to statuses and a crew
+   */
+  getCalendarFeedUrl(token, { statuses = [], crewId = null } = {}) {
+    const queryParams = new URLSearchParams();
+    if (statuses.length > 0) queryParams.append('status', statuses.join(','));
+    if (crewId) queryParams.append('crew', crewId);
+    const query = queryParams.toString();
+    return `${apiService.baseURL}/calendar/feeds/${token}.ics${query ? `?${query}` : ''}`;
+  },
+
   /**
    * Get job statistics
    */
@@ -237,7 +342,9 @@ export const jobsService = {
       'scope_misalignment': 'Scope or details weren\'t fully aligned',
       'confidence_issues': 'Needed more confidence before moving forward',
       'project_paused': 'Decided to pause the project',
-      'other': 'Other'
+      'other': 'Other',
+      'no_response': 'Quote expired without a response',
+      'not_recorded': 'No reason recorded'
     };
     return labels[reason] || reason;
   },
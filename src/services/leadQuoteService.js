@@ -0,0 +1,119 @@
+// src/services/leadQuoteService.js
+// Lead -> quote conversion. A quote created from a lead keeps leadId and the lead keeps quoteId;
+// the lead's status follows the quote through sent / accepted / lost. Transitions made in the app
+// (send, marking the deposit paid, reopening) move the lead as they happen; ones made in the customer
+// portal are caught up by syncQuoteStatuses.
+
+import { apiService } from "./apiService";
+import { parsePhotoUrls } from "../utils/leadDedup";
+
+// Lead statuses in pipeline order; 'lost' sits outside the order
+const LEAD_STATUS_ORDER = ['new', 'contacted', 'qualified', 'quoted', 'quote_sent', 'proposal_signed', 'won'];
+
+// Quote status -> lead status
+const QUOTE_TO_LEAD_STATUS = {
+  draft: 'quoted',
+  sent: 'quote_sent',
+  viewed: 'quote_sent',
+  accepted: 'proposal_signed',
+  deposit_paid: 'won',
+  scheduled: 'won',
+  completed: 'won',
+  declined: 'lost',
+  rejected: 'lost',
+  expired: 'lost'
+};
+
+// Lead projectType -> quote builder job type / turnkey scope
+const PROJECT_TYPE_TO_JOB = {
+  interior: { jobType: 'interior', jobScope: 'interior' },
+  exterior: { jobType: 'exterior', jobScope: 'exterior' },
+  trim: { jobType: 'interior', jobScope: 'interior' },
+  cabinets: { jobType: 'interior', jobScope: 'interior' },
+  whole_house: { jobType: 'interior', jobScope: 'both' },
+  other: { jobType: 'interior', jobScope: 'both' }
+};
+
+// "123 Main St, Springfield, IL 62704" -> { street, city, state }
+const splitAddress = (address = '') => {
+  const [street = '', city = '', region = ''] = String(address).split(',').map(part => part.trim());
+  const state = region.split(/\s+/)[0] || '';
+  return { street, city, state: /^[A-Za-z]{2}$/.test(state) ? state.toUpperCase() : state };
+};
+
+const leadQuoteService = {
+  /**
+   * Quote builder form data prefilled from a lead
+   * @param {Object} lead - Lead record from /leads/:id
+   * @returns {Object} - Partial QuoteBuilderPage formData
+   */
+  buildQuoteDraftFromLead: (lead) => {
+    const formData = lead.formData || {};
+    const name = lead.firstName || lead.lastName
+      ? [lead.firstName, lead.lastName].filter(Boolean).join(' ')
+      : formData.fullName || '';
+    const projectType = lead.projectType || formData.projectType;
+    const job = PROJECT_TYPE_TO_JOB[projectType] || {};
+    const homeSqft = parseFloat(lead.homeSize || formData.homeSize);
+    const notes = [lead.projectDetails || formData.projectDetails, lead.notes].filter(Boolean).join('\n\n');
+
+    return {
+      customerName: name,
+      customerEmail: lead.email || formData.email || '',
+      customerPhone: lead.phone || formData.phone || '',
+      ...splitAddress(lead.address || formData.address),
+      zipCode: lead.zipCode || formData.zipCode || '',
+      ...job,
+      homeSqft: homeSqft > 0 ? homeSqft : null,
+      notes,
+      photos: parsePhotoUrls(lead.photoUrls).map(url => ({ url, source: 'lead' })),
+      leadId: lead.id
+    };
+  },
+
+  /**
+   * Lead status a quote status implies, or null when the lead shouldn't change.
+   * Only moves a lead forward; a won lead is never marked lost.
+   */
+  getLeadStatusForQuote: (leadStatus, quoteStatus) => {
+    const target = QUOTE_TO_LEAD_STATUS[quoteStatus];
+    if (!target || target === leadStatus) return null;
+    if (target === 'lost') return leadStatus === 'won' ? null : 'lost';
+    if (leadStatus === 'lost') return target;
+    return LEAD_STATUS_ORDER.indexOf(target) > LEAD_STATUS_ORDER.indexOf(leadStatus) ? target : null;
+  },
+
+  /**
+   * Record the quote on the lead once the draft has a server ID
+   */
+  linkQuote: async (leadId, quoteId) => {
+    return apiService.put(`/leads/${leadId}`, { quoteId, status: 'quoted' });
+  },
+
+  /**
+   * Move a linked lead along after its quote changed status
+   * @returns {Object|null} - Updated lead, or null when nothing changed
+   */
+  syncLeadStatus: async (leadId, quoteStatus) => {
+    const response = await apiService.get(`/leads/${leadId}`);
+    const lead = response?.data;
+    if (!lead) return null;
+    const status = leadQuoteService.getLeadStatusForQuote(lead.status, quoteStatus);
+    if (!status) return null;
+    const updated = await apiService.put(`/leads/${leadId}`, { status });
+    return updated?.data || { ...lead, status };
+  },
+
+  /**
+   * Catch linked leads up with quote changes made where the contractor isn't signed in (customer accepts
+   * or declines in the portal). The server applies getLeadStatusForQuote to every open linked lead in one pass.
+   * @returns {Array} - Leads whose status changed ({ id, status })
+   */
+  syncQuoteStatuses: async () => {
+    const response = await apiService.post('/leads/sync-quote-status');
+    const leads = response?.data?.leads || response?.data;
+    return Array.isArray(leads) ? leads : [];
+  }
+};
+
+export default leadQuoteService;
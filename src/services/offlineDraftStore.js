@@ -0,0 +1,201 @@
+// src/services/offlineDraftStore.js
+// IndexedDB-backed storage for quote builder drafts and the outbound save queue.
+// Drafts are written locally first so nothing is lost without a connection; queued
+// saveDraft mutations are replayed in order once the app is back online.
+
+const DB_NAME = 'cadence-offline';
+const DB_VERSION = 1;
+const DRAFTS_STORE = 'drafts';
+const MUTATIONS_STORE = 'mutations';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(DRAFTS_STORE)) {
+        db.createObjectStore(DRAFTS_STORE, { keyPath: 'draftKey' });
+      }
+      if (!db.objectStoreNames.contains(MUTATIONS_STORE)) {
+        const store = db.createObjectStore(MUTATIONS_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('draftKey', 'draftKey', { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const withStore = async (storeName, mode, callback) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, mode);
+  // Listen for completion before running requests; a short transaction can finish before the callback resolves
+  const completed = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  let result;
+  try {
+    result = await callback(transaction.objectStore(storeName));
+  } catch (error) {
+    completed.catch(() => {});
+    throw error;
+  }
+  await completed;
+  return result;
+};
+
+// Strip values IndexedDB can't clone (functions, class instances from UI state)
+const toPlainData = (data) => JSON.parse(JSON.stringify(data));
+
+export const offlineDraftStore = {
+  /**
+   * Save the latest local copy of a draft
+   * @param {string} draftKey - Server quote ID, or a local ID for quotes not yet saved
+   * @param {object} data - Quote builder form data
+   * @param {object} meta - { autoSaveVersion, lastModified, baseData } last confirmed by the server
+   */
+  async saveDraft(draftKey, data, meta = {}) {
+    const record = {
+      draftKey: String(draftKey),
+      data: toPlainData(data),
+      autoSaveVersion: meta.autoSaveVersion ?? null,
+      lastModified: meta.lastModified ?? null,
+      // Server-confirmed copy the local edits started from, kept for three-way merges
+      baseData: meta.baseData ? toPlainData(meta.baseData) : null,
+      updatedAt: Date.now()
+    };
+    await withStore(DRAFTS_STORE, 'readwrite', store => promisify(store.put(record)));
+    return record;
+  },
+
+  /**
+   * Get the local copy of a draft
+   */
+  async getDraft(draftKey) {
+    if (draftKey === null || draftKey === undefined) return null;
+    const record = await withStore(DRAFTS_STORE, 'readonly', store => promisify(store.get(String(draftKey))));
+    return record || null;
+  },
+
+  /**
+   * List all local drafts, newest first
+   */
+  async listDrafts() {
+    const records = await withStore(DRAFTS_STORE, 'readonly', store => promisify(store.getAll()));
+    return records.sort((a, b) => b.updatedAt - a.updatedAt);
+  },
+
+  /**
+   * Remove a local draft
+   */
+  async deleteDraft(draftKey) {
+    await withStore(DRAFTS_STORE, 'readwrite', store => promisify(store.delete(String(draftKey))));
+  },
+
+  /**
+   * Move a local draft (and its queued mutations) to the server-assigned quote ID
+   */
+  async renameDraft(fromKey, toKey) {
+    const from = String(fromKey);
+    const to = String(toKey);
+    if (from === to) return;
+
+    const draft = await this.getDraft(from);
+    if (draft) {
+      await withStore(DRAFTS_STORE, 'readwrite', store => {
+        store.delete(from);
+        return promisify(store.put({ ...draft, draftKey: to }));
+      });
+    }
+
+    const mutations = await this.getMutations();
+    await withStore(MUTATIONS_STORE, 'readwrite', store => Promise.all(
+      mutations
+        .filter(mutation => mutation.draftKey === from)
+        .map(mutation => promisify(store.put({
+          ...mutation,
+          draftKey: to,
+          payload: { ...mutation.payload, quoteId: toKey }
+        })))
+    ));
+  },
+
+  /**
+   * Queue a saveDraft call.
+   * If the newest queued mutation is a pending (not in-flight) save of the same draft it is
+   * replaced, so a long offline session doesn't pile up hundreds of identical saves.
+   * @param {object} mutation - { draftKey, payload, baseVersion }
+   */
+  async enqueueSave({ draftKey, payload, baseVersion }) {
+    const mutations = await this.getMutations();
+    const last = mutations[mutations.length - 1];
+    const entry = {
+      type: 'saveDraft',
+      draftKey: String(draftKey),
+      payload: toPlainData(payload),
+      baseVersion: baseVersion ?? null,
+      status: 'pending',
+      attempts: 0,
+      error: null,
+      queuedAt: Date.now()
+    };
+
+    if (last && last.draftKey === entry.draftKey && last.status === 'pending') {
+      entry.id = last.id;
+      entry.baseVersion = last.baseVersion;
+    }
+
+    const id = await withStore(MUTATIONS_STORE, 'readwrite', store => promisify(store.put(entry)));
+    return { ...entry, id };
+  },
+
+  /**
+   * All queued mutations in the order they were made
+   */
+  async getMutations() {
+    const mutations = await withStore(MUTATIONS_STORE, 'readonly', store => promisify(store.getAll()));
+    return mutations.sort((a, b) => a.id - b.id);
+  },
+
+  /**
+   * Update a queued mutation (status, attempts, error, payload)
+   */
+  async updateMutation(id, changes) {
+    await withStore(MUTATIONS_STORE, 'readwrite', async store => {
+      const existing = await promisify(store.get(id));
+      if (existing) await promisify(store.put({ ...existing, ...changes }));
+    });
+  },
+
+  /**
+   * Remove a mutation once the server has accepted it (or the user discarded it)
+   */
+  async removeMutation(id) {
+    await withStore(MUTATIONS_STORE, 'readwrite', store => promisify(store.delete(id)));
+  }
+};
+
+export default offlineDraftStore;
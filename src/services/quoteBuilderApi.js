@@ -88,7 +88,31 @@ const quoteBuilderApi = {
    */
   sendQuote: async (quoteId, emailData = {}) => {
     const response = await apiService.post(`/quote-builder/${quoteId}/send`, emailData);
-    return response.data;
+    return response;
+  },
+
+  /**
+   * Record an immutable snapshot of the quote as it was sent
+   */
+  createRevision: async (quoteId, revisionData) => {
+    const response = await apiService.post(`/quote-builder/${quoteId}/revisions`, revisionData);
+    return response;
+  },
+
+  /**
+   * Get every sent revision of a quote, oldest first
+   */
+  getRevisions: async (quoteId) => {
+    const response = await apiService.get(`/quote-builder/${quoteId}/revisions`);
+    return response;
+  },
+
+  /**
+   * Put an older revision back on the quote as a new draft
+   */
+  restoreRevision: async (quoteId, revisionId) => {
+    const response = await apiService.post(`/quote-builder/${quoteId}/revisions/${revisionId}/restore`);
+    return response;
   },
 
   /**
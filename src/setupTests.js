@@ -1,5 +1,6 @@
 // src/setupTests.js
 import '@testing-library/jest-dom';
+import { TextEncoder } from 'util';
 
 // Mock window.matchMedia
 Object.defineProperty(window, 'matchMedia', {
@@ -23,6 +24,11 @@ global.ResizeObserver = jest.fn().mockImplementation(() => ({
   disconnect: jest.fn(),
 }));
 
+// jsdom does not provide TextEncoder
+if (!global.TextEncoder) {
+  global.TextEncoder = TextEncoder;
+}
+
 // Mock IntersectionObserver
 global.IntersectionObserver = jest.fn().mockImplementation(() => ({
   observe: jest.fn(),
@@ -0,0 +1,79 @@
+// src/utils/__tests__/ballparkEstimator.test.js
+import { normalizeEstimatorConfig, buildEstimatorRates, estimateBallpark } from '../ballparkEstimator';
+
+const rates = buildEstimatorRates(
+  { turnkeyInteriorRate: 3.5, turnkeyExteriorRate: '2.5', turnkeyConditionMultipliers: { poor: 1.5 } },
+  { pricingRules: { turnkeyRate: 4 } }
+);
+
+const config = (changes = {}) => ({ enabled: true, ...changes });
+
+describe('normalizeEstimatorConfig', () => {
+  it('merges saved project type rows over the defaults', () => {
+    const settings = normalizeEstimatorConfig({ projectTypes: { exterior: { factor: 1.2 } } });
+    expect(settings.projectTypes.exterior).toEqual({ rateSource: 'turnkey_exterior', rate: null, factor: 1.2, useStories: true });
+    expect(settings.projectTypes.interior.rateSource).toBe('turnkey_interior');
+  });
+
+  it('drops a rates snapshot saved by older forms', () => {
+    expect(normalizeEstimatorConfig({ rates: { turnkeyInterior: 9 } })).not.toHaveProperty('rates');
+  });
+});
+
+describe('buildEstimatorRates', () => {
+  it('resolves tenant and scheme rates, falling back to the scheme turnkey rate', () => {
+    expect(rates).toMatchObject({ turnkeyInterior: 3.5, turnkeyExterior: 2.5, schemeWhole: 4, schemeInterior: 4, schemeExterior: 4 });
+    expect(rates.conditionMultipliers.poor).toBe(1.5);
+    expect(rates.conditionMultipliers.good).toBe(1.05);
+  });
+});
+
+describe('estimateBallpark', () => {
+  it('returns nothing when disabled or the project type is unknown', () => {
+    expect(estimateBallpark({ enabled: false }, { projectType: 'interior' }, rates)).toBeNull();
+    expect(estimateBallpark(config(), { projectType: 'boat' }, rates)).toBeNull();
+  });
+
+  it('prices home size at the rate and spreads the range around it', () => {
+    expect(estimateBallpark(config(), { projectType: 'interior', homeSize: 2000 }, rates)).toMatchObject({
+      estimate: 7000,
+      low: 6300,
+      high: 8400,
+      warnings: []
+    });
+  });
+
+  it('applies story and condition multipliers from the mapped answers', () => {
+    const result = estimateBallpark(
+      config({ storiesField: 'stories', conditionField: 'condition', conditionMap: { Rough: 'poor' } }),
+      { projectType: 'exterior', homeSize: 2000, stories: '2', condition: 'Rough' },
+      rates
+    );
+    // 2000 × $2.50 × 1.1 × 1.5
+    expect(result.estimate).toBe(8250);
+    expect(result.breakdown.map(line => line.label)).toEqual(['Home size', 'Rate', '2 stories', 'Condition: poor']);
+  });
+
+  it('caps stories at the largest configured multiplier', () => {
+    const result = estimateBallpark(config({ storiesField: 'stories' }), { projectType: 'exterior', homeSize: 1000, stories: 5 }, rates);
+    expect(result.estimate).toBe(3000);
+    expect(result.breakdown).toContainEqual({ label: '3+ stories', value: '× 1.2' });
+  });
+
+  it('estimates home size from rooms, or the default size when neither is given', () => {
+    expect(estimateBallpark(config(), { projectType: 'interior', roomCount: 4 }, rates).estimate).toBe(3500);
+    expect(estimateBallpark(config(), { projectType: 'interior' }, rates).estimate).toBe(7000);
+  });
+
+  it('uses flat prices, scope factors and the minimum job price', () => {
+    expect(estimateBallpark(config(), { projectType: 'cabinets' }, rates).estimate).toBe(4500);
+    expect(estimateBallpark(config(), { projectType: 'trim', homeSize: 2000 }, rates).estimate).toBe(2100);
+    expect(estimateBallpark(config({ minimumPrice: 2500 }), { projectType: 'trim', homeSize: 1000 }, rates).estimate).toBe(2500);
+  });
+
+  it('prices with the rates passed in, never a snapshot in the config', () => {
+    const result = estimateBallpark(config({ rates: { turnkeyInterior: 9 } }), { projectType: 'interior', homeSize: 1000 });
+    expect(result.estimate).toBe(0);
+    expect(result.warnings).toEqual(['No rate configured for Turnkey interior rate']);
+  });
+});
@@ -0,0 +1,120 @@
+// src/utils/__tests__/cashForecast.test.js
+import {
+  getHistoricalCloseRates,
+  applyScenario,
+  getForecastTiming,
+  buildForecastItems,
+  buildWeeklyForecast,
+  summarizeForecast
+} from '../cashForecast';
+
+// Local dates in early 2026, clear of daylight saving changes; the forecast buckets by local day
+// and Monday-start week
+const local = (month, day, hour = 0) => new Date(2026, month - 1, day, hour);
+const iso = (month, day) => local(month, day).toISOString();
+
+// Wednesday 4 February; its week starts Monday 2 February
+const now = local(2, 4, 10);
+
+const quotes = [
+  { id: 101, status: 'accepted', acceptedAt: local(1, 20), total: 10000, depositPercent: 30 },
+  { id: 102, status: 'accepted', acceptedAt: local(2, 3), total: 2000 },
+  { id: 103, status: 'sent', sentAt: local(2, 1), total: 6000 },
+  { id: 104, status: 'viewed', sentAt: local(1, 5), total: 1000 },
+  { id: 105, status: 'sent', sentAt: local(1, 1), validUntil: local(2, 1), total: 9000 },
+  { id: 106, status: 'draft', total: 9000 }
+];
+
+const jobs = [
+  { id: 1, quoteId: 101, status: 'pending_deposit', createdAt: local(2, 1), totalAmount: 10000, scheduledEndDate: local(2, 20) },
+  { id: 2, status: 'scheduled', totalAmount: 5000, balanceRemaining: 2500, scheduledEndDate: local(2, 10) },
+  { id: 3, status: 'in_progress', totalAmount: 4000, depositAmount: 1000 },
+  { id: 4, status: 'invoiced', finalPaymentStatus: 'pending', balanceRemaining: 1500, actualEndDate: local(1, 28) },
+  { id: 5, status: 'completed', finalPaymentStatus: 'paid', balanceRemaining: 0 }
+];
+
+const items = buildForecastItems({
+  quotes,
+  jobs,
+  closeRates: { sent: 0.3, viewed: 0.5 },
+  timing: { daysToDecision: 10, daysToCompletion: 20 },
+  depositPercent: 40,
+  now
+});
+
+describe('close rates and timing', () => {
+  const record = (outcome, viewed, daysToDecision = null) => ({ outcome, viewed, daysToDecision });
+  const records = [
+    record('won', true, 3), record('won', true, 5), record('won', true, 10), record('won', true),
+    record('won', false), record('won', false),
+    record('lost', false), record('lost', false), record('lost', false), record('lost', false),
+    record('open', true), record('open', false)
+  ];
+
+  it('uses history once a status has ten decided quotes, industry rates before that', () => {
+    expect(getHistoricalCloseRates(records)).toEqual({
+      sent: { rate: 0.6, decided: 10, historical: true },
+      viewed: { rate: 0.45, decided: 4, historical: false }
+    });
+  });
+
+  it('scales rates for a scenario, capped at 95%', () => {
+    const rates = applyScenario(getHistoricalCloseRates(records), 'optimistic');
+    expect(rates.sent).toBeCloseTo(0.75);
+    expect(rates.viewed).toBeCloseTo(0.5625);
+    expect(applyScenario({ sent: { rate: 0.9 } }, 'optimistic')).toEqual({ sent: 0.95 });
+  });
+
+  it('takes the median decision and completion times', () => {
+    const timingJobs = [
+      { createdAt: local(1, 1), scheduledEndDate: local(1, 11) },
+      { createdAt: local(1, 1), actualEndDate: local(1, 21), scheduledEndDate: local(1, 5) },
+      { createdAt: local(1, 10), scheduledEndDate: local(1, 2) }
+    ];
+    expect(getForecastTiming(records, timingJobs)).toEqual({ daysToDecision: 5, daysToCompletion: 15 });
+    expect(getForecastTiming()).toEqual({ daysToDecision: 14, daysToCompletion: 30 });
+  });
+});
+
+describe('buildForecastItems', () => {
+  it('lists committed payments and weighted pipeline, skipping expired, draft and paid work', () => {
+    expect(items.map(item => [item.id, item.amount, item.expectedAmount, item.dueDate, item.overdue])).toEqual([
+      ['deposit-1', 3000, 3000, iso(2, 4), true],
+      ['balance-1', 7000, 7000, iso(2, 20), false],
+      ['balance-2', 2500, 2500, iso(2, 10), false],
+      ['balance-3', 3000, 3000, null, false],
+      ['balance-4', 1500, 1500, iso(2, 4), true],
+      ['deposit-102', 800, 800, iso(2, 10), false],
+      ['balance-102', 1200, 1200, null, false],
+      ['pipeline_deposit-103', 2400, 720, iso(2, 11), false],
+      ['pipeline_balance-103', 3600, 1080, iso(3, 3), false],
+      ['pipeline_deposit-104', 400, 200, iso(2, 11), false],
+      ['pipeline_balance-104', 600, 300, iso(3, 3), false]
+    ]);
+  });
+});
+
+describe('buildWeeklyForecast', () => {
+  it('buckets expected cash into Monday-start weeks with a running total', () => {
+    const weeks = buildWeeklyForecast(items, { days: 21, now });
+    expect(weeks.map(week => [week.weekStart, week.deposit, week.balance, week.pipeline_deposit, week.committed, week.pipeline, week.cumulative])).toEqual([
+      [iso(2, 2), 3000, 1500, 0, 4500, 0, 4500],
+      [iso(2, 9), 800, 2500, 920, 3300, 920, 8720],
+      [iso(2, 16), 0, 7000, 0, 7000, 0, 15720],
+      [iso(2, 23), 0, 0, 0, 0, 0, 15720]
+    ]);
+  });
+});
+
+describe('summarizeForecast', () => {
+  it('totals the window and reports overdue, later and unscheduled cash separately', () => {
+    expect(summarizeForecast(items, { days: 21, now })).toEqual({
+      committed: 14800,
+      pipeline: 920,
+      total: 15720,
+      overdue: 4500,
+      beyondWindow: 1380,
+      unscheduled: 4200
+    });
+  });
+});
@@ -0,0 +1,103 @@
+// src/utils/__tests__/crewCapacity.test.js
+import {
+  getCrewDailyCapacity,
+  getCrewDailyCost,
+  getJobEstimatedHours,
+  getJobDailyBookings,
+  buildDailyCapacity,
+  buildWeeklyCapacity,
+  findOverCapacityJobs
+} from '../crewCapacity';
+
+// Week of Monday 2 March 2026
+const crews = [
+  { id: 1, name: 'Crew A', members: [{ id: 'a' }, { id: 'b' }], dailyHours: 8, hourlyCost: 30 },
+  { id: 2, name: 'Crew B', memberCount: 3, workDays: [6] }
+];
+
+const jobs = [
+  { id: 10, crewIds: [1], scheduledStartDate: '2026-03-02', scheduledEndDate: '2026-03-08', estimatedHours: 40 },
+  { id: 11, crewIds: [1, 2], start: '2026-03-06', end: '2026-03-07', quote: { calculation: { totalHours: 60 } } },
+  { id: 12, start: '2026-03-08', estimatedHours: 10 }
+];
+
+const days = buildDailyCapacity({ jobs, crews, from: '2026-03-02', to: '2026-03-08' });
+
+describe('crew capacity', () => {
+  it('is members × daily hours on the crew work days', () => {
+    expect(getCrewDailyCapacity(crews[0], '2026-03-02')).toBe(16);
+    expect(getCrewDailyCapacity(crews[0], '2026-03-07')).toBe(0);
+    expect(getCrewDailyCapacity(crews[1], '2026-03-07')).toBe(24);
+    expect(getCrewDailyCost(crews[0])).toBe(480);
+  });
+
+  it('reads job hours from the API, then the quote calculation', () => {
+    expect(getJobEstimatedHours(jobs[0])).toBe(40);
+    expect(getJobEstimatedHours(jobs[1])).toBe(60);
+    expect(getJobEstimatedHours({})).toBe(0);
+  });
+});
+
+describe('getJobDailyBookings', () => {
+  it('spreads hours over the days the assigned crews work', () => {
+    const bookings = getJobDailyBookings(jobs[0], crews);
+    expect(bookings.map(booking => booking.date)).toEqual(['2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06']);
+    expect(bookings[0]).toEqual({ date: '2026-03-02', hours: 8, byCrew: { 1: 8 } });
+  });
+
+  it('gives each day to whichever crews work it', () => {
+    expect(getJobDailyBookings(jobs[1], crews).map(booking => booking.byCrew)).toEqual([{ 1: 30 }, { 2: 30 }]);
+  });
+
+  it('books a job scheduled only on days off on those days', () => {
+    expect(getJobDailyBookings(jobs[2], crews)).toEqual([{ date: '2026-03-08', hours: 10, byCrew: {} }]);
+  });
+});
+
+describe('buildDailyCapacity', () => {
+  it('compares booked with available hours per day and per crew', () => {
+    expect(days.map(day => [day.date, day.available, day.booked, day.utilization, day.overbooked])).toEqual([
+      ['2026-03-02', 16, 8, 50, false],
+      ['2026-03-03', 16, 8, 50, false],
+      ['2026-03-04', 16, 8, 50, false],
+      ['2026-03-05', 16, 8, 50, false],
+      ['2026-03-06', 16, 38, 238, true],
+      ['2026-03-07', 24, 30, 125, true],
+      ['2026-03-08', 0, 10, null, true]
+    ]);
+    expect(days[4].crews).toEqual({
+      1: { available: 16, booked: 38, overbooked: true },
+      2: { available: 0, booked: 0, overbooked: false }
+    });
+    expect(days[6].unassigned).toBe(10);
+  });
+});
+
+describe('buildWeeklyCapacity', () => {
+  it('rolls days up into Monday-start weeks', () => {
+    expect(buildWeeklyCapacity(days)).toEqual([{
+      week: '2026-03-02',
+      available: 104,
+      booked: 110,
+      unassigned: 10,
+      overbookedDays: 3,
+      jobIds: [10, 11, 12],
+      utilization: 106,
+      overbooked: true
+    }]);
+  });
+});
+
+describe('findOverCapacityJobs', () => {
+  it('explains why each job cannot be done as scheduled', () => {
+    expect(findOverCapacityJobs({ jobs, crews, days })).toEqual({
+      10: ['Crew A is booked past capacity on the same days'],
+      11: [
+        'Needs 60 crew-hours; assigned crews have 40 in the scheduled days',
+        'Crew A is booked past capacity on the same days',
+        'Crew B is booked past capacity on the same days'
+      ],
+      12: ['No crew assigned and Mar 8 is already over total capacity']
+    });
+  });
+});
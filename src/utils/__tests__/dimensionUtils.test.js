@@ -0,0 +1,53 @@
+// src/utils/__tests__/dimensionUtils.test.js
+import { createOpening, calculateOpeningsArea, calculateOpeningsTrimLF, applyOpenings } from '../dimensionUtils';
+
+const door = (count = 1) => ({ kind: 'door', count, width: 3, height: 7 });
+const windowOpening = (count = 1) => ({ kind: 'window', count, width: 3, height: 4 });
+
+describe('createOpening', () => {
+  it('copies the preset size and kind', () => {
+    expect(createOpening('double_door', 2)).toMatchObject({ preset: 'double_door', kind: 'door', count: 2, width: 5, height: 6.67 });
+  });
+
+  it('falls back to a custom opening for unknown presets', () => {
+    expect(createOpening('porthole')).toMatchObject({ kind: 'window', width: 0, height: 0 });
+  });
+});
+
+describe('calculateOpeningsArea', () => {
+  it('sums count × width × height', () => {
+    expect(calculateOpeningsArea([door(2), windowOpening(3)])).toBe(78);
+  });
+
+  it('ignores blank, negative and non-numeric dimensions', () => {
+    expect(calculateOpeningsArea([{ count: 1, width: '', height: 7 }, { count: -1, width: 3, height: 7 }, { count: 'x', width: 3, height: 7 }])).toBe(0);
+    expect(calculateOpeningsArea(null)).toBe(0);
+  });
+});
+
+describe('calculateOpeningsTrimLF', () => {
+  it('cases doors on two sides and the head, windows on all four sides', () => {
+    expect(calculateOpeningsTrimLF([door()])).toBe(17);
+    expect(calculateOpeningsTrimLF([windowOpening()])).toBe(14);
+    expect(calculateOpeningsTrimLF([door(2), windowOpening(2)])).toBe(62);
+  });
+});
+
+describe('applyOpenings', () => {
+  it('deducts openings from the gross wall area', () => {
+    expect(applyOpenings(400, [door(), windowOpening(2)])).toEqual({
+      grossArea: 400,
+      openingsArea: 45,
+      netArea: 355,
+      trimLinearFeet: 45
+    });
+  });
+
+  it('never returns a negative net area', () => {
+    expect(applyOpenings(20, [door(2)]).netArea).toBe(0);
+  });
+
+  it('leaves the area unchanged without openings', () => {
+    expect(applyOpenings('320', []).netArea).toBe(320);
+  });
+});
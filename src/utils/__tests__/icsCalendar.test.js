@@ -0,0 +1,97 @@
+// src/utils/__tests__/icsCalendar.test.js
+import { escapeText, foldLine, getJobSequence, buildJobEvent, buildCalendar } from '../icsCalendar';
+
+const byteLength = (text) => new TextEncoder().encode(text).length;
+
+const job = {
+  id: 12,
+  jobNumber: 'JOB-12',
+  customerName: 'Doe, Jane',
+  status: 'scheduled',
+  scheduledStartDate: '2026-03-02',
+  estimatedDuration: 3,
+  address: '1 Main St; Unit 2',
+  sequence: 4
+};
+
+const now = new Date(Date.UTC(2026, 1, 1, 12, 0, 0));
+
+describe('escapeText', () => {
+  it('escapes backslashes, semicolons, commas and newlines', () => {
+    expect(escapeText('a\\b; c, d\r\ne\nf')).toBe('a\\\\b\\; c\\, d\\ne\\nf');
+  });
+});
+
+describe('foldLine', () => {
+  it('leaves lines of 75 octets alone', () => {
+    const line = 'x'.repeat(75);
+    expect(foldLine(line)).toBe(line);
+  });
+
+  it('folds longer lines into 75 octet chunks, counting the leading space', () => {
+    const folded = foldLine(`DESCRIPTION:${'x'.repeat(200)}`);
+    const parts = folded.split('\r\n');
+    expect(parts.map(byteLength)).toEqual([75, 75, 64]);
+    expect(parts.slice(1).every(part => part.startsWith(' '))).toBe(true);
+    expect(folded.replace(/\r\n /g, '')).toBe(`DESCRIPTION:${'x'.repeat(200)}`);
+  });
+
+  it('never splits a multi-byte character', () => {
+    const line = `SUMMARY:${'é'.repeat(60)}`;
+    const folded = foldLine(line);
+    expect(folded.split('\r\n').every(part => byteLength(part) <= 75)).toBe(true);
+    expect(folded.replace(/\r\n /g, '')).toBe(line);
+  });
+});
+
+describe('getJobSequence', () => {
+  it('prefers the API counter and otherwise derives one from updatedAt', () => {
+    expect(getJobSequence({ sequence: 7, updatedAt: '2026-01-01' })).toBe(7);
+    expect(getJobSequence({ updatedAt: '2024-01-01T01:00:00Z' })).toBe(60);
+    expect(getJobSequence({})).toBe(0);
+  });
+});
+
+describe('buildJobEvent', () => {
+  it('writes an all-day event with an exclusive end date and a stable UID', () => {
+    const lines = buildJobEvent(job, { now });
+    expect(lines).toEqual([
+      'BEGIN:VEVENT',
+      'UID:job-12@jobs.cadence',
+      'DTSTAMP:20260201T120000Z',
+      'SEQUENCE:4',
+      'DTSTART;VALUE=DATE:20260302',
+      'DTEND;VALUE=DATE:20260305',
+      'SUMMARY:JOB-12 - Doe\\, Jane',
+      'STATUS:CONFIRMED',
+      'TRANSP:OPAQUE',
+      'LOCATION:1 Main St\\; Unit 2',
+      'END:VEVENT'
+    ]);
+  });
+
+  it('marks jobs waiting on a deposit tentative and canceled jobs cancelled', () => {
+    expect(buildJobEvent({ ...job, status: 'pending_deposit' }, { now })).toContain('STATUS:TENTATIVE');
+    expect(buildJobEvent({ ...job, status: 'canceled' }, { now })).toContain('STATUS:CANCELLED');
+  });
+
+  it('skips jobs without dates', () => {
+    expect(buildJobEvent({ id: 1 })).toEqual([]);
+  });
+});
+
+describe('buildCalendar', () => {
+  it('wraps events in a CRLF delimited, folded calendar', () => {
+    const ics = buildCalendar([job, { id: 2 }], {
+      name: 'Crew A, North',
+      now,
+      eventOptions: () => ({ description: 'x'.repeat(100) })
+    });
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics).toContain('X-WR-CALNAME:Crew A\\, North');
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    expect(ics.split('\r\n').every(line => byteLength(line) <= 75)).toBe(true);
+  });
+});
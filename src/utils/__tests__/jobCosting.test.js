@@ -0,0 +1,123 @@
+// src/utils/__tests__/jobCosting.test.js
+import {
+  getTimeEntryCost,
+  summarizeActuals,
+  getQuoteAreaNames,
+  buildCostVariance,
+  applyActualsToAnalytics
+} from '../jobCosting';
+
+const crews = [{ id: 1, hourlyCost: 30 }];
+
+const quote = {
+  calculation: {
+    lineItems: [
+      { areaName: 'Kitchen', hours: 8, laborCost: 320, materialCost: 100 },
+      { areaName: 'Bedroom', hours: 4, laborCost: 160, materialCost: 60 }
+    ]
+  },
+  areas: [{ name: 'Kitchen' }, { areaName: 'Hall' }]
+};
+
+const timeEntries = [
+  { crewId: 1, hours: 10, areaName: 'Kitchen' },
+  { crewId: 1, hours: 2, hourlyCost: 45, areaName: 'kitchen ' },
+  { crewId: 9, hours: 3 }
+];
+
+const materialPurchases = [
+  { cost: 120.5, areaName: 'Kitchen' },
+  { cost: 40, areaName: 'Garage' }
+];
+
+const analytics = {
+  jobPrice: 1000,
+  breakdown: {
+    materials: { amount: 150, percentage: 15, source: 'estimated' },
+    labor: { amount: 400, percentage: 40, source: 'estimated' },
+    overhead: { amount: 100, percentage: 10 },
+    profit: { amount: 350, percentage: 35, source: 'estimated' }
+  },
+  industryStandards: { profit: { min: 20 } }
+};
+
+describe('actual costs', () => {
+  it('costs time at the entry rate, else the crew rate', () => {
+    expect(getTimeEntryCost(timeEntries[0], crews)).toBe(300);
+    expect(getTimeEntryCost(timeEntries[1], crews)).toBe(90);
+    expect(getTimeEntryCost(timeEntries[2], crews)).toBe(0);
+  });
+
+  it('totals a job and counts hours logged without a rate', () => {
+    expect(summarizeActuals({ timeEntries, materialPurchases, crews })).toEqual({
+      laborHours: 15,
+      laborCost: 390,
+      materialCost: 160.5,
+      hasLabor: true,
+      hasMaterials: true,
+      missingRates: 1
+    });
+  });
+
+  it('offers the quote line item and area names', () => {
+    expect(getQuoteAreaNames(quote)).toEqual(['Kitchen', 'Bedroom', 'Hall']);
+  });
+});
+
+describe('buildCostVariance', () => {
+  const { rows, totals } = buildCostVariance({ quote, timeEntries, materialPurchases, crews });
+
+  it('compares each quote area with what was logged against it', () => {
+    expect(rows.map(row => [row.area, row.hoursVariance, row.laborVariance, row.materialVariance])).toEqual([
+      ['Kitchen', 4, 70, 20.5],
+      ['Bedroom', -4, -160, -60],
+      ['Unassigned', 3, 0, 0],
+      ['Garage', 0, 0, 40]
+    ]);
+  });
+
+  it('totals every row', () => {
+    expect(totals).toMatchObject({
+      area: 'Total',
+      estimatedHours: 12,
+      actualHours: 15,
+      estimatedLabor: 480,
+      actualLabor: 390,
+      hoursVariance: 3,
+      laborVariance: -90,
+      materialVariance: 0.5
+    });
+  });
+
+  it('falls back to the job hours estimate for quotes without line items', () => {
+    expect(buildCostVariance({ quote: { calculation: { totalHours: 20 } } }).totals.estimatedHours).toBe(20);
+  });
+});
+
+describe('applyActualsToAnalytics', () => {
+  const actuals = summarizeActuals({ timeEntries, materialPurchases, crews });
+
+  it('leaves analytics alone until something is logged', () => {
+    expect(applyActualsToAnalytics(analytics, summarizeActuals({}))).toBe(analytics);
+  });
+
+  it('marks profit partial while only labor has been logged', () => {
+    const result = applyActualsToAnalytics(analytics, { ...actuals, hasMaterials: false });
+    expect(result.breakdown.materials).toBe(analytics.breakdown.materials);
+    expect(result.breakdown.labor).toMatchObject({ amount: 390, source: 'actual', estimatedAmount: 400 });
+    expect(result.breakdown.profit).toMatchObject({ amount: 360, percentage: 36, source: 'partial', estimatedAmount: 350 });
+  });
+
+  it('recomputes profit from actual labor and materials', () => {
+    const result = applyActualsToAnalytics(analytics, actuals);
+    expect(result.breakdown.profit).toMatchObject({ amount: 349.5, source: 'actual' });
+    expect(result.breakdown.profit.percentage).toBeCloseTo(34.95);
+    expect(result).toMatchObject({ isHealthy: true, healthStatus: 'good', usesActuals: true });
+  });
+
+  it('flags a job whose actuals wipe out the profit', () => {
+    const result = applyActualsToAnalytics(analytics, { ...actuals, laborCost: 800 });
+    expect(result.breakdown.profit.amount).toBe(-60.5);
+    expect(result).toMatchObject({ isHealthy: false, healthStatus: 'poor' });
+  });
+});
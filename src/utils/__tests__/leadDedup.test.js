@@ -0,0 +1,116 @@
+// src/utils/__tests__/leadDedup.test.js
+import {
+  DUPLICATE_THRESHOLD,
+  STRONG_MATCH_THRESHOLD,
+  normalizePhone,
+  normalizeName,
+  normalizeAddress,
+  stringSimilarity,
+  scoreLeadMatch,
+  findDuplicateLeads,
+  countDuplicateLeads,
+  parsePhotoUrls,
+  buildMergedLead
+} from '../leadDedup';
+
+describe('normalizing', () => {
+  it('compares phones on their last ten digits, names in any order and abbreviated addresses', () => {
+    expect(normalizePhone('+1 (555) 123-4567')).toBe(normalizePhone('555.123.4567'));
+    expect(normalizeName('Smith, John')).toBe(normalizeName('john smith'));
+    expect(normalizeAddress('123 North Main Street, Apt. 4')).toBe('123 n main st apt 4');
+  });
+});
+
+describe('stringSimilarity', () => {
+  it('matches the reference Jaro-Winkler scores', () => {
+    expect(stringSimilarity('martha', 'marhta')).toBeCloseTo(0.961, 3);
+    expect(stringSimilarity('dwayne', 'duane')).toBeCloseTo(0.84, 3);
+    expect(stringSimilarity('dixon', 'dicksonx')).toBeCloseTo(0.813, 3);
+  });
+
+  it('is 1 for identical strings and 0 when either is empty', () => {
+    expect(stringSimilarity('jane doe', 'jane doe')).toBe(1);
+    expect(stringSimilarity('', 'jane')).toBe(0);
+  });
+});
+
+describe('scoreLeadMatch', () => {
+  it('counts names at 0.85 similarity and up', () => {
+    expect(scoreLeadMatch({ firstName: 'Jon', lastName: 'Smith' }, { firstName: 'John', lastName: 'Smith' }).reasons).toEqual(['Similar name']);
+    // 0.84: just under the name threshold
+    expect(scoreLeadMatch({ firstName: 'Dwayne' }, { firstName: 'Duane' })).toEqual({ score: 0, reasons: [] });
+  });
+
+  it('counts addresses at 0.9 similarity and up, and the zip code only without one', () => {
+    const a = { firstName: 'Jon', lastName: 'Smith', address: '123 Main Street', zipCode: '62704' };
+    expect(scoreLeadMatch(a, { ...a, firstName: 'John', address: '123 main st.' }).reasons).toEqual(['Similar name', 'Same address']);
+    expect(scoreLeadMatch(a, { ...a, firstName: 'John', address: '123 Maple Ave' }).reasons).toEqual(['Similar name', 'Same zip code']);
+  });
+
+  it('flags a similar name in the same zip code below the duplicate threshold', () => {
+    const { score } = scoreLeadMatch(
+      { firstName: 'Jon', lastName: 'Smith', zipCode: '62704' },
+      { firstName: 'John', lastName: 'Smith', zipCode: '62704' }
+    );
+    expect(score).toBe(34);
+    expect(score).toBeLessThan(DUPLICATE_THRESHOLD);
+  });
+
+  it('rates a shared email and similar name as a possible but not strong duplicate', () => {
+    const { score } = scoreLeadMatch(
+      { firstName: 'Jane', lastName: 'Doe', email: 'JANE@example.com ' },
+      { firstName: 'Janet', lastName: 'Doe', email: 'jane@example.com' }
+    );
+    expect(score).toBe(79);
+    expect(score).toBeGreaterThanOrEqual(DUPLICATE_THRESHOLD);
+    expect(score).toBeLessThan(STRONG_MATCH_THRESHOLD);
+  });
+
+  it('rates the same phone, name and address as a strong duplicate, reading form data too', () => {
+    const { score, reasons } = scoreLeadMatch(
+      { firstName: 'Jane', lastName: 'Doe', phone: '+1 (555) 123-4567', address: '123 Main Street' },
+      { formData: { fullName: 'Doe Jane', phone: '555.123.4567' }, address: '123 Main St.' }
+    );
+    expect(score).toBe(95);
+    expect(reasons).toEqual(['Same phone', 'Same name', 'Same address']);
+  });
+});
+
+describe('finding duplicates', () => {
+  const leads = [
+    { id: 1, firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com', phone: '5551234567' },
+    { id: 2, firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com' },
+    { id: 3, firstName: 'Janet', lastName: 'Doe', email: 'jane@example.com', phone: '555-123-4567' },
+    { id: 4, firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com', status: 'merged' },
+    { id: 5, firstName: 'Bob', lastName: 'Ray', email: 'bob@example.com' }
+  ];
+
+  it('lists other active leads above the threshold, best match first', () => {
+    expect(findDuplicateLeads(leads[0], leads).map(match => [match.lead.id, match.score])).toEqual([[3, 100], [2, 80]]);
+  });
+
+  it('counts duplicates per lead', () => {
+    expect(countDuplicateLeads(leads)).toEqual({ 1: 2, 2: 2, 3: 2 });
+  });
+});
+
+describe('merging', () => {
+  it('reads photo URLs stored as arrays or JSON', () => {
+    expect(parsePhotoUrls('["a.jpg"]')).toEqual(['a.jpg']);
+    expect(parsePhotoUrls(['b.jpg'])).toEqual(['b.jpg']);
+    expect(parsePhotoUrls('not json')).toEqual([]);
+  });
+
+  it('keeps every submission, photo and note and carries over a quote', () => {
+    const primary = { id: 1, firstName: 'Jane', lastName: 'Doe', email: '', createdAt: '2026-01-01', photoUrls: '["a.jpg"]', notes: 'Call after 5' };
+    const duplicate = { id: 2, firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com', createdAt: '2026-02-01', photoUrls: ['a.jpg', 'b.jpg'], notes: 'Has a dog', quoteId: 42 };
+
+    const merged = buildMergedLead(primary, [duplicate], { name: 'Jane M. Doe' });
+
+    expect(merged).toMatchObject({ firstName: 'Jane', lastName: 'M. Doe', email: 'jane@example.com', quoteId: 42, mergedLeadIds: [2] });
+    expect(parsePhotoUrls(merged.photoUrls)).toEqual(['a.jpg', 'b.jpg']);
+    expect(merged.notes).toContain('Call after 5');
+    expect(merged.notes).toContain('Merged from lead #2');
+    expect(merged.submissions.map(submission => submission.leadId)).toEqual([1, 2]);
+  });
+});
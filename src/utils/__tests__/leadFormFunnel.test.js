@@ -0,0 +1,96 @@
+// src/utils/__tests__/leadFormFunnel.test.js
+import { getTrafficSource, readAttribution, getFieldLabel, buildFormFunnel } from '../leadFormFunnel';
+
+const event = (sessionId, type, extra = {}) => ({ sessionId, type, createdAt: '2026-03-01T10:00:00Z', ...extra });
+
+// s1 submits from Google; s2 drops on project details; s3 views from a blog and leaves on contact
+const events = [
+  event('s1', 'view', { utmSource: 'google' }),
+  event('s1', 'step_enter', { step: 'contact' }),
+  event('s1', 'step_complete', { step: 'contact' }),
+  event('s1', 'abandon', { step: 'project', field: 'homeSize' }),
+  event('s1', 'submit'),
+  event('s2', 'view', { utmSource: 'google' }),
+  event('s2', 'step_enter', { step: 'contact' }),
+  event('s2', 'step_complete', { step: 'contact' }),
+  event('s2', 'step_enter', { step: 'project' }),
+  event('s2', 'abandon', { step: 'project', field: 'email', createdAt: '2026-03-01T09:00:00Z' }),
+  event('s2', 'abandon', { step: 'project', field: 'gateCode' }),
+  event('s3', 'view', { referrer: 'https://www.paintblog.com/post' }),
+  event('s3', 'view', { referrer: 'https://www.paintblog.com/post' }),
+  event('s3', 'step_enter', { step: 'contact' }),
+  event('s3', 'abandon', { step: 'contact' })
+];
+
+const leads = [
+  { id: 1, utmSource: 'google', quoteId: 9, status: 'won' },
+  { id: 2, status: 'merged', utmSource: 'google' }
+];
+
+const formFields = [{ fieldName: 'gateCode', fieldLabel: 'Gate code' }];
+
+describe('attribution', () => {
+  it('uses utm_source, then the referring site, then direct', () => {
+    expect(getTrafficSource({ utmSource: 'google', referrer: 'https://bing.com' })).toBe('google');
+    expect(getTrafficSource({ formData: { referrer: 'https://www.paintblog.com/a' } })).toBe('paintblog.com');
+    expect(getTrafficSource({ referrer: 'not a url' })).toBe('direct');
+  });
+
+  it('reads campaign parameters from the query string', () => {
+    expect(readAttribution('?utm_source=fb&utm_campaign=spring', 'https://host.com')).toEqual({
+      utmSource: 'fb',
+      utmMedium: null,
+      utmCampaign: 'spring',
+      utmTerm: null,
+      utmContent: null,
+      referrer: 'https://host.com'
+    });
+  });
+
+  it('labels builder, built-in and contact fields', () => {
+    expect(getFieldLabel('gateCode', formFields)).toBe('Gate code');
+    expect(getFieldLabel('homeSize')).toBe('Home Size (sq ft)');
+    expect(getFieldLabel('email')).toBe('Email');
+    expect(getFieldLabel('mystery')).toBe('mystery');
+  });
+});
+
+describe('buildFormFunnel', () => {
+  const funnel = buildFormFunnel({ events, leads, formFields });
+
+  it('counts unique viewing sessions through to accepted jobs, leaving out merged leads', () => {
+    expect(funnel.stages.map(stage => [stage.key, stage.count, stage.rateFromPrevious])).toEqual([
+      ['views', 3, 100],
+      ['submissions', 1, 33.3],
+      ['quotes', 1, 100],
+      ['accepted', 1, 100]
+    ]);
+  });
+
+  it('never reports fewer views than submissions', () => {
+    const untracked = buildFormFunnel({ leads: [{ id: 1 }, { id: 2 }] });
+    expect(untracked.stages[0].count).toBe(2);
+  });
+
+  it('reports drop-off per step', () => {
+    expect(funnel.steps.map(step => [step.key, step.entered, step.completed, step.dropOffRate])).toEqual([
+      ['contact', 3, 2, 33.3],
+      ['project', 1, 0, 100],
+      ['preferences', 0, 0, 0]
+    ]);
+  });
+
+  it('counts the last field touched by visitors who left without submitting', () => {
+    expect(funnel.fields.map(field => [field.label, field.stepTitle, field.count, field.share])).toEqual([
+      ['Gate code', 'Project Details', 1, 50],
+      ['Left before typing', 'Contact Info', 1, 50]
+    ]);
+  });
+
+  it('breaks the funnel down by traffic source', () => {
+    expect(funnel.sources.map(source => [source.source, source.views, source.submissions, source.submissionRate])).toEqual([
+      ['google', 2, 1, 50],
+      ['paintblog.com', 1, 0, 0]
+    ]);
+  });
+});
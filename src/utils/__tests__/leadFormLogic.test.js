@@ -0,0 +1,117 @@
+// src/utils/__tests__/leadFormLogic.test.js
+import {
+  evaluateCondition,
+  evaluateRule,
+  isFieldVisible,
+  getActiveStepIndexes,
+  stripHiddenValues,
+  getConditionSourceFields,
+  getStepRuleSourceFields,
+  describeRule
+} from '../leadFormLogic';
+
+const formFields = [
+  { fieldName: 'hasPets', fieldLabel: 'Pets?', fieldType: 'checkbox', step: 'contact', order: 1 },
+  {
+    fieldName: 'sidingType',
+    fieldLabel: 'Siding',
+    fieldType: 'select',
+    options: ['Wood', 'Vinyl'],
+    order: 2,
+    visibility: { action: 'show', match: 'all', conditions: [{ field: 'projectType', operator: 'equals', value: 'exterior' }] }
+  },
+  { fieldName: 'gateCode', fieldLabel: 'Gate code', fieldType: 'text', step: 'preferences', order: 3 },
+  { fieldName: 'email', fieldLabel: 'Email', fieldType: 'email' }
+];
+
+describe('evaluateCondition', () => {
+  it('compares case-insensitively and matches any entry of multi-select answers', () => {
+    expect(evaluateCondition({ field: 'projectType', operator: 'equals', value: 'Exterior' }, { projectType: 'exterior' })).toBe(true);
+    expect(evaluateCondition({ field: 'rooms', operator: 'equals', value: 'kitchen' }, { rooms: ['bath', 'Kitchen'] })).toBe(true);
+    expect(evaluateCondition({ field: 'rooms', operator: 'not_equals', value: 'kitchen' }, { rooms: ['bath'] })).toBe(true);
+  });
+
+  it('treats unanswered fields as empty', () => {
+    expect(evaluateCondition({ field: 'homeSize', operator: 'greater_than', value: 1000 }, {})).toBe(false);
+    expect(evaluateCondition({ field: 'homeSize', operator: 'is_empty' }, { homeSize: '' })).toBe(true);
+    expect(evaluateCondition({ field: 'homeSize', operator: 'not_equals', value: 5 }, {})).toBe(true);
+  });
+
+  it('compares numbers for greater and less than', () => {
+    expect(evaluateCondition({ field: 'homeSize', operator: 'greater_than', value: '1000' }, { homeSize: '2500' })).toBe(true);
+    expect(evaluateCondition({ field: 'homeSize', operator: 'less_than', value: 1000 }, { homeSize: 2500 })).toBe(false);
+  });
+});
+
+describe('evaluateRule', () => {
+  const rule = (match) => ({
+    match,
+    conditions: [
+      { field: 'projectType', operator: 'equals', value: 'exterior' },
+      { field: 'homeSize', operator: 'greater_than', value: 3000 }
+    ]
+  });
+
+  it('requires all or any conditions', () => {
+    const values = { projectType: 'exterior', homeSize: 2000 };
+    expect(evaluateRule(rule('all'), values)).toBe(false);
+    expect(evaluateRule(rule('any'), values)).toBe(true);
+  });
+
+  it('never fires without a complete condition', () => {
+    expect(evaluateRule({ match: 'any', conditions: [{ field: undefined, operator: 'equals' }] }, {})).toBe(false);
+  });
+});
+
+describe('field visibility and skipped steps', () => {
+  const stepRules = [{ step: 'preferences', match: 'all', conditions: [{ field: 'hasPets', operator: 'equals', value: true }] }];
+
+  it('shows a field only while its rule matches', () => {
+    expect(isFieldVisible(formFields[1], { projectType: 'exterior' })).toBe(true);
+    expect(isFieldVisible(formFields[1], { projectType: 'interior' })).toBe(false);
+    expect(isFieldVisible(formFields[0], {})).toBe(true);
+  });
+
+  it('never skips the contact step', () => {
+    expect(getActiveStepIndexes([{ step: 'contact', match: 'all', conditions: [{ field: 'hasPets', operator: 'is_empty' }] }], {})).toEqual([0, 1, 2]);
+    expect(getActiveStepIndexes(stepRules, { hasPets: true })).toEqual([0, 1]);
+  });
+
+  it('drops answers to hidden fields and fields on skipped steps', () => {
+    const values = { hasPets: true, projectType: 'interior', sidingType: 'Wood', gateCode: '1234', email: 'a@b.co' };
+    expect(stripHiddenValues(formFields, values, stepRules)).toEqual({ hasPets: true, projectType: 'interior', email: 'a@b.co' });
+  });
+});
+
+describe('rule source fields', () => {
+  it('offers built-in and custom fields, but not the field being edited', () => {
+    const names = getConditionSourceFields(formFields, 'sidingType').map(field => field.fieldName);
+    expect(names).toEqual(expect.arrayContaining(['projectType', 'homeSize', 'hasPets', 'gateCode']));
+    expect(names).not.toContain('sidingType');
+    expect(names).not.toContain('email');
+  });
+
+  it('limits step rules to fields on earlier steps', () => {
+    const project = getStepRuleSourceFields(formFields, 'project').map(field => field.fieldName);
+    const preferences = getStepRuleSourceFields(formFields, 'preferences').map(field => field.fieldName);
+
+    expect(project).toEqual(['hasPets']);
+    expect(preferences).toEqual(expect.arrayContaining(['hasPets', 'projectType', 'sidingType']));
+    expect(preferences).not.toContain('gateCode');
+    expect(preferences).not.toContain('timeline');
+  });
+});
+
+describe('describeRule', () => {
+  it('names fields and options in plain words', () => {
+    const sourceFields = getConditionSourceFields(formFields);
+    expect(describeRule({
+      match: 'any',
+      conditions: [
+        { field: 'projectType', operator: 'equals', value: 'exterior' },
+        { field: 'hasPets', operator: 'equals', value: true },
+        { field: 'gateCode', operator: 'is_empty' }
+      ]
+    }, sourceFields)).toBe('Project Type is Exterior Painting or Pets? is checked or Gate code is empty');
+  });
+});
@@ -0,0 +1,80 @@
+// src/utils/__tests__/paintUtils.test.js
+import { calculateGallonsNeeded, getContainerPrices, optimizeContainerPurchase, buildPaintPurchasePlan } from '../paintUtils';
+
+const prices = { quart: 15, gallon: 40, pail: 170 };
+
+const describeMix = (purchase) => purchase.containers.map(container => `${container.count} ${container.key}`).join(' + ');
+
+describe('calculateGallonsNeeded', () => {
+  it('adds 10% waste and rounds up to the quarter gallon', () => {
+    expect(calculateGallonsNeeded(350, 2, 350)).toBe(2.25);
+    expect(calculateGallonsNeeded(0, 2, 350)).toBe(0);
+  });
+});
+
+describe('getContainerPrices', () => {
+  it('uses configured container prices and falls back to the gallon price', () => {
+    expect(getContainerPrices({ pricePerGallon: 42, containerPrices: { pail: 180, quart: '' } })).toEqual({ quart: null, gallon: 42, pail: 180 });
+  });
+});
+
+describe('optimizeContainerPurchase', () => {
+  it('buys a pail when it is cheaper than the gallons and quarts it replaces', () => {
+    const purchase = optimizeContainerPurchase(4.5, prices);
+    expect(describeMix(purchase)).toBe('1 pail');
+    expect(purchase.purchasedGallons).toBe(5);
+    expect(purchase.cost).toBe(170);
+  });
+
+  it('tops up with quarts instead of a whole extra gallon', () => {
+    const purchase = optimizeContainerPurchase(1.25, prices);
+    expect(describeMix(purchase)).toBe('1 gallon + 1 quart');
+    expect(purchase.cost).toBe(55);
+  });
+
+  it('buys a gallon when it is cheaper than the quarts needed', () => {
+    expect(describeMix(optimizeContainerPurchase(0.75, prices))).toBe('1 gallon');
+  });
+
+  it('mixes pails, gallons and quarts for large needs', () => {
+    const purchase = optimizeContainerPurchase(11.25, prices);
+    expect(describeMix(purchase)).toBe('2 pail + 1 gallon + 1 quart');
+    expect(purchase.cost).toBe(395);
+  });
+
+  it('prefers fewer containers when the cost is the same', () => {
+    expect(describeMix(optimizeContainerPurchase(1, { quart: 10, gallon: 40 }))).toBe('1 gallon');
+  });
+
+  it('only offers sizes that have a price', () => {
+    expect(describeMix(optimizeContainerPurchase(4.5, { gallon: 40 }))).toBe('5 gallon');
+  });
+
+  it('tolerates floating point noise in the gallons needed', () => {
+    expect(optimizeContainerPurchase(2.2500000001, prices).purchasedGallons).toBe(2.25);
+  });
+
+  it('rounds up to whole gallons at no cost when nothing is priced', () => {
+    expect(optimizeContainerPurchase(2.25, {})).toMatchObject({ purchasedGallons: 3, cost: 0 });
+    expect(optimizeContainerPurchase(0, prices)).toMatchObject({ containers: [], cost: 0 });
+  });
+});
+
+describe('buildPaintPurchasePlan', () => {
+  it('buys each product and color together across areas', () => {
+    const products = { 10: { productName: 'ProMar 200', pricePerGallon: 40, containerPrices: prices } };
+    const plan = buildPaintPurchasePlan([
+      { productId: 10, color: 'Alabaster', gallons: 2.5, areaName: 'Kitchen', categoryName: 'Walls' },
+      { productId: 10, color: 'alabaster ', gallons: 2.25, areaName: 'Hall', categoryName: 'Walls' },
+      { productId: 10, color: 'Tricorn Black', gallons: 0.5, areaName: 'Hall', categoryName: 'Doors' },
+      { productId: null, gallons: 3 }
+    ], products);
+
+    expect(plan.items.map(item => [item.color, item.gallonsNeeded, describeMix(item)])).toEqual([
+      ['Alabaster', 4.75, '1 pail'],
+      ['Tricorn Black', 0.5, '2 quart']
+    ]);
+    expect(plan.items[0].surfaces).toEqual(['Kitchen — Walls', 'Hall — Walls']);
+    expect(plan.totalCost).toBe(200);
+  });
+});
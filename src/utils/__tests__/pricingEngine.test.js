@@ -0,0 +1,155 @@
+// src/utils/__tests__/pricingEngine.test.js
+import { buildContractorSettings, calculateQuotePricing, buildPriceAuditTrail } from '../pricingEngine';
+
+const contractorSettings = buildContractorSettings(
+  { taxRatePercentage: 8.25, depositPercentage: 50 },
+  {
+    laborMarkupPercent: 10,
+    materialMarkupPercent: 20,
+    overheadPercent: 10,
+    netProfitPercent: 10,
+    turnkeyInteriorRate: 3.5,
+    productionInteriorWalls: 300,
+    defaultBillableLaborRate: 60,
+    flatRateUnitPrices: { room_small: 400 }
+  },
+  {
+    laborCategories: [{ id: 1, categoryName: 'Walls' }],
+    laborRates: { 1: 2 }
+  }
+);
+
+const products = {
+  10: { productName: 'ProMar 200', pricePerGallon: 40, containerPrices: {} }
+};
+
+const wallsArea = (quantity) => ({
+  id: 'a1',
+  name: 'Living Room',
+  laborItems: [
+    { categoryName: 'Walls', measurementUnit: 'sqft', quantity, numberOfCoats: 2, selected: true }
+  ]
+});
+
+const productSets = [{ areaId: 'a1', surfaceType: 'Walls', products: { better: 10 } }];
+
+describe('calculateQuotePricing', () => {
+  it('prices turnkey quotes from home size, condition and stories with no tax line', () => {
+    const quote = calculateQuotePricing({
+      schemeType: 'turnkey',
+      jobType: 'interior',
+      homeSqft: 2000,
+      conditionModifier: 'good',
+      numberOfStories: 2,
+      contractorSettings
+    });
+
+    expect(quote.mode).toBe('turnkey');
+    expect(quote.subtotal).toBe(8085);
+    expect(quote.tax).toBe(0);
+    expect(quote.total).toBe(8085);
+    expect(quote.deposit).toBe(4042.5);
+    expect(quote.balance).toBe(4042.5);
+  });
+
+  it('prices flat unit items at configured or default unit prices and adds tax', () => {
+    const quote = calculateQuotePricing({
+      schemeType: 'flat_rate_unit',
+      flatRateItems: { interior: { doors: 4, smallRooms: 2 } },
+      contractorSettings
+    });
+
+    expect(quote.mode).toBe('flat_unit');
+    expect(quote.lineItems.map(item => [item.categoryName, item.laborCost, item.laborRateSource])).toEqual([
+      ['Doors', 340, 'default'],
+      ['Small Rooms', 800, 'flatRateUnitPrices']
+    ]);
+    expect(quote.subtotal).toBe(1140);
+    expect(quote.tax).toBe(94.05);
+    expect(quote.total).toBe(1234.05);
+    expect(quote.materialTotal).toBe(0);
+  });
+
+  it('prices production quotes from estimated hours at the billable rate', () => {
+    const quote = calculateQuotePricing({
+      schemeType: 'production_based',
+      areas: [wallsArea(600)],
+      productSets,
+      contractorSettings,
+      products
+    });
+
+    expect(quote.mode).toBe('production');
+    expect(quote.totalHours).toBe(2);
+    expect(quote.laborTotal).toBe(120);
+    expect(quote.lineItems[0].gallons).toBe(4);
+    expect(quote.materialTotal).toBe(160);
+  });
+
+  it('prices rate per sqft quotes through the markup chain', () => {
+    const quote = calculateQuotePricing({
+      schemeType: 'rate_based_sqft',
+      areas: [wallsArea(350)],
+      productSets,
+      contractorSettings,
+      products
+    });
+
+    expect(quote.mode).toBe('rate_sqft');
+    expect(quote.laborTotal).toBe(700);
+    expect(quote.lineItems[0].gallons).toBe(2.25);
+    // 2.25 gallons needed, bought as three gallons
+    expect(quote.materialTotal).toBe(120);
+    expect(quote.laborMarkupAmount).toBe(70);
+    expect(quote.materialMarkupAmount).toBe(24);
+    expect(quote.overhead).toBe(91.4);
+    expect(quote.profitAmount).toBe(100.54);
+    expect(quote.subtotal).toBe(1105.94);
+    expect(quote.tax).toBe(91.24);
+    expect(quote.total).toBe(1197.18);
+  });
+
+  it('leaves materials off labor-only quotes unless they are explicitly included', () => {
+    const input = {
+      schemeType: 'rate_based_sqft',
+      areas: [wallsArea(350)],
+      productSets,
+      contractorSettings,
+      products,
+      laborOnly: true
+    };
+
+    expect(calculateQuotePricing(input).materialTotal).toBe(0);
+    expect(calculateQuotePricing({ ...input, includeMaterials: true }).materialTotal).toBe(120);
+  });
+
+  it('splits crew hours across the painters on site before the crew size', () => {
+    const quote = calculateQuotePricing({
+      schemeType: 'production_based',
+      areas: [wallsArea(600)],
+      contractorSettings,
+      paintersOnSite: 2,
+      crewSize: 4
+    });
+
+    expect(quote.crewSize).toBe(2);
+    expect(quote.crewHours).toBe(1);
+  });
+});
+
+describe('buildPriceAuditTrail', () => {
+  it('explains estimated and manually entered gallons', () => {
+    const area = wallsArea(350);
+    const manualArea = {
+      ...area,
+      laborItems: [{ ...area.laborItems[0], allowManualGallons: true, gallons: 5 }]
+    };
+    const input = { schemeType: 'rate_based_sqft', productSets, contractorSettings, products };
+
+    const [estimated] = buildPriceAuditTrail(calculateQuotePricing({ ...input, areas: [area] })).lineItems;
+    const [manual] = buildPriceAuditTrail(calculateQuotePricing({ ...input, areas: [manualArea] })).lineItems;
+
+    expect(estimated.materialFormula).toBe('350 sq ft × 2 coats ÷ 350 sq ft/gal × 1.1 waste → 2.25 gal × $40/gal = $90');
+    expect(manual.materialFormula).toBe('5 gal entered manually × $40/gal = $200');
+  });
+});
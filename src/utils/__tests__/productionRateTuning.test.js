@@ -0,0 +1,134 @@
+// src/utils/__tests__/productionRateTuning.test.js
+import {
+  toProductionRateDefaults,
+  getLineItemRateKey,
+  buildRateSamples,
+  summarizeRateDrift,
+  suggestProductionRates,
+  previewQuoteChanges
+} from '../productionRateTuning';
+
+const rates = { interiorWalls: 200, interiorCeilings: 150 };
+
+const walls = (areaName, quantity, hours, extra = {}) => ({
+  areaName,
+  categoryName: 'Walls',
+  measurementUnit: 'sqft',
+  quantity,
+  hours,
+  laborRateSource: 'productionRates',
+  laborRateKey: 'interiorWalls',
+  laborCost: hours * 50,
+  ...extra
+});
+
+const jobs = [
+  {
+    job: { id: 1, jobNumber: 'JOB-1' },
+    quote: {
+      id: 100,
+      jobType: 'interior',
+      calculation: {
+        lineItems: [
+          walls('Kitchen', 400, 2, { billableLaborRate: 50 }),
+          { areaName: 'Kitchen', categoryName: 'Ceilings', measurementUnit: 'sqft', quantity: 150 },
+          { areaName: 'Kitchen', categoryName: 'Prep', measurementUnit: 'hour', quantity: 1 },
+          { areaName: 'Kitchen', categoryName: 'Primer', measurementUnit: 'gallon', quantity: 2 }
+        ]
+      }
+    },
+    timeEntries: [{ areaName: 'Kitchen', hours: 5 }, { areaName: 'kitchen ', hours: 1 }]
+  },
+  {
+    job: { id: 2, jobNumber: 'JOB-2', quoteId: 101 },
+    quote: { calculation: { lineItems: [walls('Hall', 600, 3)] } },
+    timeEntries: [{ areaName: 'Hall', hours: 4 }]
+  },
+  {
+    job: { id: 3 },
+    quote: { calculation: { lineItems: [walls('Den', 200, 1)] } },
+    timeEntries: []
+  }
+];
+
+const samples = buildRateSamples(jobs, rates);
+
+describe('production line items', () => {
+  it('maps items to production rate keys, skipping hourly, gallon and empty items', () => {
+    const { lineItems } = jobs[0].quote.calculation;
+    expect(getLineItemRateKey(lineItems[0])).toBe('interiorWalls');
+    expect(getLineItemRateKey(lineItems[1], jobs[0].quote)).toBe('interiorCeilings');
+    expect(getLineItemRateKey(lineItems[2])).toBeNull();
+    expect(getLineItemRateKey(lineItems[3])).toBeNull();
+    expect(getLineItemRateKey(walls('Den', 0, 0))).toBeNull();
+  });
+
+  it('saves rates to their contractor defaults fields', () => {
+    expect(toProductionRateDefaults({ interiorWalls: 190, unknown: 3 })).toEqual({ productionInteriorWalls: 190 });
+  });
+});
+
+describe('buildRateSamples', () => {
+  it('shares area hours left after hourly items out by estimated hours', () => {
+    expect(samples.map(sample => [sample.jobId, sample.quoteId, sample.key, sample.estimatedHours])).toEqual([
+      [1, 100, 'interiorWalls', 2],
+      [1, 100, 'interiorCeilings', 1],
+      [2, 101, 'interiorWalls', 3]
+    ]);
+    expect(samples[0].actualHours).toBeCloseTo(10 / 3);
+    expect(samples[1].actualHours).toBeCloseTo(5 / 3);
+    expect(samples[2].actualHours).toBe(4);
+  });
+});
+
+describe('summarizeRateDrift', () => {
+  it('compares estimated and actual hours, largest drift first', () => {
+    expect(summarizeRateDrift(samples, rates).map(row => [row.key, row.jobs, row.hoursDrift, row.currentRate, row.observedRate])).toEqual([
+      ['interiorCeilings', 1, 66.7, 150, 90],
+      ['interiorWalls', 2, 46.7, 200, 136]
+    ]);
+  });
+});
+
+describe('suggestProductionRates', () => {
+  it('blends observed rates into the configured rate and needs two jobs to act', () => {
+    expect(suggestProductionRates(samples, rates).map(row => [row.key, row.suggestedRate, row.change, row.confidence, row.actionable])).toEqual([
+      ['interiorWalls', 190, -5, 'low', true],
+      ['interiorCeilings', 148, -1.3, 'low', false]
+    ]);
+  });
+});
+
+describe('previewQuoteChanges', () => {
+  it('reprices hours on covered items and labor on production-priced items', () => {
+    expect(previewQuoteChanges(jobs, rates, { interiorWalls: 190 })).toEqual([
+      {
+        jobId: 1,
+        jobNumber: 'JOB-1',
+        quoteId: 100,
+        quoteNumber: undefined,
+        customerName: undefined,
+        currentHours: 4,
+        newHours: 4.11,
+        actualHours: 6,
+        currentLabor: 100,
+        newLabor: 105.26,
+        laborChange: 5.26
+      },
+      {
+        jobId: 2,
+        jobNumber: 'JOB-2',
+        quoteId: 101,
+        quoteNumber: undefined,
+        customerName: undefined,
+        currentHours: 3,
+        newHours: 3.16,
+        actualHours: 4,
+        currentLabor: 150,
+        newLabor: 157.89,
+        laborChange: 7.89
+      },
+      expect.objectContaining({ jobId: 3, currentHours: 1 })
+    ]);
+  });
+});
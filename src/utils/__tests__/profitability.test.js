@@ -0,0 +1,153 @@
+// src/utils/__tests__/profitability.test.js
+import {
+  getPricingSchemeLabel,
+  getMarginTargets,
+  getLeadSource,
+  getEstimatorName,
+  buildJobProfitability,
+  summarizeProfitability,
+  groupProfitability,
+  buildProfitTrend,
+  profitabilityGroupsToRows
+} from '../profitability';
+
+const targets = getMarginTargets({ overheadPercent: '10', netProfitPercent: 15 });
+
+const context = {
+  crews: [{ id: 1, hourlyCost: 40 }],
+  leadsById: { 5: { referralSource: 'Neighbor', utmSource: 'google' }, 6: { utmSource: 'facebook' } },
+  targets
+};
+
+const entries = [
+  // Production quote, nothing logged: priced on the quote estimates
+  {
+    job: { id: 11, jobNumber: 'J-11', actualEndDate: '2026-03-15T12:00:00' },
+    quote: {
+      pricingScheme: { type: 'production_based' },
+      jobType: 'interior',
+      zipCode: '62704',
+      leadId: 5,
+      gbbSelectedTier: 'better',
+      estimator: { firstName: 'Ann', lastName: 'Lee' },
+      calculation: { subtotal: 10000, laborTotal: 4000, materialTotal: 2000 }
+    }
+  },
+  // Turnkey quote with only labor logged: materials unknown
+  {
+    job: { id: 12, zipCode: '62704', completedAt: '2026-03-20T12:00:00' },
+    quote: { pricingScheme: { type: 'turnkey' }, total: 5400, tax: 400, estimatorName: 'Bob' },
+    timeEntries: [{ crewId: 1, hours: 50 }]
+  },
+  // Turnkey quote with labor and materials logged
+  {
+    job: { id: 13, leadId: 6, scheduledEndDate: '2026-04-02T12:00:00' },
+    quote: { schemeType: 'turnkey', subtotal: 8000 },
+    timeEntries: [{ crewId: 1, hours: 60 }],
+    materialPurchases: [{ cost: 1200 }]
+  },
+  // Rate quote with labor logged and estimated materials
+  {
+    job: { id: 14 },
+    quote: { schemeType: 'rate_based_sqft', calculation: { subtotal: 2000, laborTotal: 800, materialTotal: 500 } },
+    timeEntries: [{ crewId: 1, hours: 30 }]
+  }
+];
+
+const records = entries.map(entry => buildJobProfitability(entry, context));
+
+describe('labels', () => {
+  it('names schemes, lead sources and estimators', () => {
+    expect(getPricingSchemeLabel('sqft_turnkey')).toBe('Turnkey');
+    expect(getPricingSchemeLabel(null)).toBe('Unknown');
+    expect(getLeadSource({ utmSource: 'google', source: 'web' })).toBe('google');
+    expect(getLeadSource({})).toBe('Direct');
+    expect(getEstimatorName({ createdByUser: { fullName: 'Cy Dee' } })).toBe('Cy Dee');
+    expect(getEstimatorName({})).toBe('Unassigned');
+  });
+
+  it('adds overhead and net profit into the gross margin target', () => {
+    expect(targets).toEqual({ overheadPercent: 10, netProfitPercent: 15, grossMarginPercent: 25 });
+  });
+});
+
+describe('buildJobProfitability', () => {
+  it('uses quote estimates for jobs without logged costs', () => {
+    expect(records[0]).toMatchObject({
+      jobId: 11,
+      completedAt: '2026-03-15T12:00:00',
+      pricingScheme: 'Production Based',
+      tier: 'Better',
+      jobType: 'Interior',
+      zipCode: '62704',
+      leadSource: 'Neighbor',
+      estimator: 'Ann Lee',
+      revenue: 10000,
+      grossProfit: 4000,
+      grossMargin: 40,
+      overhead: 1000,
+      netProfit: 3000,
+      netMargin: 30,
+      costSource: 'estimated'
+    });
+  });
+
+  it('leaves selling-price quotes out of costs until both costs are logged', () => {
+    expect(records[1]).toMatchObject({
+      revenue: 5000,
+      tier: 'Single Product',
+      leadSource: 'No Lead',
+      estimator: 'Bob',
+      laborCost: null,
+      grossMargin: null,
+      costSource: 'none'
+    });
+    expect(records[2]).toMatchObject({ revenue: 8000, laborCost: 2400, materialCost: 1200, netProfit: 3600, netMargin: 45, leadSource: 'facebook', costSource: 'actual' });
+  });
+
+  it('mixes logged labor with estimated materials', () => {
+    expect(records[3]).toMatchObject({ pricingScheme: 'Rate Based (sq ft)', laborCost: 1200, materialCost: 500, grossMargin: 15, costSource: 'mixed', completedAt: null });
+  });
+});
+
+describe('summaries', () => {
+  it('counts all revenue but only costed jobs in margins', () => {
+    expect(summarizeProfitability(records, targets)).toEqual({
+      jobs: 4,
+      costedJobs: 3,
+      revenue: 25000,
+      averageJob: 6250,
+      laborCost: 7600,
+      materialCost: 3700,
+      grossProfit: 8700,
+      grossMargin: 43.5,
+      overhead: 2000,
+      netProfit: 6700,
+      netMargin: 33.5,
+      grossMarginVsTarget: 18.5,
+      netMarginVsTarget: 18.5
+    });
+  });
+
+  it('groups by dimension, largest revenue first', () => {
+    const groups = groupProfitability(records, 'pricingScheme', targets);
+    expect(groups.map(group => [group.value, group.jobs, group.costedJobs, group.revenue, group.grossMargin])).toEqual([
+      ['Turnkey', 2, 1, 13000, 55],
+      ['Production Based', 1, 1, 10000, 40],
+      ['Rate Based (sq ft)', 1, 1, 2000, 15]
+    ]);
+    expect(profitabilityGroupsToRows(groups, 'Pricing Scheme')[0]).toMatchObject({
+      'Pricing Scheme': 'Turnkey',
+      Jobs: 2,
+      'Jobs With Costs': 1,
+      'Gross Margin vs Target (pts)': 30
+    });
+  });
+
+  it('trends by completion month, skipping jobs without a date', () => {
+    expect(buildProfitTrend(records, targets).map(month => [month.month, month.jobs, month.revenue])).toEqual([
+      ['2026-03', 2, 15000],
+      ['2026-04', 1, 8000]
+    ]);
+  });
+});
@@ -0,0 +1,111 @@
+// src/utils/__tests__/quoteMergeUtils.test.js
+import { mergeQuoteDrafts, mergeValue, isEqualValue } from '../quoteMergeUtils';
+
+const surface = (id, quantity) => ({ id, categoryName: `Surface ${id}`, quantity, selected: true });
+
+const area = (id, name, laborItems) => ({ id, name, laborItems });
+
+const base = {
+  quoteId: 7,
+  customerName: 'Jane Doe',
+  notes: '',
+  areas: [
+    area(1, 'Kitchen', [surface(11, 200), surface(12, 40)]),
+    area(2, 'Bedroom', [surface(21, 300)])
+  ]
+};
+
+describe('isEqualValue', () => {
+  it('treats numeric strings from the API as equal to numbers', () => {
+    expect(isEqualValue('8.25', 8.25)).toBe(true);
+    expect(isEqualValue({ a: 1, b: '2' }, { b: 2, a: 1 })).toBe(true);
+    expect(isEqualValue('', undefined)).toBe(true);
+  });
+});
+
+describe('mergeValue', () => {
+  it('takes the side that changed and flags changes on both sides', () => {
+    expect(mergeValue(1, 1, 2)).toEqual({ value: 2, conflict: false, changedBy: 'server' });
+    expect(mergeValue(1, 3, 1)).toEqual({ value: 3, conflict: false, changedBy: 'local' });
+    expect(mergeValue(1, 3, 2)).toEqual({ value: 3, conflict: true });
+  });
+});
+
+describe('mergeQuoteDrafts', () => {
+  it('merges edits to different areas without conflicts', () => {
+    const local = { ...base, areas: [area(1, 'Kitchen', [surface(11, 250), surface(12, 40)]), base.areas[1]] };
+    const server = { ...base, areas: [base.areas[0], area(2, 'Bedroom', [surface(21, 320)])] };
+
+    const { merged, conflicts, changes } = mergeQuoteDrafts({ base, local, server });
+
+    expect(conflicts).toEqual([]);
+    expect(merged.areas[0].laborItems[0].quantity).toBe(250);
+    expect(merged.areas[1].laborItems[0].quantity).toBe(320);
+    expect(changes.map(change => change.change)).toEqual(['Yours', 'Server']);
+  });
+
+  it('reports a conflict when both sides change the same field and applies choices', () => {
+    const local = { ...base, customerName: 'Jane Smith' };
+    const server = { ...base, customerName: 'Janet Doe' };
+
+    const { merged, conflicts } = mergeQuoteDrafts({ base, local, server });
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({ id: 'customerName', label: 'Customer name', localValue: 'Jane Smith', serverValue: 'Janet Doe' });
+    expect(merged.customerName).toBe('Jane Smith');
+
+    const resolved = mergeQuoteDrafts({ base, local, server, choices: { customerName: 'server' } });
+    expect(resolved.merged.customerName).toBe('Janet Doe');
+  });
+
+  it('reports a conflict when both sides edit the same surface', () => {
+    const local = { ...base, areas: [area(1, 'Kitchen', [surface(11, 250), surface(12, 40)]), base.areas[1]] };
+    const server = { ...base, areas: [area(1, 'Kitchen', [surface(11, 180), surface(12, 40)]), base.areas[1]] };
+
+    const { conflicts } = mergeQuoteDrafts({ base, local, server });
+
+    expect(conflicts.map(conflict => [conflict.id, conflict.kind])).toEqual([['areas.1.items.11', 'item']]);
+  });
+
+  it('drops an area deleted on one side when the other side left it alone', () => {
+    const local = { ...base, areas: [base.areas[0]] };
+    const server = { ...base, notes: 'Gate code 1234' };
+
+    const { merged, conflicts, changes } = mergeQuoteDrafts({ base, local, server });
+
+    expect(conflicts).toEqual([]);
+    expect(merged.areas.map(a => a.name)).toEqual(['Kitchen']);
+    expect(merged.notes).toBe('Gate code 1234');
+    expect(changes).toContainEqual(expect.objectContaining({ id: 'areas.2', change: 'Removed (yours)' }));
+  });
+
+  it('asks before dropping an area deleted on one side but edited on the other', () => {
+    const local = { ...base, areas: [base.areas[0]] };
+    const server = { ...base, areas: [base.areas[0], area(2, 'Bedroom', [surface(21, 500)])] };
+
+    const { merged, conflicts } = mergeQuoteDrafts({ base, local, server });
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({ id: 'areas.2', localValue: null, description: 'You removed it but it was edited on the server' });
+    expect(merged.areas).toHaveLength(1);
+
+    const kept = mergeQuoteDrafts({ base, local, server, choices: { 'areas.2': 'server' } });
+    expect(kept.merged.areas.map(a => a.name)).toEqual(['Kitchen', 'Bedroom']);
+  });
+
+  it('keeps areas added on either side', () => {
+    const local = { ...base, areas: [...base.areas, area(3, 'Hall', [])] };
+    const server = { ...base, areas: [...base.areas, area(4, 'Garage', [])] };
+
+    const { merged, conflicts } = mergeQuoteDrafts({ base, local, server });
+
+    expect(conflicts).toEqual([]);
+    expect(merged.areas.map(a => a.name)).toEqual(['Kitchen', 'Bedroom', 'Garage', 'Hall']);
+  });
+
+  it('treats every difference as a conflict when the base is unknown', () => {
+    const local = { ...base, customerName: 'Jane Smith' };
+
+    const { conflicts } = mergeQuoteDrafts({ base: null, local, server: base });
+
+    expect(conflicts.map(conflict => conflict.id)).toEqual(['customerName']);
+  });
+});
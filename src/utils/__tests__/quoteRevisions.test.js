@@ -0,0 +1,127 @@
+// src/utils/__tests__/quoteRevisions.test.js
+import {
+  buildRevisionSnapshot,
+  getRevisionAuthor,
+  diffQuoteRevisions,
+  summarizeRevisionChanges,
+  formatRevisionValue
+} from '../quoteRevisions';
+import { calculateTierPricing } from '../pricingEngine';
+
+const products = { p1: { productName: 'Eco' }, p2: { productName: 'Pro' }, p3: { productName: 'Ultra' } };
+
+const formData = {
+  id: 9,
+  status: 'draft',
+  customerName: 'Jane',
+  notes: 'Gate code 1234',
+  areas: [
+    {
+      id: 1,
+      name: 'Kitchen',
+      jobType: 'interior',
+      laborItems: [
+        { categoryName: 'Walls', selected: true, quantity: 300, measurementUnit: 'sqft' },
+        { categoryName: 'Ceilings', selected: false, quantity: 100, measurementUnit: 'sqft' }
+      ]
+    },
+    { id: 2, name: 'Hall', jobType: 'interior', laborItems: [] }
+  ],
+  productSets: [{ id: 's1', areaName: 'Kitchen', surfaceType: 'Walls', products: { good: 'p1', better: 'p2' } }]
+};
+
+const before = buildRevisionSnapshot({
+  formData,
+  calculation: { laborTotal: 1000.004, total: '2500' },
+  tierPricing: { good: { total: 2000 }, better: { total: 2500.559 }, best: { total: 3000 } },
+  products
+});
+
+const after = buildRevisionSnapshot({
+  formData: {
+    ...formData,
+    customerName: 'Jane Doe',
+    areas: [
+      {
+        ...formData.areas[0],
+        name: 'Kitchen & Nook',
+        laborItems: [
+          { categoryName: 'Walls', selected: true, quantity: 320, measurementUnit: 'sqft' },
+          { categoryName: 'Ceilings', selected: false, quantity: 120, measurementUnit: 'sqft' }
+        ]
+      },
+      { id: 3, name: 'Bath', jobType: 'interior', laborItems: [] }
+    ],
+    productSets: [{ ...formData.productSets[0], products: { good: 'p1', better: 'p3' } }]
+  },
+  calculation: { laborTotal: 1000, total: 2600 },
+  tierPricing: { good: { total: 2000 }, better: { total: 2600 }, best: { total: 3000 } },
+  products
+});
+
+describe('buildRevisionSnapshot', () => {
+  it('keeps the form without bookkeeping fields, with product names, tier prices and rounded totals', () => {
+    expect(before).not.toHaveProperty('id');
+    expect(before).not.toHaveProperty('status');
+    expect(before.productNames).toEqual({ p1: { productName: 'Eco' }, p2: { productName: 'Pro' } });
+    expect(before.tierPrices).toEqual({ good: 2000, better: 2500.56, best: 3000 });
+    expect(before.calculation).toEqual({ laborTotal: 1000, materialTotal: 0, subtotal: 0, tax: 0, total: 2500, deposit: 0 });
+  });
+
+  it('records tier prices from the pricing engine, which carries no gbbEnabled flag', () => {
+    const tierPricing = calculateTierPricing({});
+    expect(tierPricing).not.toHaveProperty('gbbEnabled');
+    expect(buildRevisionSnapshot({ formData, tierPricing }).tierPrices).toEqual({ good: 0, better: 0, best: 0 });
+  });
+
+  it('has no tier prices for single-product quotes', () => {
+    expect(buildRevisionSnapshot({ formData }).tierPrices).toBeNull();
+  });
+});
+
+describe('diffQuoteRevisions', () => {
+  const rows = diffQuoteRevisions(before, after);
+
+  it('lists changes in display order, ignoring unselected surfaces', () => {
+    expect(rows.map(row => [row.id, row.group, row.label, row.change])).toEqual([
+      ['customerName', 'Quote details', 'Customer name', 'changed'],
+      ['areas.1.name', 'Kitchen & Nook', 'Name', 'changed'],
+      ['areas.1.items.Walls', 'Kitchen & Nook', 'Walls', 'changed'],
+      ['areas.3', 'Bath', 'Area', 'added'],
+      ['areas.2', 'Hall', 'Area', 'removed'],
+      ['productSets.s1', 'Products', 'Kitchen › Walls', 'changed'],
+      ['tierPrices.better', 'Tier prices', 'Better', 'changed'],
+      ['calculation.total', 'Totals', 'Total', 'changed']
+    ]);
+  });
+
+  it('finds nothing between identical snapshots', () => {
+    expect(diffQuoteRevisions(before, before)).toEqual([]);
+  });
+
+  it('counts changes per group', () => {
+    expect(summarizeRevisionChanges(rows)).toEqual([
+      { group: 'Quote details', count: 1 },
+      { group: 'Kitchen & Nook', count: 2 },
+      { group: 'Bath', count: 1 },
+      { group: 'Hall', count: 1 },
+      { group: 'Products', count: 1 },
+      { group: 'Tier prices', count: 1 },
+      { group: 'Totals', count: 1 }
+    ]);
+  });
+});
+
+describe('formatting', () => {
+  it('formats money, missing values and pricing schemes', () => {
+    expect(formatRevisionValue(2600, { kind: 'money' })).toBe('$2,600.00');
+    expect(formatRevisionValue(null, { kind: 'money' })).toBe('—');
+    expect(formatRevisionValue(4, { kind: 'field', field: 'pricingSchemeId' }, { pricingSchemes: [{ id: '4', name: 'Turnkey' }] })).toBe('Turnkey');
+  });
+
+  it('names who sent a revision', () => {
+    expect(getRevisionAuthor({ createdBy: { firstName: 'Ann', lastName: 'Lee' } })).toBe('Ann Lee');
+    expect(getRevisionAuthor({ snapshot: { sentBy: 'Bob' } })).toBe('Bob');
+    expect(getRevisionAuthor({})).toBe('Unknown');
+  });
+});
@@ -0,0 +1,66 @@
+// src/utils/__tests__/unitUtils.test.js
+import {
+  getUnitSystem,
+  getUnitLabel,
+  toDisplayQuantity,
+  toCanonicalQuantity,
+  toDisplayRate,
+  formatQuantity,
+  formatPaintQuantity
+} from '../unitUtils';
+
+describe('getUnitSystem', () => {
+  it('reads the unit system from form data or contractor settings and defaults to imperial', () => {
+    expect(getUnitSystem({ unitSystem: 'metric' })).toBe('metric');
+    expect(getUnitSystem({ contractorSettings: { other: { unitSystem: 'metric' } } })).toBe('metric');
+    expect(getUnitSystem({ unitSystem: 'furlongs' })).toBe('imperial');
+    expect(getUnitSystem()).toBe('imperial');
+  });
+});
+
+describe('metric conversions', () => {
+  it('converts stored imperial quantities for display', () => {
+    expect(toDisplayQuantity(400, 'sqft', 'metric')).toBe(37.16);
+    expect(toDisplayQuantity(100, 'linear_foot', 'metric')).toBe(30.48);
+    expect(toDisplayQuantity(2, 'gallon', 'metric')).toBe(7.57);
+    expect(toDisplayQuantity(350, 'coverage', 'metric')).toBe(8.59);
+  });
+
+  it.each([
+    ['sqft', 400],
+    ['linear_foot', 120],
+    ['length', 9],
+    ['gallon', 2.25],
+    ['coverage', 350]
+  ])('round-trips %s within rounding', (unit, stored) => {
+    const displayed = toDisplayQuantity(stored, unit, 'metric');
+    expect(toCanonicalQuantity(displayed, unit, 'metric')).toBeCloseTo(stored, 1);
+  });
+
+  it('leaves imperial values, counts and blanks untouched', () => {
+    expect(toDisplayQuantity(400, 'sqft', 'imperial')).toBe(400);
+    expect(toCanonicalQuantity('', 'sqft', 'metric')).toBe('');
+    expect(toDisplayQuantity(6, 'unit', 'metric')).toBe(6);
+    expect(toCanonicalQuantity(3, 'hour', 'metric')).toBe(3);
+  });
+
+  it('converts prices per stored unit to prices per display unit', () => {
+    expect(toDisplayRate(2, 'sqft', 'metric')).toBe(21.52);
+    expect(toDisplayRate(2, 'sqft', 'imperial')).toBe(2);
+  });
+});
+
+describe('formatting', () => {
+  it('labels quantities in the display unit system', () => {
+    expect(getUnitLabel('sqft', 'metric')).toBe('m²');
+    expect(formatQuantity(400, 'sqft', 'metric')).toBe('37.16 m²');
+    expect(formatQuantity(400, 'sqft', 'imperial')).toBe('400 sq ft');
+  });
+
+  it('shows paint as gallons, or litres with the cans to buy', () => {
+    expect(formatPaintQuantity(3.25, 'imperial')).toBe('3.25 gal');
+    expect(formatPaintQuantity(3.25, 'imperial', { wholeGallons: true })).toBe('4 gal');
+    expect(formatPaintQuantity(1, 'metric')).toBe('3.8 L (2 × 3.78 L cans)');
+    expect(formatPaintQuantity(3.25, 'metric')).toBe('12.3 L (4 × 3.78 L cans)');
+  });
+});
@@ -0,0 +1,125 @@
+// src/utils/__tests__/winLoss.test.js
+import {
+  getPriceBand,
+  getDecisionBand,
+  getQuoteOutcome,
+  buildWinLossRecord,
+  summarizeWinLoss,
+  groupWinLoss,
+  buildCloseRateTrend
+} from '../winLoss';
+
+const now = new Date('2026-05-01T12:00:00Z');
+const schemesById = { 7: { type: 'production_based' } };
+
+const quotes = [
+  { id: 1, status: 'accepted', total: 4000, sentAt: '2026-03-01T12:00:00Z', acceptedAt: '2026-03-04T12:00:00Z', pricingScheme: { type: 'turnkey' }, gbbSelectedTier: 'good' },
+  { id: 2, status: 'rejected', total: 12000, sentAt: '2026-03-10T12:00:00Z', rejectedAt: '2026-03-11T12:00:00Z', lostReason: 'budget_mismatch', rejectionReason: 'Too pricey', pricingSchemeId: 7 },
+  { id: 3, status: 'sent', total: 2000, sentAt: '2026-04-01T12:00:00Z', validUntil: '2026-04-20T12:00:00Z' },
+  { id: 4, status: 'viewed', total: 6000, sentAt: '2026-04-15T12:00:00Z', validUntil: '2026-06-01T12:00:00Z' },
+  { id: 5, status: 'accepted', total: 8000, sentAt: '2026-04-01T12:00:00Z' },
+  { id: 6, status: 'draft', total: 1000 },
+  { id: 7, status: 'sent', total: 25000, sentAt: '2026-03-02T12:00:00Z' }
+];
+
+const jobsByQuote = {
+  5: { id: 50, status: 'canceled', lostReason: 'chose_competitor', lostReasonRecordedAt: '2026-04-30T12:00:00Z' },
+  7: { id: 51, status: 'scheduled', createdAt: '2026-03-20T12:00:00Z' }
+};
+
+const records = quotes
+  .map(quote => buildWinLossRecord(quote, { job: jobsByQuote[quote.id], schemesById, now }))
+  .filter(Boolean);
+
+describe('bands', () => {
+  it('puts totals and decision times into bands', () => {
+    expect(getPriceBand(2499)).toBe('Under $2.5k');
+    expect(getPriceBand(2500)).toBe('$2.5k–5k');
+    expect(getPriceBand(50000)).toBe('$20k+');
+    expect(getDecisionBand(2)).toBe('0–2 days');
+    expect(getDecisionBand(31)).toBe('Over 30 days');
+    expect(getDecisionBand(null)).toBe('Still open');
+  });
+});
+
+describe('getQuoteOutcome', () => {
+  it('counts a canceled job as lost even though its quote was accepted', () => {
+    expect(getQuoteOutcome(quotes[4], jobsByQuote[5], now)).toEqual({
+      outcome: 'lost',
+      lostReason: 'chose_competitor',
+      lostReasonDetails: null,
+      decidedAt: '2026-04-30T12:00:00Z'
+    });
+  });
+
+  it('counts a quote that became a job as won', () => {
+    expect(getQuoteOutcome(quotes[6], jobsByQuote[7], now)).toMatchObject({ outcome: 'won', decidedAt: '2026-03-20T12:00:00Z' });
+  });
+
+  it('treats an expired sent quote as lost to no response', () => {
+    expect(getQuoteOutcome(quotes[2], null, now)).toMatchObject({ outcome: 'lost', lostReason: 'no_response' });
+    expect(getQuoteOutcome(quotes[3], null, now).outcome).toBe('open');
+  });
+
+  it('falls back to not_recorded for unexplained losses', () => {
+    expect(getQuoteOutcome({ status: 'declined' }).lostReason).toBe('not_recorded');
+  });
+});
+
+describe('buildWinLossRecord', () => {
+  it('skips drafts', () => {
+    expect(records.map(record => record.quoteId)).toEqual([1, 2, 3, 4, 5, 7]);
+  });
+
+  it('records the outcome, days to decision and report dimensions', () => {
+    expect(records[1]).toMatchObject({
+      outcome: 'lost',
+      lostReason: 'budget_mismatch',
+      lostReasonDetails: 'Too pricey',
+      sentAt: '2026-03-10T12:00:00.000Z',
+      daysToDecision: 1,
+      pricingScheme: 'Production Based',
+      tier: 'Single Product',
+      priceBand: '$10k–20k',
+      decisionBand: '0–2 days'
+    });
+    expect(records[3]).toMatchObject({ outcome: 'open', viewed: true, daysToDecision: null, decisionBand: 'Still open' });
+  });
+});
+
+describe('summaries', () => {
+  it('counts close rate over decided quotes only', () => {
+    expect(summarizeWinLoss(records)).toEqual({
+      quotes: 6,
+      won: 2,
+      lost: 3,
+      open: 1,
+      closeRate: 40,
+      wonValue: 29000,
+      lostValue: 22000,
+      averageDaysToDecision: 14,
+      reasons: { budget_mismatch: 1, no_response: 1, chose_competitor: 1 }
+    });
+    expect(summarizeWinLoss([]).closeRate).toBeNull();
+  });
+
+  it('keeps bands in order and other values by quote count', () => {
+    expect(groupWinLoss(records, 'decisionBand').map(group => [group.value, group.quotes])).toEqual([
+      ['0–2 days', 1],
+      ['3–7 days', 1],
+      ['15–30 days', 3],
+      ['Still open', 1]
+    ]);
+    expect(groupWinLoss(records, 'tier').map(group => [group.value, group.quotes])).toEqual([
+      ['Single Product', 5],
+      ['Good', 1]
+    ]);
+  });
+
+  it('trends close rate by the month quotes were sent', () => {
+    expect(buildCloseRateTrend(records)).toEqual([
+      { month: '2026-03', won: 2, lost: 1, open: 0, closeRate: 66.7 },
+      { month: '2026-04', won: 0, lost: 2, open: 1, closeRate: 0 }
+    ]);
+  });
+});
@@ -0,0 +1,194 @@
+// src/utils/ballparkEstimator.js
+// Instant ballpark estimate for lead forms. Each form carries an estimator config that maps the
+// visitor's answers (home size, project type, stories, condition) to a price range using the
+// tenant's turnkey rates or a turnkey pricing scheme. Rates are never stored in the config: the builder
+// previews with the tenant's current settings and the server prices each submission the same way, so
+// the public form never sees them.
+
+import { DEFAULT_CONDITION_MULTIPLIERS, DEFAULT_STORY_MULTIPLIERS, getTurnkeyMultipliers } from './pricingEngine';
+
+export const RATE_SOURCES = [
+  { value: 'turnkey_interior', label: 'Turnkey interior rate', perSqft: true },
+  { value: 'turnkey_exterior', label: 'Turnkey exterior rate', perSqft: true },
+  { value: 'turnkey_both', label: 'Turnkey interior + exterior', perSqft: true },
+  { value: 'scheme_interior', label: 'Pricing scheme: interior rate', perSqft: true },
+  { value: 'scheme_exterior', label: 'Pricing scheme: exterior rate', perSqft: true },
+  { value: 'scheme_whole', label: 'Pricing scheme: turnkey rate', perSqft: true },
+  { value: 'custom', label: 'Custom rate per sq ft', perSqft: true },
+  { value: 'flat', label: 'Flat price', perSqft: false }
+];
+
+export const CONDITION_LEVELS = Object.keys(DEFAULT_CONDITION_MULTIPLIERS);
+
+/**
+ * Starting config for a new form: one row per project type option of the public form
+ */
+export const DEFAULT_ESTIMATOR_CONFIG = {
+  enabled: false,
+  pricingSchemeId: null,
+  homeSizeField: 'homeSize',
+  storiesField: null,
+  conditionField: null,
+  // Answer value -> condition level; answers already named after a level map to it directly
+  conditionMap: {},
+  defaultHomeSize: 2000,
+  sqftPerRoom: 250,
+  projectTypes: {
+    interior: { rateSource: 'turnkey_interior', rate: null, factor: 1, useStories: false },
+    exterior: { rateSource: 'turnkey_exterior', rate: null, factor: 1, useStories: true },
+    trim: { rateSource: 'turnkey_interior', rate: null, factor: 0.3, useStories: false },
+    cabinets: { rateSource: 'flat', rate: 4500, factor: 1, useStories: false },
+    whole_house: { rateSource: 'turnkey_both', rate: null, factor: 1, useStories: true },
+    other: { rateSource: 'turnkey_interior', rate: null, factor: 1, useStories: false }
+  },
+  lowPercent: 10,
+  highPercent: 20,
+  roundTo: 50,
+  minimumPrice: 0,
+  message: 'Based on your home size and project details. Your final quote may vary after an on-site visit.'
+};
+
+const toNumber = (value, fallback = 0) => {
+  const num = parseFloat(value);
+  return Number.isFinite(num) ? num : fallback;
+};
+
+/**
+ * Merge a saved config over the defaults (project type rows are merged one by one)
+ */
+export const normalizeEstimatorConfig = (config = {}) => {
+  // Older forms stored a rates snapshot in the config; drop it so it isn't saved or served again
+  const { rates, ...saved } = config || {};
+  return {
+    ...DEFAULT_ESTIMATOR_CONFIG,
+    ...saved,
+    projectTypes: Object.keys({ ...DEFAULT_ESTIMATOR_CONFIG.projectTypes, ...(saved.projectTypes || {}) }).reduce((rows, key) => {
+      rows[key] = { ...(DEFAULT_ESTIMATOR_CONFIG.projectTypes[key] || DEFAULT_ESTIMATOR_CONFIG.projectTypes.other), ...(saved.projectTypes?.[key] || {}) };
+      return rows;
+    }, {})
+  };
+};
+
+/**
+ * Tenant rates an estimator needs
+ * @param {object} defaults - Pricing engine defaults from /product-configs/defaults
+ * @param {object} scheme - Optional turnkey pricing scheme ({ pricingRules: { turnkeyRate, interiorRate, exteriorRate } })
+ */
+export const buildEstimatorRates = (defaults = {}, scheme = null) => {
+  const rules = scheme?.pricingRules || {};
+  return {
+    turnkeyInterior: toNumber(defaults.turnkeyInteriorRate),
+    turnkeyExterior: toNumber(defaults.turnkeyExteriorRate),
+    schemeWhole: toNumber(rules.turnkeyRate),
+    schemeInterior: toNumber(rules.interiorRate) || toNumber(rules.turnkeyRate),
+    schemeExterior: toNumber(rules.exteriorRate) || toNumber(rules.turnkeyRate),
+    ...getTurnkeyMultipliers(defaults)
+  };
+};
+
+const getBaseRate = (row, rates) => {
+  switch (row.rateSource) {
+    case 'turnkey_interior': return rates.turnkeyInterior;
+    case 'turnkey_exterior': return rates.turnkeyExterior;
+    case 'turnkey_both': return rates.turnkeyInterior + rates.turnkeyExterior;
+    case 'scheme_interior': return rates.schemeInterior;
+    case 'scheme_exterior': return rates.schemeExterior;
+    case 'scheme_whole': return rates.schemeWhole;
+    default: return toNumber(row.rate);
+  }
+};
+
+const roundTo = (value, step) => (step > 0 ? Math.round(value / step) * step : Math.round(value));
+
+/**
+ * Price a set of answers
+ * @param {object} config - Estimator config (see DEFAULT_ESTIMATOR_CONFIG)
+ * @param {object} answers - Lead form values keyed by field name
+ * @param {object} rates - Current rates from buildEstimatorRates
+ * @returns {object|null} - { estimate, low, high, breakdown: [{ label, value }], warnings: [] } or null when disabled / unpriceable
+ */
+export const estimateBallpark = (config, answers = {}, rates = null) => {
+  const settings = normalizeEstimatorConfig(config);
+  if (!settings.enabled) return null;
+
+  const tenantRates = { ...buildEstimatorRates(), ...(rates || {}) };
+  const projectType = answers.projectType;
+  const row = settings.projectTypes[projectType];
+  if (!row) return null;
+
+  const breakdown = [];
+  const warnings = [];
+  let estimate;
+
+  if (row.rateSource === 'flat') {
+    estimate = toNumber(row.rate);
+    breakdown.push({ label: 'Flat price', value: `$${estimate.toLocaleString()}` });
+  } else {
+    let homeSize = toNumber(answers[settings.homeSizeField || 'homeSize']);
+    if (homeSize <= 0 && toNumber(answers.roomCount) > 0) {
+      homeSize = toNumber(answers.roomCount) * toNumber(settings.sqftPerRoom, 250);
+      breakdown.push({ label: 'Home size (from rooms)', value: `${homeSize.toLocaleString()} sq ft` });
+    } else if (homeSize <= 0) {
+      homeSize = toNumber(settings.defaultHomeSize, 2000);
+      breakdown.push({ label: 'Home size (default)', value: `${homeSize.toLocaleString()} sq ft` });
+    } else {
+      breakdown.push({ label: 'Home size', value: `${homeSize.toLocaleString()} sq ft` });
+    }
+
+    const rate = getBaseRate(row, tenantRates);
+    if (rate <= 0) warnings.push(`No rate configured for ${RATE_SOURCES.find(s => s.value === row.rateSource)?.label || row.rateSource}`);
+    breakdown.push({ label: 'Rate', value: `$${rate.toFixed(2)}/sq ft` });
+
+    const factor = toNumber(row.factor, 1) || 1;
+    if (factor !== 1) breakdown.push({ label: 'Scope factor', value: `× ${factor}` });
+
+    estimate = homeSize * rate * factor;
+  }
+
+  if (row.useStories && settings.storiesField) {
+    const storyTable = tenantRates.storyMultipliers || DEFAULT_STORY_MULTIPLIERS;
+    const maxStories = Math.max(...Object.keys(storyTable).map(Number));
+    const stories = Math.min(Math.max(parseInt(answers[settings.storiesField], 10) || 1, 1), maxStories);
+    const multiplier = toNumber(storyTable[stories], 1) || 1;
+    if (multiplier !== 1) breakdown.push({ label: `${stories}${stories === maxStories ? '+' : ''} stories`, value: `× ${multiplier}` });
+    estimate *= multiplier;
+  }
+
+  if (settings.conditionField && answers[settings.conditionField] !== undefined && answers[settings.conditionField] !== null) {
+    const answer = String(answers[settings.conditionField]);
+    const level = settings.conditionMap?.[answer] || answer.toLowerCase();
+    const conditionTable = tenantRates.conditionMultipliers || DEFAULT_CONDITION_MULTIPLIERS;
+    const multiplier = toNumber(conditionTable[level], 0);
+    if (multiplier > 0) {
+      if (multiplier !== 1) breakdown.push({ label: `Condition: ${level}`, value: `× ${multiplier}` });
+      estimate *= multiplier;
+    }
+  }
+
+  const minimum = toNumber(settings.minimumPrice);
+  if (minimum > 0 && estimate < minimum) {
+    breakdown.push({ label: 'Minimum job price', value: `$${minimum.toLocaleString()}` });
+    estimate = minimum;
+  }
+
+  const step = toNumber(settings.roundTo);
+  const low = roundTo(estimate * (1 - toNumber(settings.lowPercent) / 100), step);
+  const high = roundTo(estimate * (1 + toNumber(settings.highPercent) / 100), step);
+
+  return {
+    estimate: roundTo(estimate, step),
+    low: Math.max(low, 0),
+    high: Math.max(high, low),
+    breakdown,
+    warnings
+  };
+};
+
+export default {
+  RATE_SOURCES,
+  CONDITION_LEVELS,
+  DEFAULT_ESTIMATOR_CONFIG,
+  normalizeEstimatorConfig,
+  buildEstimatorRates,
+  estimateBallpark
+};
@@ -0,0 +1,318 @@
+// src/utils/cashForecast.js
+// Expected cash in over the coming weeks. Committed cash is the deposit due on accepted work and the
+// balance due on booked jobs at their scheduled end date. The pipeline is every open sent/viewed
+// quote, weighted by the historical close rate for its status: its deposit lands when it would
+// typically be accepted and its balance when a job of ours typically finishes after that.
+
+import { OPEN_QUOTE_STATUSES } from './winLoss';
+
+export const FORECAST_DAYS = 90;
+
+/**
+ * Close-rate scenarios. Each scales the historical rates, capped at MAX_CLOSE_RATE.
+ */
+export const FORECAST_SCENARIOS = [
+  { key: 'conservative', label: 'Conservative', multiplier: 0.75 },
+  { key: 'expected', label: 'Expected', multiplier: 1 },
+  { key: 'optimistic', label: 'Optimistic', multiplier: 1.25 }
+];
+
+export const FORECAST_SOURCES = {
+  deposit: { label: 'Deposit Due', committed: true },
+  balance: { label: 'Balance Due', committed: true },
+  pipeline_deposit: { label: 'Pipeline Deposit', committed: false },
+  pipeline_balance: { label: 'Pipeline Balance', committed: false }
+};
+
+// Industry-typical rates, used until there are enough decided quotes of our own
+const DEFAULT_CLOSE_RATES = { sent: 0.3, viewed: 0.45 };
+const MIN_DECIDED_QUOTES = 10;
+const MAX_CLOSE_RATE = 0.95;
+
+const DEFAULT_DAYS_TO_DECISION = 14;
+const DEFAULT_DAYS_TO_COMPLETION = 30;
+const DEFAULT_DEPOSIT_PERCENT = 50;
+// Customers are asked for the deposit when they accept; give them a week before counting it late
+const DEPOSIT_DUE_DAYS = 7;
+
+const AWAITING_DEPOSIT_JOB_STATUSES = ['accepted', 'pending_deposit'];
+const BOOKED_JOB_STATUSES = ['deposit_paid', 'selections_pending', 'selections_complete', 'scheduled', 'in_progress', 'paused', 'on_hold'];
+const INVOICED_JOB_STATUSES = ['completed', 'invoiced'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toNumber = (value, fallback = 0) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+};
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Weeks start on Monday
+const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  return addDays(day, -((day.getDay() + 6) % 7));
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const closeRate = (records) => {
+  const decided = records.filter(record => record.outcome !== 'open');
+  return {
+    rate: decided.length > 0 ? decided.filter(record => record.outcome === 'won').length / decided.length : null,
+    decided: decided.length
+  };
+};
+
+/**
+ * Historical close probability for each open quote status, from win/loss records. A quote the
+ * customer has opened counts as viewed; every sent quote counts toward sent. Falls back to
+ * DEFAULT_CLOSE_RATES when a status has too few decided quotes to trust.
+ * @param {Array} records - buildWinLossRecord results
+ * @returns {Object} - { sent: { rate, decided, historical }, viewed: { ... } }
+ */
+export const getHistoricalCloseRates = (records = []) => {
+  const byStatus = {
+    sent: closeRate(records),
+    viewed: closeRate(records.filter(record => record.viewed))
+  };
+  return OPEN_QUOTE_STATUSES.reduce((acc, status) => {
+    const { rate, decided } = byStatus[status];
+    const historical = rate !== null && decided >= MIN_DECIDED_QUOTES;
+    acc[status] = { rate: historical ? rate : DEFAULT_CLOSE_RATES[status], decided, historical };
+    return acc;
+  }, {});
+};
+
+/**
+ * Close rates for a scenario
+ * @param {Object} closeRates - getHistoricalCloseRates result
+ * @param {string} scenario - A FORECAST_SCENARIOS key
+ */
+export const applyScenario = (closeRates = {}, scenario = 'expected') => {
+  const { multiplier } = FORECAST_SCENARIOS.find(s => s.key === scenario) || FORECAST_SCENARIOS[1];
+  return Object.entries(closeRates).reduce((acc, [status, { rate }]) => ({
+    ...acc,
+    [status]: Math.min(rate * multiplier, MAX_CLOSE_RATE)
+  }), {});
+};
+
+/**
+ * How long quotes typically take to be accepted, and jobs to finish once accepted
+ * @param {Array} records - buildWinLossRecord results
+ * @param {Array} jobs
+ * @returns {Object} - { daysToDecision, daysToCompletion }
+ */
+export const getForecastTiming = (records = [], jobs = []) => {
+  const decisionDays = records
+    .filter(record => record.outcome === 'won' && record.daysToDecision !== null)
+    .map(record => record.daysToDecision);
+  const completionDays = jobs
+    .map(job => {
+      const created = toDate(job.createdAt);
+      const finished = toDate(job.actualEndDate || job.scheduledEndDate);
+      return created && finished && finished >= created ? (finished - created) / DAY_MS : null;
+    })
+    .filter(days => days !== null);
+  return {
+    daysToDecision: Math.round(median(decisionDays) ?? DEFAULT_DAYS_TO_DECISION),
+    daysToCompletion: Math.round(median(completionDays) ?? DEFAULT_DAYS_TO_COMPLETION)
+  };
+};
+
+const getDepositPercent = (quote, defaultDepositPercent) => toNumber(
+  quote?.calculation?.depositPercent ?? quote?.depositPercent,
+  defaultDepositPercent
+);
+
+const getDepositAmount = (total, quote, job, defaultDepositPercent) => {
+  const explicit = toNumber(job?.depositAmount ?? quote?.depositAmount, 0);
+  return explicit > 0 ? explicit : total * (getDepositPercent(quote, defaultDepositPercent) / 100);
+};
+
+/**
+ * Every expected payment, committed and weighted pipeline. Items dated before today are overdue and
+ * expected now; items with no date (a booked job not yet scheduled) have a null dueDate.
+ * @param {Object} input
+ * @param {Array} input.quotes
+ * @param {Array} input.jobs
+ * @param {Object} input.closeRates - applyScenario result, probability by quote status
+ * @param {Object} input.timing - getForecastTiming result
+ * @param {number} input.depositPercent - The contractor's default deposit percentage
+ * @returns {Array} - [{ source, id, quoteId, jobId, number, customerName, status, amount, probability, expectedAmount, dueDate, overdue }]
+ */
+export const buildForecastItems = ({
+  quotes = [],
+  jobs = [],
+  closeRates = {},
+  timing = {},
+  depositPercent = null,
+  now = new Date()
+}) => {
+  const today = startOfDay(now);
+  const defaultDepositPercent = toNumber(depositPercent ?? DEFAULT_DEPOSIT_PERCENT, DEFAULT_DEPOSIT_PERCENT);
+  const quotesById = quotes.reduce((acc, quote) => ({ ...acc, [quote.id]: quote }), {});
+  const quoteIdsWithJobs = new Set(jobs.map(job => job.quoteId));
+  const daysToDecision = timing.daysToDecision ?? DEFAULT_DAYS_TO_DECISION;
+  const daysToCompletion = timing.daysToCompletion ?? DEFAULT_DAYS_TO_COMPLETION;
+
+  const item = (source, { quote, job, amount, probability = 1, dueDate }) => {
+    const due = toDate(dueDate);
+    const overdue = Boolean(due && due < today);
+    return {
+      source,
+      id: `${source}-${job?.id || quote?.id}`,
+      quoteId: quote?.id || job?.quoteId || null,
+      jobId: job?.id || null,
+      number: job?.jobNumber || quote?.quoteNumber,
+      customerName: job?.customerName || quote?.customerName,
+      status: job?.status || quote?.status,
+      amount: roundCurrency(amount),
+      probability,
+      expectedAmount: roundCurrency(amount * probability),
+      dueDate: due ? (overdue ? today : due).toISOString() : null,
+      overdue
+    };
+  };
+
+  const items = [];
+
+  jobs.forEach(job => {
+    const quote = quotesById[job.quoteId];
+    const total = toNumber(job.totalAmount ?? quote?.total);
+    const deposit = getDepositAmount(total, quote, job, defaultDepositPercent);
+
+    if (AWAITING_DEPOSIT_JOB_STATUSES.includes(job.status) && !job.depositPaid) {
+      const acceptedAt = toDate(quote?.acceptedAt || job.createdAt) || today;
+      items.push(item('deposit', { quote, job, amount: deposit, dueDate: addDays(acceptedAt, DEPOSIT_DUE_DAYS) }));
+      items.push(item('balance', { quote, job, amount: total - deposit, dueDate: job.scheduledEndDate }));
+    } else if (BOOKED_JOB_STATUSES.includes(job.status) || AWAITING_DEPOSIT_JOB_STATUSES.includes(job.status)) {
+      const balance = toNumber(job.balanceRemaining, total - deposit);
+      items.push(item('balance', { quote, job, amount: balance, dueDate: job.scheduledEndDate }));
+    } else if (INVOICED_JOB_STATUSES.includes(job.status) && job.finalPaymentStatus !== 'paid') {
+      // Finished and waiting on the final payment
+      items.push(item('balance', { quote, job, amount: toNumber(job.balanceRemaining), dueDate: job.actualEndDate || job.scheduledEndDate || today }));
+    }
+  });
+
+  quotes.filter(quote => !quoteIdsWithJobs.has(quote.id)).forEach(quote => {
+    const total = toNumber(quote.total);
+    const deposit = getDepositAmount(total, quote, null, defaultDepositPercent);
+
+    if (quote.status === 'accepted') {
+      // Accepted but the job hasn't been created yet
+      const acceptedAt = toDate(quote.acceptedAt) || today;
+      items.push(item('deposit', { quote, amount: deposit, dueDate: addDays(acceptedAt, DEPOSIT_DUE_DAYS) }));
+      items.push(item('balance', { quote, amount: total - deposit, dueDate: null }));
+      return;
+    }
+
+    if (!OPEN_QUOTE_STATUSES.includes(quote.status)) return;
+    const validUntil = toDate(quote.validUntil);
+    if (validUntil && validUntil < today) return;
+
+    const sentAt = toDate(quote.sentAt || quote.createdAt) || today;
+    let expectedClose = addDays(sentAt, daysToDecision);
+    // Past the typical decision time but still open: assume a week more
+    if (expectedClose < today) expectedClose = addDays(today, DEPOSIT_DUE_DAYS);
+    const probability = closeRates[quote.status] ?? 0;
+
+    items.push(item('pipeline_deposit', { quote, amount: deposit, probability, dueDate: expectedClose }));
+    items.push(item('pipeline_balance', { quote, amount: total - deposit, probability, dueDate: addDays(expectedClose, daysToCompletion) }));
+  });
+
+  return items.filter(entry => entry.amount > 0);
+};
+
+/**
+ * Expected cash by week for the forecast window, starting with the current week, with a running total
+ * @returns {Array} - [{ weekStart, deposit, balance, pipeline_deposit, pipeline_balance, committed, pipeline, total, cumulative }]
+ */
+export const buildWeeklyForecast = (items = [], { days = FORECAST_DAYS, now = new Date() } = {}) => {
+  const firstWeek = startOfWeek(now);
+  const end = addDays(startOfDay(now), days);
+  const weeks = [];
+  for (let weekStart = firstWeek; weekStart < end; weekStart = addDays(weekStart, 7)) {
+    weeks.push({
+      weekStart: weekStart.toISOString(),
+      ...Object.keys(FORECAST_SOURCES).reduce((acc, source) => ({ ...acc, [source]: 0 }), {})
+    });
+  }
+
+  items.forEach(entry => {
+    const due = toDate(entry.dueDate);
+    if (!due || due >= end) return;
+    const index = Math.floor((startOfWeek(due) - firstWeek) / (7 * DAY_MS));
+    if (index >= 0 && index < weeks.length) weeks[index][entry.source] += entry.expectedAmount;
+  });
+
+  let cumulative = 0;
+  return weeks.map(week => {
+    const committed = week.deposit + week.balance;
+    const pipeline = week.pipeline_deposit + week.pipeline_balance;
+    cumulative += committed + pipeline;
+    return {
+      ...Object.fromEntries(Object.entries(week).map(([key, value]) => [key, typeof value === 'number' ? roundCurrency(value) : value])),
+      committed: roundCurrency(committed),
+      pipeline: roundCurrency(pipeline),
+      total: roundCurrency(committed + pipeline),
+      cumulative: roundCurrency(cumulative)
+    };
+  });
+};
+
+/**
+ * Totals for the forecast window, plus what falls outside it
+ * @returns {Object} - { committed, pipeline, total, overdue, beyondWindow, unscheduled }
+ */
+export const summarizeForecast = (items = [], { days = FORECAST_DAYS, now = new Date() } = {}) => {
+  const end = addDays(startOfDay(now), days);
+  const totals = items.reduce((acc, entry) => {
+    const due = toDate(entry.dueDate);
+    if (!due) {
+      acc.unscheduled += entry.expectedAmount;
+    } else if (due >= end) {
+      acc.beyondWindow += entry.expectedAmount;
+    } else {
+      acc[FORECAST_SOURCES[entry.source].committed ? 'committed' : 'pipeline'] += entry.expectedAmount;
+      if (entry.overdue) acc.overdue += entry.expectedAmount;
+    }
+    return acc;
+  }, { committed: 0, pipeline: 0, overdue: 0, beyondWindow: 0, unscheduled: 0 });
+
+  return {
+    committed: roundCurrency(totals.committed),
+    pipeline: roundCurrency(totals.pipeline),
+    total: roundCurrency(totals.committed + totals.pipeline),
+    overdue: roundCurrency(totals.overdue),
+    beyondWindow: roundCurrency(totals.beyondWindow),
+    unscheduled: roundCurrency(totals.unscheduled)
+  };
+};
+
+export default {
+  FORECAST_DAYS,
+  FORECAST_SCENARIOS,
+  FORECAST_SOURCES,
+  getHistoricalCloseRates,
+  applyScenario,
+  getForecastTiming,
+  buildForecastItems,
+  buildWeeklyForecast,
+  summarizeForecast
+};
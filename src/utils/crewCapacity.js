@@ -0,0 +1,262 @@
+// src/utils/crewCapacity.js
+// Capacity planning for crews. A crew's capacity is members × daily hours on each of its work days;
+// a job books the person-hours estimated on its quote, spread evenly over its scheduled work days
+// and split between its assigned crews by crew size. Used by the job calendar's capacity view.
+
+import moment from 'moment';
+
+export const DEFAULT_DAILY_HOURS = 8;
+// Monday to Friday (moment's day(): 0 = Sunday)
+export const DEFAULT_WORK_DAYS = [1, 2, 3, 4, 5];
+
+const DATE_KEY = 'YYYY-MM-DD';
+
+const toNumber = (value, fallback = 0) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+export const getCrewSize = (crew = {}) => crew.members?.length || toNumber(crew.memberCount, 0) || 1;
+
+export const getCrewWorkDays = (crew = {}) => (crew.workDays?.length ? crew.workDays : DEFAULT_WORK_DAYS);
+
+/**
+ * Person-hours a crew can work on a date
+ */
+export const getCrewDailyCapacity = (crew, date) => {
+  if (!getCrewWorkDays(crew).includes(moment(date).day())) return 0;
+  return getCrewSize(crew) * toNumber(crew.dailyHours, DEFAULT_DAILY_HOURS);
+};
+
+/**
+ * Crew labor cost per day, for costing a job's crew time
+ */
+export const getCrewDailyCost = (crew = {}) => (
+  getCrewSize(crew) * toNumber(crew.dailyHours, DEFAULT_DAILY_HOURS) * toNumber(crew.hourlyCost, 0)
+);
+
+/**
+ * Estimated person-hours for a job: the API's figure, else the total from the quote's pricing calculation
+ */
+export const getJobEstimatedHours = (job = {}) => toNumber(
+  job.estimatedHours ??
+  job.quote?.calculation?.totalHours ??
+  job.quote?.totalHours,
+  0
+);
+
+export const getJobCrewIds = (job = {}) => {
+  if (job.crews?.length) return job.crews.map(crew => crew.id);
+  if (job.crewIds?.length) return job.crewIds;
+  return job.crewId ? [job.crewId] : [];
+};
+
+// Calendar rows use start/end, full jobs use scheduledStartDate/scheduledEndDate
+const getJobRange = (job) => {
+  const start = job.start || job.scheduledStartDate;
+  const end = job.end || job.scheduledEndDate || start;
+  return start ? { start: moment(start).startOf('day'), end: moment(end).startOf('day') } : null;
+};
+
+const eachDay = (start, end) => {
+  const days = [];
+  const cursor = moment(start).startOf('day');
+  const last = moment(end).startOf('day');
+  while (cursor.isSameOrBefore(last)) {
+    days.push(cursor.clone());
+    cursor.add(1, 'day');
+  }
+  return days;
+};
+
+/**
+ * Days a job is worked: days in its range when at least one assigned crew works
+ * (Mon-Fri when unassigned). A job scheduled only on days off is worked on all of them.
+ */
+export const getJobWorkDays = (job, crews = []) => {
+  const range = getJobRange(job);
+  if (!range) return [];
+  const days = eachDay(range.start, range.end.isBefore(range.start) ? range.start : range.end);
+  const assigned = crews.filter(crew => getJobCrewIds(job).includes(crew.id));
+  const workDays = assigned.length > 0
+    ? [...new Set(assigned.flatMap(getCrewWorkDays))]
+    : DEFAULT_WORK_DAYS;
+  const worked = days.filter(day => workDays.includes(day.day()));
+  return worked.length > 0 ? worked : days;
+};
+
+/**
+ * Hours a job books per day, and how they split between its crews
+ * @returns {Array} - [{ date, hours, byCrew: { [crewId]: hours } }]
+ */
+export const getJobDailyBookings = (job, crews = []) => {
+  const days = getJobWorkDays(job, crews);
+  if (days.length === 0) return [];
+  const perDay = getJobEstimatedHours(job) / days.length;
+  const assigned = crews.filter(crew => getJobCrewIds(job).includes(crew.id));
+
+  return days.map(day => {
+    const working = assigned.filter(crew => getCrewDailyCapacity(crew, day) > 0);
+    const totalSize = working.reduce((sum, crew) => sum + getCrewSize(crew), 0);
+    const byCrew = working.reduce((acc, crew) => {
+      acc[crew.id] = perDay * (getCrewSize(crew) / totalSize);
+      return acc;
+    }, {});
+    return { date: day.format(DATE_KEY), hours: perDay, byCrew };
+  });
+};
+
+/**
+ * Booked vs available person-hours for each day in a range
+ * @param {Object} params
+ * @param {Array} params.jobs - Scheduled jobs (calendar rows or full jobs)
+ * @param {Array} params.crews - Crews
+ * @param {Date|string} params.from - First day
+ * @param {Date|string} params.to - Last day
+ * @returns {Array} - [{ date, available, booked, unassigned, utilization, overbooked, jobIds, crews: { [crewId]: { available, booked, overbooked } } }]
+ */
+export const buildDailyCapacity = ({ jobs = [], crews = [], from, to }) => {
+  const days = eachDay(from, to).map(day => ({
+    date: day.format(DATE_KEY),
+    available: crews.reduce((sum, crew) => sum + getCrewDailyCapacity(crew, day), 0),
+    booked: 0,
+    unassigned: 0,
+    jobIds: [],
+    crews: crews.reduce((acc, crew) => {
+      acc[crew.id] = { available: getCrewDailyCapacity(crew, day), booked: 0 };
+      return acc;
+    }, {})
+  }));
+  const byDate = days.reduce((acc, day) => {
+    acc[day.date] = day;
+    return acc;
+  }, {});
+
+  jobs.forEach(job => {
+    getJobDailyBookings(job, crews).forEach(booking => {
+      const day = byDate[booking.date];
+      if (!day) return;
+      day.booked += booking.hours;
+      day.jobIds.push(job.id);
+      const crewIds = Object.keys(booking.byCrew);
+      if (crewIds.length === 0) day.unassigned += booking.hours;
+      crewIds.forEach(crewId => {
+        day.crews[crewId].booked += booking.byCrew[crewId];
+      });
+    });
+  });
+
+  return days.map(day => ({
+    ...day,
+    available: round1(day.available),
+    booked: round1(day.booked),
+    unassigned: round1(day.unassigned),
+    utilization: day.available > 0 ? Math.round((day.booked / day.available) * 100) : (day.booked > 0 ? null : 0),
+    overbooked: day.booked > day.available + 0.05,
+    crews: Object.entries(day.crews).reduce((acc, [crewId, crew]) => {
+      acc[crewId] = {
+        available: round1(crew.available),
+        booked: round1(crew.booked),
+        overbooked: crew.booked > crew.available + 0.05
+      };
+      return acc;
+    }, {})
+  }));
+};
+
+/**
+ * Roll daily capacity up into Monday-start weeks
+ */
+export const buildWeeklyCapacity = (days = []) => {
+  const weeks = days.reduce((acc, day) => {
+    const week = moment(day.date, DATE_KEY).startOf('isoWeek').format(DATE_KEY);
+    acc[week] = acc[week] || { week, available: 0, booked: 0, unassigned: 0, overbookedDays: 0, jobIds: new Set() };
+    acc[week].available += day.available;
+    acc[week].booked += day.booked;
+    acc[week].unassigned += day.unassigned;
+    if (day.overbooked) acc[week].overbookedDays += 1;
+    day.jobIds.forEach(id => acc[week].jobIds.add(id));
+    return acc;
+  }, {});
+
+  return Object.values(weeks).map(week => ({
+    ...week,
+    available: round1(week.available),
+    booked: round1(week.booked),
+    unassigned: round1(week.unassigned),
+    jobIds: [...week.jobIds],
+    utilization: week.available > 0 ? Math.round((week.booked / week.available) * 100) : (week.booked > 0 ? null : 0),
+    overbooked: week.booked > week.available + 0.05
+  }));
+};
+
+/**
+ * Jobs that can't be done as scheduled: more hours per day than their crews can work, a crew
+ * booked past capacity on one of the job's days, or (unassigned) more work than all crews combined
+ * @returns {Object} - { [jobId]: [reason, ...] }
+ */
+export const findOverCapacityJobs = ({ jobs = [], crews = [], days = [] }) => {
+  const crewNames = crews.reduce((acc, crew) => {
+    acc[crew.id] = crew.name;
+    return acc;
+  }, {});
+  const byDate = days.reduce((acc, day) => {
+    acc[day.date] = day;
+    return acc;
+  }, {});
+
+  return jobs.reduce((acc, job) => {
+    const reasons = [];
+    const bookings = getJobDailyBookings(job, crews);
+    const crewIds = getJobCrewIds(job);
+
+    if (crewIds.length > 0 && bookings.length > 0) {
+      const assigned = crews.filter(crew => crewIds.includes(crew.id));
+      const crewHours = bookings.reduce((sum, booking) => (
+        sum + assigned.reduce((daySum, crew) => daySum + getCrewDailyCapacity(crew, booking.date), 0)
+      ), 0);
+      const needed = getJobEstimatedHours(job);
+      if (needed > crewHours + 0.05) {
+        reasons.push(`Needs ${round1(needed)} crew-hours; assigned crews have ${round1(crewHours)} in the scheduled days`);
+      }
+    }
+
+    const overbookedCrews = new Set();
+    let overTotal = null;
+    bookings.forEach(booking => {
+      const day = byDate[booking.date];
+      if (!day) return;
+      Object.keys(booking.byCrew).forEach(crewId => {
+        if (day.crews[crewId]?.overbooked) overbookedCrews.add(crewId);
+      });
+      if (crewIds.length === 0 && day.overbooked && !overTotal) overTotal = booking.date;
+    });
+    overbookedCrews.forEach(crewId => {
+      reasons.push(`${crewNames[crewId] || 'Crew'} is booked past capacity on the same days`);
+    });
+    if (overTotal) {
+      reasons.push(`No crew assigned and ${moment(overTotal, DATE_KEY).format('MMM D')} is already over total capacity`);
+    }
+
+    if (reasons.length > 0) acc[job.id] = reasons;
+    return acc;
+  }, {});
+};
+
+export default {
+  DEFAULT_DAILY_HOURS,
+  DEFAULT_WORK_DAYS,
+  getCrewSize,
+  getCrewWorkDays,
+  getCrewDailyCapacity,
+  getCrewDailyCost,
+  getJobEstimatedHours,
+  getJobCrewIds,
+  getJobWorkDays,
+  getJobDailyBookings,
+  buildDailyCapacity,
+  buildWeeklyCapacity,
+  findOverCapacityJobs
+};
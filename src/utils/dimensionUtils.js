@@ -0,0 +1,177 @@
+// src/utils/dimensionUtils.js
+// Measurement helpers shared by the dimension calculators (wall openings, trim footage)
+
+/**
+ * Standard opening sizes in feet.
+ * `kind` decides how casing runs around the opening:
+ * 'door' = two sides + head, 'window' = all four sides.
+ */
+export const OPENING_PRESETS = {
+  standard_door: { label: 'Standard Door', kind: 'door', width: 3, height: 6.67 },
+  double_door: { label: 'Double Door', kind: 'door', width: 5, height: 6.67 },
+  sliding_door: { label: 'Sliding Door', kind: 'door', width: 6, height: 6.67 },
+  garage_door: { label: 'Garage Door', kind: 'door', width: 16, height: 7 },
+  standard_window: { label: 'Standard Window', kind: 'window', width: 3, height: 4 },
+  large_window: { label: 'Large Window', kind: 'window', width: 5, height: 5 },
+  small_window: { label: 'Small Window', kind: 'window', width: 2, height: 3 },
+  custom: { label: 'Custom Opening', kind: 'window', width: 0, height: 0 }
+};
+
+const toNumber = (value) => {
+  const num = parseFloat(value);
+  return Number.isFinite(num) && num > 0 ? num : 0;
+};
+
+/**
+ * Create an opening entry from a preset
+ * @param {string} preset - Key of OPENING_PRESETS
+ * @param {number} count - Number of openings of this size
+ * @returns {object} - { id, preset, kind, label, count, width, height }
+ */
+export const createOpening = (preset = 'standard_door', count = 1) => {
+  const definition = OPENING_PRESETS[preset] || OPENING_PRESETS.custom;
+  return {
+    id: `opening-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    preset,
+    kind: definition.kind,
+    label: definition.label,
+    count,
+    width: definition.width,
+    height: definition.height
+  };
+};
+
+/**
+ * Total square footage of a list of openings (Σ count × width × height)
+ */
+export const calculateOpeningsArea = (openings = []) =>
+  (openings || []).reduce((sum, opening) =>
+    sum + toNumber(opening.count) * toNumber(opening.width) * toNumber(opening.height), 0);
+
+/**
+ * Linear feet of casing around a list of openings.
+ * Doors are cased on both sides and the head (2H + W); windows on all four sides (2H + 2W).
+ */
+export const calculateOpeningsTrimLF = (openings = []) =>
+  (openings || []).reduce((sum, opening) => {
+    const width = toNumber(opening.width);
+    const height = toNumber(opening.height);
+    const perOpening = opening.kind === 'door' ? (2 * height + width) : (2 * height + 2 * width);
+    return sum + toNumber(opening.count) * perOpening;
+  }, 0);
+
+/**
+ * Subtract openings from a gross wall area
+ * @param {number} grossArea - Gross wall area in sq ft
+ * @param {Array} openings - Openings to deduct
+ * @returns {object} - { grossArea, openingsArea, netArea, trimLinearFeet }
+ */
+export const applyOpenings = (grossArea, openings = []) => {
+  const gross = toNumber(grossArea);
+  const openingsArea = calculateOpeningsArea(openings);
+  return {
+    grossArea: gross,
+    openingsArea,
+    netArea: Math.max(0, gross - openingsArea),
+    trimLinearFeet: calculateOpeningsTrimLF(openings)
+  };
+};
+
+/**
+ * Shape modes offered by the dimension calculator.
+ * `surfaces` lists the calculator groups the mode applies to ('wall' or 'ceiling').
+ */
+export const SHAPE_MODES = {
+  rectangle: { label: 'Rectangle', surfaces: ['wall', 'ceiling', 'other'] },
+  segments: { label: 'Wall Segments', surfaces: ['wall'] },
+  gable: { label: 'Gable Ends', surfaces: ['wall'] },
+  stairwell: { label: 'Stairwell', surfaces: ['wall'] },
+  sloped: { label: 'Sloped Ceiling', surfaces: ['ceiling'] }
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Roof/ceiling slope factor for a pitch given as rise per 12" of run
+ * (e.g. 6 → 6/12 pitch → √(1 + 0.25) ≈ 1.118)
+ */
+export const getPitchFactor = (pitch) => Math.sqrt(1 + Math.pow(toNumber(pitch) / 12, 2));
+
+/**
+ * Calculate the area of an irregular shape
+ * @param {string} shape - Key of SHAPE_MODES
+ * @param {object} dims - Structured dimensions for the shape
+ *   segments:  { segments: [{ length, height }] }
+ *   gable:     { gables: [{ base, rise, count }] }
+ *   stairwell: { run, lowHeight, highHeight, sides }
+ *   sloped:    { run, width, pitch }
+ * @returns {object} - { area, formula } (formula is the substituted calculation, like the calculator summary)
+ */
+export const calculateShapeArea = (shape, dims = {}) => {
+  switch (shape) {
+    case 'segments': {
+      const segments = (dims.segments || []).filter(seg => toNumber(seg.length) && toNumber(seg.height));
+      const area = segments.reduce((sum, seg) => sum + toNumber(seg.length) * toNumber(seg.height), 0);
+      return {
+        area,
+        formula: segments.map(seg => `${seg.length} × ${seg.height}`).join(' + ')
+      };
+    }
+    case 'gable': {
+      const gables = (dims.gables || []).filter(g => toNumber(g.base) && toNumber(g.rise));
+      const area = gables.reduce((sum, g) => sum + (toNumber(g.count) || 1) * toNumber(g.base) * toNumber(g.rise) / 2, 0);
+      return {
+        area,
+        formula: gables.map(g => `${toNumber(g.count) || 1} × (${g.base} × ${g.rise} ÷ 2)`).join(' + ')
+      };
+    }
+    case 'stairwell': {
+      const run = toNumber(dims.run);
+      const low = toNumber(dims.lowHeight);
+      const high = toNumber(dims.highHeight);
+      const sides = toNumber(dims.sides) || 1;
+      if (!run || !high) return { area: 0, formula: '' };
+      return {
+        area: sides * run * (low + high) / 2,
+        formula: `${sides} × ${run} × (${low} + ${high}) ÷ 2`
+      };
+    }
+    case 'sloped': {
+      const run = toNumber(dims.run);
+      const width = toNumber(dims.width);
+      if (!run || !width) return { area: 0, formula: '' };
+      const factor = getPitchFactor(dims.pitch);
+      return {
+        area: run * width * factor,
+        formula: `${run} × ${width} × ${round2(factor)} (${toNumber(dims.pitch)}/12 pitch)`
+      };
+    }
+    default:
+      return { area: 0, formula: '' };
+  }
+};
+
+/**
+ * Generic formula for a shape mode (shown before any numbers are entered)
+ */
+export const getShapeFormulaText = (shape) => {
+  const formulas = {
+    segments: 'Formula: Σ (segment length × segment height)',
+    gable: 'Formula: count × (base × rise ÷ 2)',
+    stairwell: 'Formula: sides × run × (low height + high height) ÷ 2',
+    sloped: 'Formula: run × width × √(1 + (pitch ÷ 12)²)'
+  };
+  return formulas[shape] || null;
+};
+
+export default {
+  OPENING_PRESETS,
+  createOpening,
+  calculateOpeningsArea,
+  calculateOpeningsTrimLF,
+  applyOpenings,
+  SHAPE_MODES,
+  getPitchFactor,
+  calculateShapeArea,
+  getShapeFormulaText
+};
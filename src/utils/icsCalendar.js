@@ -0,0 +1,185 @@
+// src/utils/icsCalendar.js
+// iCalendar (RFC 5545) output for jobs, so crews and customers can put them in their own calendars.
+// Jobs are all-day, multi-day events. Every job keeps the same UID for life and carries a SEQUENCE
+// that grows with each change, so re-importing or refreshing a feed updates the event in place
+// (and a canceled job cancels it) instead of adding a copy.
+
+import moment from 'moment';
+
+const PRODID = '-//Cadence//Job Calendar//EN';
+const UID_DOMAIN = 'jobs.cadence';
+// SEQUENCE fallback when the API doesn't send one: minutes since this date at the last update
+const SEQUENCE_EPOCH = Date.UTC(2024, 0, 1);
+
+const PRE_DEPOSIT_STATUSES = ['accepted', 'pending_deposit'];
+const CANCELED_STATUSES = ['canceled'];
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ */
+export const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 3.1), never splitting a multi-byte character
+ */
+export const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts toward their 75
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatUtc = (date) => moment(date).utc().format('YYYYMMDD[T]HHmmss[Z]');
+const formatDate = (date) => moment(date).format('YYYYMMDD');
+
+export const getJobUid = (jobId) => `job-${jobId}@${UID_DOMAIN}`;
+
+/**
+ * Revision number for a job's event. The API's own counter wins; otherwise it's derived from
+ * updatedAt, which only ever moves forward.
+ */
+export const getJobSequence = (job = {}) => {
+  const explicit = job.sequence ?? job.scheduleSequence;
+  if (Number.isInteger(explicit)) return explicit;
+  if (!job.updatedAt) return 0;
+  return Math.max(Math.floor((new Date(job.updatedAt).getTime() - SEQUENCE_EPOCH) / 60000), 0);
+};
+
+// Calendar rows ({ start, end, duration }) and full jobs ({ scheduledStartDate, ... }) look different
+const normalizeJob = (job) => {
+  const start = job.start || job.scheduledStartDate;
+  const duration = job.duration || job.estimatedDuration;
+  let end = job.end || job.scheduledEndDate;
+  if (!end && start) {
+    end = moment(start).add(Math.max((duration || 1) - 1, 0), 'day').toDate();
+  }
+  const address = job.jobAddress || job.address || (job.client
+    ? [job.client.street, job.client.city, job.client.state, job.client.zip].filter(Boolean).join(', ')
+    : job.quote?.projectAddress);
+
+  return {
+    id: job.id,
+    jobNumber: job.jobNumber,
+    customerName: job.customerName || job.client?.name,
+    status: job.status,
+    crewName: job.crewName || job.crew?.name,
+    address,
+    start,
+    end,
+    updatedAt: job.updatedAt,
+    sequence: getJobSequence(job)
+  };
+};
+
+const getEventStatus = (status) => {
+  if (CANCELED_STATUSES.includes(status)) return 'CANCELLED';
+  if (PRE_DEPOSIT_STATUSES.includes(status)) return 'TENTATIVE';
+  return 'CONFIRMED';
+};
+
+/**
+ * VEVENT lines for one job, or [] if it has no dates
+ * @param {Object} job - Calendar row or full job
+ * @param {Object} options
+ * @param {string} options.summary - Event title (defaults to "JOB-123 - Customer")
+ * @param {string} options.description - Event notes
+ * @param {string} options.url - Link back to the job
+ * @param {Date} options.now - DTSTAMP
+ */
+export const buildJobEvent = (job, { summary, description, url, now = new Date() } = {}) => {
+  const event = normalizeJob(job);
+  if (!event.start) return [];
+
+  // DTEND is exclusive for all-day events: the day after the last work day
+  const lastDay = moment(event.end).isBefore(event.start, 'day') ? event.start : event.end;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getJobUid(event.id)}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `SEQUENCE:${event.sequence}`,
+    `DTSTART;VALUE=DATE:${formatDate(event.start)}`,
+    `DTEND;VALUE=DATE:${formatDate(moment(lastDay).add(1, 'day'))}`,
+    `SUMMARY:${escapeText(summary || [event.jobNumber, event.customerName].filter(Boolean).join(' - '))}`,
+    `STATUS:${getEventStatus(event.status)}`,
+    'TRANSP:OPAQUE'
+  ];
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatUtc(event.updatedAt)}`);
+  if (event.address) lines.push(`LOCATION:${escapeText(event.address)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (url) lines.push(`URL:${url}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Full VCALENDAR document
+ * @param {Array} jobs - Calendar rows or full jobs
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by subscribing apps
+ * @param {function} options.eventOptions - (job) => buildJobEvent options
+ * @returns {string} - CRLF-delimited ICS text
+ */
+export const buildCalendar = (jobs = [], { name = 'Jobs', eventOptions = () => ({}), now = new Date() } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...jobs.flatMap(job => buildJobEvent(job, { now, ...eventOptions(job) })),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+export const buildJobDescription = (job, getStatusLabel = status => status) => {
+  const event = normalizeJob(job);
+  return [
+    event.customerName && `Customer: ${event.customerName}`,
+    event.crewName && `Crew: ${event.crewName}`,
+    event.status && `Status: ${getStatusLabel(event.status)}`
+  ].filter(Boolean).join('\n');
+};
+
+/**
+ * Save ICS text as a file
+ */
+export const downloadIcs = (content, fileName) => {
+  const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName.endsWith('.ics') ? fileName : `${fileName}.ics`;
+  a.click();
+  window.URL.revokeObjectURL(url);
+};
+
+export default {
+  escapeText,
+  foldLine,
+  getJobUid,
+  getJobSequence,
+  buildJobEvent,
+  buildCalendar,
+  buildJobDescription,
+  downloadIcs
+};
@@ -0,0 +1,192 @@
+// src/utils/jobCosting.js
+// Actual job costing. Crew time entries and material purchases logged on a job are totalled,
+// compared area by area with the quote's line items, and swapped into the job analytics
+// breakdown so labor, materials and profit show real numbers instead of estimates.
+
+import { getJobEstimatedHours } from './crewCapacity';
+
+const UNASSIGNED_AREA = 'Unassigned';
+// Same bar as the analytics page's "healthy" profit margin
+const HEALTHY_PROFIT_PERCENT = 8;
+
+const toNumber = (value, fallback = 0) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+};
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const areaKey = (name) => (name || UNASSIGNED_AREA).trim().toLowerCase();
+
+/**
+ * Labor cost of a time entry: the entry's own rate, else its crew's hourly cost
+ */
+export const getTimeEntryCost = (entry, crews = []) => {
+  const crew = crews.find(c => c.id === entry.crewId);
+  const rate = toNumber(entry.hourlyCost ?? crew?.hourlyCost, 0);
+  return roundCurrency(toNumber(entry.hours) * rate);
+};
+
+/**
+ * Totals for everything recorded on a job
+ * @returns {Object} - { laborHours, laborCost, materialCost, hasLabor, hasMaterials, missingRates }
+ */
+export const summarizeActuals = ({ timeEntries = [], materialPurchases = [], crews = [] }) => {
+  const laborHours = timeEntries.reduce((sum, entry) => sum + toNumber(entry.hours), 0);
+  const laborCost = timeEntries.reduce((sum, entry) => sum + getTimeEntryCost(entry, crews), 0);
+  const materialCost = materialPurchases.reduce((sum, purchase) => sum + toNumber(purchase.cost), 0);
+  return {
+    laborHours: Math.round(laborHours * 100) / 100,
+    laborCost: roundCurrency(laborCost),
+    materialCost: roundCurrency(materialCost),
+    hasLabor: timeEntries.length > 0,
+    hasMaterials: materialPurchases.length > 0,
+    // Hours logged without any rate to cost them
+    missingRates: timeEntries.filter(entry => toNumber(entry.hours) > 0 && getTimeEntryCost(entry, crews) === 0).length
+  };
+};
+
+/**
+ * Line items priced on the quote (the saved pricing calculation, else the quote's own lineItems)
+ */
+export const getQuoteLineItems = (quote = {}) => quote.calculation?.lineItems || quote.lineItems || [];
+
+/**
+ * Area names a job's costs can be logged against
+ */
+export const getQuoteAreaNames = (quote = {}) => [
+  ...new Set([
+    ...getQuoteLineItems(quote).map(item => item.areaName),
+    ...(quote.areas || []).map(area => area.name || area.areaName)
+  ].filter(Boolean))
+];
+
+const emptyRow = (area) => ({
+  area,
+  estimatedHours: 0,
+  actualHours: 0,
+  estimatedLabor: 0,
+  actualLabor: 0,
+  estimatedMaterials: 0,
+  actualMaterials: 0
+});
+
+const withVariance = (row) => ({
+  ...row,
+  estimatedHours: Math.round(row.estimatedHours * 100) / 100,
+  actualHours: Math.round(row.actualHours * 100) / 100,
+  estimatedLabor: roundCurrency(row.estimatedLabor),
+  actualLabor: roundCurrency(row.actualLabor),
+  estimatedMaterials: roundCurrency(row.estimatedMaterials),
+  actualMaterials: roundCurrency(row.actualMaterials),
+  hoursVariance: Math.round((row.actualHours - row.estimatedHours) * 100) / 100,
+  laborVariance: roundCurrency(row.actualLabor - row.estimatedLabor),
+  materialVariance: roundCurrency(row.actualMaterials - row.estimatedMaterials)
+});
+
+/**
+ * Estimate vs actual per quote area. Positive variance means over the estimate.
+ * Time and purchases logged without an area (or against an area not on the quote) get their own rows.
+ * @param {Object} params
+ * @param {Object} params.quote - Quote with its pricing calculation
+ * @param {Array} params.timeEntries
+ * @param {Array} params.materialPurchases
+ * @param {Array} params.crews - For hourly costs
+ * @returns {Object} - { rows, totals }
+ */
+export const buildCostVariance = ({ quote = {}, timeEntries = [], materialPurchases = [], crews = [] }) => {
+  const rows = {};
+  const rowFor = (name) => {
+    const key = areaKey(name);
+    rows[key] = rows[key] || emptyRow(name || UNASSIGNED_AREA);
+    return rows[key];
+  };
+
+  getQuoteLineItems(quote).forEach(item => {
+    const row = rowFor(item.areaName);
+    row.estimatedHours += toNumber(item.hours);
+    row.estimatedLabor += toNumber(item.laborCost);
+    row.estimatedMaterials += toNumber(item.materialCost);
+  });
+
+  timeEntries.forEach(entry => {
+    const row = rowFor(entry.areaName);
+    row.actualHours += toNumber(entry.hours);
+    row.actualLabor += getTimeEntryCost(entry, crews);
+  });
+
+  materialPurchases.forEach(purchase => {
+    rowFor(purchase.areaName).actualMaterials += toNumber(purchase.cost);
+  });
+
+  const totals = Object.values(rows).reduce((acc, row) => {
+    Object.keys(acc).filter(key => key !== 'area').forEach(key => {
+      acc[key] += row[key];
+    });
+    return acc;
+  }, emptyRow('Total'));
+
+  // Quotes priced without area line items (turnkey) still have a job-level hours estimate
+  if (totals.estimatedHours === 0) totals.estimatedHours = getJobEstimatedHours({ quote });
+
+  return {
+    rows: Object.values(rows).map(withVariance),
+    totals: withVariance(totals)
+  };
+};
+
+/**
+ * Job analytics with recorded actuals in place of estimates. Labor and materials switch to
+ * "actual" only once something has been logged for them; profit is recomputed from the result
+ * and stays "partial" until both have been logged.
+ * @param {Object} analytics - Response from /job-analytics/:quoteId
+ * @param {Object} actuals - summarizeActuals result
+ */
+export const applyActualsToAnalytics = (analytics, actuals) => {
+  if (!analytics?.breakdown || !actuals || (!actuals.hasLabor && !actuals.hasMaterials)) return analytics;
+
+  const jobPrice = toNumber(analytics.jobPrice);
+  const percentOf = (amount) => (jobPrice > 0 ? (amount / jobPrice) * 100 : 0);
+  const { breakdown } = analytics;
+
+  const materials = actuals.hasMaterials
+    ? { ...breakdown.materials, amount: actuals.materialCost, percentage: percentOf(actuals.materialCost), source: 'actual', estimatedAmount: breakdown.materials.amount }
+    : breakdown.materials;
+  const labor = actuals.hasLabor
+    ? { ...breakdown.labor, amount: actuals.laborCost, percentage: percentOf(actuals.laborCost), source: 'actual', estimatedAmount: breakdown.labor.amount }
+    : breakdown.labor;
+  const profitAmount = roundCurrency(jobPrice - materials.amount - labor.amount - toNumber(breakdown.overhead?.amount));
+  const profitPercent = percentOf(profitAmount);
+  const profitStandard = analytics.industryStandards?.profit;
+
+  return {
+    ...analytics,
+    breakdown: {
+      ...breakdown,
+      materials,
+      labor,
+      profit: {
+        ...breakdown.profit,
+        amount: profitAmount,
+        percentage: profitPercent,
+        // Only fully actual once both labor and materials have been logged
+        source: actuals.hasLabor && actuals.hasMaterials ? 'actual' : 'partial',
+        estimatedAmount: breakdown.profit.amount
+      }
+    },
+    isHealthy: profitPercent >= HEALTHY_PROFIT_PERCENT,
+    healthStatus: profitPercent >= (profitStandard?.min ?? HEALTHY_PROFIT_PERCENT * 2)
+      ? 'good'
+      : profitPercent >= HEALTHY_PROFIT_PERCENT ? 'fair' : 'poor',
+    usesActuals: true
+  };
+};
+
+export default {
+  getTimeEntryCost,
+  summarizeActuals,
+  getQuoteLineItems,
+  getQuoteAreaNames,
+  buildCostVariance,
+  applyActualsToAnalytics
+};
@@ -0,0 +1,322 @@
+// src/utils/leadDedup.js
+// Duplicate detection and merging for leads. Repeat visitors submit the public form more than once;
+// leads are compared on email, phone, fuzzy name and fuzzy address, and a merge keeps one lead with
+// a snapshot of every original submission in `submissions`.
+
+// Score at which two leads are flagged as possible duplicates (0-100)
+export const DUPLICATE_THRESHOLD = 50;
+// Score at which a match is shown as a likely duplicate
+export const STRONG_MATCH_THRESHOLD = 80;
+
+// Contact fields the merge tool lets the user pick between
+export const MERGE_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'address', label: 'Address' },
+  { key: 'zipCode', label: 'Zip Code' }
+];
+
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st',
+  avenue: 'ave',
+  road: 'rd',
+  drive: 'dr',
+  lane: 'ln',
+  court: 'ct',
+  boulevard: 'blvd',
+  place: 'pl',
+  circle: 'cir',
+  parkway: 'pkwy',
+  highway: 'hwy',
+  apartment: 'apt',
+  suite: 'ste',
+  north: 'n',
+  south: 's',
+  east: 'e',
+  west: 'w'
+};
+
+export const getLeadName = (lead = {}) => (
+  lead.firstName || lead.lastName
+    ? [lead.firstName, lead.lastName].filter(Boolean).join(' ')
+    : lead.formData?.fullName || lead.fullName || ''
+);
+
+export const getLeadEmail = (lead = {}) => lead.email || lead.formData?.email || '';
+
+export const getLeadPhone = (lead = {}) => lead.phone || lead.formData?.phone || '';
+
+export const getLeadAddress = (lead = {}) => lead.address || lead.formData?.address || '';
+
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Last 10 digits, so "+1 (555) 123-4567" and "555.123.4567" match
+export const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+export const normalizeName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean)
+  .sort()
+  .join(' ');
+
+export const normalizeAddress = (address) => String(address || '')
+  .toLowerCase()
+  .replace(/[.,#]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(word => ADDRESS_ABBREVIATIONS[word] || word)
+  .join(' ');
+
+/**
+ * Jaro-Winkler similarity, 0 (different) to 1 (identical)
+ */
+export const stringSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const matchWindow = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - matchWindow);
+    const end = Math.min(i + matchWindow + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (bMatches[j] || a[i] !== b[j]) continue;
+      aMatches[i] = true;
+      bMatches[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+/**
+ * How likely two leads are the same person
+ * @returns {Object} - { score: 0-100, reasons: [string] }
+ */
+export const scoreLeadMatch = (a, b) => {
+  const reasons = [];
+  let score = 0;
+
+  const emailA = normalizeEmail(getLeadEmail(a));
+  if (emailA && emailA === normalizeEmail(getLeadEmail(b))) {
+    score += 50;
+    reasons.push('Same email');
+  }
+
+  const phoneA = normalizePhone(getLeadPhone(a));
+  if (phoneA.length === 10 && phoneA === normalizePhone(getLeadPhone(b))) {
+    score += 40;
+    reasons.push('Same phone');
+  }
+
+  const nameSimilarity = stringSimilarity(normalizeName(getLeadName(a)), normalizeName(getLeadName(b)));
+  if (nameSimilarity >= 0.85) {
+    score += Math.round(30 * nameSimilarity);
+    reasons.push(nameSimilarity === 1 ? 'Same name' : 'Similar name');
+  }
+
+  const addressSimilarity = stringSimilarity(normalizeAddress(getLeadAddress(a)), normalizeAddress(getLeadAddress(b)));
+  if (addressSimilarity >= 0.9) {
+    score += Math.round(25 * addressSimilarity);
+    reasons.push(addressSimilarity === 1 ? 'Same address' : 'Similar address');
+  } else if (nameSimilarity >= 0.85 && a.zipCode && a.zipCode === b.zipCode) {
+    score += 5;
+    reasons.push('Same zip code');
+  }
+
+  return { score: Math.min(score, 100), reasons };
+};
+
+/**
+ * Possible duplicates of a lead among a list of leads, best match first
+ * @returns {Array} - [{ lead, score, reasons }]
+ */
+export const findDuplicateLeads = (lead, leads = [], threshold = DUPLICATE_THRESHOLD) => {
+  if (!lead) return [];
+  return leads
+    .filter(other => other.id !== lead.id && other.status !== 'merged')
+    .map(other => ({ lead: other, ...scoreLeadMatch(lead, other) }))
+    .filter(match => match.score >= threshold)
+    .sort((x, y) => y.score - x.score);
+};
+
+/**
+ * Map of lead ID -> number of possible duplicates, for flagging rows in a table
+ */
+export const countDuplicateLeads = (leads = [], threshold = DUPLICATE_THRESHOLD) => {
+  const active = leads.filter(lead => lead.status !== 'merged');
+  const counts = {};
+  for (let i = 0; i < active.length; i++) {
+    for (let j = i + 1; j < active.length; j++) {
+      if (scoreLeadMatch(active[i], active[j]).score < threshold) continue;
+      counts[active[i].id] = (counts[active[i].id] || 0) + 1;
+      counts[active[j].id] = (counts[active[j].id] || 0) + 1;
+    }
+  }
+  return counts;
+};
+
+/**
+ * Photo URLs stored on a lead, either as an array or as a JSON string
+ * @returns {Array} - URLs, empty when missing or unreadable
+ */
+export const parsePhotoUrls = (photoUrls) => {
+  if (!photoUrls) return [];
+  if (Array.isArray(photoUrls)) return photoUrls;
+  try {
+    const parsed = JSON.parse(photoUrls);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+/**
+ * What a lead looked like when submitted; merged leads keep one of these per original submission
+ */
+export const snapshotSubmission = (lead) => ({
+  leadId: lead.id,
+  submittedAt: lead.createdAt,
+  leadFormId: lead.leadFormId || null,
+  formTitle: lead.LeadForm?.formTitle || null,
+  name: getLeadName(lead),
+  email: getLeadEmail(lead),
+  phone: getLeadPhone(lead),
+  address: getLeadAddress(lead),
+  zipCode: lead.zipCode || null,
+  projectType: lead.projectType || lead.formData?.projectType || null,
+  homeSize: lead.homeSize || null,
+  projectDetails: lead.projectDetails || null,
+  ballparkQuote: lead.ballparkQuote || null,
+  photoUrls: parsePhotoUrls(lead.photoUrls),
+  utmSource: lead.utmSource || null,
+  utmMedium: lead.utmMedium || null,
+  utmCampaign: lead.utmCampaign || null,
+  formData: lead.formData || {}
+});
+
+// A lead's own submission history (a lead that was never merged has just its own)
+export const getSubmissionHistory = (lead) => (
+  lead?.submissions?.length ? lead.submissions : [snapshotSubmission(lead)]
+);
+
+const getFieldValue = (lead, key) => {
+  switch (key) {
+    case 'name': return getLeadName(lead);
+    case 'email': return getLeadEmail(lead);
+    case 'phone': return getLeadPhone(lead);
+    case 'address': return getLeadAddress(lead);
+    default: return lead[key] || '';
+  }
+};
+
+/**
+ * Distinct values of each merge field across the leads, for the field pickers
+ * @returns {Object} - { name: ['Jane Doe', 'Jane D.'], ... }
+ */
+export const getMergeFieldOptions = (leads = []) => MERGE_FIELDS.reduce((options, field) => {
+  const values = leads.map(lead => getFieldValue(lead, field.key)).filter(Boolean);
+  options[field.key] = [...new Set(values)];
+  return options;
+}, {});
+
+/**
+ * Combine leads into the primary one
+ * @param {Object} primary - Lead that survives the merge
+ * @param {Array} duplicates - Leads folded into it
+ * @param {Object} choices - Picked contact values { name, email, phone, address, zipCode }; defaults to the
+ *                           primary's value, else the newest duplicate that has one
+ * @returns {Object} - Update payload for the primary lead
+ */
+export const buildMergedLead = (primary, duplicates = [], choices = {}) => {
+  const all = [primary, ...duplicates];
+  const newestFirst = [...duplicates].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  const pick = (key) => choices[key] ?? ([primary, ...newestFirst].map(lead => getFieldValue(lead, key)).find(Boolean) || '');
+
+  const [firstName, ...rest] = pick('name').split(/\s+/);
+  const lastName = rest.join(' ');
+
+  const photoUrls = [...new Set(all.flatMap(lead => parsePhotoUrls(lead.photoUrls)))];
+
+  const notes = [
+    primary.notes,
+    ...duplicates
+      .filter(lead => lead.notes)
+      .map(lead => `--- Merged from lead #${lead.id} (${new Date(lead.createdAt).toLocaleDateString()}) ---\n${lead.notes}`)
+  ].filter(Boolean).join('\n\n');
+
+  const projectDetails = [...new Set(all.map(lead => lead.projectDetails).filter(Boolean))].join('\n\n');
+
+  const submissions = all
+    .flatMap(getSubmissionHistory)
+    .filter((submission, index, list) => list.findIndex(s => s.leadId === submission.leadId && s.submittedAt === submission.submittedAt) === index)
+    .sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
+
+  return {
+    firstName: firstName || '',
+    lastName,
+    email: pick('email'),
+    phone: pick('phone'),
+    address: pick('address'),
+    zipCode: pick('zipCode'),
+    homeSize: primary.homeSize || newestFirst.find(lead => lead.homeSize)?.homeSize || null,
+    projectType: primary.projectType || newestFirst.find(lead => lead.projectType)?.projectType || null,
+    projectDetails: projectDetails || null,
+    photoUrls: photoUrls.length > 0 ? JSON.stringify(photoUrls) : null,
+    notes,
+    quoteId: primary.quoteId || duplicates.find(lead => lead.quoteId)?.quoteId || null,
+    formData: {
+      ...newestFirst.reduceRight((data, lead) => ({ ...data, ...(lead.formData || {}) }), {}),
+      ...(primary.formData || {}),
+      fullName: pick('name'),
+      email: pick('email'),
+      phone: pick('phone')
+    },
+    submissions,
+    mergedLeadIds: [...new Set([...(primary.mergedLeadIds || []), ...duplicates.flatMap(lead => [lead.id, ...(lead.mergedLeadIds || [])])])]
+  };
+};
+
+export default {
+  DUPLICATE_THRESHOLD,
+  STRONG_MATCH_THRESHOLD,
+  MERGE_FIELDS,
+  getLeadName,
+  getLeadEmail,
+  getLeadPhone,
+  getLeadAddress,
+  normalizeEmail,
+  normalizePhone,
+  normalizeName,
+  normalizeAddress,
+  stringSimilarity,
+  scoreLeadMatch,
+  findDuplicateLeads,
+  countDuplicateLeads,
+  parsePhotoUrls,
+  snapshotSubmission,
+  getSubmissionHistory,
+  getMergeFieldOptions,
+  buildMergedLead
+};
@@ -0,0 +1,67 @@
+// src/utils/leadFormEmbed.js
+// URLs and copy-paste snippets for putting a lead form on a contractor's own website.
+// The script snippets load public/embed/lead-form.js, which renders the form in an iframe.
+
+export const EMBED_PLACEMENTS = [
+  { value: 'inline', label: 'Inline', description: 'Form sits in the page where the snippet is pasted and grows to fit' },
+  { value: 'popup', label: 'Popup Button', description: 'Floating button that opens the form in a dialog' },
+  { value: 'slide-in', label: 'Slide-in', description: 'Floating button that slides the form in from the side' },
+  { value: 'iframe', label: 'Plain iframe', description: 'No script; fixed height, for site builders that block scripts' }
+];
+
+const getOrigin = () => (typeof window !== 'undefined' ? window.location.origin : '');
+
+// Hosted form route (see routes/index.jsx)
+export const getPublicFormUrl = (publicUrl) => `${getOrigin()}/public-form/${publicUrl}`;
+
+export const getEmbedFrameUrl = (publicUrl) => `${getOrigin()}/embed/lead-form/${publicUrl}`;
+
+export const getEmbedScriptUrl = () => `${getOrigin()}/embed/lead-form.js`;
+
+const escapeAttribute = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;');
+
+/**
+ * Build the HTML snippet for a placement
+ * @param {object} params
+ * @param {string} params.publicUrl - Lead form public URL slug
+ * @param {string} params.placement - inline | popup | slide-in | iframe
+ * @param {string} params.buttonText - Launcher text (popup / slide-in)
+ * @param {string} params.color - Launcher and form accent color; defaults to the tenant branding
+ * @param {string} params.position - left | right (popup / slide-in launcher)
+ * @returns {string}
+ */
+export const buildEmbedSnippet = ({ publicUrl, placement = 'inline', buttonText, color, position = 'right' }) => {
+  const scriptUrl = getEmbedScriptUrl();
+  const colorAttr = color ? ` data-color="${escapeAttribute(color)}"` : '';
+
+  if (placement === 'iframe') {
+    const src = `${getEmbedFrameUrl(publicUrl)}?embed=iframe${color ? `&primaryColor=${encodeURIComponent(color)}` : ''}`;
+    return `<iframe src="${escapeAttribute(src)}" title="Request a quote" style="width:100%;height:900px;border:0;" loading="lazy"></iframe>`;
+  }
+
+  if (placement === 'inline') {
+    return [
+      `<div data-cadence-lead-form="${escapeAttribute(publicUrl)}" data-mode="inline"${colorAttr}></div>`,
+      `<script async src="${scriptUrl}"></script>`
+    ].join('\n');
+  }
+
+  return [
+    `<script async src="${scriptUrl}"`,
+    `  data-cadence-lead-form="${escapeAttribute(publicUrl)}"`,
+    `  data-mode="${placement}"`,
+    `  data-button-text="${escapeAttribute(buttonText || 'Get a Free Quote')}"`,
+    `  data-position="${position}"${colorAttr}></script>`
+  ].join('\n');
+};
+
+export default {
+  EMBED_PLACEMENTS,
+  getPublicFormUrl,
+  getEmbedFrameUrl,
+  getEmbedScriptUrl,
+  buildEmbedSnippet
+};
@@ -0,0 +1,179 @@
+// src/utils/leadFormFunnel.js
+// Funnel analytics for lead forms. PublicLeadFormPage records view / step / abandon / submit events
+// (see hooks/useLeadFormTracking.js); these helpers turn those events and the form's leads into
+// view -> submission -> quote -> accepted job counts, step drop-off and field abandonment.
+
+import { LEAD_FORM_STEPS, CORE_LEAD_FIELDS } from './leadFormLogic';
+
+export const FUNNEL_STAGES = [
+  { key: 'views', label: 'Form Views' },
+  { key: 'submissions', label: 'Submissions' },
+  { key: 'quotes', label: 'Quotes' },
+  { key: 'accepted', label: 'Accepted Jobs' }
+];
+
+// Lead statuses that mean the customer accepted the quote (see leadQuoteService)
+const ACCEPTED_LEAD_STATUSES = ['proposal_signed', 'won'];
+
+const CONTACT_FIELD_LABELS = {
+  fullName: 'Full Name',
+  firstName: 'First Name',
+  lastName: 'Last Name',
+  email: 'Email',
+  phone: 'Phone',
+  address: 'Address',
+  projectDetails: 'Project Details',
+  photos: 'Photos',
+  bestTimeToContact: 'Best Time to Contact',
+  agreedToTerms: 'Terms'
+};
+
+const getHostname = (url) => {
+  if (!url) return null;
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Traffic source for an event or lead: utm_source, else the referring site, else "direct"
+ */
+export const getTrafficSource = (record = {}) => (
+  record.utmSource ||
+  record.formData?.utmSource ||
+  getHostname(record.referrer || record.formData?.referrer) ||
+  'direct'
+);
+
+/**
+ * Campaign attribution for the current page view
+ * @param {string} search - window.location.search
+ * @param {string} referrer - Referring URL (the host page when embedded)
+ */
+export const readAttribution = (search = '', referrer = '') => {
+  const params = new URLSearchParams(search);
+  return {
+    utmSource: params.get('utm_source') || null,
+    utmMedium: params.get('utm_medium') || null,
+    utmCampaign: params.get('utm_campaign') || null,
+    utmTerm: params.get('utm_term') || null,
+    utmContent: params.get('utm_content') || null,
+    referrer: referrer || null
+  };
+};
+
+export const getFieldLabel = (fieldName, formFields = []) => (
+  formFields.find(field => field.fieldName === fieldName)?.fieldLabel ||
+  CORE_LEAD_FIELDS.find(field => field.fieldName === fieldName)?.fieldLabel ||
+  CONTACT_FIELD_LABELS[fieldName] ||
+  fieldName
+);
+
+const sessionsWith = (events, predicate) => new Set(events.filter(predicate).map(event => event.sessionId)).size;
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+const countStages = (events, leads) => {
+  const views = sessionsWith(events, event => event.type === 'view');
+  const submissions = leads.length;
+  return {
+    // Forms submitted before tracking existed have no view events
+    views: Math.max(views, submissions),
+    submissions,
+    quotes: leads.filter(lead => lead.quoteId).length,
+    accepted: leads.filter(lead => ACCEPTED_LEAD_STATUSES.includes(lead.status)).length
+  };
+};
+
+/**
+ * Funnel for one form
+ * @param {Object} params
+ * @param {Array} params.events - Tracking events [{ type, sessionId, step, field, fields, utmSource, referrer, createdAt }]
+ * @param {Array} params.leads - The form's leads (merged duplicates excluded)
+ * @param {Array} params.formFields - The form's builder fields, for field labels
+ * @returns {Object} - { stages, steps, fields, sources }
+ */
+export const buildFormFunnel = ({ events = [], leads = [], formFields = [] }) => {
+  const activeLeads = leads.filter(lead => lead.status !== 'merged');
+  const counts = countStages(events, activeLeads);
+
+  const stages = FUNNEL_STAGES.map((stage, index) => {
+    const previous = index > 0 ? counts[FUNNEL_STAGES[index - 1].key] : null;
+    return {
+      ...stage,
+      count: counts[stage.key],
+      rateFromPrevious: previous === null ? 100 : percent(counts[stage.key], previous),
+      rateFromViews: percent(counts[stage.key], counts.views)
+    };
+  });
+
+  const steps = LEAD_FORM_STEPS.map(step => {
+    const entered = sessionsWith(events, event => event.type === 'step_enter' && event.step === step.key);
+    const completed = sessionsWith(events, event => event.type === 'step_complete' && event.step === step.key);
+    return {
+      key: step.key,
+      title: step.title,
+      entered,
+      completed,
+      dropped: Math.max(entered - completed, 0),
+      dropOffRate: percent(Math.max(entered - completed, 0), entered)
+    };
+  });
+
+  // A session's last abandon counts, unless the visitor came back and submitted
+  const submittedSessions = new Set(events.filter(event => event.type === 'submit').map(event => event.sessionId));
+  const lastAbandons = events
+    .filter(event => event.type === 'abandon' && !submittedSessions.has(event.sessionId))
+    .reduce((acc, event) => {
+      const current = acc[event.sessionId];
+      if (!current || new Date(event.createdAt) >= new Date(current.createdAt)) acc[event.sessionId] = event;
+      return acc;
+    }, {});
+  const abandons = Object.values(lastAbandons);
+  // Last field touched before leaving; visitors who left without typing are grouped by step
+  const fieldCounts = abandons.reduce((acc, event) => {
+    const key = event.field || `__${event.step}`;
+    acc[key] = acc[key] || { field: event.field || null, step: event.step, count: 0 };
+    acc[key].count += 1;
+    return acc;
+  }, {});
+  const fields = Object.values(fieldCounts)
+    .map(entry => ({
+      ...entry,
+      label: entry.field ? getFieldLabel(entry.field, formFields) : 'Left before typing',
+      stepTitle: LEAD_FORM_STEPS.find(step => step.key === entry.step)?.title || '',
+      share: percent(entry.count, abandons.length)
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  const sourceNames = new Set([
+    ...events.filter(event => event.type === 'view').map(getTrafficSource),
+    ...activeLeads.map(getTrafficSource)
+  ]);
+  const sources = [...sourceNames]
+    .map(source => {
+      const sourceCounts = countStages(
+        events.filter(event => getTrafficSource(event) === source),
+        activeLeads.filter(lead => getTrafficSource(lead) === source)
+      );
+      return {
+        source,
+        ...sourceCounts,
+        submissionRate: percent(sourceCounts.submissions, sourceCounts.views),
+        acceptedRate: percent(sourceCounts.accepted, sourceCounts.views)
+      };
+    })
+    .sort((a, b) => b.views - a.views);
+
+  return { stages, steps, fields, sources };
+};
+
+export default {
+  FUNNEL_STAGES,
+  getTrafficSource,
+  readAttribution,
+  getFieldLabel,
+  buildFormFunnel
+};
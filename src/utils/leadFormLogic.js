@@ -0,0 +1,274 @@
+// src/utils/leadFormLogic.js
+// Conditional logic for lead forms: show/hide rules on fields and skip rules on steps.
+// Rules are edited in LeadFormBuilderPage and evaluated live on PublicLeadFormPage.
+
+// Steps of the public lead form, in order
+export const LEAD_FORM_STEPS = [
+  { key: 'contact', title: 'Contact Info' },
+  { key: 'project', title: 'Project Details' },
+  { key: 'preferences', title: 'Preferences' }
+];
+
+// Custom fields land on Project Details unless the builder says otherwise
+export const DEFAULT_FIELD_STEP = 'project';
+
+// Built-in fields of the public form that rules can refer to
+export const CORE_LEAD_FIELDS = [
+  {
+    fieldName: 'projectType',
+    fieldLabel: 'Project Type',
+    fieldType: 'select',
+    step: 'project',
+    options: [
+      { value: 'interior', label: 'Interior Painting' },
+      { value: 'exterior', label: 'Exterior Painting' },
+      { value: 'trim', label: 'Trim/Baseboards' },
+      { value: 'cabinets', label: 'Cabinet Painting' },
+      { value: 'whole_house', label: 'Whole House' },
+      { value: 'other', label: 'Other' }
+    ]
+  },
+  { fieldName: 'zipCode', fieldLabel: 'Zip Code', fieldType: 'text', step: 'project' },
+  { fieldName: 'homeSize', fieldLabel: 'Home Size (sq ft)', fieldType: 'number', step: 'project' },
+  { fieldName: 'roomCount', fieldLabel: 'Number of Rooms', fieldType: 'number', step: 'project' },
+  {
+    fieldName: 'preferredContactMethod',
+    fieldLabel: 'Preferred Contact Method',
+    fieldType: 'radio',
+    step: 'preferences',
+    options: [
+      { value: 'phone', label: 'Phone Call' },
+      { value: 'email', label: 'Email' },
+      { value: 'text', label: 'Text Message' }
+    ]
+  },
+  {
+    fieldName: 'timeline',
+    fieldLabel: 'Timeline',
+    fieldType: 'select',
+    step: 'preferences',
+    options: [
+      { value: 'asap', label: 'ASAP' },
+      { value: '1month', label: 'Within 1 month' },
+      { value: '1-3months', label: '1-3 months' },
+      { value: '3-6months', label: '3-6 months' },
+      { value: 'exploring', label: 'Just exploring options' }
+    ]
+  },
+  {
+    fieldName: 'paintPreference',
+    fieldLabel: 'What Needs Painting',
+    fieldType: 'select',
+    step: 'preferences',
+    options: [
+      { value: 'walls', label: 'Just walls' },
+      { value: 'whole_house', label: 'Whole house' },
+      { value: 'cabinets', label: 'Cabinets' },
+      { value: 'accent', label: 'Accent wall' },
+      { value: 'not_sure', label: 'Not sure yet' }
+    ]
+  },
+  {
+    fieldName: 'referralSource',
+    fieldLabel: 'Referral Source',
+    fieldType: 'select',
+    step: 'preferences',
+    options: [
+      { value: 'google', label: 'Google Search' },
+      { value: 'social', label: 'Social Media' },
+      { value: 'friend', label: 'Friend/Family' },
+      { value: 'saw_work', label: 'Saw your work' },
+      { value: 'ad', label: 'Advertisement' },
+      { value: 'other', label: 'Other' }
+    ]
+  }
+];
+
+// Field names the public form always renders itself; builder fields with these names are not duplicated
+export const BUILT_IN_FIELD_NAMES = new Set([
+  'fullName',
+  'firstName',
+  'lastName',
+  'email',
+  'phone',
+  'address',
+  'projectDetails',
+  'photos',
+  'bestTimeToContact',
+  'agreedToTerms',
+  ...CORE_LEAD_FIELDS.map(field => field.fieldName)
+]);
+
+export const CONDITION_OPERATORS = [
+  { value: 'equals', label: 'is' },
+  { value: 'not_equals', label: 'is not' },
+  { value: 'contains', label: 'contains' },
+  { value: 'greater_than', label: 'is greater than' },
+  { value: 'less_than', label: 'is less than' },
+  { value: 'is_empty', label: 'is empty' },
+  { value: 'is_not_empty', label: 'is not empty' }
+];
+
+// Operators that don't compare against a value
+export const VALUELESS_OPERATORS = new Set(['is_empty', 'is_not_empty']);
+
+const isEmptyValue = (value) =>
+  value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+const sameValue = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * Evaluate one condition against the form values
+ * @param {object} condition - { field, operator, value }
+ * @param {object} values - Current form values keyed by field name
+ */
+export const evaluateCondition = (condition, values = {}) => {
+  if (!condition?.field) return true;
+  const actual = values[condition.field];
+  const expected = condition.value;
+
+  switch (condition.operator) {
+    case 'is_empty':
+      return isEmptyValue(actual);
+    case 'is_not_empty':
+      return !isEmptyValue(actual);
+    case 'not_equals':
+      return isEmptyValue(actual) || (Array.isArray(actual) ? !actual.some(v => sameValue(v, expected)) : !sameValue(actual, expected));
+    case 'contains':
+      if (isEmptyValue(actual)) return false;
+      return Array.isArray(actual)
+        ? actual.some(v => sameValue(v, expected))
+        : String(actual).toLowerCase().includes(String(expected ?? '').toLowerCase());
+    case 'greater_than':
+      return !isEmptyValue(actual) && Number(actual) > Number(expected);
+    case 'less_than':
+      return !isEmptyValue(actual) && Number(actual) < Number(expected);
+    case 'equals':
+    default:
+      if (isEmptyValue(actual)) return isEmptyValue(expected);
+      return Array.isArray(actual) ? actual.some(v => sameValue(v, expected)) : sameValue(actual, expected);
+  }
+};
+
+/**
+ * Evaluate a rule: { match: 'all' | 'any', conditions: [...] }
+ * A rule without complete conditions never fires.
+ */
+export const evaluateRule = (rule, values = {}) => {
+  const conditions = (rule?.conditions || []).filter(condition => condition.field && condition.operator);
+  if (conditions.length === 0) return false;
+  return rule.match === 'any'
+    ? conditions.some(condition => evaluateCondition(condition, values))
+    : conditions.every(condition => evaluateCondition(condition, values));
+};
+
+/**
+ * Whether a field is shown for the current values.
+ * field.visibility = { action: 'show' | 'hide', match, conditions }
+ */
+export const isFieldVisible = (field, values = {}) => {
+  const rule = field?.visibility;
+  if (!rule || !(rule.conditions || []).length) return true;
+  const matched = evaluateRule(rule, values);
+  return rule.action === 'hide' ? !matched : matched;
+};
+
+/**
+ * Whether a step is skipped. stepRules = [{ step, match, conditions }]
+ */
+export const isStepSkipped = (stepKey, stepRules = [], values = {}) =>
+  stepRules.some(rule => rule.step === stepKey && evaluateRule(rule, values));
+
+/**
+ * Indexes of the steps to walk through, in order. The contact step can't be skipped.
+ */
+export const getActiveStepIndexes = (stepRules = [], values = {}) =>
+  LEAD_FORM_STEPS
+    .map((step, index) => ({ step, index }))
+    .filter(({ step, index }) => index === 0 || !isStepSkipped(step.key, stepRules, values))
+    .map(({ index }) => index);
+
+/**
+ * Builder fields the public form renders itself (everything not built in), per step
+ */
+export const getCustomFields = (formFields = [], stepKey) =>
+  formFields
+    .filter(field => field.fieldName && !BUILT_IN_FIELD_NAMES.has(field.fieldName))
+    .filter(field => !stepKey || (field.step || DEFAULT_FIELD_STEP) === stepKey)
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+
+/**
+ * Drop answers to fields that ended up hidden (or on a skipped step) so they aren't submitted
+ */
+export const stripHiddenValues = (formFields = [], values = {}, stepRules = []) => {
+  const hidden = getCustomFields(formFields).filter(field =>
+    !isFieldVisible(field, values) || isStepSkipped(field.step || DEFAULT_FIELD_STEP, stepRules, values)
+  );
+  if (hidden.length === 0) return values;
+  const result = { ...values };
+  hidden.forEach(field => {
+    delete result[field.fieldName];
+  });
+  return result;
+};
+
+/**
+ * Fields a rule can refer to: the public form's built-in fields plus the builder's fields
+ * @param {Array} formFields - Builder fields
+ * @param {string} excludeFieldName - The field being edited (a field can't depend on itself)
+ */
+export const getConditionSourceFields = (formFields = [], excludeFieldName) => [
+  ...CORE_LEAD_FIELDS,
+  ...getCustomFields(formFields).map(field => ({
+    ...field,
+    options: (field.options || []).map(option => (typeof option === 'string' ? { value: option, label: option } : option))
+  }))
+].filter(field => field.fieldName !== excludeFieldName);
+
+/**
+ * Fields a step's skip rule can refer to: only those on earlier steps, since the rule is
+ * evaluated when the visitor leaves the previous step
+ * @param {Array} formFields - Builder fields
+ * @param {string} stepKey - Step the rule skips
+ */
+export const getStepRuleSourceFields = (formFields = [], stepKey) => {
+  const stepIndex = LEAD_FORM_STEPS.findIndex(step => step.key === stepKey);
+  return getConditionSourceFields(formFields).filter(field =>
+    LEAD_FORM_STEPS.findIndex(step => step.key === (field.step || DEFAULT_FIELD_STEP)) < stepIndex
+  );
+};
+
+/**
+ * One-line description of a rule for the builder, e.g. "Project Type is Exterior Painting"
+ */
+export const describeRule = (rule, sourceFields = []) => {
+  const conditions = (rule?.conditions || []).filter(condition => condition.field);
+  if (conditions.length === 0) return '';
+  return conditions.map(condition => {
+    const source = sourceFields.find(field => field.fieldName === condition.field);
+    const operator = CONDITION_OPERATORS.find(op => op.value === condition.operator)?.label || condition.operator;
+    if (VALUELESS_OPERATORS.has(condition.operator)) return `${source?.fieldLabel || condition.field} ${operator}`;
+    const option = source?.options?.find(opt => String(opt.value) === String(condition.value));
+    const value = option?.label ?? (typeof condition.value === 'boolean' ? (condition.value ? 'checked' : 'unchecked') : condition.value);
+    return `${source?.fieldLabel || condition.field} ${operator} ${value ?? ''}`.trim();
+  }).join(rule.match === 'any' ? ' or ' : ' and ');
+};
+
+export default {
+  LEAD_FORM_STEPS,
+  DEFAULT_FIELD_STEP,
+  CORE_LEAD_FIELDS,
+  BUILT_IN_FIELD_NAMES,
+  CONDITION_OPERATORS,
+  VALUELESS_OPERATORS,
+  evaluateCondition,
+  evaluateRule,
+  isFieldVisible,
+  isStepSkipped,
+  getActiveStepIndexes,
+  getCustomFields,
+  stripHiddenValues,
+  getConditionSourceFields,
+  getStepRuleSourceFields,
+  describeRule
+};
@@ -0,0 +1,214 @@
+// src/utils/materialListUtils.js
+// Material shopping list for a job: paint grouped by product, color and sheen and bought in
+// containers, plus the sundries a crew needs. Built from the accepted quote and the customer's selections.
+
+import { estimateItemGallons, resolveProductId } from './pricingEngine';
+import { PAINT_CONTAINERS, getContainerPrices, optimizeContainerPurchase } from './paintUtils';
+
+/**
+ * Sundry estimates per job.
+ * Each rule gets the job totals ({ paintedSqft, wallSqft, trimLF, areaCount, exteriorSqft, paintGroups })
+ * and returns a quantity; rules returning 0 are left off the list.
+ */
+export const SUNDRY_RULES = [
+  {
+    key: 'roller_covers',
+    item: 'Roller covers (9")',
+    unit: 'each',
+    basis: '1 per color, plus 1 per 800 sq ft',
+    quantity: (t) => (t.paintedSqft > 0 ? t.paintGroups + Math.floor(t.paintedSqft / 800) : 0)
+  },
+  {
+    key: 'painters_tape',
+    item: "Painter's tape (1.88\" × 60 yd)",
+    unit: 'rolls',
+    basis: '1 roll per 150 LF of trim (min 1 per area)',
+    quantity: (t) => Math.max(Math.ceil(t.trimLF / 150), t.areaCount)
+  },
+  {
+    key: 'drop_cloths',
+    item: 'Canvas drop cloths',
+    unit: 'each',
+    basis: '1 per area, 2–6 per job',
+    quantity: (t) => (t.areaCount > 0 ? Math.min(Math.max(t.areaCount, 2), 6) : 0)
+  },
+  {
+    key: 'caulk',
+    item: 'Paintable caulk (10.1 oz)',
+    unit: 'tubes',
+    basis: '1 tube per 50 LF of trim',
+    quantity: (t) => Math.ceil(t.trimLF / 50)
+  },
+  {
+    key: 'spackle',
+    item: 'Spackling compound (quart)',
+    unit: 'each',
+    basis: '1 per 1,000 sq ft of walls',
+    quantity: (t) => Math.ceil(t.wallSqft / 1000)
+  },
+  {
+    key: 'sanding',
+    item: 'Sanding sponges',
+    unit: 'each',
+    basis: '1 per 500 sq ft painted',
+    quantity: (t) => Math.ceil(t.paintedSqft / 500)
+  },
+  {
+    key: 'plastic',
+    item: 'Plastic sheeting (9\' × 400\')',
+    unit: 'rolls',
+    basis: '1 roll per 2,000 sq ft of exterior',
+    quantity: (t) => Math.ceil(t.exteriorSqft / 2000)
+  }
+];
+
+const toNumber = (value) => {
+  const num = parseFloat(value);
+  return Number.isFinite(num) ? num : 0;
+};
+
+const selectionSurface = (sel) => (sel.surfaceType || sel.categoryName || '').toLowerCase();
+
+// Customer selections are recorded per area (matched on id first, then name) and surface. Use the
+// selection for this surface when there is one, and an area-wide selection (no surface recorded) otherwise.
+const findSelection = (selections = [], area, item) => {
+  const byId = selections.filter(sel => sel.areaId && sel.areaId === area.id);
+  const areaSelections = byId.length > 0 ? byId : selections.filter(sel => sel.areaName && sel.areaName === area.name);
+  const surface = (item.categoryName || '').toLowerCase();
+  return areaSelections.find(sel => surface && selectionSurface(sel) === surface) ||
+    areaSelections.find(sel => !selectionSurface(sel)) ||
+    null;
+};
+
+/**
+ * Build the material list for a job
+ * @param {object} params
+ * @param {object} params.quote - Accepted quote (areas, productSets, productStrategy, gbbSelectedTier, coverage, jobType)
+ * @param {Array} params.selections - Customer selections from getCustomerSelections ({ areaId, areaName, surfaceType, productId, productName, colorName, colorCode, sheen })
+ * @param {object} params.products - Product map from buildProductsMap
+ * @returns {object} - { paint: [...], sundries: [...], totals: { gallons, paintCost } }
+ */
+export const buildMaterialList = ({ quote = {}, selections = [], products = {} } = {}) => {
+  const tier = quote.gbbSelectedTier || quote.selectedTier || 'better';
+  const coverage = toNumber(quote.coverage) || 350;
+  const groups = new Map();
+  const totals = { paintedSqft: 0, wallSqft: 0, trimLF: 0, areaCount: 0, exteriorSqft: 0 };
+
+  (quote.areas || []).forEach(area => {
+    const items = (area.laborItems || area.items || []).filter(item => item.selected);
+    if (items.length === 0) return;
+    totals.areaCount += 1;
+
+    const isExterior = (area.jobType || quote.jobType) === 'exterior';
+
+    items.forEach(item => {
+      const quantity = toNumber(item.quantity);
+      if (item.measurementUnit === 'linear_foot') totals.trimLF += quantity;
+      if (item.measurementUnit === 'sqft') {
+        totals.paintedSqft += quantity;
+        if (/wall|siding/i.test(item.categoryName)) totals.wallSqft += quantity;
+        if (isExterior) totals.exteriorSqft += quantity;
+      }
+
+      const gallons = toNumber(item.gallons) || estimateItemGallons(item, coverage);
+      if (gallons <= 0) return;
+
+      const selection = findSelection(selections, area, item);
+
+      const productId = selection?.productId ||
+        resolveProductId(quote.productSets, area.id, item.categoryName, tier, quote.productStrategy);
+      const product = products[productId] || {};
+      const productName = selection?.productName ||
+        (product.productName ? `${product.brandName ? `${product.brandName} ` : ''}${product.productName}` : 'Product not specified');
+      const colorName = selection?.colorName || '';
+      const colorCode = selection?.colorCode || '';
+      const sheen = selection?.sheen || '';
+
+      const key = [productId || productName, colorCode || colorName, sheen].join('::').toLowerCase();
+      if (!groups.has(key)) {
+        groups.set(key, { productId: productId || null, productName, colorName, colorCode, sheen, gallons: 0, areas: [] });
+      }
+      const group = groups.get(key);
+      group.gallons += gallons;
+      if (!group.areas.includes(area.name)) group.areas.push(area.name);
+    });
+  });
+
+  const paint = Array.from(groups.values()).map(group => {
+    const { gallons, ...rest } = group;
+    return {
+      ...rest,
+      ...optimizeContainerPurchase(gallons, getContainerPrices(products[group.productId]))
+    };
+  });
+
+  const jobTotals = { ...totals, paintGroups: paint.length };
+  const sundries = SUNDRY_RULES
+    .map(rule => ({ key: rule.key, item: rule.item, unit: rule.unit, basis: rule.basis, quantity: rule.quantity(jobTotals) }))
+    .filter(sundry => sundry.quantity > 0);
+
+  return {
+    paint,
+    sundries,
+    totals: {
+      gallons: Math.round(paint.reduce((sum, p) => sum + p.gallonsNeeded, 0) * 100) / 100,
+      paintCost: Math.round(paint.reduce((sum, p) => sum + p.cost, 0) * 100) / 100
+    }
+  };
+};
+
+const containerCount = (entry, key) => entry.containers.find(c => c.key === key)?.count || 0;
+
+/**
+ * Flatten a material list into spreadsheet rows (one per paint group, then one per sundry)
+ * @returns {Array} - Objects keyed by column header
+ */
+export const materialListToRows = (materialList) => {
+  const paintRows = materialList.paint.map(entry => ({
+    Type: 'Paint',
+    Item: entry.productName,
+    Color: entry.colorName,
+    'Color Code': entry.colorCode,
+    Sheen: entry.sheen,
+    ...Object.fromEntries(PAINT_CONTAINERS.map(container => [container.label, containerCount(entry, container.key)])),
+    Quantity: entry.gallonsNeeded,
+    Unit: 'gal needed',
+    Notes: entry.areas.join(', ')
+  }));
+
+  const sundryRows = materialList.sundries.map(sundry => ({
+    Type: 'Sundry',
+    Item: sundry.item,
+    Color: '',
+    'Color Code': '',
+    Sheen: '',
+    ...Object.fromEntries(PAINT_CONTAINERS.map(container => [container.label, ''])),
+    Quantity: sundry.quantity,
+    Unit: sundry.unit,
+    Notes: sundry.basis
+  }));
+
+  return [...paintRows, ...sundryRows];
+};
+
+/**
+ * Convert spreadsheet rows to CSV text
+ */
+export const rowsToCSV = (rows) => {
+  if (rows.length === 0) return '';
+  const headers = Object.keys(rows[0]);
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [headers, ...rows.map(row => headers.map(header => row[header]))]
+    .map(line => line.map(escape).join(','))
+    .join('\n');
+};
+
+export default {
+  SUNDRY_RULES,
+  buildMaterialList,
+  materialListToRows,
+  rowsToCSV
+};
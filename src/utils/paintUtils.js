@@ -31,3 +31,157 @@ export function calculateGallonsNeeded(sqft, coats, coveragePerGallon, opts = {}
     // Avoid negative/NaN
     return Number.isFinite(rounded) ? rounded : 0;
 }
+
+/**
+ * Container sizes paint is sold in, largest first.
+ * `quarts` is the size in quarter gallons so purchases can be planned in whole units.
+ */
+export const PAINT_CONTAINERS = [
+    { key: 'pail', label: '5-Gallon Pail', gallons: 5, quarts: 20 },
+    { key: 'gallon', label: 'Gallon', gallons: 1, quarts: 4 },
+    { key: 'quart', label: 'Quart', gallons: 0.25, quarts: 1 }
+];
+
+/**
+ * Resolve per-container prices for a product.
+ * Uses the product config's `containerPrices` ({ quart, gallon, pail }) and falls back
+ * to the per-gallon sheen price for gallons. Sizes without a price are not offered.
+ *
+ * @param {object} product - Entry from buildProductsMap (pricePerGallon, containerPrices)
+ * @returns {object} - { quart, gallon, pail } with null for sizes that can't be bought
+ */
+export function getContainerPrices(product = {}) {
+    const configured = product.containerPrices || {};
+    const price = (value) => {
+        const num = parseFloat(value);
+        return Number.isFinite(num) && num > 0 ? num : null;
+    };
+    return {
+        quart: price(configured.quart),
+        gallon: price(configured.gallon) ?? price(product.pricePerGallon),
+        pail: price(configured.pail)
+    };
+}
+
+/**
+ * Find the cheapest mix of quarts, gallons and 5-gallon pails that covers `gallons`.
+ * Solved as a min-cost cover over quarter gallons; ties go to fewer containers.
+ * When no container has a price the need is rounded up to whole gallons at $0.
+ *
+ * @param {number} gallons - Gallons needed (typically from calculateGallonsNeeded)
+ * @param {object} prices - { quart, gallon, pail } from getContainerPrices
+ * @returns {object} - { gallonsNeeded, purchasedGallons, containers: [{ key, label, count, unitPrice, cost }], cost }
+ */
+export function optimizeContainerPurchase(gallons, prices = {}) {
+    const gallonsNeeded = parseFloat(gallons) || 0;
+    const needed = Math.ceil(Math.round(gallonsNeeded * 400) / 100); // quarts, tolerant of float noise
+    const available = PAINT_CONTAINERS.filter(container => prices[container.key] > 0);
+
+    if (needed <= 0) {
+        return { gallonsNeeded: 0, purchasedGallons: 0, containers: [], cost: 0 };
+    }
+
+    if (available.length === 0) {
+        const count = Math.ceil(needed / 4);
+        return {
+            gallonsNeeded,
+            purchasedGallons: count,
+            containers: [{ key: 'gallon', label: 'Gallon', count, unitPrice: 0, cost: 0 }],
+            cost: 0
+        };
+    }
+
+    // best[q] = cheapest way to buy exactly q quarts; overshoot by at most one largest container
+    const limit = needed + Math.max(...available.map(container => container.quarts));
+    const best = new Array(limit + 1).fill(null);
+    best[0] = { cost: 0, count: 0, last: null };
+    for (let q = 1; q <= limit; q++) {
+        available.forEach(container => {
+            const prev = q >= container.quarts ? best[q - container.quarts] : null;
+            if (!prev) return;
+            const cost = prev.cost + prices[container.key];
+            const count = prev.count + 1;
+            const current = best[q];
+            if (!current || cost < current.cost - 0.0001 || (Math.abs(cost - current.cost) <= 0.0001 && count < current.count)) {
+                best[q] = { cost, count, last: container };
+            }
+        });
+    }
+
+    let target = null;
+    for (let q = needed; q <= limit; q++) {
+        if (!best[q]) continue;
+        if (target === null || best[q].cost < best[target].cost - 0.0001 ||
+            (Math.abs(best[q].cost - best[target].cost) <= 0.0001 && best[q].count < best[target].count)) {
+            target = q;
+        }
+    }
+
+    const counts = {};
+    for (let q = target; q > 0; q -= best[q].last.quarts) {
+        counts[best[q].last.key] = (counts[best[q].last.key] || 0) + 1;
+    }
+
+    const containers = PAINT_CONTAINERS
+        .filter(container => counts[container.key])
+        .map(container => ({
+            key: container.key,
+            label: container.label,
+            count: counts[container.key],
+            unitPrice: prices[container.key],
+            cost: Math.round(counts[container.key] * prices[container.key] * 100) / 100
+        }));
+
+    return {
+        gallonsNeeded,
+        purchasedGallons: target / 4,
+        containers,
+        cost: Math.round(best[target].cost * 100) / 100
+    };
+}
+
+/**
+ * Roll paint needs up across a quote and plan the purchase for each product + color.
+ * Areas that share a product and color are bought together so partial containers aren't duplicated.
+ *
+ * @param {Array} lineItems - Priced line items ({ productId, color, gallons, areaName, categoryName })
+ * @param {object} products - Product map from buildProductsMap
+ * @returns {object} - { items: [{ productId, productName, color, gallonsNeeded, surfaces, ...purchase }], totalCost }
+ */
+export function buildPaintPurchasePlan(lineItems = [], products = {}) {
+    const groups = new Map();
+
+    lineItems.forEach(item => {
+        const gallons = parseFloat(item.gallons) || 0;
+        if (!item.productId || gallons <= 0) return;
+        const color = (item.color || '').trim();
+        const key = `${item.productId}::${color.toLowerCase()}`;
+        if (!groups.has(key)) {
+            const product = products[item.productId] || {};
+            groups.set(key, {
+                productId: item.productId,
+                brandName: product.brandName || '',
+                productName: product.productName || `Product ${item.productId}`,
+                color,
+                gallons: 0,
+                surfaces: []
+            });
+        }
+        const group = groups.get(key);
+        group.gallons += gallons;
+        group.surfaces.push(item.areaName ? `${item.areaName} — ${item.categoryName}` : item.categoryName);
+    });
+
+    const items = Array.from(groups.values()).map(group => {
+        const { gallons, ...rest } = group;
+        return {
+            ...rest,
+            ...optimizeContainerPurchase(gallons, getContainerPrices(products[group.productId]))
+        };
+    });
+
+    return {
+        items,
+        totalCost: Math.round(items.reduce((sum, item) => sum + item.cost, 0) * 100) / 100
+    };
+}
@@ -0,0 +1,808 @@
+// src/utils/pricingEngine.js
+// Pure client-side pricing engine shared by the quote builder steps, proposal preview and calculator.
+// Every price shown to an estimator or a customer should come from calculateQuotePricing.
+
+import { getPricingMode, mapCategoryToKey } from './pricingUtils';
+import { calculateGallonsNeeded, buildPaintPurchasePlan } from './paintUtils';
+
+/**
+ * Property condition multipliers applied to turnkey pricing
+ */
+export const DEFAULT_CONDITION_MULTIPLIERS = {
+  excellent: 1.00,
+  good: 1.05,
+  average: 1.12,
+  fair: 1.25,
+  poor: 1.45
+};
+
+/**
+ * Turnkey multipliers per number of stories (3 covers three stories and up)
+ */
+export const DEFAULT_STORY_MULTIPLIERS = {
+  1: 1.00,
+  2: 1.10,
+  3: 1.20
+};
+
+/**
+ * Flat rate item definitions.
+ * `priceKey` is the key in contractor settings `flatRateUnitPrices`,
+ * `defaultPrice` is used when the contractor has not configured a price.
+ */
+export const FLAT_RATE_ITEMS = {
+  interior: {
+    doors: { label: 'Doors', unit: 'each', priceKey: 'door', defaultPrice: 85 },
+    smallRooms: { label: 'Small Rooms', unit: 'each', priceKey: 'room_small', defaultPrice: 350 },
+    mediumRooms: { label: 'Medium Rooms', unit: 'each', priceKey: 'room_medium', defaultPrice: 450 },
+    largeRooms: { label: 'Large Rooms', unit: 'each', priceKey: 'room_large', defaultPrice: 600 },
+    closets: { label: 'Closets', unit: 'each', priceKey: 'closet', defaultPrice: 150 },
+    accentWalls: { label: 'Accent Walls', unit: 'each', priceKey: 'accent_wall', defaultPrice: 200 },
+    cabinetFaces: { label: 'Cabinet Faces', unit: 'each', priceKey: 'cabinet_face', defaultPrice: 125 },
+    cabinetDoors: { label: 'Cabinet Doors', unit: 'each', priceKey: 'cabinet_door', defaultPrice: 25 }
+  },
+  exterior: {
+    doors: { label: 'Exterior Doors', unit: 'each', priceKey: 'exterior_door', defaultPrice: 95 },
+    windows: { label: 'Windows', unit: 'each', priceKey: 'window', defaultPrice: 75 },
+    garageDoors1Car: { label: '1-Car Garage Doors', unit: 'each', priceKey: 'garage_door_1car', defaultPrice: 150 },
+    garageDoors2Car: { label: '2-Car Garage Doors', unit: 'each', priceKey: 'garage_door_2car', defaultPrice: 200 },
+    garageDoors3Car: { label: '3-Car Garage Doors', unit: 'each', priceKey: 'garage_door_3car', defaultPrice: 250 },
+    shutters: { label: 'Shutters', unit: 'each', priceKey: 'shutters', defaultPrice: 50 }
+  }
+};
+
+// Paintable surface estimates used to turn linear feet and unit counts into square feet
+const TRIM_WIDTH_FT = 0.5;
+const DEFAULT_UNIT_SQFT = 20;
+const UNIT_SQFT_ESTIMATES = [
+  ['door', 21],
+  ['cabinet', 30],
+  ['window', 15],
+  ['shutter', 10]
+];
+
+const DEFAULT_PRODUCTION_RATE = 300;
+const GBB_TIERS = ['good', 'better', 'best'];
+
+const toNumber = (value, fallback = 0) => {
+  const num = parseFloat(value);
+  return Number.isFinite(num) ? num : fallback;
+};
+
+const roundCurrency = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Resolve the tenant's turnkey condition and story multiplier tables, filling gaps with defaults
+ * @param {object} defaults - Pricing engine defaults from /product-configs/defaults
+ * @returns {object} - { conditionMultipliers, storyMultipliers }
+ */
+export const getTurnkeyMultipliers = (defaults = {}) => {
+  const merge = (base, configured = {}) => Object.keys(base).reduce((table, key) => {
+    table[key] = toNumber(configured?.[key], 0) || base[key];
+    return table;
+  }, {});
+
+  return {
+    conditionMultipliers: merge(DEFAULT_CONDITION_MULTIPLIERS, defaults.turnkeyConditionMultipliers),
+    storyMultipliers: merge(DEFAULT_STORY_MULTIPLIERS, defaults.turnkeyStoryMultipliers)
+  };
+};
+
+/**
+ * Build the contractor pricing settings object consumed by the engine
+ * @param {object} settings - Tenant settings from /settings
+ * @param {object} defaults - Pricing engine defaults from /product-configs/defaults
+ * @param {object} labor - Optional { laborCategories, laborRates } for rate-based pricing
+ * @returns {object} - Contractor settings
+ */
+export const buildContractorSettings = (settings = {}, defaults = {}, labor = {}) => ({
+  markups: {
+    labor: defaults.laborMarkupPercent || 0,
+    material: defaults.materialMarkupPercent || 0,
+    overhead: defaults.overheadPercent || 0,
+    netProfit: defaults.netProfitPercent || 0
+  },
+  turnkey: {
+    interior: defaults.turnkeyInteriorRate || 0,
+    exterior: defaults.turnkeyExteriorRate || 0,
+    ...getTurnkeyMultipliers(defaults)
+  },
+  productionRates: {
+    interiorWalls: defaults.productionInteriorWalls || 300,
+    interiorCeilings: defaults.productionInteriorCeilings || 250,
+    interiorTrim: defaults.productionInteriorTrim || 150,
+    exteriorWalls: defaults.productionExteriorWalls || 250,
+    exteriorTrim: defaults.productionExteriorTrim || 120,
+    soffitFascia: defaults.productionSoffitFascia || 100,
+    doors: defaults.productionDoors || 2,
+    cabinets: defaults.productionCabinets || 1.5
+  },
+  laborCategories: labor.laborCategories || [],
+  laborRates: labor.laborRates || {},
+  flatRateUnitPrices: defaults.flatRateUnitPrices || {},
+  other: {
+    taxRate: settings.taxRatePercentage || 8.25,
+    depositPercentage: settings.depositPercentage || 50,
+    includeMaterials: defaults.includeMaterials !== undefined ? defaults.includeMaterials : true,
+    coverage: defaults.coverage || 350,
+    applicationMethod: defaults.applicationMethod || 'roll',
+    coats: defaults.coats || 2,
+    defaultBillableLaborRate: defaults.defaultBillableLaborRate || 50,
+    crewSize: defaults.crewSize || 1,
+    quoteValidityDays: defaults.quoteValidityDays || 30,
+    unitSystem: defaults.unitSystem || 'imperial'
+  }
+});
+
+/**
+ * Build a product lookup map from contractor product configs.
+ * Configs are indexed by their own id and by globalProductId so product sets using either resolve.
+ * @param {Array} configs - Response data from /contractor/product-configs
+ * @returns {object} - Map of id → { brandName, productName, pricePerGallon, globalProductId, isCustom }
+ */
+export const buildProductsMap = (configs = []) => {
+  const productMap = {};
+  const describe = (config) => {
+    let brandName = 'Unknown';
+    let productName = 'Unknown Product';
+
+    if (config.isCustom && config.customProduct) {
+      brandName = config.customProduct.brandName || 'Custom';
+      productName = config.customProduct.name || 'Custom Product';
+    } else if (config.globalProduct) {
+      brandName = config.globalProduct.brand?.name || 'Unknown';
+      productName = config.globalProduct.name || 'Unknown';
+    }
+
+    return {
+      brandName,
+      productName,
+      pricePerGallon: config.sheens?.[0]?.price || 0,
+      containerPrices: config.containerPrices || {},
+      globalProductId: config.globalProductId,
+      isCustom: config.isCustom || false
+    };
+  };
+
+  configs.forEach(config => {
+    productMap[config.id] = describe(config);
+  });
+  configs.forEach(config => {
+    if (config.globalProductId && !productMap[config.globalProductId]) {
+      productMap[config.globalProductId] = describe(config);
+    }
+  });
+
+  return productMap;
+};
+
+/**
+ * Get the unit price for a flat rate item
+ * @param {string} category - 'interior' or 'exterior'
+ * @param {string} itemKey - Item key (e.g., 'doors', 'smallRooms')
+ * @param {object} contractorSettings - Contractor settings
+ * @returns {number} - Unit price
+ */
+export const getFlatRateItemPrice = (category, itemKey, contractorSettings = {}) => {
+  const item = FLAT_RATE_ITEMS[category]?.[itemKey];
+  if (!item) return 0;
+  return toNumber(contractorSettings.flatRateUnitPrices?.[item.priceKey], 0) || item.defaultPrice;
+};
+
+/**
+ * Convert a labor item quantity to paintable square feet
+ * Linear feet assume a 6" wide surface; units use per-category surface estimates.
+ * @param {object} item - Labor item with quantity, measurementUnit and categoryName
+ * @returns {number} - Paintable square feet (single coat)
+ */
+export const getPaintableSqft = (item = {}) => {
+  const qty = toNumber(item.quantity);
+  if (qty <= 0) return 0;
+
+  if (item.measurementUnit === 'sqft') return qty;
+  if (item.measurementUnit === 'linear_foot') return qty * TRIM_WIDTH_FT;
+  if (item.measurementUnit === 'unit') {
+    const category = (item.categoryName || '').toLowerCase();
+    const estimate = UNIT_SQFT_ESTIMATES.find(([match]) => category.includes(match));
+    return qty * (estimate ? estimate[1] : DEFAULT_UNIT_SQFT);
+  }
+  return 0;
+};
+
+/**
+ * Estimate gallons for a labor item (10% waste, rounded up to the quarter gallon)
+ * @param {object} item - Labor item with quantity, measurementUnit, categoryName and numberOfCoats
+ * @param {number} coverage - Coverage in sq ft per gallon
+ * @returns {number} - Gallons needed
+ */
+export const estimateItemGallons = (item = {}, coverage = 350) => {
+  const sqft = getPaintableSqft(item);
+  const coats = parseInt(item.numberOfCoats, 10) || 0;
+  if (sqft <= 0 || coats <= 0) return 0;
+  return calculateGallonsNeeded(sqft, coats, coverage, { wasteFactor: 1.1, roundTo: 0.25 });
+};
+
+/**
+ * Get production rate (units of work per painter-hour) for a labor category
+ */
+export const getProductionRate = (categoryName, jobType, contractorSettings = {}) => {
+  const key = mapCategoryToKey(categoryName, jobType, false, true);
+  return toNumber(contractorSettings.productionRates?.[key], 0) || DEFAULT_PRODUCTION_RATE;
+};
+
+/**
+ * Estimate painter-hours for a labor item from the contractor's production rates
+ */
+export const estimateItemHours = (item = {}, jobType, contractorSettings = {}) => {
+  const quantity = toNumber(item.quantity);
+  if (quantity <= 0) return 0;
+  if (item.measurementUnit === 'hour') return quantity;
+  return quantity / getProductionRate(item.categoryName, jobType, contractorSettings);
+};
+
+/**
+ * Resolve the labor rate for a labor item in the given pricing mode
+ * @returns {object} - { rate, source, key }
+ */
+export const resolveLaborRate = (item, mode, jobType, contractorSettings = {}) => {
+  const { categoryName } = item;
+
+  if (mode === 'flat_unit') {
+    const key = mapCategoryToKey(categoryName, jobType, true, false);
+    return { rate: toNumber(contractorSettings.flatRateUnitPrices?.[key]), source: 'flatRateUnitPrices', key };
+  }
+
+  if (mode === 'production') {
+    const key = mapCategoryToKey(categoryName, jobType, false, true);
+    return { rate: getProductionRate(categoryName, jobType, contractorSettings), source: 'productionRates', key };
+  }
+
+  const category = contractorSettings.laborCategories?.find(c => c.categoryName === categoryName);
+  if (category && contractorSettings.laborRates?.[category.id] !== undefined) {
+    return { rate: toNumber(contractorSettings.laborRates[category.id]), source: 'laborRates', key: category.id };
+  }
+  return { rate: toNumber(item.laborRate), source: 'laborRates', key: category?.id ?? null };
+};
+
+/**
+ * Find the product selected for an area surface in the given tier.
+ * Area-specific product sets take precedence over surface-wide ones.
+ */
+const findProductSet = (productSets, areaId, surfaceType) => {
+  if (!Array.isArray(productSets)) return null;
+  return productSets.find(ps => ps.areaId === areaId && ps.surfaceType === surfaceType)
+    || productSets.find(ps => !ps.areaId && ps.surfaceType === surfaceType)
+    || null;
+};
+
+export const resolveProductId = (productSets, areaId, surfaceType, tier, productStrategy = 'GBB') => {
+  const productSet = findProductSet(productSets, areaId, surfaceType);
+  if (!productSet?.products) return null;
+
+  if (productStrategy === 'GBB' && tier && productSet.products[tier]) {
+    return productSet.products[tier];
+  }
+  return productSet.products.single || null;
+};
+
+/**
+ * Look up the configured condition and story multipliers for a turnkey quote.
+ * Story counts above the largest configured entry use that entry.
+ */
+export const resolveTurnkeyMultipliers = (conditionModifier, numberOfStories, contractorSettings = {}) => {
+  const conditionTable = contractorSettings.turnkey?.conditionMultipliers || DEFAULT_CONDITION_MULTIPLIERS;
+  const storyTable = contractorSettings.turnkey?.storyMultipliers || DEFAULT_STORY_MULTIPLIERS;
+
+  const maxStories = Math.max(...Object.keys(storyTable).map(Number));
+  const stories = Math.min(Math.max(parseInt(numberOfStories, 10) || 1, 1), maxStories);
+
+  return {
+    conditionMultiplier: toNumber(conditionTable[conditionModifier], 0) || toNumber(conditionTable.average, 0) || DEFAULT_CONDITION_MULTIPLIERS.average,
+    storyMultiplier: toNumber(storyTable[stories], 0) || 1
+  };
+};
+
+/**
+ * Get the turnkey base rate for the job type ('both' adds interior and exterior rates)
+ */
+export const getTurnkeyBaseRate = (jobType, contractorSettings = {}) => {
+  const interior = toNumber(contractorSettings.turnkey?.interior);
+  const exterior = toNumber(contractorSettings.turnkey?.exterior);
+  if (jobType === 'exterior') return exterior;
+  if (jobType === 'both') return interior + exterior;
+  return interior;
+};
+
+const priceAreaItems = (input, mode, tier) => {
+  const {
+    areas = [],
+    productSets = [],
+    productStrategy = 'GBB',
+    jobType = 'interior',
+    contractorSettings = {},
+    products = {}
+  } = input;
+  const other = contractorSettings.other || {};
+  // A labor-only quote leaves paint to the customer unless materials were explicitly included
+  const includeMaterials = input.includeMaterials ?? (input.laborOnly ? false : other.includeMaterials ?? true);
+  const coverage = toNumber(input.coverage, 0) || toNumber(other.coverage, 0) || 350;
+  const defaultCoats = toNumber(input.coats, 0) || toNumber(other.coats, 0) || 2;
+  const billableLaborRate = toNumber(input.billableLaborRate, 0) || toNumber(other.defaultBillableLaborRate, 0) || 50;
+
+  const lineItems = [];
+
+  areas.forEach(area => {
+    const areaJobType = area.jobType || jobType;
+    (area.laborItems || []).filter(item => item.selected).forEach(item => {
+      const quantity = toNumber(item.quantity);
+      const coats = item.measurementUnit === 'hour' ? 0 : (parseInt(item.numberOfCoats, 10) || defaultCoats);
+      const { rate, source, key } = resolveLaborRate(item, mode, areaJobType, contractorSettings);
+
+      let hours = 0;
+      let laborCost = 0;
+      if (mode === 'production') {
+        hours = estimateItemHours(item, areaJobType, contractorSettings);
+        laborCost = hours * billableLaborRate;
+      } else {
+        laborCost = quantity * rate;
+      }
+
+      const sqft = getPaintableSqft(item);
+      let gallons = 0;
+      let productId = null;
+      let color = null;
+      let pricePerGallon = 0;
+      let materialCost = 0;
+      const manualGallons = Boolean(item.allowManualGallons && toNumber(item.gallons) > 0);
+      if (mode !== 'flat_unit' && coats > 0 && sqft > 0) {
+        gallons = manualGallons
+          ? toNumber(item.gallons)
+          : estimateItemGallons({ ...item, numberOfCoats: coats }, coverage);
+        productId = resolveProductId(productSets, area.id, item.categoryName, tier, productStrategy);
+        color = findProductSet(productSets, area.id, item.categoryName)?.color || null;
+        pricePerGallon = toNumber(products[productId]?.pricePerGallon);
+        materialCost = includeMaterials ? gallons * pricePerGallon : 0;
+      }
+
+      lineItems.push({
+        id: `${area.id}-${item.categoryName}`,
+        areaId: area.id,
+        areaName: area.name,
+        categoryName: item.categoryName,
+        quantity,
+        measurementUnit: item.measurementUnit,
+        numberOfCoats: coats,
+        sqft,
+        gallons,
+        manualGallons: gallons > 0 && manualGallons,
+        productId,
+        color,
+        pricePerGallon,
+        laborRate: rate,
+        laborRateSource: source,
+        laborRateKey: key,
+        billableLaborRate: mode === 'production' ? billableLaborRate : null,
+        hours,
+        laborCost: roundCurrency(laborCost),
+        materialCost: roundCurrency(materialCost)
+      });
+    });
+  });
+
+  (input.additionalMaterials || []).forEach((material, index) => {
+    const gallons = toNumber(material.quantity);
+    const pricePerGallon = toNumber(products[material.productId]?.pricePerGallon);
+    if (gallons <= 0) return;
+    lineItems.push({
+      id: `material-${index}`,
+      areaId: null,
+      areaName: 'Additional Materials',
+      categoryName: products[material.productId]?.productName || `Product ${material.productId}`,
+      quantity: gallons,
+      measurementUnit: 'gallon',
+      numberOfCoats: 0,
+      sqft: 0,
+      gallons,
+      productId: material.productId,
+      color: material.color || null,
+      pricePerGallon,
+      laborRate: 0,
+      laborRateSource: null,
+      laborRateKey: null,
+      billableLaborRate: null,
+      hours: 0,
+      laborCost: 0,
+      materialCost: roundCurrency(includeMaterials ? gallons * pricePerGallon : 0)
+    });
+  });
+
+  return { lineItems, includeMaterials, coverage, coats: defaultCoats, billableLaborRate };
+};
+
+const priceFlatRateItems = (input) => {
+  const { flatRateItems = {}, contractorSettings = {} } = input;
+  const lineItems = [];
+
+  Object.entries(FLAT_RATE_ITEMS).forEach(([category, items]) => {
+    Object.entries(items).forEach(([key, definition]) => {
+      const count = toNumber(flatRateItems[category]?.[key]);
+      if (count <= 0) return;
+      const unitPrice = getFlatRateItemPrice(category, key, contractorSettings);
+      const configured = contractorSettings.flatRateUnitPrices?.[definition.priceKey] !== undefined;
+
+      lineItems.push({
+        id: `${category}_${key}`,
+        areaId: null,
+        areaName: category === 'interior' ? 'Interior Items' : 'Exterior Items',
+        categoryName: definition.label,
+        quantity: count,
+        measurementUnit: 'unit',
+        numberOfCoats: 0,
+        sqft: 0,
+        gallons: 0,
+        productId: null,
+        pricePerGallon: 0,
+        laborRate: unitPrice,
+        laborRateSource: configured ? 'flatRateUnitPrices' : 'default',
+        laborRateKey: definition.priceKey,
+        billableLaborRate: null,
+        hours: 0,
+        laborCost: roundCurrency(count * unitPrice),
+        materialCost: 0
+      });
+    });
+  });
+
+  return lineItems;
+};
+
+const groupByArea = (lineItems) => {
+  const areas = [];
+  lineItems.forEach(item => {
+    let area = areas.find(a => a.areaId === item.areaId && a.areaName === item.areaName);
+    if (!area) {
+      area = { areaId: item.areaId, areaName: item.areaName, items: [] };
+      areas.push(area);
+    }
+    area.items.push(item);
+  });
+  return areas;
+};
+
+/**
+ * Calculate a complete quote for any pricing mode
+ *
+ * @param {object} input - Quote data (same field names as the quote builder formData)
+ * @param {string} input.schemeType - Pricing scheme type (turnkey, rate_based_sqft, production_based, flat_rate_unit, ...)
+ * @param {Array} input.areas - Areas with laborItems (rate/sqft and production modes)
+ * @param {Array} input.productSets - Product selections per area surface
+ * @param {object} input.flatRateItems - Item counts { interior: {}, exterior: {} } (flat unit mode)
+ * @param {object} input.contractorSettings - Contractor settings (see buildContractorSettings)
+ * @param {object} input.products - Product map from buildProductsMap
+ * @param {string} [input.tier] - GBB tier used for material prices (defaults to the selected tier, then 'better')
+ * @param {boolean} [input.laborOnly] - Leave materials off the quote (when includeMaterials is not given)
+ * @param {number} [input.paintersOnSite] - Painters on the job, used for crew hours before crewSize
+ * @returns {object} - Line items, area breakdown, subtotals, markups, tax, deposit and hours
+ */
+export const calculateQuotePricing = (input = {}) => {
+  const mode = getPricingMode(input.schemeType);
+  const contractorSettings = input.contractorSettings || {};
+  const other = contractorSettings.other || {};
+  const markups = contractorSettings.markups || {};
+  const tier = input.tier || input.gbbSelectedTier || 'better';
+
+  const taxPercent = toNumber(other.taxRate ?? input.defaultTax, 0);
+  const depositPercent = toNumber(other.depositPercentage ?? input.defaultDeposit, 0);
+  const crewSize = toNumber(input.paintersOnSite, 0) || toNumber(input.crewSize, 0) || toNumber(other.crewSize, 0) || 1;
+
+  const result = {
+    mode,
+    tier,
+    lineItems: [],
+    breakdown: [],
+    laborTotal: 0,
+    materialTotal: 0,
+    laborMarkupPercent: 0,
+    laborMarkupAmount: 0,
+    laborCostWithMarkup: 0,
+    materialMarkupPercent: 0,
+    materialMarkupAmount: 0,
+    materialCostWithMarkup: 0,
+    overheadPercent: 0,
+    overhead: 0,
+    subtotalBeforeProfit: 0,
+    profitMarginPercent: 0,
+    profitAmount: 0,
+    subtotal: 0,
+    taxPercent: 0,
+    tax: 0,
+    total: 0,
+    depositPercent,
+    deposit: 0,
+    balancePercent: 100 - depositPercent,
+    balance: 0,
+    totalHours: 0,
+    crewSize,
+    crewHours: 0,
+    quoteValidityDays: other.quoteValidityDays || null
+  };
+
+  if (mode === 'turnkey') {
+    const homeSqft = toNumber(input.homeSqft);
+    const baseRate = getTurnkeyBaseRate(input.jobType, contractorSettings);
+    const { conditionMultiplier, storyMultiplier } = resolveTurnkeyMultipliers(
+      input.conditionModifier,
+      input.numberOfStories,
+      contractorSettings
+    );
+    const total = roundCurrency(homeSqft * baseRate * conditionMultiplier * storyMultiplier);
+
+    result.homeSqft = homeSqft;
+    result.baseRate = baseRate;
+    result.conditionMultiplier = conditionMultiplier;
+    result.numberOfStories = parseInt(input.numberOfStories, 10) || 1;
+    result.storyMultiplier = storyMultiplier;
+    result.lineItems = [{
+      id: 'turnkey-whole-home',
+      areaId: null,
+      areaName: 'Whole Home',
+      categoryName: 'Turnkey (all-inclusive)',
+      quantity: homeSqft,
+      measurementUnit: 'sqft',
+      numberOfCoats: 0,
+      sqft: homeSqft,
+      gallons: 0,
+      productId: null,
+      pricePerGallon: 0,
+      laborRate: baseRate,
+      laborRateSource: 'turnkey',
+      laborRateKey: input.jobType || 'interior',
+      billableLaborRate: null,
+      hours: 0,
+      laborCost: total,
+      materialCost: 0
+    }];
+    result.laborTotal = total;
+    result.subtotal = total;
+    // Turnkey prices are all-inclusive: no separate tax line
+    result.total = total;
+  } else if (mode === 'flat_unit') {
+    const lineItems = [...priceFlatRateItems(input), ...priceAreaItems(input, mode, tier).lineItems];
+    const subtotal = roundCurrency(lineItems.reduce((sum, item) => sum + item.laborCost, 0));
+
+    result.lineItems = lineItems;
+    result.laborTotal = subtotal;
+    result.subtotal = subtotal;
+    result.taxPercent = taxPercent;
+    result.tax = roundCurrency(subtotal * (taxPercent / 100));
+    result.total = roundCurrency(subtotal + result.tax);
+  } else {
+    const { lineItems, includeMaterials, coverage, coats, billableLaborRate } = priceAreaItems(input, mode, tier);
+    const laborTotal = roundCurrency(lineItems.reduce((sum, item) => sum + item.laborCost, 0));
+    // Paint is bought in whole containers per product + color, so material cost comes from the purchase plan
+    const paintPurchase = buildPaintPurchasePlan(lineItems, input.products || {});
+    const materialTotal = includeMaterials ? paintPurchase.totalCost : 0;
+
+    const laborMarkupPercent = toNumber(markups.labor);
+    const materialMarkupPercent = toNumber(markups.material);
+    const overheadPercent = toNumber(markups.overhead);
+    const profitMarginPercent = toNumber(markups.netProfit);
+
+    const laborMarkupAmount = roundCurrency(laborTotal * (laborMarkupPercent / 100));
+    const materialMarkupAmount = roundCurrency(materialTotal * (materialMarkupPercent / 100));
+    const laborCostWithMarkup = roundCurrency(laborTotal + laborMarkupAmount);
+    const materialCostWithMarkup = roundCurrency(materialTotal + materialMarkupAmount);
+    const overhead = roundCurrency((laborCostWithMarkup + materialCostWithMarkup) * (overheadPercent / 100));
+    const subtotalBeforeProfit = roundCurrency(laborCostWithMarkup + materialCostWithMarkup + overhead);
+    const profitAmount = roundCurrency(subtotalBeforeProfit * (profitMarginPercent / 100));
+    const subtotal = roundCurrency(subtotalBeforeProfit + profitAmount);
+    const tax = roundCurrency(subtotal * (taxPercent / 100));
+
+    Object.assign(result, {
+      lineItems,
+      includeMaterials,
+      coverage,
+      coats,
+      billableLaborRate: mode === 'production' ? billableLaborRate : null,
+      paintPurchase,
+      laborTotal,
+      materialTotal,
+      laborMarkupPercent,
+      laborMarkupAmount,
+      laborCostWithMarkup,
+      materialMarkupPercent,
+      materialMarkupAmount,
+      materialCostWithMarkup,
+      overheadPercent,
+      overhead,
+      subtotalBeforeProfit,
+      profitMarginPercent,
+      profitAmount,
+      subtotal,
+      taxPercent,
+      tax,
+      total: roundCurrency(subtotal + tax)
+    });
+  }
+
+  result.breakdown = groupByArea(result.lineItems);
+  result.totalHours = result.lineItems.reduce((sum, item) => sum + item.hours, 0);
+  result.crewHours = result.totalHours / crewSize;
+  result.deposit = roundCurrency(result.total * (depositPercent / 100));
+  result.balance = roundCurrency(result.total - result.deposit);
+
+  return result;
+};
+
+/**
+ * Calculate totals for every GBB tier using the same engine
+ * @param {object} input - Same input as calculateQuotePricing
+ * @returns {object} - { good, better, best } with total, laborCost, materialCost, productCost, subtotal and tax
+ */
+export const calculateTierPricing = (input = {}) => {
+  const tiers = {};
+  GBB_TIERS.forEach(tier => {
+    const quote = calculateQuotePricing({ ...input, tier });
+    tiers[tier] = {
+      total: quote.total,
+      subtotal: quote.subtotal,
+      tax: quote.tax,
+      laborCost: quote.laborCostWithMarkup || quote.laborTotal,
+      materialCost: quote.materialCostWithMarkup || quote.materialTotal,
+      productCost: quote.materialTotal,
+      deposit: quote.deposit
+    };
+  });
+  return tiers;
+};
+
+const UNIT_LABELS = { sqft: 'sq ft', linear_foot: 'LF', unit: 'units', hour: 'hrs', gallon: 'gal' };
+
+const explainLabor = (item, mode) => {
+  const unit = UNIT_LABELS[item.measurementUnit] || item.measurementUnit;
+  const source = item.laborRateKey !== null && item.laborRateKey !== undefined
+    ? `${item.laborRateSource}.${item.laborRateKey}`
+    : item.laborRateSource;
+
+  if (item.laborRateSource === 'turnkey') {
+    return `${item.quantity} sq ft × $${item.laborRate}/sq ft (turnkey.${item.laborRateKey}) × condition × story multipliers = $${item.laborCost}`;
+  }
+  if (mode === 'production' && item.laborRateSource === 'productionRates') {
+    const hours = Math.round(item.hours * 100) / 100;
+    if (item.measurementUnit === 'hour') {
+      return `${hours} hrs × $${item.billableLaborRate}/hr = $${item.laborCost}`;
+    }
+    return `${item.quantity} ${unit} ÷ ${item.laborRate} ${unit}/hr (${source}) = ${hours} hrs × $${item.billableLaborRate}/hr = $${item.laborCost}`;
+  }
+  if (!item.laborRateSource) return null;
+  return `${item.quantity} ${unit} × $${item.laborRate} (${source}) = $${item.laborCost}`;
+};
+
+const explainMaterial = (item, coverage, includeMaterials) => {
+  if (!item.gallons) return null;
+  if (item.measurementUnit === 'gallon') {
+    return `${item.gallons} gal × $${item.pricePerGallon}/gal = $${item.materialCost}`;
+  }
+  const sqft = Math.round(item.sqft * 100) / 100;
+  const gallons = item.manualGallons
+    ? `${item.gallons} gal entered manually`
+    : `${sqft} sq ft × ${item.numberOfCoats} coats ÷ ${coverage} sq ft/gal × 1.1 waste → ${item.gallons} gal`;
+  if (!includeMaterials) return `${gallons} (materials not included)`;
+  return `${gallons} × $${item.pricePerGallon}/gal = $${item.materialCost}`;
+};
+
+/**
+ * Build an explainable audit trail for a calculated quote
+ * Every line item records where its rate came from and how its cost was derived,
+ * followed by each markup, overhead, profit and tax step applied to the subtotals.
+ * @param {object} quote - Result of calculateQuotePricing
+ * @param {object} meta - Optional quote identifiers to include (quoteId, quoteNumber, customerName)
+ * @returns {object} - JSON-serializable audit trail
+ */
+export const buildPriceAuditTrail = (quote, meta = {}) => {
+  if (!quote) return null;
+
+  const lineItems = quote.lineItems.map(item => ({
+    area: item.areaName,
+    surface: item.categoryName,
+    quantity: item.quantity,
+    unit: item.measurementUnit,
+    coats: item.numberOfCoats,
+    laborRate: item.laborRate,
+    laborRateSource: item.laborRateSource,
+    laborRateKey: item.laborRateKey,
+    hours: item.hours ? Math.round(item.hours * 100) / 100 : 0,
+    laborCost: item.laborCost,
+    gallons: item.gallons,
+    productId: item.productId,
+    pricePerGallon: item.pricePerGallon,
+    materialCost: item.materialCost,
+    laborFormula: explainLabor(item, quote.mode),
+    materialFormula: explainMaterial(item, quote.coverage, quote.includeMaterials)
+  }));
+
+  const adjustments = [];
+  const addAdjustment = (label, percent, base, amount) => {
+    if (!percent && !amount) return;
+    adjustments.push({
+      label,
+      percent,
+      base: roundCurrency(base),
+      amount,
+      formula: `$${roundCurrency(base)} × ${percent}% = $${amount}`
+    });
+  };
+
+  if (quote.mode === 'turnkey') {
+    adjustments.push({
+      label: 'Condition & Story Multipliers',
+      percent: null,
+      base: roundCurrency(quote.homeSqft * quote.baseRate),
+      amount: quote.total,
+      formula: `${quote.homeSqft} sq ft × $${quote.baseRate}/sq ft × ${quote.conditionMultiplier} (condition) × ${quote.storyMultiplier} (${quote.numberOfStories} stories) = $${quote.total}`
+    });
+  } else {
+    const lineMaterialTotal = roundCurrency(quote.lineItems.reduce((sum, item) => sum + item.materialCost, 0));
+    if (quote.paintPurchase && quote.includeMaterials && quote.materialTotal !== lineMaterialTotal) {
+      adjustments.push({
+        label: 'Container Purchase',
+        percent: null,
+        base: lineMaterialTotal,
+        amount: quote.materialTotal,
+        formula: quote.paintPurchase.items.map(item =>
+          `${item.productName}${item.color ? ` (${item.color})` : ''}: ${item.containers.map(c => `${c.count} × ${c.label} @ $${c.unitPrice}`).join(' + ')} = $${item.cost}`
+        ).join('; ')
+      });
+    }
+    addAdjustment('Labor Markup', quote.laborMarkupPercent, quote.laborTotal, quote.laborMarkupAmount);
+    addAdjustment('Material Markup', quote.materialMarkupPercent, quote.materialTotal, quote.materialMarkupAmount);
+    addAdjustment('Overhead', quote.overheadPercent, quote.laborCostWithMarkup + quote.materialCostWithMarkup, quote.overhead);
+    addAdjustment('Profit Margin', quote.profitMarginPercent, quote.subtotalBeforeProfit, quote.profitAmount);
+    addAdjustment('Sales Tax', quote.taxPercent, quote.subtotal, quote.tax);
+  }
+
+  return {
+    ...meta,
+    generatedAt: new Date().toISOString(),
+    pricingMode: quote.mode,
+    tier: quote.tier,
+    settings: {
+      coverage: quote.coverage ?? null,
+      includeMaterials: quote.includeMaterials ?? null,
+      billableLaborRate: quote.billableLaborRate ?? null,
+      crewSize: quote.crewSize
+    },
+    lineItems,
+    totals: {
+      labor: quote.laborTotal,
+      materials: quote.materialTotal,
+      subtotal: quote.subtotal,
+      tax: quote.tax,
+      total: quote.total,
+      deposit: quote.deposit,
+      balance: quote.balance
+    },
+    adjustments
+  };
+};
+
+export default {
+  DEFAULT_CONDITION_MULTIPLIERS,
+  DEFAULT_STORY_MULTIPLIERS,
+  FLAT_RATE_ITEMS,
+  getTurnkeyMultipliers,
+  buildContractorSettings,
+  buildProductsMap,
+  getFlatRateItemPrice,
+  getPaintableSqft,
+  estimateItemGallons,
+  getProductionRate,
+  estimateItemHours,
+  resolveLaborRate,
+  resolveProductId,
+  resolveTurnkeyMultipliers,
+  getTurnkeyBaseRate,
+  calculateQuotePricing,
+  calculateTierPricing,
+  buildPriceAuditTrail
+};
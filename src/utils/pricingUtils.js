@@ -15,6 +15,21 @@ export const getPricingMode = (type) => {
   return 'unknown';
 };
 
+/**
+ * Get the normalized pricing model type used by the quote builder steps
+ * @param {string} type - Pricing scheme type
+ * @returns {string} - 'turnkey' | 'flat_rate_unit' | 'production_based' | 'rate_based_sqft'
+ */
+export const getPricingModelType = (type) => {
+  const modelTypes = {
+    turnkey: 'turnkey',
+    flat_unit: 'flat_rate_unit',
+    production: 'production_based',
+    rate_sqft: 'rate_based_sqft'
+  };
+  return modelTypes[getPricingMode(type?.toLowerCase())] || 'rate_based_sqft';
+};
+
 /**
  * Determine if coats should be shown for this pricing mode
  */
@@ -249,6 +264,7 @@ export const validateQuantity = (quantity, mode, unit) => {
 
 export default {
   getPricingMode,
+  getPricingModelType,
   shouldShowCoats,
   shouldShowGallons,
   shouldShowDimensionsCalculator,
@@ -0,0 +1,259 @@
+// src/utils/productionRateTuning.js
+// Production rate tuning. Hours crews log against quote areas on finished jobs are shared out
+// over that area's labor line items to find how fast each labor category really goes. The observed
+// rates are compared with the configured productionRates and blended into suggested updates.
+
+import { buildContractorSettings, getProductionRate } from './pricingEngine';
+import { mapCategoryToKey } from './pricingUtils';
+import { getQuoteLineItems } from './jobCosting';
+
+export const COMPLETED_JOB_STATUSES = ['completed', 'invoiced', 'paid'];
+
+/**
+ * productionRates keys with their label, unit and contractor defaults field
+ */
+export const PRODUCTION_RATE_FIELDS = {
+  interiorWalls: { label: 'Interior Walls', unit: 'sq ft/hr', field: 'productionInteriorWalls' },
+  interiorCeilings: { label: 'Interior Ceilings', unit: 'sq ft/hr', field: 'productionInteriorCeilings' },
+  interiorTrim: { label: 'Interior Trim', unit: 'lin ft/hr', field: 'productionInteriorTrim' },
+  exteriorWalls: { label: 'Exterior Walls', unit: 'sq ft/hr', field: 'productionExteriorWalls' },
+  exteriorTrim: { label: 'Exterior Trim', unit: 'lin ft/hr', field: 'productionExteriorTrim' },
+  soffitFascia: { label: 'Soffit & Fascia', unit: 'lin ft/hr', field: 'productionSoffitFascia' },
+  doors: { label: 'Doors', unit: 'units/hr', field: 'productionDoors' },
+  cabinets: { label: 'Cabinets', unit: 'units/hr', field: 'productionCabinets' }
+};
+
+// The configured rate counts as this many hours of observations when blending in actuals,
+// so a single unusual job can't swing a rate on its own
+const PRIOR_HOURS = 40;
+const MIN_JOBS = 2;
+const MIN_CHANGE_PERCENT = 5;
+
+const toNumber = (value, fallback = 0) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+};
+
+const roundHours = (value) => Math.round(value * 100) / 100;
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+const roundPercent = (value) => Math.round(value * 10) / 10;
+// Area rates are whole numbers; door and cabinet rates need a decimal
+const roundRate = (value) => (value >= 20 ? Math.round(value) : Math.round(value * 10) / 10);
+
+const areaKey = (name) => (name || '').trim().toLowerCase();
+
+const percentChange = (from, to) => (from > 0 ? roundPercent(((to - from) / from) * 100) : 0);
+
+/**
+ * Current productionRates from the contractor's product config defaults
+ */
+export const getProductionRatesFromDefaults = (defaults = {}) => buildContractorSettings({}, defaults).productionRates;
+
+/**
+ * Contractor defaults payload that saves the given productionRates
+ */
+export const toProductionRateDefaults = (productionRates = {}) => Object.entries(productionRates)
+  .filter(([key]) => PRODUCTION_RATE_FIELDS[key])
+  .reduce((acc, [key, rate]) => {
+    acc[PRODUCTION_RATE_FIELDS[key].field] = rate;
+    return acc;
+  }, {});
+
+const getLineItemJobType = (item, quote = {}) => {
+  const area = (quote.areas || []).find(a => a.id === item.areaId);
+  return area?.jobType || quote.jobType || 'interior';
+};
+
+/**
+ * Production rate key for a quote line item, or null for items production rates don't cover
+ * (hourly items, additional materials, categories without a rate)
+ */
+export const getLineItemRateKey = (item, quote = {}) => {
+  if (!item.categoryName || ['hour', 'gallon'].includes(item.measurementUnit)) return null;
+  if (toNumber(item.quantity) <= 0) return null;
+  const key = item.laborRateSource === 'productionRates' && item.laborRateKey
+    ? item.laborRateKey
+    : mapCategoryToKey(item.categoryName, getLineItemJobType(item, quote), false, true);
+  return PRODUCTION_RATE_FIELDS[key] ? key : null;
+};
+
+/**
+ * Hours a line item was estimated at. Quotes priced another way have no hours on their
+ * line items, so those are estimated from the rates the item would have used.
+ */
+const getLineItemEstimatedHours = (item, key, productionRates) => {
+  if (toNumber(item.hours) > 0) return toNumber(item.hours);
+  return toNumber(item.quantity) / (toNumber(productionRates[key], 0) || getProductionRate(item.categoryName));
+};
+
+/**
+ * One sample per production line item on a finished job whose area has time logged against it.
+ * Area hours left after any hourly line items are shared out by each item's estimated hours.
+ * @param {Array} jobs - [{ job, quote, timeEntries }]
+ * @param {Object} productionRates - Current rates, for items quoted without hours
+ * @returns {Array} - [{ jobId, jobNumber, quoteId, areaName, categoryName, key, jobType, quantity, estimatedHours, actualHours }]
+ */
+export const buildRateSamples = (jobs = [], productionRates = {}) => jobs.flatMap(({ job = {}, quote = {}, timeEntries = [] }) => {
+  const loggedByArea = timeEntries.reduce((acc, entry) => {
+    const key = areaKey(entry.areaName);
+    if (key) acc[key] = (acc[key] || 0) + toNumber(entry.hours);
+    return acc;
+  }, {});
+
+  const areas = getQuoteLineItems(quote).reduce((acc, item) => {
+    const key = areaKey(item.areaName);
+    if (!key) return acc;
+    acc[key] = acc[key] || { hourlyHours: 0, items: [] };
+    if (item.measurementUnit === 'hour') {
+      acc[key].hourlyHours += toNumber(item.quantity);
+      return acc;
+    }
+    const rateKey = getLineItemRateKey(item, quote);
+    if (rateKey) {
+      acc[key].items.push({ item, rateKey, estimatedHours: getLineItemEstimatedHours(item, rateKey, productionRates) });
+    }
+    return acc;
+  }, {});
+
+  return Object.entries(areas).flatMap(([key, area]) => {
+    const productionHours = Math.max((loggedByArea[key] || 0) - area.hourlyHours, 0);
+    const estimatedTotal = area.items.reduce((sum, entry) => sum + entry.estimatedHours, 0);
+    if (productionHours <= 0 || estimatedTotal <= 0) return [];
+
+    return area.items.map(({ item, rateKey, estimatedHours }) => ({
+      jobId: job.id,
+      jobNumber: job.jobNumber,
+      quoteId: quote.id || job.quoteId,
+      areaName: item.areaName,
+      categoryName: item.categoryName,
+      key: rateKey,
+      jobType: getLineItemJobType(item, quote),
+      quantity: toNumber(item.quantity),
+      estimatedHours,
+      actualHours: productionHours * (estimatedHours / estimatedTotal)
+    }));
+  });
+});
+
+const groupSamples = (samples, groupKey) => samples.reduce((acc, sample) => {
+  const key = groupKey(sample);
+  acc[key] = acc[key] || { samples: [], jobIds: new Set(), quantity: 0, estimatedHours: 0, actualHours: 0 };
+  acc[key].samples.push(sample);
+  acc[key].jobIds.add(sample.jobId);
+  acc[key].quantity += sample.quantity;
+  acc[key].estimatedHours += sample.estimatedHours;
+  acc[key].actualHours += sample.actualHours;
+  return acc;
+}, {});
+
+/**
+ * Estimated vs actual hours per labor category and job type. Positive drift means jobs ran long.
+ * @returns {Array} - Rows sorted by the largest drift first
+ */
+export const summarizeRateDrift = (samples = [], productionRates = {}) => Object.values(
+  groupSamples(samples, sample => `${sample.key}|${sample.jobType}`)
+).map(group => {
+  const { key, jobType } = group.samples[0];
+  const currentRate = toNumber(productionRates[key]);
+  return {
+    key,
+    jobType,
+    label: PRODUCTION_RATE_FIELDS[key].label,
+    unit: PRODUCTION_RATE_FIELDS[key].unit,
+    categories: [...new Set(group.samples.map(sample => sample.categoryName))],
+    jobs: group.jobIds.size,
+    quantity: roundHours(group.quantity),
+    estimatedHours: roundHours(group.estimatedHours),
+    actualHours: roundHours(group.actualHours),
+    hoursDrift: percentChange(group.estimatedHours, group.actualHours),
+    currentRate,
+    observedRate: group.actualHours > 0 ? roundRate(group.quantity / group.actualHours) : null
+  };
+}).sort((a, b) => Math.abs(b.hoursDrift) - Math.abs(a.hoursDrift));
+
+/**
+ * Suggested productionRates from the observed samples. Each suggestion blends the configured rate
+ * (weighted as PRIOR_HOURS of work) with everything observed, so rates move further as more hours
+ * are logged. Suggestions backed by too few jobs or too small a change are not actionable.
+ * @returns {Array} - [{ key, label, unit, field, currentRate, observedRate, suggestedRate, change, jobs, actualHours, confidence, actionable }]
+ */
+export const suggestProductionRates = (samples = [], productionRates = {}) => Object.entries(
+  groupSamples(samples, sample => sample.key)
+).map(([key, group]) => {
+  const currentRate = toNumber(productionRates[key]);
+  const observedRate = group.quantity / group.actualHours;
+  const suggestedRate = roundRate(((currentRate * PRIOR_HOURS) + group.quantity) / (PRIOR_HOURS + group.actualHours));
+  const change = percentChange(currentRate, suggestedRate);
+  const jobs = group.jobIds.size;
+  return {
+    key,
+    ...PRODUCTION_RATE_FIELDS[key],
+    currentRate,
+    observedRate: roundRate(observedRate),
+    suggestedRate,
+    change,
+    jobs,
+    actualHours: roundHours(group.actualHours),
+    confidence: group.actualHours >= PRIOR_HOURS * 2 && jobs >= 5 ? 'high' : group.actualHours >= PRIOR_HOURS / 2 ? 'medium' : 'low',
+    actionable: jobs >= MIN_JOBS && Math.abs(change) >= MIN_CHANGE_PERCENT
+  };
+}).sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+/**
+ * How each quote's estimate would change under new production rates. Hours change for every
+ * covered line item; labor only changes on production-priced items (hours × billable rate),
+ * since other pricing modes don't price labor from hours.
+ * @param {Array} jobs - [{ job, quote, timeEntries }]
+ * @returns {Array} - [{ jobId, jobNumber, quoteId, quoteNumber, customerName, currentHours, newHours, actualHours, currentLabor, newLabor, laborChange }]
+ */
+export const previewQuoteChanges = (jobs = [], currentRates = {}, newRates = {}) => jobs.map(({ job = {}, quote = {}, timeEntries = [] }) => {
+  const totals = getQuoteLineItems(quote).reduce((acc, item) => {
+    // Hourly items are estimated the same either way; counted so totals compare with logged hours
+    if (item.measurementUnit === 'hour') {
+      acc.currentHours += toNumber(item.quantity);
+      acc.newHours += toNumber(item.quantity);
+      return acc;
+    }
+    const key = getLineItemRateKey(item, quote);
+    if (!key) return acc;
+
+    const currentHours = getLineItemEstimatedHours(item, key, currentRates);
+    const newRate = toNumber(newRates[key], 0) || toNumber(currentRates[key], 0);
+    const newHours = newRate > 0 ? toNumber(item.quantity) / newRate : currentHours;
+    acc.currentHours += currentHours;
+    acc.newHours += newHours;
+
+    if (item.laborRateSource === 'productionRates') {
+      const billableRate = toNumber(item.billableLaborRate, 0) || (currentHours > 0 ? toNumber(item.laborCost) / currentHours : 0);
+      acc.currentLabor += toNumber(item.laborCost);
+      acc.newLabor += newHours * billableRate;
+    }
+    return acc;
+  }, { currentHours: 0, newHours: 0, currentLabor: 0, newLabor: 0 });
+
+  return {
+    jobId: job.id,
+    jobNumber: job.jobNumber,
+    quoteId: quote.id || job.quoteId,
+    quoteNumber: quote.quoteNumber,
+    customerName: quote.customerName || job.customerName,
+    currentHours: roundHours(totals.currentHours),
+    newHours: roundHours(totals.newHours),
+    actualHours: roundHours(timeEntries.reduce((sum, entry) => sum + toNumber(entry.hours), 0)),
+    currentLabor: roundCurrency(totals.currentLabor),
+    newLabor: roundCurrency(totals.newLabor),
+    laborChange: roundCurrency(totals.newLabor - totals.currentLabor)
+  };
+}).filter(row => row.currentHours > 0);
+
+export default {
+  COMPLETED_JOB_STATUSES,
+  PRODUCTION_RATE_FIELDS,
+  getProductionRatesFromDefaults,
+  toProductionRateDefaults,
+  getLineItemRateKey,
+  buildRateSamples,
+  summarizeRateDrift,
+  suggestProductionRates,
+  previewQuoteChanges
+};
@@ -0,0 +1,259 @@
+// src/utils/profitability.js
+// Profitability of finished jobs, sliced by how they were sold. Each job's revenue is its quote subtotal
+// (tax is passed through to the state); labor and materials use the actual costs logged on the job where
+// there are any and the quote's pre-markup estimates otherwise. Turnkey and flat rate quotes only carry a
+// selling price, so without logged costs those jobs are left out of cost and margin figures. Overhead is
+// charged at the tenant's overheadPercent, and margins are compared with the overheadPercent/netProfitPercent
+// targets from the contractor defaults.
+
+import { getPricingModelType } from './pricingUtils';
+import { summarizeActuals } from './jobCosting';
+
+export const PROFIT_DIMENSIONS = [
+  { key: 'pricingScheme', label: 'Pricing Scheme' },
+  { key: 'tier', label: 'GBB Tier' },
+  { key: 'jobType', label: 'Job Type' },
+  { key: 'zipCode', label: 'Zip Code' },
+  { key: 'leadSource', label: 'Lead Source' },
+  { key: 'estimator', label: 'Estimator' }
+];
+
+const PRICING_SCHEME_LABELS = {
+  turnkey: 'Turnkey',
+  flat_rate_unit: 'Flat Rate per Unit',
+  production_based: 'Production Based',
+  rate_based_sqft: 'Rate Based (sq ft)'
+};
+
+const UNKNOWN = 'Unknown';
+
+// Quote only carries the selling price, not what the work costs
+const SELLING_PRICE_SCHEMES = ['turnkey', 'flat_rate_unit'];
+
+const toNumber = (value, fallback = 0) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+};
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+const roundPercent = (value) => Math.round(value * 10) / 10;
+const percentOf = (amount, revenue) => (revenue > 0 ? roundPercent((amount / revenue) * 100) : 0);
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Display name for a pricing scheme type
+ */
+export const getPricingSchemeLabel = (schemeType) => (schemeType ? PRICING_SCHEME_LABELS[getPricingModelType(schemeType)] : UNKNOWN);
+
+/**
+ * Margin targets from the contractor's product config defaults. Gross margin has to cover
+ * overhead before any net profit is made.
+ * @returns {Object} - { overheadPercent, netProfitPercent, grossMarginPercent }
+ */
+export const getMarginTargets = (defaults = {}) => {
+  const overheadPercent = toNumber(defaults.overheadPercent);
+  const netProfitPercent = toNumber(defaults.netProfitPercent);
+  return { overheadPercent, netProfitPercent, grossMarginPercent: overheadPercent + netProfitPercent };
+};
+
+/**
+ * Where a lead came from: what the customer told us, else the campaign that brought them in
+ */
+export const getLeadSource = (lead) => {
+  if (!lead) return 'No Lead';
+  return lead.referralSource || lead.utmSource || lead.source || 'Direct';
+};
+
+/**
+ * Name of the user who built the quote
+ */
+export const getEstimatorName = (quote = {}) => {
+  const user = quote.estimator || quote.createdByUser || quote.user;
+  if (user) {
+    const name = user.fullName || user.name || [user.firstName, user.lastName].filter(Boolean).join(' ');
+    if (name) return name;
+  }
+  return quote.estimatorName || quote.createdByName || 'Unassigned';
+};
+
+const getCompletedAt = (job = {}, quote = {}) => job.actualEndDate || job.completedAt || quote.jobCompletedAt
+  || job.scheduledEndDate || job.updatedAt || null;
+
+/**
+ * Profitability of one finished job
+ * @param {Object} entry - { job, quote, timeEntries, materialPurchases }
+ * @param {Object} context
+ * @param {Array} context.crews - For time entry hourly costs
+ * @param {Object} context.leadsById - Leads keyed by id, for lead source
+ * @param {Object} context.targets - getMarginTargets result
+ */
+export const buildJobProfitability = ({ job = {}, quote = {}, timeEntries = [], materialPurchases = [] }, { crews = [], leadsById = {}, targets = {} } = {}) => {
+  const calculation = quote.calculation || {};
+  const revenue = toNumber(calculation.subtotal ?? quote.subtotal ?? toNumber(quote.total ?? job.totalAmount) - toNumber(quote.tax));
+  const actuals = summarizeActuals({ timeEntries, materialPurchases, crews });
+
+  const schemeType = quote.pricingScheme?.type || quote.schemeType;
+  const tier = quote.gbbSelectedTier || quote.selectedTier || quote.tier;
+  const leadId = quote.leadId || job.leadId;
+
+  // Rate and production quotes price labor and materials at cost before the markup chain
+  const hasEstimates = !SELLING_PRICE_SCHEMES.includes(getPricingModelType(schemeType));
+  const hasCosts = (actuals.hasLabor || hasEstimates) && (actuals.hasMaterials || hasEstimates);
+
+  let costSource = 'none';
+  if (actuals.hasLabor && actuals.hasMaterials) costSource = 'actual';
+  else if (hasCosts && (actuals.hasLabor || actuals.hasMaterials)) costSource = 'mixed';
+  else if (hasCosts) costSource = 'estimated';
+
+  const laborCost = actuals.hasLabor ? actuals.laborCost : toNumber(calculation.laborTotal ?? quote.laborTotal);
+  const materialCost = actuals.hasMaterials ? actuals.materialCost : toNumber(calculation.materialTotal ?? quote.materialTotal);
+  const grossProfit = revenue - laborCost - materialCost;
+  const overhead = revenue * (toNumber(targets.overheadPercent) / 100);
+  const netProfit = grossProfit - overhead;
+
+  return {
+    jobId: job.id,
+    jobNumber: job.jobNumber,
+    quoteId: quote.id || job.quoteId,
+    quoteNumber: quote.quoteNumber,
+    customerName: quote.customerName || job.customerName,
+    completedAt: getCompletedAt(job, quote),
+    pricingScheme: getPricingSchemeLabel(schemeType),
+    tier: tier ? capitalize(tier) : 'Single Product',
+    jobType: quote.jobType ? capitalize(quote.jobType) : UNKNOWN,
+    zipCode: quote.zipCode || job.zipCode || UNKNOWN,
+    leadSource: leadId ? getLeadSource(leadsById[leadId]) : getLeadSource(null),
+    estimator: getEstimatorName(quote),
+    revenue: roundCurrency(revenue),
+    laborCost: hasCosts ? roundCurrency(laborCost) : null,
+    materialCost: hasCosts ? roundCurrency(materialCost) : null,
+    grossProfit: hasCosts ? roundCurrency(grossProfit) : null,
+    grossMargin: hasCosts ? percentOf(grossProfit, revenue) : null,
+    overhead: hasCosts ? roundCurrency(overhead) : null,
+    netProfit: hasCosts ? roundCurrency(netProfit) : null,
+    netMargin: hasCosts ? percentOf(netProfit, revenue) : null,
+    costSource
+  };
+};
+
+// Costs and margins only cover jobs whose costs are known
+const summarize = (records, targets) => {
+  const costed = records.filter(record => record.costSource !== 'none');
+  const totals = costed.reduce((acc, record) => {
+    ['revenue', 'laborCost', 'materialCost', 'grossProfit', 'overhead', 'netProfit'].forEach(key => {
+      acc[key] += record[key];
+    });
+    return acc;
+  }, { revenue: 0, laborCost: 0, materialCost: 0, grossProfit: 0, overhead: 0, netProfit: 0 });
+  const revenue = records.reduce((sum, record) => sum + record.revenue, 0);
+
+  const grossMargin = percentOf(totals.grossProfit, totals.revenue);
+  const netMargin = percentOf(totals.netProfit, totals.revenue);
+  return {
+    jobs: records.length,
+    costedJobs: costed.length,
+    revenue: roundCurrency(revenue),
+    averageJob: records.length > 0 ? roundCurrency(revenue / records.length) : 0,
+    laborCost: roundCurrency(totals.laborCost),
+    materialCost: roundCurrency(totals.materialCost),
+    grossProfit: roundCurrency(totals.grossProfit),
+    grossMargin,
+    overhead: roundCurrency(totals.overhead),
+    netProfit: roundCurrency(totals.netProfit),
+    netMargin,
+    // Percentage points above (positive) or below the tenant's targets
+    grossMarginVsTarget: roundPercent(grossMargin - toNumber(targets.grossMarginPercent)),
+    netMarginVsTarget: roundPercent(netMargin - toNumber(targets.netProfitPercent))
+  };
+};
+
+/**
+ * Totals across all the given jobs
+ */
+export const summarizeProfitability = (records = [], targets = {}) => summarize(records, targets);
+
+/**
+ * One row per value of a dimension (e.g. each lead source), largest revenue first
+ * @param {string} dimension - A PROFIT_DIMENSIONS key
+ */
+export const groupProfitability = (records = [], dimension, targets = {}) => {
+  const groups = records.reduce((acc, record) => {
+    const value = record[dimension] || UNKNOWN;
+    acc[value] = acc[value] || [];
+    acc[value].push(record);
+    return acc;
+  }, {});
+  return Object.entries(groups)
+    .map(([value, group]) => ({ value, ...summarize(group, targets) }))
+    .sort((a, b) => b.revenue - a.revenue);
+};
+
+/**
+ * Monthly totals by completion date, oldest first
+ */
+export const buildProfitTrend = (records = [], targets = {}) => {
+  const months = records.reduce((acc, record) => {
+    if (!record.completedAt) return acc;
+    const date = new Date(record.completedAt);
+    if (Number.isNaN(date.getTime())) return acc;
+    const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    acc[month] = acc[month] || [];
+    acc[month].push(record);
+    return acc;
+  }, {});
+  return Object.keys(months).sort().map(month => ({ month, ...summarize(months[month], targets) }));
+};
+
+/**
+ * Spreadsheet rows for a grouped breakdown
+ */
+export const profitabilityGroupsToRows = (groups = [], dimensionLabel = 'Group') => groups.map(group => ({
+  [dimensionLabel]: group.value,
+  Jobs: group.jobs,
+  'Jobs With Costs': group.costedJobs,
+  Revenue: group.revenue,
+  'Average Job': group.averageJob,
+  'Labor Cost': group.laborCost,
+  'Material Cost': group.materialCost,
+  'Gross Profit': group.grossProfit,
+  'Gross Margin %': group.grossMargin,
+  'Gross Margin vs Target (pts)': group.grossMarginVsTarget,
+  Overhead: group.overhead,
+  'Net Profit': group.netProfit,
+  'Net Margin %': group.netMargin,
+  'Net Margin vs Target (pts)': group.netMarginVsTarget
+}));
+
+/**
+ * Spreadsheet rows for individual jobs
+ */
+export const profitabilityRecordsToRows = (records = []) => records.map(record => ({
+  Job: record.jobNumber || '',
+  Quote: record.quoteNumber || '',
+  Customer: record.customerName || '',
+  Completed: record.completedAt ? new Date(record.completedAt).toLocaleDateString() : '',
+  ...PROFIT_DIMENSIONS.reduce((acc, dimension) => ({ ...acc, [dimension.label]: record[dimension.key] }), {}),
+  Revenue: record.revenue,
+  'Labor Cost': record.laborCost,
+  'Material Cost': record.materialCost,
+  'Cost Source': record.costSource,
+  'Gross Profit': record.grossProfit,
+  'Gross Margin %': record.grossMargin,
+  Overhead: record.overhead,
+  'Net Profit': record.netProfit,
+  'Net Margin %': record.netMargin
+}));
+
+export default {
+  PROFIT_DIMENSIONS,
+  getPricingSchemeLabel,
+  getMarginTargets,
+  getLeadSource,
+  getEstimatorName,
+  buildJobProfitability,
+  summarizeProfitability,
+  groupProfitability,
+  buildProfitTrend,
+  profitabilityGroupsToRows,
+  profitabilityRecordsToRows
+};
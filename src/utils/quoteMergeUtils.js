@@ -0,0 +1,398 @@
+// src/utils/quoteMergeUtils.js
+// Three-way merge for quote builder drafts. Compares the last copy both sides agreed on (base),
+// the local draft and the server copy; changes made on only one side merge automatically and
+// only fields changed differently on both sides are reported as conflicts.
+
+// Readable labels for quote-level fields; anything not listed falls back to a title-cased key
+export const FIELD_LABELS = {
+  customerName: 'Customer name',
+  customerEmail: 'Customer email',
+  customerPhone: 'Customer phone',
+  street: 'Street',
+  city: 'City',
+  state: 'State',
+  zipCode: 'ZIP code',
+  pricingSchemeId: 'Pricing scheme',
+  jobType: 'Job type',
+  homeSqft: 'Home size (sq ft)',
+  jobScope: 'Job scope',
+  numberOfStories: 'Stories',
+  conditionModifier: 'Condition',
+  includeMaterials: 'Include materials',
+  coverage: 'Coverage (sq ft/gal)',
+  applicationMethod: 'Application method',
+  coats: 'Coats',
+  selectedTier: 'Selected tier',
+  billableLaborRate: 'Billable labor rate',
+  crewSize: 'Crew size',
+  productivityRate: 'Productivity rate',
+  paintersOnSite: 'Painters on site',
+  laborOnly: 'Labor only',
+  flatRateItems: 'Flat rate items',
+  productStrategy: 'Product strategy',
+  allowCustomerProductChoice: 'Customer product choice',
+  productSets: 'Products',
+  gbbSelectedTier: 'Good/Better/Best tier',
+  notes: 'Notes',
+  defaultTax: 'Tax rate',
+  defaultDeposit: 'Deposit',
+  unitSystem: 'Units'
+};
+
+// Bookkeeping and derived fields that are never merged
+export const IGNORED_FIELDS = new Set([
+  'id',
+  'quoteId',
+  'clientId',
+  'status',
+  'lastModified',
+  'autoSaveVersion',
+  'createdAt',
+  'updatedAt',
+  'contractorSettings',
+  'gbbTierPricing',
+  '_lastPricingSchemeId',
+  '_lastJobType'
+]);
+
+const AREA_FIELD_LABELS = {
+  name: 'Name',
+  jobType: 'Job type'
+};
+
+export const humanizeKey = (key) => String(key)
+  .replace(/^_+/, '')
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .replace(/_/g, ' ')
+  .replace(/^./, c => c.toUpperCase());
+
+// Numbers come back from the API as strings (DECIMAL columns); treat "8.25" and 8.25 as equal
+const normalize = (value) => {
+  if (value === undefined || value === '') return null;
+  if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((acc, key) => {
+      acc[key] = normalize(value[key]);
+      return acc;
+    }, {});
+  }
+  return value;
+};
+
+export const isEqualValue = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+/**
+ * Three-way merge of a single value
+ * @returns {object} - { value, conflict } where conflict is true when both sides changed it differently
+ */
+export const mergeValue = (base, local, server) => {
+  if (isEqualValue(local, server)) return { value: local, conflict: false };
+  if (isEqualValue(base, local)) return { value: server, conflict: false, changedBy: 'server' };
+  if (isEqualValue(base, server)) return { value: local, conflict: false, changedBy: 'local' };
+  return { value: local, conflict: true };
+};
+
+export const getItemsKey = (...areas) => (areas.some(area => area && Array.isArray(area.laborItems)) ? 'laborItems' : 'items');
+export const getItemKey = (item) => String(item.id ?? item.categoryId ?? item.categoryName);
+const getAreaName = (...areas) => areas.find(area => area?.name)?.name || 'Area';
+
+const indexBy = (list, getKey) => new Map((list || []).map(entry => [getKey(entry), entry]));
+
+// Server order first, then anything only the local draft has
+const unionKeys = (serverMap, localMap) => [
+  ...serverMap.keys(),
+  ...[...localMap.keys()].filter(key => !serverMap.has(key))
+];
+
+/**
+ * Merge a keyed list (areas, surfaces) entry by entry.
+ * Entries added on one side are kept; entries removed on one side are dropped unless the
+ * other side edited them, which is a conflict.
+ */
+const mergeKeyedList = ({ base, local, server, getKey, mergeEntry, describe, conflicts, changes, choices }) => {
+  const baseMap = indexBy(base, getKey);
+  const localMap = indexBy(local, getKey);
+  const serverMap = indexBy(server, getKey);
+  const merged = [];
+
+  unionKeys(serverMap, localMap).forEach(key => {
+    const b = baseMap.get(key);
+    const l = localMap.get(key);
+    const s = serverMap.get(key);
+
+    if (l && s) {
+      merged.push(mergeEntry(b, l, s, key));
+      return;
+    }
+
+    const present = l || s;
+    const side = l ? 'local' : 'server';
+    const other = l ? 'server' : 'local';
+
+    // Added on one side only
+    if (!b) {
+      merged.push(present);
+      changes.push({ ...describe(present, key), change: `Added (${side === 'local' ? 'yours' : 'server'})` });
+      return;
+    }
+
+    // Removed on the other side without edits on this side
+    if (isEqualValue(b, present)) {
+      changes.push({ ...describe(b, key), change: `Removed (${other === 'local' ? 'yours' : 'server'})` });
+      return;
+    }
+
+    // Removed on one side, edited on the other
+    const conflict = {
+      ...describe(present, key),
+      baseValue: b,
+      localValue: l || null,
+      serverValue: s || null,
+      description: side === 'local'
+        ? 'Removed on the server but you edited it'
+        : 'You removed it but it was edited on the server'
+    };
+    conflicts.push(conflict);
+    const choice = choices[conflict.id] || 'local';
+    const chosen = choice === 'local' ? l : s;
+    if (chosen) merged.push(chosen);
+  });
+
+  return merged;
+};
+
+/**
+ * Merge one area: area-level fields, then each surface on its own
+ */
+const mergeArea = (base, local, server, key, { conflicts, changes, choices }) => {
+  const areaName = getAreaName(local, server, base);
+  const itemsKey = getItemsKey(local, server, base);
+  const merged = { ...local };
+
+  const fields = new Set([...Object.keys(local), ...Object.keys(server)]);
+  fields.delete('laborItems');
+  fields.delete('items');
+  fields.forEach(field => {
+    if (!(field in server)) return;
+    const id = `areas.${key}.${field}`;
+    const result = mergeValue(base?.[field], local[field], server[field]);
+    if (result.conflict) {
+      conflicts.push({
+        id,
+        group: areaName,
+        label: AREA_FIELD_LABELS[field] || humanizeKey(field),
+        kind: 'field',
+        field,
+        baseValue: base?.[field],
+        localValue: local[field],
+        serverValue: server[field]
+      });
+      merged[field] = (choices[id] || 'local') === 'local' ? local[field] : server[field];
+    } else {
+      merged[field] = result.value;
+      if (result.changedBy) {
+        changes.push({ id, group: areaName, label: AREA_FIELD_LABELS[field] || humanizeKey(field), change: result.changedBy === 'server' ? 'Server' : 'Yours' });
+      }
+    }
+  });
+
+  merged[itemsKey] = mergeKeyedList({
+    base: base?.[itemsKey],
+    local: local[itemsKey],
+    server: server[itemsKey],
+    getKey: getItemKey,
+    describe: (item, itemKey) => ({
+      id: `areas.${key}.items.${itemKey}`,
+      group: areaName,
+      label: item.categoryName || 'Surface',
+      kind: 'item'
+    }),
+    mergeEntry: (b, l, s, itemKey) => {
+      const id = `areas.${key}.items.${itemKey}`;
+      const result = mergeValue(b, l, s);
+      if (result.conflict) {
+        conflicts.push({
+          id,
+          group: areaName,
+          label: l.categoryName || s.categoryName || 'Surface',
+          kind: 'item',
+          baseValue: b,
+          localValue: l,
+          serverValue: s
+        });
+        return (choices[id] || 'local') === 'local' ? l : s;
+      }
+      if (result.changedBy) {
+        changes.push({ id, group: areaName, label: l.categoryName || 'Surface', change: result.changedBy === 'server' ? 'Server' : 'Yours' });
+      }
+      return result.value;
+    },
+    conflicts,
+    changes,
+    choices
+  });
+
+  return merged;
+};
+
+/**
+ * Three-way merge of quote builder form data
+ * @param {object} params
+ * @param {object} params.base - Last copy synced with the server (null if unknown: every difference is a conflict)
+ * @param {object} params.local - Current local form data
+ * @param {object} params.server - Server copy of the quote
+ * @param {object} params.choices - { [conflictId]: 'local' | 'server' }; unresolved conflicts keep the local value
+ * @returns {object} - { merged, conflicts: [...], changes: [...] }
+ */
+export const mergeQuoteDrafts = ({ base, local, server, choices = {} }) => {
+  const conflicts = [];
+  const changes = [];
+  const merged = { ...local };
+  const context = { conflicts, changes, choices };
+
+  Object.keys(local).forEach(field => {
+    if (IGNORED_FIELDS.has(field) || !(field in server)) return;
+
+    if (field === 'areas') {
+      merged.areas = mergeKeyedList({
+        base: base?.areas,
+        local: local.areas,
+        server: server.areas,
+        getKey: area => String(area.id),
+        describe: (area, key) => ({ id: `areas.${key}`, group: area.name || 'Area', label: 'Area', kind: 'area' }),
+        mergeEntry: (b, l, s, key) => mergeArea(b, l, s, key, context),
+        ...context
+      });
+      return;
+    }
+
+    if (field === 'productSets') {
+      merged.productSets = mergeKeyedList({
+        base: base?.productSets,
+        local: local.productSets,
+        server: server.productSets,
+        getKey: set => String(set.id),
+        describe: (set, key) => ({
+          id: `productSets.${key}`,
+          group: 'Products',
+          label: [set.areaName, set.label || set.surfaceType].filter(Boolean).join(' › ') || 'Product set',
+          kind: 'productSet'
+        }),
+        mergeEntry: (b, l, s, key) => {
+          const id = `productSets.${key}`;
+          const result = mergeValue(b, l, s);
+          const label = [l.areaName, l.label || l.surfaceType].filter(Boolean).join(' › ') || 'Product set';
+          if (result.conflict) {
+            conflicts.push({ id, group: 'Products', label, kind: 'productSet', baseValue: b, localValue: l, serverValue: s });
+            return (choices[id] || 'local') === 'local' ? l : s;
+          }
+          if (result.changedBy) {
+            changes.push({ id, group: 'Products', label, change: result.changedBy === 'server' ? 'Server' : 'Yours' });
+          }
+          return result.value;
+        },
+        ...context
+      });
+      return;
+    }
+
+    const id = field;
+    const label = FIELD_LABELS[field] || humanizeKey(field);
+    const result = mergeValue(base?.[field], local[field], server[field]);
+    if (result.conflict) {
+      conflicts.push({
+        id,
+        group: 'Quote details',
+        label,
+        kind: 'field',
+        field,
+        baseValue: base?.[field],
+        localValue: local[field],
+        serverValue: server[field]
+      });
+      merged[field] = (choices[id] || 'local') === 'local' ? local[field] : server[field];
+    } else {
+      merged[field] = result.value;
+      if (result.changedBy) {
+        changes.push({ id, group: 'Quote details', label, change: result.changedBy === 'server' ? 'Server' : 'Yours' });
+      }
+    }
+  });
+
+  return { merged, conflicts, changes };
+};
+
+const formatScalar = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+/**
+ * Readable text for a conflicting value
+ * @param {*} value
+ * @param {object} conflict - Conflict entry from mergeQuoteDrafts (kind decides the format)
+ * @param {object} lookups - { pricingSchemes } for naming IDs
+ */
+export const formatMergeValue = (value, conflict = {}, lookups = {}) => {
+  if (value === null || value === undefined) {
+    return conflict.kind === 'field' ? '—' : 'Removed';
+  }
+
+  if (conflict.field === 'pricingSchemeId') {
+    const scheme = (lookups.pricingSchemes || []).find(s => String(s.id) === String(value));
+    return scheme?.name || formatScalar(value);
+  }
+
+  if (conflict.kind === 'item') {
+    if (!value.selected) return 'Not selected';
+    const parts = [`${formatScalar(value.quantity)} ${value.measurementUnit === 'linear_foot' ? 'LF' : value.measurementUnit === 'sqft' ? 'sq ft' : (value.measurementUnit || '')}`.trim()];
+    if (value.numberOfCoats) parts.push(`${value.numberOfCoats} coat${Number(value.numberOfCoats) === 1 ? '' : 's'}`);
+    if (value.gallons) parts.push(`${value.gallons} gal`);
+    if (value.laborRate) parts.push(`$${value.laborRate}/unit`);
+    return parts.join(' • ');
+  }
+
+  if (conflict.kind === 'area') {
+    const items = (value.laborItems || value.items || []).filter(item => item.selected);
+    return items.length > 0
+      ? `${value.name}: ${items.map(item => `${item.categoryName} (${formatScalar(item.quantity)})`).join(', ')}`
+      : `${value.name}: no surfaces selected`;
+  }
+
+  if (conflict.kind === 'productSet') {
+    const products = value.products || {};
+    const entries = Object.entries(products).filter(([, productId]) => productId);
+    const productText = entries.length > 0
+      ? entries.map(([tier, productId]) => `${humanizeKey(tier)}: ${lookups.products?.[productId]?.productName || `#${productId}`}`).join(', ')
+      : 'No products';
+    return value.color ? `${productText} • ${value.color}` : productText;
+  }
+
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.map(entry => formatMergeValue(entry, {}, lookups)).join(', ') : 'None';
+  }
+
+  if (typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, v]) => v !== null && v !== undefined && v !== '' && !(typeof v === 'object' && Object.keys(v).length === 0));
+    if (entries.length === 0) return 'None';
+    return entries
+      .map(([k, v]) => `${humanizeKey(k)}: ${typeof v === 'object' ? formatMergeValue(v, {}, lookups) : formatScalar(v)}`)
+      .join(', ');
+  }
+
+  return formatScalar(value);
+};
+
+export default {
+  FIELD_LABELS,
+  IGNORED_FIELDS,
+  humanizeKey,
+  getItemsKey,
+  getItemKey,
+  isEqualValue,
+  mergeValue,
+  mergeQuoteDrafts,
+  formatMergeValue
+};
@@ -0,0 +1,248 @@
+// src/utils/quoteRevisions.js
+// Quote revisions. Every time a quote is sent a snapshot of it is kept as it went out: the builder
+// form, the product names it referenced, each Good/Better/Best tier price and the totals. Two
+// snapshots are compared field by field (areas and their surfaces, products, tier prices, totals)
+// using the same labels and value formatting as the draft conflict merge.
+
+import {
+  FIELD_LABELS,
+  IGNORED_FIELDS,
+  humanizeKey,
+  getItemsKey,
+  getItemKey,
+  isEqualValue,
+  formatMergeValue
+} from './quoteMergeUtils';
+
+const TIERS = ['good', 'better', 'best'];
+
+const TOTAL_LABELS = {
+  laborTotal: 'Labor',
+  materialTotal: 'Materials',
+  subtotal: 'Subtotal',
+  tax: 'Tax',
+  total: 'Total',
+  deposit: 'Deposit'
+};
+
+const AREA_FIELD_LABELS = {
+  name: 'Name',
+  jobType: 'Job type'
+};
+
+// Kept in their own sections of the snapshot, or only there to describe the rest
+const SNAPSHOT_FIELDS = new Set(['areas', 'productSets', 'calculation', 'tierPrices', 'productNames']);
+
+const toNumber = (value, fallback = 0) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+};
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Snapshot of the quote builder form as sent
+ * @param {Object} params
+ * @param {Object} params.formData - Quote builder form data
+ * @param {Object} params.calculation - calculateQuotePricing result for the selected tier
+ * @param {Object} params.tierPricing - calculateTierPricing result, when the quote offers Good/Better/Best
+ * @param {Object} params.products - buildProductsMap result, for naming the products used
+ */
+export const buildRevisionSnapshot = ({ formData = {}, calculation = {}, tierPricing = null, products = {} }) => {
+  const snapshot = Object.keys(formData).reduce((acc, key) => {
+    if (!IGNORED_FIELDS.has(key)) acc[key] = formData[key];
+    return acc;
+  }, {});
+
+  const productIds = (formData.productSets || []).flatMap(set => Object.values(set.products || {})).filter(Boolean);
+  snapshot.productNames = productIds.reduce((acc, productId) => {
+    if (products[productId]) acc[productId] = { productName: products[productId].productName };
+    return acc;
+  }, {});
+
+  snapshot.tierPrices = tierPricing
+    ? TIERS.reduce((acc, tier) => ({ ...acc, [tier]: roundCurrency(toNumber(tierPricing[tier]?.total)) }), {})
+    : null;
+
+  snapshot.calculation = Object.keys(TOTAL_LABELS).reduce((acc, key) => ({
+    ...acc,
+    [key]: roundCurrency(toNumber(calculation[key]))
+  }), {});
+
+  return snapshot;
+};
+
+/**
+ * Who sent a revision
+ */
+export const getRevisionAuthor = (revision = {}) => {
+  const user = revision.createdBy || revision.user;
+  if (user && typeof user === 'object') {
+    const name = user.fullName || user.name || [user.firstName, user.lastName].filter(Boolean).join(' ');
+    if (name) return name;
+  }
+  return revision.createdByName || revision.snapshot?.sentBy || 'Unknown';
+};
+
+// Unselected surfaces are left over from editing and read the same as no surface at all
+const isSelected = (item) => Boolean(item?.selected);
+
+const diffKeyed = ({ before = [], after = [], getKey, onBoth, describe, rows }) => {
+  const beforeMap = new Map((before || []).map(entry => [getKey(entry), entry]));
+  const afterMap = new Map((after || []).map(entry => [getKey(entry), entry]));
+  const keys = [...afterMap.keys(), ...[...beforeMap.keys()].filter(key => !afterMap.has(key))];
+
+  keys.forEach(key => {
+    const b = beforeMap.get(key);
+    const a = afterMap.get(key);
+    if (b && a) {
+      onBoth(b, a, key);
+    } else if (a) {
+      rows.push({ ...describe(a, key), before: null, after: a, change: 'added' });
+    } else {
+      rows.push({ ...describe(b, key), before: b, after: null, change: 'removed' });
+    }
+  });
+};
+
+const diffArea = (before, after, key, rows) => {
+  const group = after.name || before.name || 'Area';
+
+  Object.keys(AREA_FIELD_LABELS).forEach(field => {
+    if (isEqualValue(before[field], after[field])) return;
+    rows.push({
+      id: `areas.${key}.${field}`,
+      group,
+      label: AREA_FIELD_LABELS[field],
+      kind: 'field',
+      field,
+      before: before[field],
+      after: after[field],
+      change: 'changed'
+    });
+  });
+
+  const beforeItems = (before[getItemsKey(before)] || []).filter(isSelected);
+  const afterItems = (after[getItemsKey(after)] || []).filter(isSelected);
+  diffKeyed({
+    before: beforeItems,
+    after: afterItems,
+    getKey: getItemKey,
+    describe: (item, itemKey) => ({ id: `areas.${key}.items.${itemKey}`, group, label: item.categoryName || 'Surface', kind: 'item' }),
+    onBoth: (b, a, itemKey) => {
+      if (isEqualValue(b, a)) return;
+      rows.push({
+        id: `areas.${key}.items.${itemKey}`,
+        group,
+        label: a.categoryName || b.categoryName || 'Surface',
+        kind: 'item',
+        before: b,
+        after: a,
+        change: 'changed'
+      });
+    },
+    rows
+  });
+};
+
+const productSetLabel = (set) => [set.areaName, set.label || set.surfaceType].filter(Boolean).join(' › ') || 'Product set';
+
+/**
+ * Everything that differs between two snapshots, in display order: quote details, each area,
+ * products, tier prices, then totals
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @returns {Array} - [{ id, group, label, kind, field, before, after, change: 'added' | 'removed' | 'changed' }]
+ */
+export const diffQuoteRevisions = (before = {}, after = {}) => {
+  const rows = [];
+
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => !IGNORED_FIELDS.has(field) && !SNAPSHOT_FIELDS.has(field) && field !== 'sentBy');
+  fields.forEach(field => {
+    if (isEqualValue(before[field], after[field])) return;
+    rows.push({
+      id: field,
+      group: 'Quote details',
+      label: FIELD_LABELS[field] || humanizeKey(field),
+      kind: 'field',
+      field,
+      before: before[field],
+      after: after[field],
+      change: 'changed'
+    });
+  });
+
+  diffKeyed({
+    before: before.areas,
+    after: after.areas,
+    getKey: area => String(area.id),
+    describe: (area, key) => ({ id: `areas.${key}`, group: area.name || 'Area', label: 'Area', kind: 'area' }),
+    onBoth: (b, a, key) => diffArea(b, a, key, rows),
+    rows
+  });
+
+  diffKeyed({
+    before: before.productSets,
+    after: after.productSets,
+    getKey: set => String(set.id),
+    describe: (set, key) => ({ id: `productSets.${key}`, group: 'Products', label: productSetLabel(set), kind: 'productSet' }),
+    onBoth: (b, a, key) => {
+      if (isEqualValue(b, a)) return;
+      rows.push({ id: `productSets.${key}`, group: 'Products', label: productSetLabel(a), kind: 'productSet', before: b, after: a, change: 'changed' });
+    },
+    rows
+  });
+
+  TIERS.forEach(tier => {
+    const b = before.tierPrices?.[tier] ?? null;
+    const a = after.tierPrices?.[tier] ?? null;
+    if (isEqualValue(b, a)) return;
+    rows.push({ id: `tierPrices.${tier}`, group: 'Tier prices', label: humanizeKey(tier), kind: 'money', before: b, after: a, change: 'changed' });
+  });
+
+  Object.entries(TOTAL_LABELS).forEach(([key, label]) => {
+    const b = before.calculation?.[key] ?? null;
+    const a = after.calculation?.[key] ?? null;
+    if (isEqualValue(b, a)) return;
+    rows.push({ id: `calculation.${key}`, group: 'Totals', label, kind: 'money', before: b, after: a, change: 'changed' });
+  });
+
+  return rows;
+};
+
+/**
+ * Number of changes per group, for a one-line summary of a revision
+ * @returns {Array} - [{ group, count }] in display order
+ */
+export const summarizeRevisionChanges = (rows = []) => rows.reduce((groups, row) => {
+  const group = groups.find(g => g.group === row.group);
+  if (group) {
+    group.count += 1;
+  } else {
+    groups.push({ group: row.group, count: 1 });
+  }
+  return groups;
+}, []);
+
+/**
+ * Readable text for one side of a change
+ * @param {*} value
+ * @param {Object} row - diffQuoteRevisions row
+ * @param {Object} lookups - { pricingSchemes, products }
+ */
+export const formatRevisionValue = (value, row = {}, lookups = {}) => {
+  if (value === null || value === undefined) return '—';
+  if (row.kind === 'money') {
+    return `$${Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  }
+  return formatMergeValue(value, row, lookups);
+};
+
+export default {
+  buildRevisionSnapshot,
+  getRevisionAuthor,
+  diffQuoteRevisions,
+  summarizeRevisionChanges,
+  formatRevisionValue
+};
@@ -0,0 +1,140 @@
+// src/utils/unitUtils.js
+// Imperial / metric display helpers.
+// Quotes always store quantities in imperial units (sq ft, linear feet, US gallons, sq ft per gallon);
+// these helpers only convert at the edges where values are entered or shown.
+
+export const UNIT_SYSTEMS = {
+  imperial: 'imperial',
+  metric: 'metric'
+};
+
+export const FEET_PER_METRE = 3.28084;
+export const SQFT_PER_SQM = 10.7639;
+export const LITRES_PER_GALLON = 3.78541;
+// Canadian stores sell "gallon" cans as 3.78 L
+export const METRIC_CAN_LITRES = 3.78;
+
+const UNIT_LABELS = {
+  imperial: { sqft: 'sq ft', linear_foot: 'LF', length: 'ft', unit: 'units', hour: 'hrs', gallon: 'gal', coverage: 'sq ft/gal' },
+  metric: { sqft: 'm²', linear_foot: 'm', length: 'm', unit: 'units', hour: 'hrs', gallon: 'L', coverage: 'm²/L' }
+};
+
+const QUANTITY_LABELS = {
+  imperial: { sqft: 'Square Feet', linear_foot: 'Linear Feet', unit: 'Units', hour: 'Hours' },
+  metric: { sqft: 'Square Metres', linear_foot: 'Linear Metres', unit: 'Units', hour: 'Hours' }
+};
+
+/**
+ * Normalize a unit system value (anything other than 'metric' is imperial)
+ */
+export const normalizeUnitSystem = (unitSystem) =>
+  unitSystem === UNIT_SYSTEMS.metric ? UNIT_SYSTEMS.metric : UNIT_SYSTEMS.imperial;
+
+export const isMetric = (unitSystem) => normalizeUnitSystem(unitSystem) === UNIT_SYSTEMS.metric;
+
+/**
+ * Read the tenant unit system from quote builder form data / contractor settings
+ */
+export const getUnitSystem = (source = {}) =>
+  normalizeUnitSystem(source.unitSystem || source.contractorSettings?.other?.unitSystem || source.other?.unitSystem);
+
+/**
+ * Short display label for a measurement unit ('sqft', 'linear_foot', 'unit', 'hour', 'gallon', 'length', 'coverage')
+ */
+export const getUnitLabel = (unit, unitSystem) => UNIT_LABELS[normalizeUnitSystem(unitSystem)][unit] || unit;
+
+/**
+ * Long input label for a measurement unit
+ */
+export const getQuantityLabel = (unit, unitSystem) => QUANTITY_LABELS[normalizeUnitSystem(unitSystem)][unit] || 'Quantity';
+
+const round = (value, places = 2) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Convert a stored (imperial) quantity to the display unit system
+ * @param {number} value - Stored quantity
+ * @param {string} measurementUnit - 'sqft' | 'linear_foot' | 'length' | 'gallon' | 'coverage' | other
+ * @param {string} unitSystem - 'imperial' | 'metric'
+ * @returns {number} - Display quantity
+ */
+export const toDisplayQuantity = (value, measurementUnit, unitSystem) => {
+  const num = parseFloat(value);
+  if (!Number.isFinite(num) || !isMetric(unitSystem)) return value;
+  switch (measurementUnit) {
+    case 'sqft': return round(num / SQFT_PER_SQM);
+    case 'linear_foot':
+    case 'length': return round(num / FEET_PER_METRE);
+    case 'gallon': return round(num * LITRES_PER_GALLON);
+    case 'coverage': return round(num / SQFT_PER_SQM / LITRES_PER_GALLON);
+    default: return num;
+  }
+};
+
+/**
+ * Convert a quantity entered in the display unit system back to the stored (imperial) unit
+ */
+export const toCanonicalQuantity = (value, measurementUnit, unitSystem) => {
+  const num = parseFloat(value);
+  if (!Number.isFinite(num) || !isMetric(unitSystem)) return value;
+  switch (measurementUnit) {
+    case 'sqft': return round(num * SQFT_PER_SQM);
+    case 'linear_foot':
+    case 'length': return round(num * FEET_PER_METRE);
+    case 'gallon': return round(num / LITRES_PER_GALLON, 3);
+    case 'coverage': return round(num * SQFT_PER_SQM * LITRES_PER_GALLON);
+    default: return num;
+  }
+};
+
+/**
+ * Convert a price per stored unit (e.g. $/sq ft) to a price per display unit (e.g. $/m²)
+ */
+export const toDisplayRate = (rate, measurementUnit, unitSystem) => {
+  const num = parseFloat(rate);
+  if (!Number.isFinite(num) || !isMetric(unitSystem)) return rate;
+  const canonicalPerDisplayUnit = toCanonicalQuantity(1, measurementUnit, unitSystem);
+  return round(num * canonicalPerDisplayUnit);
+};
+
+/**
+ * Format a stored quantity with its unit label in the display unit system (e.g. "37.16 m²")
+ */
+export const formatQuantity = (value, measurementUnit, unitSystem) =>
+  `${toDisplayQuantity(value, measurementUnit, unitSystem)} ${getUnitLabel(measurementUnit, unitSystem)}`;
+
+/**
+ * Format a paint quantity stored in US gallons.
+ * Metric shows litres and the number of 3.78 L cans to buy.
+ * @param {number} gallons - Stored gallons
+ * @param {string} unitSystem - 'imperial' | 'metric'
+ * @param {object} opts - { wholeGallons: round imperial quantities up to whole gallons (customer-facing views) }
+ * @returns {string} - e.g. "3.25 gal" or "12.3 L (4 × 3.78 L cans)"
+ */
+export const formatPaintQuantity = (gallons, unitSystem, opts = {}) => {
+  const num = parseFloat(gallons) || 0;
+  if (!isMetric(unitSystem)) return `${opts.wholeGallons ? Math.ceil(num) : num} gal`;
+  const litres = round(num * LITRES_PER_GALLON, 1);
+  const cans = Math.ceil(litres / METRIC_CAN_LITRES);
+  return `${litres} L (${cans} × ${METRIC_CAN_LITRES} L can${cans === 1 ? '' : 's'})`;
+};
+
+export default {
+  UNIT_SYSTEMS,
+  FEET_PER_METRE,
+  SQFT_PER_SQM,
+  LITRES_PER_GALLON,
+  METRIC_CAN_LITRES,
+  normalizeUnitSystem,
+  isMetric,
+  getUnitSystem,
+  getUnitLabel,
+  getQuantityLabel,
+  toDisplayQuantity,
+  toCanonicalQuantity,
+  toDisplayRate,
+  formatQuantity,
+  formatPaintQuantity
+};
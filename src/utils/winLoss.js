@@ -0,0 +1,223 @@
+// src/utils/winLoss.js
+// Win/loss reporting. Each quote is classified as won, lost or still open from its status and its
+// job (a job canceled after acceptance is a lost job, with the reason recorded through
+// LostJobReasonModal). Decided quotes are sliced by pricing scheme, tier offered, price band and
+// days to decision, with the close rate and lost-reason mix for each slice.
+
+import { getPricingSchemeLabel } from './profitability';
+
+export const WON_QUOTE_STATUSES = ['accepted', 'deposit_paid', 'scheduled', 'completed'];
+export const LOST_QUOTE_STATUSES = ['rejected', 'declined'];
+export const OPEN_QUOTE_STATUSES = ['sent', 'viewed'];
+
+/**
+ * Lost reasons in display order. The first seven are the ones LostJobReasonModal collects;
+ * no_response is a sent quote that expired and not_recorded is a loss nobody explained.
+ */
+export const LOST_REASONS = [
+  'budget_mismatch',
+  'chose_competitor',
+  'timing_changed',
+  'scope_misalignment',
+  'confidence_issues',
+  'project_paused',
+  'other',
+  'no_response',
+  'not_recorded'
+];
+
+export const WIN_LOSS_DIMENSIONS = [
+  { key: 'pricingScheme', label: 'Pricing Scheme' },
+  { key: 'tier', label: 'Tier Offered' },
+  { key: 'priceBand', label: 'Price Band' },
+  { key: 'decisionBand', label: 'Days to Decision' }
+];
+
+const PRICE_BANDS = [
+  { max: 2500, label: 'Under $2.5k' },
+  { max: 5000, label: '$2.5k–5k' },
+  { max: 10000, label: '$5k–10k' },
+  { max: 20000, label: '$10k–20k' },
+  { max: Infinity, label: '$20k+' }
+];
+
+const DECISION_BANDS = [
+  { max: 2, label: '0–2 days' },
+  { max: 7, label: '3–7 days' },
+  { max: 14, label: '8–14 days' },
+  { max: 30, label: '15–30 days' },
+  { max: Infinity, label: 'Over 30 days' }
+];
+
+const STILL_OPEN = 'Still open';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bands read best in their natural order rather than by count
+const BAND_ORDER = [...PRICE_BANDS, ...DECISION_BANDS].map(band => band.label).concat(STILL_OPEN);
+
+const toNumber = (value, fallback = 0) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+};
+
+const roundPercent = (value) => Math.round(value * 10) / 10;
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+export const getPriceBand = (total) => PRICE_BANDS.find(band => toNumber(total) < band.max).label;
+
+export const getDecisionBand = (days) => (days === null ? STILL_OPEN : DECISION_BANDS.find(band => days <= band.max).label);
+
+/**
+ * Won, lost or open, with the reason and when the customer decided
+ * @returns {Object} - { outcome: 'won' | 'lost' | 'open', lostReason, lostReasonDetails, decidedAt }
+ */
+export const getQuoteOutcome = (quote = {}, job = null, now = new Date()) => {
+  if (job?.status === 'canceled') {
+    return {
+      outcome: 'lost',
+      lostReason: job.lostReason || quote.lostReason || 'not_recorded',
+      lostReasonDetails: job.lostReasonDetails || quote.lostReasonDetails || null,
+      decidedAt: job.lostReasonRecordedAt || job.updatedAt || quote.updatedAt
+    };
+  }
+  if (job || WON_QUOTE_STATUSES.includes(quote.status)) {
+    return { outcome: 'won', lostReason: null, lostReasonDetails: null, decidedAt: quote.acceptedAt || job?.createdAt || quote.updatedAt };
+  }
+  if (LOST_QUOTE_STATUSES.includes(quote.status)) {
+    return {
+      outcome: 'lost',
+      lostReason: quote.lostReason || 'not_recorded',
+      // Customers give a free-text reason when they reject a proposal in the portal
+      lostReasonDetails: quote.lostReasonDetails || quote.rejectionReason || quote.declineReason || null,
+      decidedAt: quote.rejectedAt || quote.declinedAt || quote.updatedAt
+    };
+  }
+  const validUntil = toDate(quote.validUntil);
+  if (OPEN_QUOTE_STATUSES.includes(quote.status) && validUntil && validUntil < now) {
+    return { outcome: 'lost', lostReason: 'no_response', lostReasonDetails: null, decidedAt: quote.validUntil };
+  }
+  return { outcome: 'open', lostReason: null, lostReasonDetails: null, decidedAt: null };
+};
+
+/**
+ * One quote with its outcome and the dimensions the report slices by. Drafts never went out and
+ * return null.
+ * @param {Object} quote
+ * @param {Object} context
+ * @param {Object} context.job - The quote's job, if it became one
+ * @param {Object} context.schemesById - Pricing schemes keyed by id, for quotes that only carry pricingSchemeId
+ */
+export const buildWinLossRecord = (quote = {}, { job = null, schemesById = {}, now = new Date() } = {}) => {
+  if (quote.status === 'draft') return null;
+
+  const { outcome, lostReason, lostReasonDetails, decidedAt } = getQuoteOutcome(quote, job, now);
+  const sentAt = toDate(quote.sentAt || quote.createdAt);
+  const decided = toDate(decidedAt);
+  const daysToDecision = outcome !== 'open' && sentAt && decided
+    ? Math.max(Math.round((decided - sentAt) / DAY_MS), 0)
+    : null;
+  const schemeType = quote.pricingScheme?.type || schemesById[quote.pricingSchemeId]?.type;
+  const tier = quote.gbbSelectedTier || quote.selectedTier || quote.tier;
+
+  return {
+    quoteId: quote.id,
+    quoteNumber: quote.quoteNumber,
+    customerName: quote.customerName,
+    status: quote.status,
+    // Whether the customer opened the proposal before deciding
+    viewed: Boolean(quote.viewedAt) || quote.status === 'viewed',
+    jobId: job?.id || null,
+    total: toNumber(quote.total),
+    sentAt: sentAt ? sentAt.toISOString() : null,
+    decidedAt: decided ? decided.toISOString() : null,
+    month: sentAt ? `${sentAt.getFullYear()}-${String(sentAt.getMonth() + 1).padStart(2, '0')}` : null,
+    outcome,
+    lostReason,
+    lostReasonDetails,
+    daysToDecision,
+    pricingScheme: getPricingSchemeLabel(schemeType),
+    tier: tier ? capitalize(tier) : 'Single Product',
+    priceBand: getPriceBand(quote.total),
+    decisionBand: getDecisionBand(daysToDecision)
+  };
+};
+
+/**
+ * Counts, close rate and lost-reason mix for a set of quotes. Close rate only counts decided quotes.
+ */
+export const summarizeWinLoss = (records = []) => {
+  const won = records.filter(record => record.outcome === 'won');
+  const lost = records.filter(record => record.outcome === 'lost');
+  const decidedDays = [...won, ...lost].map(record => record.daysToDecision).filter(days => days !== null);
+  return {
+    quotes: records.length,
+    won: won.length,
+    lost: lost.length,
+    open: records.length - won.length - lost.length,
+    closeRate: won.length + lost.length > 0 ? roundPercent((won.length / (won.length + lost.length)) * 100) : null,
+    wonValue: won.reduce((sum, record) => sum + record.total, 0),
+    lostValue: lost.reduce((sum, record) => sum + record.total, 0),
+    averageDaysToDecision: decidedDays.length > 0
+      ? roundPercent(decidedDays.reduce((sum, days) => sum + days, 0) / decidedDays.length)
+      : null,
+    reasons: lost.reduce((acc, record) => {
+      acc[record.lostReason] = (acc[record.lostReason] || 0) + 1;
+      return acc;
+    }, {})
+  };
+};
+
+/**
+ * One row per value of a dimension. Bands keep their natural order; other values go by quote count.
+ * @param {string} dimension - A WIN_LOSS_DIMENSIONS key
+ */
+export const groupWinLoss = (records = [], dimension) => {
+  const groups = records.reduce((acc, record) => {
+    acc[record[dimension]] = acc[record[dimension]] || [];
+    acc[record[dimension]].push(record);
+    return acc;
+  }, {});
+  return Object.entries(groups)
+    .map(([value, group]) => ({ value, ...summarizeWinLoss(group) }))
+    .sort((a, b) => {
+      const order = BAND_ORDER.indexOf(a.value) - BAND_ORDER.indexOf(b.value);
+      return BAND_ORDER.includes(a.value) && BAND_ORDER.includes(b.value) ? order : b.quotes - a.quotes;
+    });
+};
+
+/**
+ * Close rate by the month quotes were sent, oldest first
+ */
+export const buildCloseRateTrend = (records = []) => {
+  const months = records.reduce((acc, record) => {
+    if (!record.month) return acc;
+    acc[record.month] = acc[record.month] || [];
+    acc[record.month].push(record);
+    return acc;
+  }, {});
+  return Object.keys(months).sort().map(month => {
+    const { won, lost, open, closeRate } = summarizeWinLoss(months[month]);
+    return { month, won, lost, open, closeRate };
+  });
+};
+
+export default {
+  WON_QUOTE_STATUSES,
+  LOST_QUOTE_STATUSES,
+  OPEN_QUOTE_STATUSES,
+  LOST_REASONS,
+  WIN_LOSS_DIMENSIONS,
+  getPriceBand,
+  getDecisionBand,
+  getQuoteOutcome,
+  buildWinLossRecord,
+  summarizeWinLoss,
+  groupWinLoss,
+  buildCloseRateTrend
+};